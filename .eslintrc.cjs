@@ -10,4 +10,9 @@ module.exports = {
   globals: {
     shopify: "readonly"
   },
+  // Tests laufen mit node:test – Jest ist nicht installiert, die Jest-Regeln
+  // aus dem Preset brauchen aber eine Versionsangabe
+  settings: {
+    jest: { version: 29 },
+  },
 };
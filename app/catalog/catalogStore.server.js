@@ -0,0 +1,267 @@
+// app/catalog/catalogStore.server.js
+//
+// Datenbank-Katalog pro Shop (Prisma: CatalogShape / CatalogColorway /
+// CatalogSize / CatalogVariant). Ausgeliefert wird dieselbe verschachtelte
+// Struktur wie früher STICKER_CATALOG, damit der Konfigurator unverändert bleibt:
+//
+//   { [shapeKey]: { shapeKey, label, productHandle, ..., colors: { [colorKey]: { sizes: [...] } }, sizes } }
+//
+// "sizes" (Legacy-Feld) wird immer aus der Default-Farbe abgeleitet.
+import prisma from "../db.server";
+import { STICKER_CATALOG } from "./stickerCatalog.server";
+
+const SHAPE_INCLUDE = {
+  sizes: { orderBy: { position: "asc" } },
+  colorways: {
+    orderBy: { position: "asc" },
+    include: { variants: { include: { size: true } } },
+  },
+};
+
+function sameDims(a, b) {
+  return Number(a.widthCm) === Number(b.widthCm) && Number(a.heightCm) === Number(b.heightCm);
+}
+
+// ── Seed: STICKER_CATALOG → Zeilen (gleiche Form wie Prisma-Ergebnis) ──────
+/**
+ * Flacht den statischen Katalog in Shape/Size/Colorway/Variant-Zeilen ab.
+ * Doppelte sizeKeys innerhalb einer Form werden dabei zusammengeführt
+ * (erster Eintrag gewinnt) und in `skipped` gemeldet.
+ */
+export function seedRowsFromStatic(source = STICKER_CATALOG) {
+  const shapes = [];
+  const skipped = [];
+
+  Object.values(source || {}).forEach((def, shapeIdx) => {
+    if (!def?.shapeKey) return;
+
+    const defaultColorKey = String(def.defaultColorKey || "white");
+    const colorDefs = def.colors && typeof def.colors === "object" ? Object.values(def.colors) : [];
+    if (!colorDefs.length && Array.isArray(def.sizes)) {
+      colorDefs.push({ colorKey: defaultColorKey, label: defaultColorKey, sizes: def.sizes });
+    }
+    // Default-Farbe zuerst, damit deren Maße bei Konflikten gewinnen
+    colorDefs.sort((a, b) => (a.colorKey === defaultColorKey ? -1 : 0) - (b.colorKey === defaultColorKey ? -1 : 0));
+
+    const sizesByKey = new Map();
+    const colorways = [];
+
+    colorDefs.forEach((cdef, colorIdx) => {
+      const colorKey = String(cdef?.colorKey || "");
+      if (!colorKey) return;
+
+      const variants = [];
+      const seen = new Set();
+
+      for (const row of Array.isArray(cdef.sizes) ? cdef.sizes : []) {
+        const sizeKey = String(row?.sizeKey || "").trim();
+        if (!sizeKey) continue;
+
+        const candidate = {
+          sizeKey,
+          label: String(row.label || sizeKey),
+          widthCm: Number(row.widthCm) || 0,
+          heightCm: Number(row.heightCm) || 0,
+        };
+
+        let size = sizesByKey.get(sizeKey);
+        if (!size) {
+          size = { ...candidate, position: sizesByKey.size };
+          sizesByKey.set(sizeKey, size);
+        } else if (!sameDims(size, candidate) || size.label !== candidate.label) {
+          skipped.push({ shapeKey: def.shapeKey, colorKey, sizeKey, reason: "conflicting_dims", row });
+          continue;
+        }
+
+        if (seen.has(sizeKey)) {
+          skipped.push({ shapeKey: def.shapeKey, colorKey, sizeKey, reason: "duplicate_size_key", row });
+          continue;
+        }
+        seen.add(sizeKey);
+        variants.push({ size, variantId: String(row.variantId || "") });
+      }
+
+      colorways.push({
+        colorKey,
+        label: String(cdef.label || colorKey),
+        position: colorIdx,
+        variants,
+      });
+    });
+
+    shapes.push({
+      shapeKey: String(def.shapeKey),
+      label: String(def.label || def.shapeKey),
+      productHandle: def.productHandle ? String(def.productHandle) : null,
+      sizeOptionKey: def.sizeOptionKey ? String(def.sizeOptionKey) : null,
+      colorOptionKey: String(def.colorOptionKey || "color"),
+      defaultColorKey,
+      meta: def.meta && typeof def.meta === "object" ? def.meta : null,
+      position: shapeIdx,
+      sizes: [...sizesByKey.values()],
+      colorways,
+    });
+  });
+
+  return { shapes, skipped };
+}
+
+// ── Zeilen → verschachtelter Katalog ──────────────────────────────────────
+function sizeRowOut(size, variantId) {
+  return {
+    sizeKey: size.sizeKey,
+    label: size.label,
+    widthCm: Number(size.widthCm),
+    heightCm: Number(size.heightCm),
+    variantId: String(variantId || ""),
+  };
+}
+
+export function buildCatalog(shapes) {
+  const out = {};
+
+  for (const shape of shapes || []) {
+    const positionOf = new Map((shape.sizes || []).map((s) => [s.sizeKey, s.position ?? 0]));
+
+    const colors = {};
+    for (const cw of shape.colorways || []) {
+      const sizes = (cw.variants || [])
+        .filter((v) => v.size)
+        .sort((a, b) => (positionOf.get(a.size.sizeKey) ?? 0) - (positionOf.get(b.size.sizeKey) ?? 0))
+        .map((v) => sizeRowOut(v.size, v.variantId));
+
+      colors[cw.colorKey] = { colorKey: cw.colorKey, label: cw.label, sizes };
+    }
+
+    const defaultColorKey = shape.defaultColorKey || "white";
+    const legacy = colors[defaultColorKey] || Object.values(colors)[0] || { sizes: [] };
+
+    out[shape.shapeKey] = {
+      shapeKey: shape.shapeKey,
+      label: shape.label,
+      productHandle: shape.productHandle || "",
+      ...(shape.sizeOptionKey ? { sizeOptionKey: shape.sizeOptionKey } : {}),
+      ...(shape.meta ? { meta: shape.meta } : {}),
+      colorOptionKey: shape.colorOptionKey || "color",
+      defaultColorKey,
+      colors,
+      // Backward-compatible: bisheriges Feld "sizes" = Default-Farbe
+      sizes: legacy.sizes.map((s) => ({ ...s })),
+    };
+  }
+
+  return out;
+}
+
+// ── DB ────────────────────────────────────────────────────────────────────
+async function loadShapeRows(shop) {
+  return prisma.catalogShape.findMany({
+    where: { shop },
+    orderBy: { position: "asc" },
+    include: SHAPE_INCLUDE,
+  });
+}
+
+/**
+ * Legt den Katalog eines Shops aus STICKER_CATALOG an (nur wenn noch leer).
+ * @returns {Promise<{ seeded: boolean, skipped: any[] }>}
+ */
+export async function seedCatalogFromStatic(shop) {
+  const { shapes, skipped } = seedRowsFromStatic();
+
+  try {
+    await prisma.$transaction(
+      async (tx) => {
+        const existing = await tx.catalogShape.count({ where: { shop } });
+        if (existing > 0) return;
+
+        for (const shape of shapes) {
+          const { sizes, colorways, ...fields } = shape;
+          const created = await tx.catalogShape.create({
+            data: { shop, ...fields, meta: fields.meta ?? undefined },
+          });
+
+          const sizeIds = new Map();
+          for (const size of sizes) {
+            const row = await tx.catalogSize.create({
+              data: {
+                shop,
+                shapeId: created.id,
+                sizeKey: size.sizeKey,
+                label: size.label,
+                widthCm: size.widthCm,
+                heightCm: size.heightCm,
+                position: size.position,
+              },
+            });
+            sizeIds.set(size.sizeKey, row.id);
+          }
+
+          for (const cw of colorways) {
+            const color = await tx.catalogColorway.create({
+              data: { shop, shapeId: created.id, colorKey: cw.colorKey, label: cw.label, position: cw.position },
+            });
+            await tx.catalogVariant.createMany({
+              data: cw.variants.map((v) => ({
+                shop,
+                colorwayId: color.id,
+                sizeId: sizeIds.get(v.size.sizeKey),
+                variantId: v.variantId,
+              })),
+            });
+          }
+        }
+      },
+      { timeout: 30_000 }
+    );
+  } catch (e) {
+    // Parallele Erst-Requests: der andere hat schon geseedet
+    if (e?.code === "P2002") return { seeded: false, skipped };
+    throw e;
+  }
+
+  if (skipped.length) {
+    console.warn(`[CATALOG] Seed für ${shop}: ${skipped.length} doppelte/abweichende Größen übersprungen`);
+  }
+  return { seeded: true, skipped };
+}
+
+/**
+ * Katalog-Version = letzte Änderung (ms seit Epoch) + Zeilenzahl je Tabelle.
+ * Die Zeilenzahl macht auch Löschungen sichtbar (die ändern kein updatedAt).
+ * @returns {Promise<string>}  z. B. "1718000000000-6.12.40.220"
+ */
+export async function getCatalogVersion(shop) {
+  const where = { shop };
+  const query = { where, _max: { updatedAt: true }, _count: { _all: true } };
+  const aggs = await Promise.all([
+    prisma.catalogShape.aggregate(query),
+    prisma.catalogColorway.aggregate(query),
+    prisma.catalogSize.aggregate(query),
+    prisma.catalogVariant.aggregate(query),
+  ]);
+  const updatedAt = Math.max(0, ...aggs.map((a) => a?._max?.updatedAt?.getTime?.() || 0));
+  const counts = aggs.map((a) => a?._count?._all || 0);
+  return `${updatedAt}-${counts.join(".")}`;
+}
+
+/**
+ * Katalog für einen Shop. Ohne Shop (Dev/Direktaufruf) wird der Seed
+ * ausgeliefert (Version "0"), ohne etwas in die DB zu schreiben.
+ *
+ * @returns {Promise<{ catalog: Record<string, any>, version: string, source: "db"|"seed" }>}
+ */
+export async function getCatalogForShop(shop) {
+  const s = String(shop || "").trim();
+  if (!s) {
+    return { catalog: buildCatalog(seedRowsFromStatic().shapes), version: "0", source: "seed" };
+  }
+
+  let rows = await loadShapeRows(s);
+  if (!rows.length) {
+    await seedCatalogFromStatic(s);
+    rows = await loadShapeRows(s);
+  }
+
+  return { catalog: buildCatalog(rows), version: await getCatalogVersion(s), source: "db" };
+}
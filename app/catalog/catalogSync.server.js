@@ -0,0 +1,268 @@
+// app/catalog/catalogSync.server.js
+//
+// Gleicht den DB-Katalog eines Shops mit den Shopify-Produkten ab:
+// pro Form wird das Produkt über `productHandle` geladen, dessen Varianten
+// per Optionswert (Farbe + Größe) den Katalog-Einträgen zugeordnet und die
+// variantId gesetzt bzw. aktualisiert.
+//
+// Ergebnis ist ein Report je Form (aktualisiert / neu / fehlend / nicht zuordenbar).
+import prisma from "../db.server";
+import { seedCatalogFromStatic } from "./catalogStore.server";
+import { parseDimsFromOptionText } from "./optionDims";
+
+const COLOR_SYNONYMS = {
+  white: ["white", "weiß", "weiss"],
+  transparent: ["transparent", "klar", "clear"],
+  colored: ["farbig", "colored", "coloured", "vollfarbe", "4c"],
+};
+
+const COLOR_OPTION_NAMES = ["color", "colour", "farbe", "material"];
+const SIZE_OPTION_NAMES = ["size", "größe", "groesse", "format", "diameter", "durchmesser"];
+
+// Exakter Handle-Lookup (keine Volltextsuche, die ähnliche Handles trifft)
+const PRODUCT_VARIANTS_QUERY = `#graphql
+  query CatalogSyncProduct($handle: String!, $after: String) {
+    productByIdentifier(identifier: { handle: $handle }) {
+      id
+      handle
+      title
+      variants(first: 250, after: $after) {
+        pageInfo { hasNextPage endCursor }
+        nodes {
+          id
+          title
+          selectedOptions { name value }
+        }
+      }
+    }
+  }
+`;
+
+// ── Hilfsfunktionen ───────────────────────────────────────────────────────
+function normText(x) {
+  return String(x || "").toLowerCase().trim();
+}
+
+function numericVariantId(gid) {
+  const m = String(gid || "").match(/(\d+)$/);
+  return m ? m[1] : "";
+}
+
+function approxEq(a, b, eps = 0.051) {
+  return Math.abs(Number(a) - Number(b)) <= eps;
+}
+
+function dimsMatchSize(parsed, size) {
+  if (!parsed) return false;
+  const w = Number(size.widthCm) || 0;
+  const h = Number(size.heightCm) || 0;
+
+  if (parsed.kind === "rect") {
+    return (
+      (approxEq(parsed.wCm, w) && approxEq(parsed.hCm, h)) ||
+      (approxEq(parsed.wCm, h) && approxEq(parsed.hCm, w))
+    );
+  }
+  // Einzelwert = Durchmesser bzw. lange Kante
+  return approxEq(parsed.nCm, Math.max(w, h));
+}
+
+function optionByName(selectedOptions, names) {
+  const wanted = names.map(normText);
+  return (selectedOptions || []).find((o) => wanted.includes(normText(o?.name))) || null;
+}
+
+function matchColorway(value, colorways) {
+  const v = normText(value);
+  if (!v) return null;
+
+  for (const cw of colorways) {
+    if (normText(cw.colorKey) === v || normText(cw.label) === v) return cw;
+  }
+  for (const cw of colorways) {
+    const words = COLOR_SYNONYMS[cw.colorKey] || [cw.colorKey];
+    if (words.some((w) => v.includes(w))) return cw;
+  }
+  return null;
+}
+
+function matchSize(value, sizes) {
+  const v = normText(value);
+  if (!v) return null;
+
+  const byLabel = sizes.find((s) => normText(s.label) === v || normText(s.sizeKey) === v);
+  if (byLabel) return byLabel;
+
+  const parsed = parseDimsFromOptionText(v);
+  const hits = sizes.filter((s) => dimsMatchSize(parsed, s));
+  // Mehrdeutig (z.B. gleiche lange Kante bei Freiform) → nicht raten
+  return hits.length === 1 ? hits[0] : null;
+}
+
+async function fetchProductVariants(admin, handle) {
+  const variants = [];
+  let product = null;
+  let after = null;
+
+  do {
+    const resp = await admin.graphql(PRODUCT_VARIANTS_QUERY, {
+      variables: { handle, after },
+    });
+    const data = await resp.json();
+    if (data?.errors?.length) {
+      throw new Error(data.errors.map((e) => e?.message).join("; "));
+    }
+
+    const node = data?.data?.productByIdentifier;
+    if (!node || node.handle !== handle) return null;
+    product = { id: node.id, handle: node.handle, title: node.title };
+
+    variants.push(...(node.variants?.nodes || []));
+    after = node.variants?.pageInfo?.hasNextPage ? node.variants.pageInfo.endCursor : null;
+  } while (after);
+
+  return { product, variants };
+}
+
+// ── Sync ──────────────────────────────────────────────────────────────────
+/**
+ * Ordnet Shopify-Varianten einer Form ihren Katalog-Einträgen zu.
+ * Reine Funktion (ohne DB), damit sie auch für einen Dry-Run nutzbar ist.
+ */
+export function matchShapeVariants(shape, variants) {
+  const colorways = shape.colorways || [];
+  const sizes = shape.sizes || [];
+  const colorNames = [shape.colorOptionKey || "color", ...COLOR_OPTION_NAMES];
+  const sizeNames = [shape.sizeOptionKey || "size", ...SIZE_OPTION_NAMES];
+
+  const matches = new Map(); // `${colorwayId}:${sizeId}` → { colorway, size, variantId }
+  const unmatched = [];
+
+  for (const v of variants) {
+    const opts = v.selectedOptions || [];
+    const colorOpt = optionByName(opts, colorNames);
+    const sizeOpt =
+      optionByName(opts, sizeNames) || opts.find((o) => o !== colorOpt && parseDimsFromOptionText(o?.value));
+
+    // Produkte mit nur einer Farbe haben oft keine Farb-Option → Default-Farbe
+    const colorway = colorOpt
+      ? matchColorway(colorOpt.value, colorways)
+      : colorways.find((c) => c.colorKey === shape.defaultColorKey) || null;
+    const size = sizeOpt ? matchSize(sizeOpt.value, sizes) : null;
+
+    const variantId = numericVariantId(v.id);
+    if (!colorway || !size || !variantId) {
+      unmatched.push({ variantId, title: String(v.title || ""), reason: !colorway ? "color" : "size" });
+      continue;
+    }
+
+    const key = `${colorway.id}:${size.id}`;
+    if (matches.has(key)) {
+      unmatched.push({ variantId, title: String(v.title || ""), reason: "duplicate" });
+      continue;
+    }
+    matches.set(key, { colorway, size, variantId });
+  }
+
+  return { matches, unmatched };
+}
+
+async function syncShape(shape, admin) {
+  const report = {
+    shapeKey: shape.shapeKey,
+    productHandle: shape.productHandle || "",
+    productFound: false,
+    updated: [],
+    created: [],
+    missing: [],
+    unmatchedVariants: [],
+  };
+
+  if (!shape.productHandle) return report;
+
+  const result = await fetchProductVariants(admin, shape.productHandle);
+  if (!result) return report;
+  report.productFound = true;
+
+  const { matches, unmatched } = matchShapeVariants(shape, result.variants);
+  report.unmatchedVariants = unmatched;
+
+  const liveIds = new Set(result.variants.map((v) => numericVariantId(v.id)));
+  const ops = [];
+
+  for (const cw of shape.colorways) {
+    const existing = new Map(cw.variants.map((row) => [row.sizeId, row]));
+
+    for (const size of shape.sizes) {
+      const hit = matches.get(`${cw.id}:${size.id}`);
+      const row = existing.get(size.id);
+      const entry = { colorKey: cw.colorKey, sizeKey: size.sizeKey, label: size.label };
+
+      if (hit) {
+        if (!row) {
+          ops.push(
+            prisma.catalogVariant.create({
+              data: { shop: shape.shop, colorwayId: cw.id, sizeId: size.id, variantId: hit.variantId },
+            })
+          );
+          report.created.push({ ...entry, variantId: hit.variantId });
+        } else if (row.variantId !== hit.variantId) {
+          ops.push(prisma.catalogVariant.update({ where: { id: row.id }, data: { variantId: hit.variantId } }));
+          report.updated.push({ ...entry, from: row.variantId, to: hit.variantId });
+        }
+        continue;
+      }
+
+      // Katalog bietet die Größe an, im Produkt gibt es aber keine Variante dazu
+      if (row) {
+        const stale = row.variantId && !liveIds.has(row.variantId) ? row.variantId : "";
+        if (stale) {
+          ops.push(prisma.catalogVariant.update({ where: { id: row.id }, data: { variantId: "" } }));
+        }
+        if (stale || !row.variantId) report.missing.push({ ...entry, staleVariantId: stale || undefined });
+      }
+    }
+  }
+
+  if (ops.length) await prisma.$transaction(ops);
+  return report;
+}
+
+/**
+ * Synchronisiert alle Formen eines Shops mit Shopify.
+ *
+ * @param {{ admin: any, shop: string }} args admin = Admin-API-Client (authenticate.admin)
+ */
+export async function syncCatalogFromShopify({ admin, shop }) {
+  if (!admin) throw new Error("Admin-Client fehlt");
+  if (!shop) throw new Error("Shop fehlt");
+
+  if ((await prisma.catalogShape.count({ where: { shop } })) === 0) {
+    await seedCatalogFromStatic(shop);
+  }
+
+  const shapes = await prisma.catalogShape.findMany({
+    where: { shop },
+    orderBy: { position: "asc" },
+    include: {
+      sizes: { orderBy: { position: "asc" } },
+      colorways: { orderBy: { position: "asc" }, include: { variants: true } },
+    },
+  });
+
+  const reports = [];
+  for (const shape of shapes) {
+    try {
+      reports.push(await syncShape(shape, admin));
+    } catch (e) {
+      console.error(`[CATALOG SYNC] ${shape.shapeKey}:`, e?.message || e);
+      reports.push({ shapeKey: shape.shapeKey, productHandle: shape.productHandle || "", error: String(e?.message || e) });
+    }
+  }
+
+  return {
+    ok: reports.every((r) => !r.error),
+    syncedAt: new Date().toISOString(),
+    shapes: reports,
+  };
+}
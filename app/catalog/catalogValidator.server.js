@@ -0,0 +1,293 @@
+// app/catalog/catalogValidator.server.js
+//
+// Integritätsprüfung für einen verschachtelten Katalog (Seed-Datei oder DB,
+// gleiche Struktur wie STICKER_CATALOG). Reine Funktion, keine DB-Zugriffe.
+//
+// Jeder Befund: { severity: "error"|"warning", code, shapeKey, colorKey?, sizeKey?, message, hint }
+//
+// Nur abhängigkeitsfreie Module (mit .js-Endung), damit `node --test` die
+// Prüfung direkt gegen die Seed-Daten laufen lassen kann.
+import { parseDimsFromOptionText } from "./optionDims.js";
+import { CUT_LAYERS, resolveCutLayers } from "../lib/cutLayers.server.js";
+import { BLEED_MODES, MAX_BLEED_MM } from "../lib/geometry/bleed.js";
+import { MAX_SAFE_MARGIN_MM } from "../lib/geometry/safeZone.js";
+import { PACK_LENGTH_CM, PACK_WIDTH_CM } from "../utils/stickerYield.js";
+
+function approxEq(a, b, eps = 0.051) {
+  return Math.abs(Number(a) - Number(b)) <= eps;
+}
+
+// Stimmt ein Text ("10 x 21 cm", "Ø 4 cm", "ff_10x12", "d4") mit den Maßen überein?
+// null = Text enthält keine Maße (nicht prüfbar)
+function textMatchesDims(text, widthCm, heightCm) {
+  const parsed = parseDimsFromOptionText(String(text || "").replace(/^[a-z]+_/i, ""));
+  if (!parsed) return null;
+  if (parsed.kind === "rect") return approxEq(parsed.wCm, widthCm) && approxEq(parsed.hCm, heightCm);
+  return approxEq(parsed.nCm, Math.max(Number(widthCm) || 0, Number(heightCm) || 0));
+}
+
+function fmtDims(s) {
+  return `${s.widthCm} x ${s.heightCm} cm`;
+}
+
+function sizeSignature(s) {
+  return [s.sizeKey, s.label, Number(s.widthCm), Number(s.heightCm), String(s.variantId || "")].join("|");
+}
+
+function checkColorway(shape, color, push) {
+  const seen = new Map();
+
+  for (const s of color.sizes || []) {
+    const at = { shapeKey: shape.shapeKey, colorKey: color.colorKey, sizeKey: s.sizeKey };
+
+    const first = seen.get(s.sizeKey);
+    if (first) {
+      push({
+        ...at,
+        severity: "error",
+        code: "duplicate_size_key",
+        message: `sizeKey "${s.sizeKey}" kommt mehrfach vor ("${first.label}" / "${s.label}", Variant ${first.variantId || "–"} / ${s.variantId || "–"}).`,
+        hint: "Doppelten Eintrag entfernen oder sizeKey korrigieren; beim Seeding gewinnt der erste.",
+      });
+    } else {
+      seen.set(s.sizeKey, s);
+    }
+
+    if (textMatchesDims(s.label, s.widthCm, s.heightCm) === false) {
+      push({
+        ...at,
+        severity: "error",
+        code: "label_dims_mismatch",
+        message: `Label "${s.label}" passt nicht zu ${fmtDims(s)}.`,
+        hint: "Label oder widthCm/heightCm korrigieren.",
+      });
+    }
+
+    if (textMatchesDims(s.sizeKey, s.widthCm, s.heightCm) === false) {
+      push({
+        ...at,
+        severity: "warning",
+        code: "size_key_dims_mismatch",
+        message: `sizeKey "${s.sizeKey}" passt nicht zu ${fmtDims(s)}.`,
+        hint: "sizeKey an die Maße anpassen (bestehende Warenkörbe referenzieren den alten Key).",
+      });
+    }
+
+    if (!String(s.variantId || "").trim()) {
+      push({
+        ...at,
+        severity: "warning",
+        code: "missing_variant_id",
+        message: `Keine Variant-ID für "${s.label}".`,
+        hint: "Katalog mit Shopify synchronisieren oder Variante im Produkt anlegen.",
+      });
+    }
+  }
+}
+
+function checkColorwaySets(shape, push) {
+  const colors = Object.values(shape.colors || {});
+  const base = shape.colors?.[shape.defaultColorKey] || colors[0];
+  if (!base) return;
+
+  const baseKeys = new Set((base.sizes || []).map((s) => s.sizeKey));
+
+  for (const color of colors) {
+    if (color === base) continue;
+    const keys = new Set((color.sizes || []).map((s) => s.sizeKey));
+    const missing = [...baseKeys].filter((k) => !keys.has(k));
+    const extra = [...keys].filter((k) => !baseKeys.has(k));
+    if (!missing.length && !extra.length) continue;
+
+    push({
+      severity: "warning",
+      code: "colorway_size_set_mismatch",
+      shapeKey: shape.shapeKey,
+      colorKey: color.colorKey,
+      message:
+        `Größen weichen von "${base.colorKey}" ab` +
+        (missing.length ? ` – fehlt: ${missing.join(", ")}` : "") +
+        (extra.length ? ` – zusätzlich: ${extra.join(", ")}` : "") +
+        ".",
+      hint: "Falls gewollt ignorieren, sonst fehlende Größen ergänzen.",
+    });
+  }
+}
+
+function checkLegacySizes(shape, push) {
+  if (!Array.isArray(shape.sizes)) return;
+  const base = shape.colors?.[shape.defaultColorKey];
+  if (!base) return;
+
+  const legacy = new Map(shape.sizes.map((s) => [s.sizeKey, s]));
+  const current = new Map((base.sizes || []).map((s) => [s.sizeKey, s]));
+
+  const missing = [...current.keys()].filter((k) => !legacy.has(k));
+  const extra = [...legacy.keys()].filter((k) => !current.has(k));
+  const changed = [...current.keys()].filter(
+    (k) => legacy.has(k) && sizeSignature(legacy.get(k)) !== sizeSignature(current.get(k))
+  );
+  if (!missing.length && !extra.length && !changed.length) return;
+
+  push({
+    severity: "error",
+    code: "legacy_sizes_drift",
+    shapeKey: shape.shapeKey,
+    colorKey: base.colorKey,
+    message:
+      `Legacy-"sizes" weicht von "${base.colorKey}" ab` +
+      (missing.length ? ` – fehlt: ${missing.join(", ")}` : "") +
+      (extra.length ? ` – zusätzlich: ${extra.join(", ")}` : "") +
+      (changed.length ? ` – abweichend: ${changed.join(", ")}` : "") +
+      ".",
+    hint: `"sizes" ist eine Kopie der Default-Farbe; aus colors.${base.colorKey}.sizes übernehmen.`,
+  });
+}
+
+// meta.cutLayers / meta.contourLayer (siehe cutLayers.server.js)
+function checkCutLayers(shape, push) {
+  const meta = shape.meta;
+  if (!meta || (meta.cutLayers === undefined && meta.contourLayer === undefined)) return;
+
+  if (meta.cutLayers !== undefined && !Array.isArray(meta.cutLayers)) {
+    push({
+      severity: "error",
+      code: "invalid_cut_layers",
+      shapeKey: shape.shapeKey,
+      message: "meta.cutLayers muss eine Liste sein.",
+      hint: `z. B. ["CutContour"] oder ["KissCut", "CutContour"].`,
+    });
+    return;
+  }
+
+  const res = resolveCutLayers({}, meta);
+  if (!res.ok) {
+    push({
+      severity: "error",
+      code: "unknown_cut_layer",
+      shapeKey: shape.shapeKey,
+      message: `Unbekannte Schnittebene "${res.layer}".`,
+      hint: `Erlaubt: ${Object.keys(CUT_LAYERS).join(", ")}.`,
+    });
+  }
+}
+
+// meta.bleedMm (Zahl oder { [colorKey|"*"]: Zahl }) / meta.bleedMode (siehe bleed.server.js)
+function checkBleed(shape, push) {
+  const meta = shape.meta;
+  if (!meta) return;
+
+  const values = meta.bleedMm && typeof meta.bleedMm === "object" ? Object.values(meta.bleedMm) : [meta.bleedMm];
+  const valid = (v) => v === undefined || (typeof v === "number" && v >= 0 && v <= MAX_BLEED_MM);
+  if (!values.every(valid)) {
+    push({
+      severity: "error",
+      code: "invalid_bleed",
+      shapeKey: shape.shapeKey,
+      message: `meta.bleedMm muss zwischen 0 und ${MAX_BLEED_MM} mm liegen.`,
+      hint: `z. B. 2 oder { "*": 2, "transparent": 0 } (je Material).`,
+    });
+  }
+
+  if (meta.bleedMode !== undefined && !BLEED_MODES.includes(meta.bleedMode)) {
+    push({
+      severity: "error",
+      code: "invalid_bleed_mode",
+      shapeKey: shape.shapeKey,
+      message: `Unbekannter Beschnitt-Modus "${meta.bleedMode}".`,
+      hint: `Erlaubt: ${BLEED_MODES.join(", ")}.`,
+    });
+  }
+}
+
+// meta.safeMarginMm (siehe safeZone.server.js)
+function checkSafeMargin(shape, push) {
+  const v = shape.meta?.safeMarginMm;
+  if (v === undefined || (typeof v === "number" && v >= 0 && v <= MAX_SAFE_MARGIN_MM)) return;
+
+  push({
+    severity: "error",
+    code: "invalid_safe_margin",
+    shapeKey: shape.shapeKey,
+    message: `meta.safeMarginMm muss zwischen 0 und ${MAX_SAFE_MARGIN_MM} mm liegen.`,
+    hint: `z. B. 3 (0 = keine Prüfung).`,
+  });
+}
+
+// meta.rollWidthCm / meta.packLengthCm / meta.packSpacingMm (siehe stickerYield.js)
+function checkPackArea(shape, push) {
+  const meta = shape.meta;
+  if (!meta) return;
+
+  for (const key of ["rollWidthCm", "packLengthCm", "packSpacingMm"]) {
+    const v = meta[key];
+    // rollWidthCm = 0 → Bahnmodell
+    const min = key === "packLengthCm" ? Number.MIN_VALUE : 0;
+    if (v === undefined || (typeof v === "number" && v >= min)) continue;
+    push({
+      severity: "error",
+      code: "invalid_pack_area",
+      shapeKey: shape.shapeKey,
+      message: `meta.${key} muss eine ${key === "packLengthCm" ? "positive" : "nicht negative"} Zahl sein.`,
+      hint: `z. B. { "rollWidthCm": 30, "packLengthCm": 130, "packSpacingMm": 3 } (ohne Angabe: Set ${PACK_WIDTH_CM} × ${PACK_LENGTH_CM} cm).`,
+    });
+  }
+}
+
+function checkVariantReuse(catalog, push) {
+  const owners = new Map();
+
+  for (const shape of Object.values(catalog || {})) {
+    for (const color of Object.values(shape.colors || {})) {
+      for (const s of color.sizes || []) {
+        const id = String(s.variantId || "").trim();
+        if (!id) continue;
+        const list = owners.get(id) || [];
+        list.push({ shapeKey: shape.shapeKey, colorKey: color.colorKey, sizeKey: s.sizeKey });
+        owners.set(id, list);
+      }
+    }
+  }
+
+  for (const [variantId, list] of owners) {
+    // Doppelte sizeKeys derselben Farbe meldet bereits duplicate_size_key
+    const distinct = new Set(list.map((o) => `${o.shapeKey}/${o.colorKey}/${o.sizeKey}`));
+    if (distinct.size < 2) continue;
+
+    push({
+      severity: "error",
+      code: "duplicate_variant_id",
+      shapeKey: list[0].shapeKey,
+      colorKey: list[0].colorKey,
+      sizeKey: list[0].sizeKey,
+      message: `Variant ${variantId} ist mehrfach zugeordnet: ${[...distinct].join(", ")}.`,
+      hint: "Jede Shopify-Variante darf nur einer Form/Farbe/Größe gehören.",
+    });
+  }
+}
+
+/**
+ * Prüft einen Katalog und liefert alle Befunde.
+ * @returns {{ ok: boolean, counts: { error: number, warning: number }, issues: any[] }}
+ */
+export function validateCatalog(catalog) {
+  const issues = [];
+  const push = (issue) => issues.push(issue);
+
+  for (const shape of Object.values(catalog || {})) {
+    for (const color of Object.values(shape.colors || {})) checkColorway(shape, color, push);
+    checkColorwaySets(shape, push);
+    checkLegacySizes(shape, push);
+    checkCutLayers(shape, push);
+    checkBleed(shape, push);
+    checkSafeMargin(shape, push);
+    checkPackArea(shape, push);
+  }
+  checkVariantReuse(catalog, push);
+
+  const counts = {
+    error: issues.filter((i) => i.severity === "error").length,
+    warning: issues.filter((i) => i.severity === "warning").length,
+  };
+  return { ok: counts.error === 0, counts, issues };
+}
@@ -0,0 +1,80 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { validateCatalog } from "./catalogValidator.server.js";
+import { parseDimsFromOptionText } from "./optionDims.js";
+import { STICKER_CATALOG } from "./stickerCatalog.server.js";
+
+const COLORS = ["white", "transparent", "colored"];
+
+function findings(res, code, shapeKey) {
+  return res.issues.filter((i) => i.code === code && (!shapeKey || i.shapeKey === shapeKey));
+}
+
+// ── Optionstexte ──────────────────────────────────────────────────────────
+test("parseDimsFromOptionText: Rechteck, Durchmesser, Einzelwert", () => {
+  assert.deepEqual(parseDimsFromOptionText("10 x 21 cm"), { kind: "rect", wCm: 10, hCm: 21 });
+  assert.deepEqual(parseDimsFromOptionText("4×6"), { kind: "rect", wCm: 4, hCm: 6 });
+  assert.deepEqual(parseDimsFromOptionText("2,5 x 3,5 cm"), { kind: "rect", wCm: 2.5, hCm: 3.5 });
+  assert.deepEqual(parseDimsFromOptionText("Ø 4 cm"), { kind: "single", nCm: 4 });
+  assert.deepEqual(parseDimsFromOptionText("D4"), { kind: "single", nCm: 4 });
+  assert.deepEqual(parseDimsFromOptionText("Durchmesser 7,5"), { kind: "single", nCm: 7.5 });
+  assert.deepEqual(parseDimsFromOptionText("5 cm"), { kind: "single", nCm: 5 });
+  assert.equal(parseDimsFromOptionText("Weiß"), null);
+  assert.equal(parseDimsFromOptionText(null), null);
+});
+
+// ── Seed-Katalog ──────────────────────────────────────────────────────────
+test("validateCatalog: Seed-Daten – ff_10x12 doppelt, zweiter Eintrag ist 10 x 21 cm", () => {
+  const res = validateCatalog(STICKER_CATALOG);
+  assert.equal(res.ok, false);
+
+  const dup = findings(res, "duplicate_size_key", "freeform").filter((i) => i.sizeKey === "ff_10x12");
+  assert.deepEqual(dup.map((i) => i.colorKey).sort(), [...COLORS].sort());
+  assert.ok(dup.every((i) => i.severity === "error" && i.message.includes('"10 x 12 cm" / "10 x 21 cm"')));
+
+  // Label stimmt mit den Maßen überein, nur der Key nicht
+  const key = findings(res, "size_key_dims_mismatch", "freeform");
+  assert.deepEqual(
+    key.map((i) => [i.colorKey, i.sizeKey, i.severity]).sort(),
+    COLORS.map((c) => [c, "ff_10x12", "warning"]).sort()
+  );
+  assert.equal(findings(res, "label_dims_mismatch").length, 0);
+});
+
+test("validateCatalog: Seed-Daten – ff_6x13 doppelt mit zwei Variant-IDs", () => {
+  const res = validateCatalog(STICKER_CATALOG);
+  const dup = findings(res, "duplicate_size_key", "freeform").filter((i) => i.sizeKey === "ff_6x13");
+  assert.deepEqual(dup.map((i) => i.colorKey).sort(), [...COLORS].sort());
+
+  for (const issue of dup) {
+    const ids = STICKER_CATALOG.freeform.colors[issue.colorKey].sizes
+      .filter((s) => s.sizeKey === "ff_6x13")
+      .map((s) => s.variantId);
+    assert.equal(ids.length, 2);
+    assert.notEqual(ids[0], ids[1]);
+    assert.ok(issue.message.includes(`Variant ${ids[0]} / ${ids[1]}`));
+  }
+});
+
+test("validateCatalog: Seed-Daten – Legacy-sizes der runden Sticker ohne d4", () => {
+  const res = validateCatalog(STICKER_CATALOG);
+  const drift = findings(res, "legacy_sizes_drift", "round");
+  assert.equal(drift.length, 1);
+  assert.equal(drift[0].severity, "error");
+  assert.match(drift[0].message, /fehlt: d4\./);
+
+  assert.ok(STICKER_CATALOG.round.colors.white.sizes.some((s) => s.sizeKey === "d4"));
+  assert.ok(!STICKER_CATALOG.round.sizes.some((s) => s.sizeKey === "d4"));
+});
+
+test("validateCatalog: korrigierte Form ohne Befunde", () => {
+  const sizes = [
+    { sizeKey: "ff_6x13", label: "6 x 13 cm", widthCm: 6, heightCm: 13, variantId: "1" },
+    { sizeKey: "ff_10x21", label: "10 x 21 cm", widthCm: 10, heightCm: 21, variantId: "2" },
+  ];
+  const res = validateCatalog({
+    freeform: { shapeKey: "freeform", sizes, colors: { white: { colorKey: "white", sizes } } },
+  });
+  assert.deepEqual(res.issues, []);
+  assert.equal(res.ok, true);
+});
@@ -0,0 +1,42 @@
+// app/catalog/optionDims.js
+//
+// Maße aus Shopify-Optionswerten und Katalog-Texten ("10 x 21 cm", "Ø 4 cm").
+// Ohne Abhängigkeiten – genutzt vom Katalog-Abgleich (catalogSync.server.js)
+// und der Katalogprüfung (catalogValidator.server.js).
+
+function parseNumberDE(s) {
+  const x = Number(String(s || "").replace(",", "."));
+  return Number.isFinite(x) ? x : NaN;
+}
+
+/**
+ * Tolerant: "4x6", "4 x 6 cm", "4×6", "Ø 4", "D4", "Durchmesser 4"
+ * (gleiche Regeln wie parseDimsFromVariantText im Konfigurator).
+ *
+ * @param {any} text
+ * @returns {{ kind: "rect", wCm: number, hCm: number } | { kind: "single", nCm: number } | null}
+ */
+export function parseDimsFromOptionText(text) {
+  const t = String(text || "").toLowerCase().trim();
+
+  if (t.includes("ø") || t.includes("durchmesser") || /^d\s*\d/.test(t)) {
+    const nums = t.match(/\d+(?:[.,]\d+)?/g) || [];
+    const d = parseNumberDE(nums[0]);
+    if (Number.isFinite(d)) return { kind: "single", nCm: d };
+  }
+
+  const m = t.match(/(\d+(?:[.,]\d+)?)\s*[x×]\s*(\d+(?:[.,]\d+)?)/);
+  if (m) {
+    const a = parseNumberDE(m[1]);
+    const b = parseNumberDE(m[2]);
+    if (Number.isFinite(a) && Number.isFinite(b)) return { kind: "rect", wCm: a, hCm: b };
+  }
+
+  const nums = t.match(/\d+(?:[.,]\d+)?/g) || [];
+  if (nums.length === 1) {
+    const n = parseNumberDE(nums[0]);
+    if (Number.isFinite(n)) return { kind: "single", nCm: n };
+  }
+
+  return null;
+}
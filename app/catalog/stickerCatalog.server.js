@@ -1,5 +1,8 @@
 // app/catalog/stickerCatalog.server.js
-export const STICKER_CATALOG_VERSION = 2;
+//
+// Seed-Daten für den Datenbank-Katalog (siehe catalogStore.server.js).
+// Änderungen an Größen/Farben/Variant-IDs erfolgen in der DB – diese Datei wird
+// nur noch beim ersten Zugriff eines Shops (und als Fallback ohne Shop) gelesen.
 
 export const STICKER_COLORWAYS = [
   { colorKey: "white", label: "Weiß" },
@@ -1,8 +1,9 @@
 import { useEffect, useMemo, useRef, useState } from "react";
+import { calcPiecesPerPack, resolvePackArea } from "../utils/stickerYield";
 
 /**
  * StickerCanvasClient.jsx
- * - Self-contained (no relative imports)
+ * - Self-contained (einzige Ausnahme: app/utils/stickerYield.js, gemeinsam mit dem Server)
  *
  * ✅ Fix (dieser Patch):
  * - Verhindert verzerrte Darstellung durch CSS-Kombination aus width + maxHeight + aspectRatio
@@ -44,8 +45,6 @@ import { useEffect, useMemo, useRef, useState } from "react";
 // ==============================
 // Konfiguration
 // ==============================
-const PRINT_LENGTH_CM = 130;
-
 // ✅ Mindestkante: 40 mm
 const MIN_EDGE_MM = 40;
 const MIN_EDGE_CM = MIN_EDGE_MM / 10;
@@ -124,17 +123,6 @@ function calcEffectiveDpi({ imgPxW, imgPxH, targetCmW, targetCmH }) {
   return Math.min(dpiX, dpiY);
 }
 
-function getMajorForPieces(shape, wCm, hCm) {
-  if (shape === "round") return Math.max(1e-9, Number(wCm) || 0); // Durchmesser
-  return Math.max(1e-9, Math.max(Number(wCm) || 0, Number(hCm) || 0));
-}
-
-function calcPiecesFixed(shape, wCm, hCm) {
-  const major = getMajorForPieces(shape, wCm, hCm);
-  const pieces = Math.floor(PRINT_LENGTH_CM / major);
-  return Math.max(1, pieces);
-}
-
 function toEuroFromCents(cents) {
   const c = Number(cents);
   if (!Number.isFinite(c)) return 0;
@@ -1864,7 +1852,13 @@ export default function StickerCanvasClient({
     setSelectedVariantPrice(toEuroFromCents(price));
     setSelectedVariantTitle(String(variant?.title || ""));
 
-    const pieces = calcPiecesFixed(baseShapeKey === "freeform" ? "rect" : baseShapeKey, visualWcm, visualHcm);
+    const { pieces } = calcPiecesPerPack({
+      ...resolvePackArea(shapeCatalog?.meta),
+      shape: baseShapeKey,
+      widthCm: visualWcm,
+      heightCm: visualHcm,
+      borderMm: freeformBorderMm,
+    });
     setRealPieces(pieces);
     setPriceTotal(Math.round(toEuroFromCents(price) * pieces * 100) / 100);
   }, [
@@ -1875,6 +1869,8 @@ export default function StickerCanvasClient({
     baseShapeKey,
     effectiveDims,
     freeformBillingSize,
+    freeformBorderMm,
+    shapeCatalog,
   ]);
 
   // Debounced server preview for non-freeform exports/previews
@@ -3131,7 +3127,7 @@ export default function StickerCanvasClient({
             <div>Form: {shapeButtons.find((s) => s.key === shape)?.label || shape}</div>
             <div>Größe: {mmLabel}</div>
             {baseShapeKey === "freeform" ? <div>{billingLabel}</div> : null}
-            <div>Stück auf 130 cm Bahn: {realPieces}</div>
+            <div>Stück je Set: {realPieces}</div>
             <div>Variante: {selectedVariantTitle || "—"}</div>
             <div>
               Preis gesamt:{" "}
@@ -0,0 +1,103 @@
+/**
+ * app/lib/backgroundRemoval.server.js
+ *
+ * Freistellen von Fotos (@imgly/background-removal-node, ONNX-Modell lokal):
+ * Ergebnis ist ein transparentes PNG, damit die Freiform-Kontur dem Motiv
+ * folgt statt dem Bildrechteck.
+ *
+ * Cache: Ergebnis liegt unter public/uploads/sticker-configurator/cutouts/<sha256>.png
+ * (Hash des Eingabebilds, hashBuffer) und wird über die Upload-Route ausgeliefert.
+ */
+import fs from "fs/promises";
+import path from "path";
+import sharp from "sharp";
+import { hashBuffer } from "./imageHash.server";
+
+const CUTOUT_DIR = path.resolve(process.cwd(), "public", "uploads", "sticker-configurator", "cutouts");
+const CUTOUT_PATH = "/apps/sticker-configurator/uploads/sticker-configurator/cutouts";
+
+// Modell arbeitet intern mit ~1024 px; größere Eingaben kosten nur Speicher
+const MAX_INPUT_PX = 4000;
+const MODEL = "medium";
+
+// Gleiches Bild parallel angefragt → eine Berechnung
+const inflight = new Map();
+// Modell-Läufe nacheinander (CPU-/Speicherlast); wartende Läufe begrenzt, sonst
+// "queue_full" – jede wartende Eingabe hält bis zu MAX_INPUT_PX² Pixel im Speicher
+const MAX_PENDING = 4;
+let queue = Promise.resolve();
+let pending = 0;
+
+export function cutoutUrl(hash) {
+  return `${CUTOUT_PATH}/${hash}.png`;
+}
+
+async function runModel(png) {
+  // Lazy: natives onnxruntime erst laden, wenn wirklich freigestellt wird
+  const { removeBackground } = await import("@imgly/background-removal-node");
+  const blob = await removeBackground(new Blob([png], { type: "image/png" }), {
+    model: MODEL,
+    output: { format: "image/png" },
+  });
+  return Buffer.from(await blob.arrayBuffer());
+}
+
+async function computeCutout(buffer, file) {
+  // Eingabe vereinheitlichen: ausgerichtet, sRGB, begrenzte Größe, PNG
+  let png;
+  try {
+    png = await sharp(buffer, { failOn: "error" })
+      .autoOrient()
+      .resize({ width: MAX_INPUT_PX, height: MAX_INPUT_PX, fit: "inside", withoutEnlargement: true })
+      .toColourspace("srgb")
+      .png()
+      .toBuffer();
+  } catch {
+    throw new Error("unsupported_image");
+  }
+
+  const run = queue.then(() => runModel(png));
+  queue = run.catch(() => {});
+  const out = await run;
+
+  await fs.mkdir(CUTOUT_DIR, { recursive: true });
+  const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+  await fs.writeFile(tmp, out);
+  await fs.rename(tmp, file).catch(async () => {
+    await fs.unlink(tmp).catch(() => {});
+  });
+  return out;
+}
+
+/**
+ * Stellt ein Bild frei (mit Datei-Cache).
+ *
+ * @param {Buffer} buffer  Eingabebild (alle von sharp lesbaren Formate)
+ * @returns {Promise<{ hash: string, url: string, cached: boolean, widthPx: number, heightPx: number }>}
+ *   wirft Error("unsupported_image") bei unlesbarem Bild, Error("queue_full") bei
+ *   zu vielen wartenden Läufen, sonst Fehler des Modells
+ */
+export async function removeImageBackground(buffer) {
+  const hash = hashBuffer(buffer);
+  const file = path.join(CUTOUT_DIR, `${hash}.png`);
+
+  let cached = true;
+  let png = await fs.readFile(file).catch(() => null);
+  if (!png) {
+    cached = false;
+    let job = inflight.get(hash);
+    if (!job) {
+      if (pending >= MAX_PENDING) throw new Error("queue_full");
+      pending++;
+      job = computeCutout(buffer, file).finally(() => {
+        pending--;
+        inflight.delete(hash);
+      });
+      inflight.set(hash, job);
+    }
+    png = await job;
+  }
+
+  const meta = await sharp(png).metadata();
+  return { hash, url: cutoutUrl(hash), cached, widthPx: meta.width, heightPx: meta.height };
+}
@@ -0,0 +1,100 @@
+/**
+ * app/lib/bleed.server.js
+ *
+ * Beschnittzugabe (Bleed) für Druckexporte: das Motiv läuft um bleedMm über die
+ * Schnittkontur hinaus, damit Passerungenauigkeiten des Plotters keine weißen
+ * Blitzer erzeugen. Die Schnittkontur bleibt in Nenngröße.
+ *
+ * Konfiguration im Katalog (CatalogShape.meta), je Form und optional je Material:
+ *   { bleedMm: 2 }  oder  { bleedMm: { "*": 2, transparent: 0 }, bleedMode: "mirror" }
+ * Der Export-Request kann bleedMm/bleedMode überschreiben. Ohne Angabe (oder bei
+ * ungültigem Wert) kein Beschnitt – Exporte bestehender Produkte bleiben in
+ * Nenngröße.
+ */
+import sharp from "sharp";
+import { Path2D, createCanvas } from "@napi-rs/canvas";
+import { BLEED_MODES, DEFAULT_BLEED_MM, MAX_BLEED_MM, erodeMask, extendIntoBleed } from "./geometry";
+
+const MM_PER_INCH = 25.4;
+
+function bleedMmFromMeta(value, colorKey) {
+  if (value && typeof value === "object") return value[String(colorKey || "")] ?? value["*"];
+  return value;
+}
+
+/**
+ * Beschnitt aus Request bzw. Katalog-Meta.
+ *
+ * @param {{ bleedMm?: any, bleedMode?: any }} [requested]
+ * @param {{ bleedMm?: number|Record<string, number>, bleedMode?: string } | null} [meta]
+ * @param {string} [colorKey]  Material (Farbe des Katalogs)
+ * @returns {{ mm: number, mode: "edge"|"mirror" }}
+ */
+export function resolveBleed(requested = {}, meta = null, colorKey = "") {
+  const raw = requested?.bleedMm ?? bleedMmFromMeta(meta?.bleedMm, colorKey) ?? DEFAULT_BLEED_MM;
+  const mm = Number(raw);
+  const mode = [requested?.bleedMode, meta?.bleedMode].find((m) => BLEED_MODES.includes(m)) || "edge";
+  return { mm: Number.isFinite(mm) ? Math.min(MAX_BLEED_MM, Math.max(0, mm)) : DEFAULT_BLEED_MM, mode };
+}
+
+export function bleedPxAtDpi(mm, dpi) {
+  return Math.round((Number(mm) / MM_PER_INCH) * Number(dpi));
+}
+
+/**
+ * Rastert eine Schnittform (SVG-Pfad in Export-Pixeln) als Maske.
+ *
+ * @param {string} cutPathD
+ * @param {number} w
+ * @param {number} h
+ * @param {{ offset?: number, scale?: number, minCover?: number }} [opts]
+ *   offset = Verschiebung nach rechts unten (nach dem Skalieren),
+ *   minCover = Mindestdeckung (Alpha 1…255) eines Pixels, um innen zu zählen
+ * @returns {Uint8Array}  1 = innen
+ */
+export function cutPathMask(cutPathD, w, h, { offset = 0, scale = 1, minCover = 255 } = {}) {
+  const canvas = createCanvas(w, h);
+  const ctx = canvas.getContext("2d");
+  ctx.translate(offset, offset);
+  ctx.scale(scale, scale);
+  ctx.fill(new Path2D(cutPathD));
+  const cover = ctx.getImageData(0, 0, w, h).data;
+  const inside = new Uint8Array(w * h);
+  for (let i = 0; i < w * h; i++) inside[i] = cover[i * 4 + 3] >= minCover ? 1 : 0;
+  return inside;
+}
+
+/**
+ * Erweitert ein Export-PNG um bleedPx auf jeder Seite.
+ *
+ * @param {Buffer} pngBuffer  Export-Raster in Nenngröße (außerhalb der Form transparent)
+ * @param {{ cutPathD: string, bleedPx: number, mode?: "edge"|"mirror" }} opts
+ *   cutPathD = Schnittform in Pixel-Koordinaten des PNG
+ * @returns {Promise<{ buffer: Buffer, widthPx: number, heightPx: number }>}
+ *   PNG mit (Breite + 2·bleedPx) × (Höhe + 2·bleedPx)
+ */
+export async function addRasterBleed(pngBuffer, { cutPathD, bleedPx, mode = "edge" }) {
+  const { data, info } = await sharp(pngBuffer).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+  const b = Math.max(0, Math.round(bleedPx));
+  const w = info.width + 2 * b;
+  const h = info.height + 2 * b;
+
+  // Raster mittig in die vergrößerte Fläche
+  const rgba = new Uint8ClampedArray(w * h * 4);
+  const srcRow = info.width * 4;
+  for (let y = 0; y < info.height; y++) {
+    rgba.set(data.subarray(y * srcRow, (y + 1) * srcRow), ((y + b) * w + b) * 4);
+  }
+
+  // Schnittform: nur voll abgedeckte Pixel, eine Reihe Abstand zur geglätteten
+  // Kante des Motivs
+  const inside = cutPathMask(cutPathD, w, h, { offset: b });
+
+  const out = extendIntoBleed(rgba, erodeMask(inside, w, h, 1), w, h, b + 1, mode);
+  const buffer = await sharp(Buffer.from(out.buffer, out.byteOffset, out.byteLength), {
+    raw: { width: w, height: h, channels: 4 },
+  })
+    .png()
+    .toBuffer();
+  return { buffer, widthPx: w, heightPx: h };
+}
@@ -0,0 +1,92 @@
+/**
+ * app/lib/cutLayers.server.js
+ *
+ * Schnittebenen für Plotter/RIP. Jede Ebene ist im Export-SVG eine Gruppe
+ * <g id="<Name>"> und im Druck-PDF eine Separation-Sonderfarbe + PDF-Ebene
+ * gleichen Namens:
+ *  - CutContour:  Durchschnitt (Sticker fällt heraus)
+ *  - KissCut:     Anschnitt, Trägermaterial bleibt (Sticker-Bögen)
+ *  - Perforation: Perforationslinie (z. B. Easy-Peel-Schlitz im Träger)
+ *
+ * Welche Ebenen ein Produkt braucht, steht im Katalog (CatalogShape.meta):
+ *   { cutLayers: ["KissCut", "CutContour"], contourLayer: "KissCut" }
+ * cutLayers    = benötigte Ebenen (Standard: nur CutContour)
+ * contourLayer = Ebene der Sticker-Kontur (Standard: CutContour, sonst die erste)
+ */
+
+export const CUT_LAYERS = {
+  CutContour: { name: "CutContour", label: "Durchschnitt", svgColor: "#ff00ff", cmyk: [0, 1, 0, 0] },
+  KissCut: { name: "KissCut", label: "Anschnitt", svgColor: "#00ffff", cmyk: [1, 0, 0, 0] },
+  Perforation: { name: "Perforation", label: "Perforation", svgColor: "#00ff00", cmyk: [1, 0, 1, 0] },
+};
+
+// Schnittreihenfolge: erst Anschnitt/Perforation, der Durchschnitt zuletzt
+// (sonst verrutscht das herausgelöste Teil vor den übrigen Schnitten)
+export const CUT_LAYER_ORDER = ["KissCut", "Perforation", "CutContour"];
+
+export const DEFAULT_CUT_LAYER = "CutContour";
+
+export function isCutLayer(name) {
+  return Object.prototype.hasOwnProperty.call(CUT_LAYERS, String(name || ""));
+}
+
+function sortLayers(names) {
+  return [...new Set(names)].sort((a, b) => CUT_LAYER_ORDER.indexOf(a) - CUT_LAYER_ORDER.indexOf(b));
+}
+
+/**
+ * Benötigte Ebenen aus Request bzw. Katalog-Meta.
+ *
+ * @param {{ cutLayers?: string[], contourLayer?: string }} [requested]  Angaben im Export-Request (haben Vorrang)
+ * @param {{ cutLayers?: string[], contourLayer?: string } | null} [meta]  CatalogShape.meta
+ * @returns {{ ok: true, layers: string[], contourLayer: string } | { ok: false, error: "unknown_cut_layer", layer: string }}
+ *   layers in Schnittreihenfolge; contourLayer ist immer in layers enthalten
+ */
+export function resolveCutLayers(requested = {}, meta = null) {
+  const list = Array.isArray(requested?.cutLayers) && requested.cutLayers.length
+    ? requested.cutLayers
+    : Array.isArray(meta?.cutLayers) && meta.cutLayers.length
+      ? meta.cutLayers
+      : [DEFAULT_CUT_LAYER];
+
+  for (const name of list) {
+    if (!isCutLayer(name)) return { ok: false, error: "unknown_cut_layer", layer: String(name) };
+  }
+  const layers = sortLayers(list.map(String));
+
+  const wanted = requested?.contourLayer || meta?.contourLayer || "";
+  if (wanted && !isCutLayer(wanted)) return { ok: false, error: "unknown_cut_layer", layer: String(wanted) };
+  const contourLayer = wanted || (layers.includes(DEFAULT_CUT_LAYER) ? DEFAULT_CUT_LAYER : layers[0]);
+
+  return { ok: true, layers: sortLayers([...layers, contourLayer]), contourLayer };
+}
+
+/**
+ * Zusätzliche Schnittpfade vom Client: [{ layer, d }] (Export-Pixel).
+ * Ebenen, die das Produkt nicht vorsieht, werden verworfen.
+ *
+ * @param {any} input
+ * @param {string[]} layers  erlaubte Ebenen (resolveCutLayers)
+ * @param {(d: string) => string} sanitize  Pfad-Prüfung des Aufrufers ("" = ungültig)
+ * @returns {{ ok: true, paths: Array<{ layer: string, d: string }> } | { ok: false, error: "unknown_cut_layer", layer: string }}
+ */
+export function parseCutPaths(input, layers, sanitize) {
+  const paths = [];
+  for (const p of Array.isArray(input) ? input : []) {
+    const layer = String(p?.layer || "");
+    if (!isCutLayer(layer)) return { ok: false, error: "unknown_cut_layer", layer };
+    if (!layers.includes(layer)) continue;
+    const d = sanitize(String(p?.d || ""));
+    if (d) paths.push({ layer, d });
+  }
+  return { ok: true, paths };
+}
+
+/**
+ * SVG-Gruppe einer Schnittebene. id = Ebenen-Name (Layer-Name für Plotter-Software
+ * wie Silhouette, Graphtec, Roland, Cricut, Summa).
+ */
+export function wrapCutLayer(name, inner) {
+  if (!inner) return "";
+  return `<g id="${name}">\n  ${inner}\n</g>`;
+}
@@ -0,0 +1,239 @@
+/**
+ * app/lib/geometry/bezier.js
+ *
+ * Kurvenanpassung für Schneideplotter: geschlossene Ringe → wenige kubische
+ * Béziers innerhalb einer Toleranz (Schneider, „An Algorithm for Automatically
+ * Fitting Digitized Curves“, Graphics Gems, 1990). Knicke über cornerAngleDeg
+ * bleiben Ecken, sonst sind die Segmente tangentenstetig verbunden.
+ */
+import { fmtCoord, transformRing } from "./path.js";
+
+// Toleranz der Schnittkontur (Abstand Kurve ↔ Konturpunkte)
+export const CUTLINE_TOLERANCE_MM = 0.15;
+
+const DEFAULT_CORNER_ANGLE_DEG = 60;
+const MAX_REPARAMETERIZE = 4;
+
+// ── Vektoren ──────────────────────────────────────────────────────────────
+
+const add = (a, b) => [a[0] + b[0], a[1] + b[1]];
+const sub = (a, b) => [a[0] - b[0], a[1] - b[1]];
+const mul = (a, s) => [a[0] * s, a[1] * s];
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1];
+const dist = (a, b) => Math.hypot(a[0] - b[0], a[1] - b[1]);
+
+function unit(v) {
+  const l = Math.hypot(v[0], v[1]);
+  return l > 1e-12 ? [v[0] / l, v[1] / l] : [0, 0];
+}
+
+// ── Bézier-Auswertung ─────────────────────────────────────────────────────
+
+function bezierAt([p0, p1, p2, p3], t) {
+  const s = 1 - t;
+  const b0 = s * s * s;
+  const b1 = 3 * s * s * t;
+  const b2 = 3 * s * t * t;
+  const b3 = t * t * t;
+  return [
+    b0 * p0[0] + b1 * p1[0] + b2 * p2[0] + b3 * p3[0],
+    b0 * p0[1] + b1 * p1[1] + b2 * p2[1] + b3 * p3[1],
+  ];
+}
+
+// Newton-Raphson: Parameter t näher an den Fußpunkt von p schieben
+function newtonStep(bez, p, t) {
+  const [p0, p1, p2, p3] = bez;
+  const d1 = [mul(sub(p1, p0), 3), mul(sub(p2, p1), 3), mul(sub(p3, p2), 3)];
+  const d2 = [mul(sub(d1[1], d1[0]), 2), mul(sub(d1[2], d1[1]), 2)];
+  const s = 1 - t;
+  const q = bezierAt(bez, t);
+  const q1 = add(add(mul(d1[0], s * s), mul(d1[1], 2 * s * t)), mul(d1[2], t * t));
+  const q2 = add(mul(d2[0], s), mul(d2[1], t));
+  const diff = sub(q, p);
+  const den = dot(q1, q1) + dot(diff, q2);
+  if (Math.abs(den) < 1e-12) return t;
+  return Math.min(1, Math.max(0, t - dot(diff, q1) / den));
+}
+
+// Alle Parameter eines Abschnitts first…last nachführen
+function reparameterize(bez, pts, first, u) {
+  return u.map((t, i) => newtonStep(bez, pts[first + i], t));
+}
+
+// ── Schneider ─────────────────────────────────────────────────────────────
+
+function chordLengthParams(pts, first, last) {
+  const u = [0];
+  for (let i = first + 1; i <= last; i++) u.push(u[u.length - 1] + dist(pts[i], pts[i - 1]));
+  const total = u[u.length - 1] || 1;
+  return u.map((v) => v / total);
+}
+
+// Kontrollpunkte bei festen End-Tangenten per kleinster Quadrate
+function generateBezier(pts, first, last, u, tHat1, tHat2) {
+  const p0 = pts[first];
+  const p3 = pts[last];
+  let c00 = 0;
+  let c01 = 0;
+  let c11 = 0;
+  let x0 = 0;
+  let x1 = 0;
+
+  for (let i = 0; i < u.length; i++) {
+    const t = u[i];
+    const s = 1 - t;
+    const b0 = s * s * s;
+    const b1 = 3 * s * s * t;
+    const b2 = 3 * s * t * t;
+    const b3 = t * t * t;
+    const a1 = mul(tHat1, b1);
+    const a2 = mul(tHat2, b2);
+    c00 += dot(a1, a1);
+    c01 += dot(a1, a2);
+    c11 += dot(a2, a2);
+    const tmp = sub(pts[first + i], add(mul(p0, b0 + b1), mul(p3, b2 + b3)));
+    x0 += dot(a1, tmp);
+    x1 += dot(a2, tmp);
+  }
+
+  const det = c00 * c11 - c01 * c01;
+  let alpha1 = Math.abs(det) > 1e-12 ? (x0 * c11 - x1 * c01) / det : 0;
+  let alpha2 = Math.abs(det) > 1e-12 ? (c00 * x1 - c01 * x0) / det : 0;
+
+  // Unbrauchbare Lösung (negativ/degeneriert) → Heuristik: ein Drittel der Sehne
+  const segLen = dist(p0, p3);
+  if (alpha1 < 1e-6 * segLen || alpha2 < 1e-6 * segLen) {
+    alpha1 = segLen / 3;
+    alpha2 = segLen / 3;
+  }
+  return [p0, add(p0, mul(tHat1, alpha1)), add(p3, mul(tHat2, alpha2)), p3];
+}
+
+function maxFitError(pts, first, last, bez, u) {
+  let maxSq = 0;
+  let split = Math.floor((first + last) / 2);
+  for (let i = first + 1; i < last; i++) {
+    const q = bezierAt(bez, u[i - first]);
+    const dx = q[0] - pts[i][0];
+    const dy = q[1] - pts[i][1];
+    const d = dx * dx + dy * dy;
+    if (d >= maxSq) {
+      maxSq = d;
+      split = i;
+    }
+  }
+  return { maxSq, split };
+}
+
+function fitCubic(pts, first, last, tHat1, tHat2, tolSq, out) {
+  if (last - first === 1) {
+    const d = dist(pts[first], pts[last]) / 3;
+    out.push([pts[first], add(pts[first], mul(tHat1, d)), add(pts[last], mul(tHat2, d)), pts[last]]);
+    return;
+  }
+
+  let u = chordLengthParams(pts, first, last);
+  let bez = generateBezier(pts, first, last, u, tHat1, tHat2);
+  let { maxSq, split } = maxFitError(pts, first, last, bez, u);
+  if (maxSq <= tolSq) {
+    out.push(bez);
+    return;
+  }
+
+  // Knapp daneben: Parameter nachführen statt sofort zu teilen
+  if (maxSq <= tolSq * 4) {
+    for (let k = 0; k < MAX_REPARAMETERIZE; k++) {
+      u = reparameterize(bez, pts, first, u);
+      bez = generateBezier(pts, first, last, u, tHat1, tHat2);
+      ({ maxSq, split } = maxFitError(pts, first, last, bez, u));
+      if (maxSq <= tolSq) {
+        out.push(bez);
+        return;
+      }
+    }
+  }
+
+  // Am Punkt mit größtem Fehler teilen, gemeinsame Tangente für stetigen Übergang
+  let center = unit(sub(pts[split - 1], pts[split + 1]));
+  if (!center[0] && !center[1]) center = unit(sub(pts[split - 1], pts[split]));
+  fitCubic(pts, first, split, tHat1, center, tolSq, out);
+  fitCubic(pts, split, last, mul(center, -1), tHat2, tolSq, out);
+}
+
+function dedupe(ring) {
+  const out = [];
+  for (const p of ring) {
+    const prev = out[out.length - 1];
+    if (!prev || prev[0] !== p[0] || prev[1] !== p[1]) out.push(p);
+  }
+  while (out.length > 1 && out[0][0] === out[out.length - 1][0] && out[0][1] === out[out.length - 1][1]) out.pop();
+  return out;
+}
+
+/**
+ * Passt kubische Béziers an einen geschlossenen Ring an.
+ *
+ * @param {Array<[number, number]>} ring
+ * @param {number} tolerance  max. Abstand der Kurve zu den Ringpunkten (gleiche Einheit)
+ * @param {{ cornerAngleDeg?: number }} [opts]
+ * @returns {Array<[[number, number], [number, number], [number, number], [number, number]]>}
+ *   Segmente [Start, Kontrollpunkt 1, Kontrollpunkt 2, Ende], lückenlos geschlossen
+ */
+export function fitRingBeziers(ring, tolerance, { cornerAngleDeg = DEFAULT_CORNER_ANGLE_DEG } = {}) {
+  const pts = dedupe(ring || []);
+  const n = pts.length;
+  if (n < 3) return [];
+
+  const tolSq = Math.max(1e-6, Number(tolerance) || 0) ** 2;
+  const cosCorner = Math.cos((cornerAngleDeg * Math.PI) / 180);
+
+  const corners = [];
+  for (let i = 0; i < n; i++) {
+    const a = unit(sub(pts[i], pts[(i - 1 + n) % n]));
+    const b = unit(sub(pts[(i + 1) % n], pts[i]));
+    if (dot(a, b) < cosCorner) corners.push(i);
+  }
+
+  const out = [];
+  if (!corners.length) {
+    // Glatter Ring: Start bei Punkt 0 mit symmetrischer Tangente
+    const closed = [...pts, pts[0]];
+    const t = unit(sub(pts[1], pts[n - 1]));
+    fitCubic(closed, 0, n, t, mul(t, -1), tolSq, out);
+    return out;
+  }
+
+  // Ring an der ersten Ecke beginnen, Stücke zwischen Ecken einzeln anpassen
+  const start = corners[0];
+  const rot = [...pts.slice(start), ...pts.slice(0, start), pts[start]];
+  const cuts = [...corners.map((c) => (c - start + n) % n), n];
+  for (let k = 0; k < cuts.length - 1; k++) {
+    const a = cuts[k];
+    const b = cuts[k + 1];
+    fitCubic(rot, a, b, unit(sub(rot[a + 1], rot[a])), unit(sub(rot[b - 1], rot[b])), tolSq, out);
+  }
+  return out;
+}
+
+/** Segmente eines Rings → geschlossener SVG-Teilpfad (M … C … Z) */
+export function beziersToPathD(segments) {
+  if (!segments || !segments.length) return "";
+  const [x0, y0] = segments[0][0];
+  let d = `M ${fmtCoord(x0)} ${fmtCoord(y0)}`;
+  for (const [, c1, c2, p] of segments) {
+    d += ` C ${fmtCoord(c1[0])} ${fmtCoord(c1[1])}, ${fmtCoord(c2[0])} ${fmtCoord(c2[1])}, ${fmtCoord(p[0])} ${fmtCoord(p[1])}`;
+  }
+  return `${d} Z`;
+}
+
+/**
+ * Ringe abbilden (transform, siehe path.js) und als Bézier-Pfad ausgeben;
+ * tolerance gilt im Zielkoordinatensystem.
+ */
+export function fittedRingsToPathD(rings, tolerance, transform) {
+  return (rings || [])
+    .map((ring) => beziersToPathD(fitRingBeziers(transformRing(ring, transform), tolerance)))
+    .filter(Boolean)
+    .join(" ");
+}
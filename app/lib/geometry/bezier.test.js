@@ -0,0 +1,94 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { beziersToPathD, fitRingBeziers, fittedRingsToPathD } from "./bezier.js";
+
+function circleRing(r, n, cx = 0, cy = 0) {
+  return Array.from({ length: n }, (_, i) => {
+    const a = (2 * Math.PI * i) / n;
+    return [cx + r * Math.cos(a), cy + r * Math.sin(a)];
+  });
+}
+
+// Quadrat mit Zwischenpunkten auf den Kanten (wie aus der Konturverfolgung)
+function squareRing(size, perSide) {
+  const pts = [];
+  const corners = [
+    [0, 0],
+    [size, 0],
+    [size, size],
+    [0, size],
+  ];
+  for (let k = 0; k < 4; k++) {
+    const [ax, ay] = corners[k];
+    const [bx, by] = corners[(k + 1) % 4];
+    for (let i = 0; i < perSide; i++) pts.push([ax + ((bx - ax) * i) / perSide, ay + ((by - ay) * i) / perSide]);
+  }
+  return pts;
+}
+
+function bezierPoint([p0, p1, p2, p3], t) {
+  const u = 1 - t;
+  const a = u * u * u;
+  const b = 3 * u * u * t;
+  const c = 3 * u * t * t;
+  const d = t * t * t;
+  return [a * p0[0] + b * p1[0] + c * p2[0] + d * p3[0], a * p0[1] + b * p1[1] + c * p2[1] + d * p3[1]];
+}
+
+// Größter Abstand eines Ringpunkts zur angepassten Kurve (Kurve fein abgetastet)
+function maxDeviation(ring, segments) {
+  const samples = segments.flatMap((seg) => Array.from({ length: 1000 }, (_, i) => bezierPoint(seg, i / 999)));
+  return Math.max(...ring.map((p) => Math.min(...samples.map((q) => Math.hypot(p[0] - q[0], p[1] - q[1])))));
+}
+
+function assertClosed(segments) {
+  segments.forEach((seg, i) => assert.deepEqual(seg[3], segments[(i + 1) % segments.length][0]));
+}
+
+test("fitRingBeziers: Kreis mit wenigen Segmenten innerhalb der Toleranz", () => {
+  const ring = circleRing(50, 360);
+  const segments = fitRingBeziers(ring, 0.15);
+  assert.ok(segments.length >= 4 && segments.length <= 16, `${segments.length} Segmente`);
+  assertClosed(segments);
+  assert.ok(maxDeviation(ring, segments) <= 0.15 + 0.01);
+});
+
+test("fitRingBeziers: engere Toleranz erzeugt mehr Segmente", () => {
+  const ring = circleRing(50, 360);
+  assert.ok(fitRingBeziers(ring, 0.01).length > fitRingBeziers(ring, 1).length);
+});
+
+test("fitRingBeziers: Ecken des Quadrats bleiben Segmentgrenzen", () => {
+  const ring = squareRing(40, 20);
+  const segments = fitRingBeziers(ring, 0.15);
+  assertClosed(segments);
+  const ends = segments.map((s) => s[0].map((v) => Math.round(v * 1000) / 1000).join(","));
+  for (const corner of ["0,0", "40,0", "40,40", "0,40"]) assert.ok(ends.includes(corner), `Ecke ${corner}`);
+  assert.ok(maxDeviation(ring, segments) <= 0.15 + 0.01);
+});
+
+test("fitRingBeziers: zu kurze Ringe ergeben keine Segmente", () => {
+  assert.deepEqual(fitRingBeziers([[0, 0], [1, 1]], 0.15), []);
+  assert.deepEqual(fitRingBeziers(null, 0.15), []);
+});
+
+test("beziersToPathD: geschlossener Pfad mit gerundeten Koordinaten", () => {
+  const d = beziersToPathD([
+    [
+      [0, 0],
+      [1.234, 0],
+      [2, 1],
+      [2, 2],
+    ],
+  ]);
+  assert.equal(d, "M 0 0 C 1.23 0, 2 1, 2 2 Z");
+  assert.equal(beziersToPathD([]), "");
+});
+
+test("fittedRingsToPathD: je Ring ein Teilpfad im Zielkoordinatensystem", () => {
+  const d = fittedRingsToPathD([circleRing(5, 90), squareRing(4, 8)], 0.15, { scaleX: 10, scaleY: 10, offsetX: 100 });
+  const parts = d.split(" Z").filter(Boolean);
+  assert.equal(parts.length, 2);
+  assert.match(parts[0], /^M 150 0 C /);
+  assert.match(parts[1].trim(), /^M 100 0 C /);
+});
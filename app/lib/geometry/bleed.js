@@ -0,0 +1,56 @@
+/**
+ * app/lib/geometry/bleed.js
+ *
+ * Beschnittzugabe für Rastermotive: Pixel außerhalb der Schnittform erhalten bis
+ * zum Abstand radiusPx die Farbe des nächsten Pixels innerhalb ("edge") oder des
+ * an der Kontur gespiegelten Pixels ("mirror"). Funktioniert für Freiform-Masken
+ * wie für geometrische Formen – die Form kommt als Maske herein.
+ */
+import { nearestMaskPixels } from "./mask.js";
+
+export const BLEED_MODES = ["edge", "mirror"];
+// Ohne Angabe kein Beschnitt (Nenngröße), höchstens 10 mm
+export const DEFAULT_BLEED_MM = 0;
+export const MAX_BLEED_MM = 10;
+
+/**
+ * @param {Uint8Array|Uint8ClampedArray} rgba  w×h, nicht vormultipliziert
+ * @param {Uint8Array} inside  Schnittform (1 = innen); Kantenpixel sollten nicht dazugehören
+ * @param {number} w
+ * @param {number} h
+ * @param {number} radiusPx
+ * @param {"edge"|"mirror"} [mode]
+ * @returns {Uint8ClampedArray}  neues RGBA; das Original liegt über der Füllung,
+ *   halbtransparente Kantenpixel (Kantenglättung) bleiben dadurch erhalten
+ */
+export function extendIntoBleed(rgba, inside, w, h, radiusPx, mode = "edge") {
+  const out = new Uint8ClampedArray(rgba);
+  const r = Math.max(0, radiusPx || 0);
+  if (r <= 0) return out;
+
+  const { dist2, nearest } = nearestMaskPixels(inside, w, h);
+  const rr = r * r;
+
+  for (let i = 0; i < w * h; i++) {
+    if (inside[i] || dist2[i] > rr || nearest[i] < 0) continue;
+
+    let src = nearest[i];
+    if (mode === "mirror") {
+      // Spiegelpunkt: p' = 2·n − p; liegt er außerhalb (dünne Stellen), bleibt n
+      const mx = 2 * (src % w) - (i % w);
+      const my = 2 * Math.floor(src / w) - Math.floor(i / w);
+      if (mx >= 0 && mx < w && my >= 0 && my < h && inside[my * w + mx]) src = my * w + mx;
+    }
+
+    // Original über Füllung (source-over)
+    const o = i * 4;
+    const s = src * 4;
+    const ao = rgba[o + 3] / 255;
+    const af = rgba[s + 3] / 255;
+    const a = ao + af * (1 - ao);
+    if (a <= 0) continue;
+    for (let c = 0; c < 3; c++) out[o + c] = (rgba[o + c] * ao + rgba[s + c] * af * (1 - ao)) / a;
+    out[o + 3] = a * 255;
+  }
+  return out;
+}
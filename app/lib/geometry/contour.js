@@ -0,0 +1,109 @@
+/**
+ * app/lib/geometry/contour.js
+ *
+ * Konturverfolgung auf Binärmasken (Marching Squares).
+ *
+ * Zelle = 2×2 Pixelmittelpunkte, Index = tl·8 + tr·4 + br·2 + bl·1.
+ * Kantenmitten: T, R, B, L. Segmente sind so gerichtet, dass das Motiv
+ * rechts liegt (y nach unten) → Außenkonturen im Uhrzeigersinn (Fläche > 0),
+ * Löcher gegen den Uhrzeigersinn (Fläche < 0).
+ * Sattelfälle (5, 10) verbinden diagonale Pixel (8er-Nachbarschaft), damit
+ * schräge Linien nicht in Einzelinseln zerfallen.
+ */
+import { pointInRing, ringArea } from "./polygon.js";
+
+const T = 0;
+const R = 1;
+const B = 2;
+const L = 3;
+
+const CELL_SEGMENTS = [
+  [],
+  [[L, B]],
+  [[B, R]],
+  [[L, R]],
+  [[R, T]],
+  [[L, T], [R, B]],
+  [[B, T]],
+  [[L, T]],
+  [[T, L]],
+  [[T, B]],
+  [[T, R], [B, L]],
+  [[T, R]],
+  [[R, L]],
+  [[R, B]],
+  [[B, L]],
+  [],
+];
+
+// Kantenmitte in doppelten Zellkoordinaten
+const EDGE_X2 = [1, 2, 1, 0];
+const EDGE_Y2 = [0, 1, 2, 1];
+
+/**
+ * Alle Konturen einer Binärmaske (1 = Motiv).
+ * Ränder außerhalb des Bildes zählen als leer, jede Kontur ist geschlossen.
+ *
+ * @returns {Array<Array<[number, number]>>}  Ringe in Pixelkoordinaten
+ *   (Pixel x liegt zwischen x und x+1), Orientierung siehe oben
+ */
+export function traceRings(mask, w, h) {
+  const at = (x, y) => (x >= 0 && y >= 0 && x < w && y < h ? mask[y * w + x] : 0);
+
+  // Startpunkt → Endpunkt; jede Kantenmitte ist Start genau eines Segments
+  const stride = 2 * w + 3;
+  const next = new Map();
+  for (let cy = -1; cy < h; cy++) {
+    for (let cx = -1; cx < w; cx++) {
+      const idx = (at(cx, cy) << 3) | (at(cx + 1, cy) << 2) | (at(cx + 1, cy + 1) << 1) | at(cx, cy + 1);
+      if (idx === 0 || idx === 15) continue;
+      const bx = 2 * cx + 2;
+      const by = 2 * cy + 2;
+      for (const [from, to] of CELL_SEGMENTS[idx]) {
+        next.set((by + EDGE_Y2[from]) * stride + bx + EDGE_X2[from], (by + EDGE_Y2[to]) * stride + bx + EDGE_X2[to]);
+      }
+    }
+  }
+
+  const rings = [];
+  for (const start of next.keys()) {
+    const ring = [];
+    let key = start;
+    while (next.has(key)) {
+      const to = next.get(key);
+      next.delete(key);
+      // doppelte Zellkoordinaten → Pixelkoordinaten (Pixelmitte = x + 0,5)
+      ring.push([(key % stride) / 2 - 0.5, Math.floor(key / stride) / 2 - 0.5]);
+      key = to;
+    }
+    if (ring.length >= 3) rings.push(ring);
+  }
+  return rings;
+}
+
+/**
+ * Konturen nach Inseln gruppiert: Außenkontur + darin liegende Löcher.
+ * Flächen unter minAreaPx (Staub, Antialiasing-Reste) fallen weg.
+ *
+ * @returns {Array<{ outer: Array<[number, number]>, holes: Array<Array<[number, number]>>, area: number }>}
+ *   nach Fläche absteigend
+ */
+export function traceContours(mask, w, h, { minAreaPx = 0 } = {}) {
+  const outers = [];
+  const holes = [];
+  for (const ring of traceRings(mask, w, h)) {
+    const area = ringArea(ring);
+    if (Math.abs(area) < minAreaPx) continue;
+    if (area > 0) outers.push({ outer: ring, holes: [], area });
+    else holes.push(ring);
+  }
+
+  // Loch gehört zur kleinsten Außenkontur, die es enthält
+  outers.sort((a, b) => a.area - b.area);
+  for (const hole of holes) {
+    const owner = outers.find((o) => pointInRing(hole[0], o.outer));
+    if (owner) owner.holes.push(hole);
+  }
+
+  return outers.reverse();
+}
@@ -0,0 +1,98 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { traceContours, traceRings } from "./contour.js";
+import { FREEFORM_SEAL_GAPS_PX, buildInsideMaskFromAlpha, dilateMask } from "./mask.js";
+import { pointInRing, ringArea } from "./polygon.js";
+
+function maskOf(rows) {
+  const w = rows[0].length;
+  const h = rows.length;
+  const mask = new Uint8Array(w * h);
+  rows.forEach((row, y) => [...row].forEach((c, x) => (mask[y * w + x] = c === "#" ? 1 : 0)));
+  return { mask, w, h };
+}
+
+// Pixelmitten innerhalb der Inseln (Außenkontur ohne Löcher)
+function rasterize(islands, w, h) {
+  const out = new Uint8Array(w * h);
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const p = [x + 0.5, y + 0.5];
+      const hit = islands.some((isl) => pointInRing(p, isl.outer) && !isl.holes.some((hole) => pointInRing(p, hole)));
+      out[y * w + x] = hit ? 1 : 0;
+    }
+  }
+  return out;
+}
+
+test("traceContours: Außenkontur im Uhrzeigersinn um die Pixelmitten", () => {
+  const { mask, w, h } = maskOf(["....", ".##.", ".##.", "...."]);
+  const [island] = traceContours(mask, w, h);
+  assert.ok(island.area > 0);
+  assert.equal(island.holes.length, 0);
+  // Kontur läuft durch die Kantenmitten: 2 × 2 Pixel → Fläche 2 − 4 · ⅛ (Ecken)
+  assert.equal(island.area, 3.5);
+  assert.deepEqual(rasterize([island], w, h), mask);
+});
+
+test("traceContours: Loch wird der umgebenden Insel zugeordnet", () => {
+  const { mask, w, h } = maskOf([
+    ".......",
+    ".#####.",
+    ".#...#.",
+    ".#...#.",
+    ".#####.",
+    ".......",
+  ]);
+  const islands = traceContours(mask, w, h);
+  assert.equal(islands.length, 1);
+  assert.equal(islands[0].holes.length, 1);
+  assert.ok(ringArea(islands[0].holes[0]) < 0);
+  assert.deepEqual(rasterize(islands, w, h), mask);
+});
+
+test("traceContours: getrennte Inseln nach Fläche absteigend, Staub gefiltert", () => {
+  const { mask, w, h } = maskOf([
+    "..........",
+    ".##...###.",
+    ".##...###.",
+    "......###.",
+    "#.........",
+  ]);
+  const islands = traceContours(mask, w, h);
+  assert.equal(islands.length, 3);
+  assert.ok(islands[0].area > islands[1].area && islands[1].area > islands[2].area);
+  assert.deepEqual(rasterize(islands, w, h), mask);
+
+  // Einzelpixel (Fläche 0,5) fällt unter minAreaPx weg
+  assert.equal(traceContours(mask, w, h, { minAreaPx: 1 }).length, 2);
+});
+
+test("traceContours: diagonale Pixel bleiben verbunden (8er-Nachbarschaft)", () => {
+  const { mask, w, h } = maskOf(["#...", ".#..", "..#.", "...#"]);
+  assert.equal(traceContours(mask, w, h).length, 1);
+  assert.equal(traceRings(new Uint8Array(9), 3, 3).length, 0);
+});
+
+test("Freiform: Vorschau-Maske und Export-Kontur decken dieselben Pixel ab", () => {
+  // Motiv mit halbtransparentem Rand, Loch und schmalem Schlitz
+  const w = 48;
+  const h = 40;
+  const data = new Uint8ClampedArray(w * h * 4);
+  for (let y = 6; y < 34; y++) {
+    for (let x = 8; x < 40; x++) {
+      const hole = x >= 18 && x < 28 && y >= 14 && y < 24;
+      const slit = x >= 24 && x < 26 && y < 14;
+      data[(y * w + x) * 4 + 3] = hole || slit ? 0 : x === 8 ? 4 : 220;
+    }
+  }
+
+  // gleiche Schritte wie Vorschau-Route und Konfigurator (Schwelle 8, Rand 4 px)
+  const inside = buildInsideMaskFromAlpha({ data }, w, h, 8, FREEFORM_SEAL_GAPS_PX);
+  const backing = dilateMask(inside, w, h, 4);
+  const islands = traceContours(backing, w, h);
+
+  assert.equal(islands.length, 1);
+  assert.equal(islands[0].holes.length, 0, "eingeschlossene Flächen sind gefüllt");
+  assert.deepEqual(rasterize(islands, w, h), backing);
+});
@@ -0,0 +1,36 @@
+/**
+ * app/lib/geometry
+ *
+ * Gemeinsame Masken- und Pfadgeometrie für Konfigurator, Vorschau-Route und
+ * Kontur-Route – Vorschau und exportierte Cutline entstehen aus demselben Code.
+ *
+ * Der Konfigurator importiert die Einzelmodule direkt (ohne offset.js/clipper-lib).
+ */
+export {
+  FREEFORM_SEAL_GAPS_PX,
+  buildInsideMaskFromAlpha,
+  closeMask,
+  dilateMask,
+  erodeMask,
+  fillEnclosed,
+  invertMask,
+  maskBBox,
+  nearestMaskPixels,
+  opaqueMaskFromRgba,
+} from "./mask.js";
+export { traceContours, traceRings } from "./contour.js";
+export { pointInRing, ringArea } from "./polygon.js";
+export { simplifyPolyline, simplifyRing } from "./simplify.js";
+export { offsetRings } from "./offset.js";
+export { fmtCoord, parsePolylinePathD, ringToPathD, ringsToPathD, smoothRingToPathD, transformRing } from "./path.js";
+export { CUTLINE_TOLERANCE_MM, beziersToPathD, fitRingBeziers, fittedRingsToPathD } from "./bezier.js";
+export { BLEED_MODES, DEFAULT_BLEED_MM, MAX_BLEED_MM, extendIntoBleed } from "./bleed.js";
+export {
+  DEFAULT_SAFE_MARGIN_MM,
+  MAX_SAFE_MARGIN_MM,
+  SAFE_ZONE_BAND,
+  SAFE_ZONE_HIT,
+  analyzeSafeZone,
+  safeZoneBand,
+  safeZoneOverlayRgba,
+} from "./safeZone.js";
@@ -0,0 +1,199 @@
+/**
+ * app/lib/geometry/mask.js
+ *
+ * Binärmasken: Uint8Array (1 = Motiv, 0 = leer), zeilenweise von oben links.
+ * Ohne Abhängigkeiten – läuft im Konfigurator (Browser) und in den Routen (Node).
+ */
+
+// Freiform: Lücken/Schlitze in der Motiv-Maske bis ~2 × 3 px schließen –
+// gemeinsam für Konfigurator (Export-Kontur) und Vorschau-Route
+export const FREEFORM_SEAL_GAPS_PX = 3;
+
+export function invertMask(mask) {
+  const out = new Uint8Array(mask.length);
+  for (let i = 0; i < mask.length; i++) out[i] = mask[i] ? 0 : 1;
+  return out;
+}
+
+/** Deckende Pixel (Alpha > alphaThreshold) aus RGBA-Daten */
+export function opaqueMaskFromRgba(rgba, w, h, alphaThreshold = 8) {
+  const out = new Uint8Array(w * h);
+  for (let i = 0; i < w * h; i++) out[i] = rgba[i * 4 + 3] > alphaThreshold ? 1 : 0;
+  return out;
+}
+
+// ── Distanztransformation ─────────────────────────────────────────────────
+// Exakte quadrierte euklidische Distanz zum nächsten Motivpixel
+// (Felzenszwalb/Huttenlocher, zwei 1D-Durchläufe, linear in der Pixelzahl)
+
+const FAR = 1e20;
+
+// arg (optional) erhält je Position die Stelle des Minimums
+function edt1d(f, n, d, v, z, arg = null) {
+  let k = 0;
+  v[0] = 0;
+  z[0] = -Infinity;
+  z[1] = Infinity;
+  for (let q = 1; q < n; q++) {
+    let s = (f[q] + q * q - (f[v[k]] + v[k] * v[k])) / (2 * q - 2 * v[k]);
+    while (s <= z[k]) {
+      k--;
+      s = (f[q] + q * q - (f[v[k]] + v[k] * v[k])) / (2 * q - 2 * v[k]);
+    }
+    k++;
+    v[k] = q;
+    z[k] = s;
+    z[k + 1] = Infinity;
+  }
+  k = 0;
+  for (let q = 0; q < n; q++) {
+    while (z[k + 1] < q) k++;
+    const dq = q - v[k];
+    d[q] = dq * dq + f[v[k]];
+    if (arg) arg[q] = v[k];
+  }
+}
+
+// nearest (optional): Index des nächsten Motivpixels je Pixel (Feature-Transformation)
+function squaredDistanceToMask(mask, w, h, nearest = null) {
+  const dist = new Float64Array(w * h);
+  for (let i = 0; i < w * h; i++) dist[i] = mask[i] ? 0 : FAR;
+
+  const n = Math.max(w, h);
+  const f = new Float64Array(n);
+  const d = new Float64Array(n);
+  const v = new Int32Array(n);
+  const z = new Float64Array(n + 1);
+  const arg = nearest ? new Int32Array(n) : null;
+  // Zeile des nächsten Motivpixels in der eigenen Spalte (erster Durchlauf)
+  const rowOf = nearest ? new Int32Array(w * h) : null;
+
+  for (let x = 0; x < w; x++) {
+    for (let y = 0; y < h; y++) f[y] = dist[y * w + x];
+    edt1d(f, h, d, v, z, arg);
+    for (let y = 0; y < h; y++) dist[y * w + x] = d[y];
+    if (arg) for (let y = 0; y < h; y++) rowOf[y * w + x] = arg[y];
+  }
+  for (let y = 0; y < h; y++) {
+    const row = y * w;
+    for (let x = 0; x < w; x++) f[x] = dist[row + x];
+    edt1d(f, w, d, v, z, arg);
+    for (let x = 0; x < w; x++) dist[row + x] = d[x];
+    if (arg) {
+      for (let x = 0; x < w; x++) {
+        const ax = arg[x];
+        nearest[row + x] = dist[row + x] < FAR ? rowOf[row + ax] * w + ax : -1;
+      }
+    }
+  }
+  return dist;
+}
+
+/**
+ * Nächstes Motivpixel je Pixel (exakt euklidisch).
+ * @returns {{ dist2: Float64Array, nearest: Int32Array }}
+ *   dist2 = quadrierte Distanz, nearest = Pixelindex (-1 = leere Maske)
+ */
+export function nearestMaskPixels(mask, w, h) {
+  const nearest = new Int32Array(w * h);
+  const dist2 = squaredDistanceToMask(mask, w, h, nearest);
+  return { dist2, nearest };
+}
+
+// ── Morphologie ───────────────────────────────────────────────────────────
+
+/** Dilation mit kreisförmigem Strukturelement (Radius in Pixeln, gerundet) */
+export function dilateMask(mask, w, h, radiusPx) {
+  const r = Math.max(0, Math.round(radiusPx || 0));
+  if (r <= 0) return mask;
+
+  const dist = squaredDistanceToMask(mask, w, h);
+  const rr = r * r;
+  const out = new Uint8Array(w * h);
+  for (let i = 0; i < w * h; i++) out[i] = dist[i] <= rr ? 1 : 0;
+  return out;
+}
+
+/** Erosion (Bildrand zählt nicht als leer) */
+export function erodeMask(mask, w, h, radiusPx) {
+  const r = Math.max(0, Math.round(radiusPx || 0));
+  if (r <= 0) return mask;
+  return invertMask(dilateMask(invertMask(mask), w, h, r));
+}
+
+/** Closing: schließt Lücken und Spalten bis ~2·radiusPx, ohne die Form zu vergrößern */
+export function closeMask(mask, w, h, radiusPx) {
+  const r = Math.max(0, Math.round(radiusPx || 0));
+  if (r <= 0) return mask;
+  return erodeMask(dilateMask(mask, w, h, r), w, h, r);
+}
+
+/**
+ * Füllt eingeschlossene Flächen: alles, was vom Bildrand aus (4er-Nachbarschaft)
+ * nicht über leere Pixel erreichbar ist, gehört zum Motiv.
+ */
+export function fillEnclosed(mask, w, h) {
+  const outside = new Uint8Array(w * h);
+  const queue = new Int32Array(w * h);
+  let qs = 0;
+  let qe = 0;
+
+  const trySeed = (idx) => {
+    if (!mask[idx] && !outside[idx]) {
+      outside[idx] = 1;
+      queue[qe++] = idx;
+    }
+  };
+
+  for (let x = 0; x < w; x++) {
+    trySeed(x);
+    trySeed((h - 1) * w + x);
+  }
+  for (let y = 0; y < h; y++) {
+    trySeed(y * w);
+    trySeed(y * w + w - 1);
+  }
+
+  while (qs < qe) {
+    const idx = queue[qs++];
+    const x = idx % w;
+    if (x + 1 < w) trySeed(idx + 1);
+    if (x > 0) trySeed(idx - 1);
+    if (idx + w < w * h) trySeed(idx + w);
+    if (idx >= w) trySeed(idx - w);
+  }
+
+  return invertMask(outside);
+}
+
+/**
+ * Innenmaske eines Motivs für Freiform-Sticker: deckende Pixel, optional
+ * kleine Lücken geschlossen (sealGapsPx), eingeschlossene Flächen gefüllt.
+ *
+ * @param {{ data: Uint8ClampedArray|Uint8Array }} imgData  RGBA (Canvas-ImageData o. ä.)
+ */
+export function buildInsideMaskFromAlpha(imgData, w, h, alphaThreshold = 8, sealGapsPx = 0) {
+  let opaque = opaqueMaskFromRgba(imgData.data, w, h, alphaThreshold);
+  if (sealGapsPx > 0) opaque = closeMask(opaque, w, h, sealGapsPx);
+  return fillEnclosed(opaque, w, h);
+}
+
+/** Umrechteck der gesetzten Pixel (leere Maske → ganze Fläche) */
+export function maskBBox(mask, w, h) {
+  let minX = w;
+  let minY = h;
+  let maxX = -1;
+  let maxY = -1;
+  for (let y = 0; y < h; y++) {
+    const row = y * w;
+    for (let x = 0; x < w; x++) {
+      if (!mask[row + x]) continue;
+      if (x < minX) minX = x;
+      if (y < minY) minY = y;
+      if (x > maxX) maxX = x;
+      if (y > maxY) maxY = y;
+    }
+  }
+  if (maxX < 0) return { minX: 0, minY: 0, maxX: w - 1, maxY: h - 1 };
+  return { minX, minY, maxX, maxY };
+}
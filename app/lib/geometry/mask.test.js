@@ -0,0 +1,108 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  FREEFORM_SEAL_GAPS_PX,
+  buildInsideMaskFromAlpha,
+  closeMask,
+  dilateMask,
+  erodeMask,
+  fillEnclosed,
+} from "./mask.js";
+
+// Maske aus Zeilen ("#" = Motiv)
+function maskOf(rows) {
+  const w = rows[0].length;
+  const h = rows.length;
+  const mask = new Uint8Array(w * h);
+  rows.forEach((row, y) => [...row].forEach((c, x) => (mask[y * w + x] = c === "#" ? 1 : 0)));
+  return { mask, w, h };
+}
+
+function count(mask) {
+  return mask.reduce((s, v) => s + v, 0);
+}
+
+// Rahmen (Ring) der Breite t in einem w×h-Bild, optional mit Lücke rechts
+function frame(w, h, { inset = 4, t = 2, gap = 0 } = {}) {
+  const mask = new Uint8Array(w * h);
+  for (let y = inset; y < h - inset; y++) {
+    for (let x = inset; x < w - inset; x++) {
+      const edge = x < inset + t || y < inset + t || x >= w - inset - t || y >= h - inset - t;
+      const inGap = gap && x >= w - inset - t && Math.abs(y - h / 2) < gap / 2;
+      if (edge && !inGap) mask[y * w + x] = 1;
+    }
+  }
+  return mask;
+}
+
+function rgbaFromMask(mask) {
+  const data = new Uint8ClampedArray(mask.length * 4);
+  mask.forEach((v, i) => (data[i * 4 + 3] = v ? 255 : 0));
+  return { data };
+}
+
+// ── Morphologie ───────────────────────────────────────────────────────────
+test("dilateMask: kreisförmiges Strukturelement (nicht quadratisch)", () => {
+  const w = 21;
+  const mask = new Uint8Array(w * w);
+  mask[10 * w + 10] = 1;
+  const out = dilateMask(mask, w, w, 3);
+  // Gitterpunkte mit x² + y² ≤ 9
+  assert.equal(count(out), 29);
+  assert.equal(out[7 * w + 7], 0, "Ecke des Quadrats bleibt leer");
+  assert.equal(out[7 * w + 10], 1);
+  assert.equal(dilateMask(mask, w, w, 0), mask);
+});
+
+test("erodeMask: Bildrand zählt nicht als leer", () => {
+  const { mask, w, h } = maskOf(["#####", "#####", "#####"]);
+  assert.equal(count(erodeMask(mask, w, h, 1)), 15);
+  const { mask: m2 } = maskOf([".....", ".###.", "....."]);
+  assert.equal(count(erodeMask(m2, 5, 3, 1)), 0);
+});
+
+test("closeMask: schließt schmale Spalten ohne die Form zu vergrößern", () => {
+  const { mask, w, h } = maskOf([
+    "..............",
+    "..............",
+    "...###..###...",
+    "...###..###...",
+    "...###..###...",
+    "..............",
+    "..............",
+  ]);
+  const out = closeMask(mask, w, h, 1);
+  assert.equal(out[3 * w + 6], 1);
+  assert.equal(out[3 * w + 7], 1);
+  // Außenkontur bleibt, Ecken des Spalts bleiben offen (Kreis, kein Quadrat)
+  assert.equal(count(out), count(mask) + 2);
+});
+
+// ── Füllen ────────────────────────────────────────────────────────────────
+test("fillEnclosed: füllt geschlossene Ringe, offene nicht", () => {
+  const w = 20;
+  const h = 20;
+  const closed = fillEnclosed(frame(w, h), w, h);
+  assert.equal(closed[10 * w + 10], 1);
+  assert.equal(count(closed), 12 * 12);
+
+  const open = fillEnclosed(frame(w, h, { gap: 2 }), w, h);
+  assert.equal(open[10 * w + 10], 0);
+});
+
+// ── Innenmaske (Vorschau-Route und Konfigurator) ──────────────────────────
+test("buildInsideMaskFromAlpha: Lücken bis FREEFORM_SEAL_GAPS_PX werden geschlossen", () => {
+  const w = 40;
+  const h = 40;
+  const img = rgbaFromMask(frame(w, h, { inset: 6, t: 4, gap: 4 }));
+  // ohne Schließen: Innenfläche bleibt offen
+  assert.equal(buildInsideMaskFromAlpha(img, w, h, 8, 0)[20 * w + 20], 0);
+  const inside = buildInsideMaskFromAlpha(img, w, h, 8, FREEFORM_SEAL_GAPS_PX);
+  assert.equal(inside[20 * w + 20], 1);
+  // Schließen vergrößert die Außenkontur nicht (28 × 28, außen an der Lücke
+  // bleibt höchstens eine kleine Kerbe)
+  assert.ok(count(inside) <= 28 * 28 && count(inside) >= 28 * 28 - 4);
+  // breitere Lücken bleiben offen
+  const wide = rgbaFromMask(frame(w, h, { inset: 6, t: 4, gap: 6 }));
+  assert.equal(buildInsideMaskFromAlpha(wide, w, h, 8, FREEFORM_SEAL_GAPS_PX)[20 * w + 20], 0);
+});
@@ -0,0 +1,40 @@
+/**
+ * app/lib/geometry/offset.js
+ *
+ * Polygon-Offset mit clipper-lib (runde Ecken). Eigene Datei, damit der
+ * Konfigurator die übrigen Geometrie-Module ohne clipper-lib bündeln kann.
+ */
+import ClipperLib from "clipper-lib";
+import { ringArea } from "./polygon.js";
+
+// clipper rechnet ganzzahlig → 1/100 px Auflösung
+const SCALE = 100;
+
+/**
+ * Offset mehrerer Ringe (Außenkonturen + Löcher gemeinsam): positiv = nach
+ * außen, Löcher schrumpfen dabei, nahe Inseln verschmelzen.
+ *
+ * @param {Array<Array<[number, number]>>} rings
+ * @param {number} offsetPx
+ * @returns {Array<Array<[number, number]>>}  nach Fläche absteigend
+ */
+export function offsetRings(rings, offsetPx) {
+  const paths = (rings || []).filter((r) => r && r.length >= 3);
+  if (!paths.length) return [];
+
+  const co = new ClipperLib.ClipperOffset();
+  for (const ring of paths) {
+    co.AddPath(
+      ring.map(([x, y]) => ({ X: Math.round(x * SCALE), Y: Math.round(y * SCALE) })),
+      ClipperLib.JoinType.jtRound,
+      ClipperLib.EndType.etClosedPolygon
+    );
+  }
+
+  const solution = [];
+  co.Execute(solution, offsetPx * SCALE);
+
+  return solution
+    .map((poly) => poly.map((p) => [p.X / SCALE, p.Y / SCALE]))
+    .sort((a, b) => Math.abs(ringArea(b)) - Math.abs(ringArea(a)));
+}
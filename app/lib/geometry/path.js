@@ -0,0 +1,124 @@
+/**
+ * app/lib/geometry/path.js
+ *
+ * Ringe → SVG-Pfaddaten. Optionale lineare Abbildung
+ * { scaleX, scaleY, offsetX, offsetY }: out = p · scale + offset.
+ */
+
+const IDENTITY = { scaleX: 1, scaleY: 1, offsetX: 0, offsetY: 0 };
+
+/** Koordinate mit max. 2 Nachkommastellen */
+export function fmtCoord(n) {
+  return (Math.round(n * 100) / 100).toString();
+}
+
+function mapper({ scaleX = 1, scaleY = 1, offsetX = 0, offsetY = 0 } = IDENTITY) {
+  return (p) => [p[0] * scaleX + offsetX, p[1] * scaleY + offsetY];
+}
+
+export function transformRing(ring, transform = IDENTITY) {
+  return (ring || []).map(mapper(transform));
+}
+
+/** Geschlossener Polygonzug (M … L … Z) */
+export function ringToPathD(ring, transform = IDENTITY) {
+  if (!ring || ring.length < 2) return "";
+  const pts = transformRing(ring, transform);
+  let d = `M ${fmtCoord(pts[0][0])} ${fmtCoord(pts[0][1])}`;
+  for (let i = 1; i < pts.length; i++) d += ` L ${fmtCoord(pts[i][0])} ${fmtCoord(pts[i][1])}`;
+  return `${d} Z`;
+}
+
+/** Geglätteter geschlossener Pfad: Catmull-Rom → kubische Béziers */
+export function smoothRingToPathD(ring, transform = IDENTITY) {
+  if (!ring || ring.length < 2) return "";
+  if (ring.length < 4) return ringToPathD(ring, transform);
+
+  const pts = transformRing(ring, transform);
+  const n = pts.length;
+  const px = (i) => pts[((i % n) + n) % n][0];
+  const py = (i) => pts[((i % n) + n) % n][1];
+
+  let d = `M ${fmtCoord(px(0))} ${fmtCoord(py(0))}`;
+  for (let i = 0; i < n; i++) {
+    // Catmull-Rom Kontrollpunkte (Tension = 1/6)
+    const cp1x = px(i) + (px(i + 1) - px(i - 1)) / 6;
+    const cp1y = py(i) + (py(i + 1) - py(i - 1)) / 6;
+    const cp2x = px(i + 1) - (px(i + 2) - px(i)) / 6;
+    const cp2y = py(i + 1) - (py(i + 2) - py(i)) / 6;
+    d += ` C ${fmtCoord(cp1x)} ${fmtCoord(cp1y)}, ${fmtCoord(cp2x)} ${fmtCoord(cp2y)}, ${fmtCoord(px(i + 1))} ${fmtCoord(py(i + 1))}`;
+  }
+  return `${d} Z`;
+}
+
+/** Mehrere Ringe als ein Pfad (Löcher: fill-rule="evenodd" oder gegenläufige Orientierung) */
+export function ringsToPathD(rings, transform = IDENTITY, { smooth = false } = {}) {
+  const toD = smooth ? smoothRingToPathD : ringToPathD;
+  return (rings || []).map((r) => toD(r, transform)).filter(Boolean).join(" ");
+}
+
+/**
+ * Reiner Polygonzug-Pfad (M/L/H/V/Z, absolut oder relativ) → Ringe.
+ * @returns {Array<Array<[number, number]>> | null}  null bei Kurven/Bögen
+ */
+export function parsePolylinePathD(d) {
+  const tokens = String(d || "").match(/[a-zA-Z]|[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/g);
+  if (!tokens) return null;
+
+  const rings = [];
+  let ring = null;
+  let cmd = "";
+  let x = 0;
+  let y = 0;
+  let i = 0;
+  const num = () => Number(tokens[i++]);
+  const hasNum = () => i < tokens.length && !/^[a-zA-Z]$/.test(tokens[i]);
+
+  while (i < tokens.length) {
+    if (/^[a-zA-Z]$/.test(tokens[i])) cmd = tokens[i++];
+    const rel = cmd === cmd.toLowerCase();
+    switch (cmd.toUpperCase()) {
+      case "M": {
+        const nx = num();
+        const ny = num();
+        x = rel ? x + nx : nx;
+        y = rel ? y + ny : ny;
+        ring = [[x, y]];
+        rings.push(ring);
+        // weitere Koordinatenpaare nach M sind implizite L
+        cmd = rel ? "l" : "L";
+        break;
+      }
+      case "L": {
+        const nx = num();
+        const ny = num();
+        x = rel ? x + nx : nx;
+        y = rel ? y + ny : ny;
+        ring?.push([x, y]);
+        break;
+      }
+      case "H": {
+        const nx = num();
+        x = rel ? x + nx : nx;
+        ring?.push([x, y]);
+        break;
+      }
+      case "V": {
+        const ny = num();
+        y = rel ? y + ny : ny;
+        ring?.push([x, y]);
+        break;
+      }
+      case "Z":
+        if (ring?.length) [x, y] = ring[0];
+        ring = null;
+        while (hasNum()) i++;
+        break;
+      default:
+        return null;
+    }
+    if (!Number.isFinite(x) || !Number.isFinite(y)) return null;
+  }
+
+  return rings.filter((r) => r.length >= 3);
+}
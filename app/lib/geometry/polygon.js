@@ -0,0 +1,26 @@
+/**
+ * app/lib/geometry/polygon.js
+ *
+ * Ringe = geschlossene Polygone als [[x, y], …] ohne wiederholten Startpunkt.
+ * Koordinaten mit y nach unten (Bild/SVG): Fläche > 0 = im Uhrzeigersinn.
+ */
+
+/** Vorzeichenbehaftete Fläche (Shoelace) */
+export function ringArea(ring) {
+  let a = 0;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    a += ring[j][0] * ring[i][1] - ring[i][0] * ring[j][1];
+  }
+  return a / 2;
+}
+
+/** Punkt-in-Polygon (Even-Odd) */
+export function pointInRing([px, py], ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if (yi > py !== yj > py && px < ((xj - xi) * (py - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
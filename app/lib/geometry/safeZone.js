@@ -0,0 +1,174 @@
+/**
+ * app/lib/geometry/safeZone.js
+ *
+ * Sicherheitsabstand: Schrift und Details, die innerhalb von marginPx an der
+ * Schnittkontur liegen, werden beim Schneiden leicht angeschnitten (Toleranz
+ * von Plotter und Material). Geprüft wird das fertige Raster in der Schnittform –
+ * im Konfigurator (Vorschau-Raster) und beim Export (Export-PNG).
+ *
+ * Inhalt = Pixel, die sich sichtbar vom Stickergrund (Hintergrundfarbe, ohne
+ * Farbe weiß) abheben. Läuft das Motiv fast vollständig bis zum Rand (Foto
+ * randlos), zählen nur noch kontrastreiche Details (Kanten, z. B. Schrift).
+ */
+import { dilateMask, invertMask } from "./mask.js";
+
+export const DEFAULT_SAFE_MARGIN_MM = 3;
+export const MAX_SAFE_MARGIN_MM = 10;
+
+// Werte der Überlagerungsmaske
+export const SAFE_ZONE_BAND = 1;
+export const SAFE_ZONE_HIT = 2;
+
+const WHITE = [255, 255, 255];
+
+/**
+ * Randstreifen der Schnittform: innen liegende Pixel mit Abstand ≤ marginPx zur
+ * Außenfläche. Der Bildrand zählt als außen (Rechteck = ganzes Raster).
+ *
+ * @param {Uint8Array} inside  Schnittform (1 = innen)
+ * @returns {Uint8Array}  1 = im Sicherheitsabstand
+ */
+export function safeZoneBand(inside, w, h, marginPx) {
+  const r = Math.max(0, Math.round(marginPx || 0));
+  const band = new Uint8Array(w * h);
+  if (r <= 0) return band;
+
+  const nearOutside = dilateMask(invertMask(inside), w, h, r);
+  for (let y = 0; y < h; y++) {
+    const nearBorder = y < r || h - 1 - y < r;
+    for (let x = 0; x < w; x++) {
+      const i = y * w + x;
+      if (inside[i] && (nearOutside[i] || nearBorder || x < r || w - 1 - x < r)) band[i] = 1;
+    }
+  }
+  return band;
+}
+
+/**
+ * @param {Uint8Array|Uint8ClampedArray} rgba  w×h, nicht vormultipliziert
+ * @param {Uint8Array} inside  Schnittform (1 = innen)
+ * @param {number} w
+ * @param {number} h
+ * @param {{
+ *   marginPx: number,
+ *   background?: number[] | null,  Stickergrund [r, g, b] (null = weiß/transparent)
+ *   contrast?: number,             Mindestabstand zum Grund (max. Kanal, 0…255)
+ *   edgeContrast?: number,         Mindest-Helligkeitssprung zum Nachbarpixel für Details
+ *   minHitRatio?: number,          Anteil am Randstreifen, ab dem gewarnt wird
+ *   fullBleedCoverage?: number,    Anteil, ab dem das Motiv als randlos gilt
+ * }} opts
+ * @returns {{
+ *   ok: boolean,
+ *   bandPx: number,
+ *   coverage: number,   Anteil Inhalt im Randstreifen
+ *   hitRatio: number,   Anteil beanstandeter Pixel im Randstreifen
+ *   fullBleed: boolean,
+ *   warnings: Array<{ severity: "warning"|"info", code: string, message: string }>,
+ *   overlay: Uint8Array  0 | SAFE_ZONE_BAND | SAFE_ZONE_HIT
+ * }}
+ */
+export function analyzeSafeZone(rgba, inside, w, h, opts) {
+  const {
+    marginPx,
+    background = null,
+    contrast = 40,
+    edgeContrast = 64,
+    minHitRatio = 0.002,
+    fullBleedCoverage = 0.9,
+  } = opts || {};
+  const bg = background || WHITE;
+
+  const overlay = safeZoneBand(inside, w, h, marginPx);
+
+  // Motiv über dem Stickergrund (so, wie es gedruckt aussieht) + Helligkeit
+  const n = w * h;
+  const lum = new Float32Array(n);
+  const content = new Uint8Array(n);
+  let bandPx = 0;
+  let contentPx = 0;
+  for (let i = 0; i < n; i++) {
+    if (!overlay[i] && !inside[i]) continue;
+    const a = rgba[i * 4 + 3] / 255;
+    let diff = 0;
+    let l = 0;
+    for (let c = 0; c < 3; c++) {
+      const v = rgba[i * 4 + c] * a + bg[c] * (1 - a);
+      diff = Math.max(diff, Math.abs(v - bg[c]));
+      l += v * (c === 0 ? 0.299 : c === 1 ? 0.587 : 0.114);
+    }
+    lum[i] = l;
+    if (!overlay[i]) continue;
+    bandPx++;
+    if (diff > contrast) {
+      content[i] = 1;
+      contentPx++;
+    }
+  }
+
+  const coverage = bandPx ? contentPx / bandPx : 0;
+  const fullBleed = coverage >= fullBleedCoverage;
+
+  // Randloses Motiv: nur Kanten (Schrift, Linien) beanstanden, nicht die Fläche
+  let hitPx = 0;
+  for (let i = 0; i < n; i++) {
+    if (!content[i]) continue;
+    let hit = true;
+    if (fullBleed) {
+      const x = i % w;
+      let jump = 0;
+      if (x > 0 && inside[i - 1]) jump = Math.max(jump, Math.abs(lum[i] - lum[i - 1]));
+      if (x < w - 1 && inside[i + 1]) jump = Math.max(jump, Math.abs(lum[i] - lum[i + 1]));
+      if (i >= w && inside[i - w]) jump = Math.max(jump, Math.abs(lum[i] - lum[i - w]));
+      if (i + w < n && inside[i + w]) jump = Math.max(jump, Math.abs(lum[i] - lum[i + w]));
+      hit = jump > edgeContrast;
+    }
+    if (hit) {
+      overlay[i] = SAFE_ZONE_HIT;
+      hitPx++;
+    }
+  }
+
+  const hitRatio = bandPx ? hitPx / bandPx : 0;
+  const warnings = [];
+  if (hitPx && hitRatio >= minHitRatio) {
+    warnings.push({
+      severity: "warning",
+      code: "safe_zone_content",
+      message: fullBleed
+        ? "Schrift oder Details liegen sehr nah an der Schnittkante und können angeschnitten werden."
+        : "Motiv liegt sehr nah an der Schnittkante und kann angeschnitten werden.",
+    });
+  }
+  if (fullBleed) {
+    warnings.push({
+      severity: "info",
+      code: "safe_zone_full_bleed",
+      message: "Motiv läuft bis zum Rand – ein schmaler Streifen am Rand wird beim Schneiden abgetrennt.",
+    });
+  }
+
+  return {
+    ok: !warnings.some((x) => x.severity === "warning"),
+    bandPx,
+    coverage,
+    hitRatio,
+    fullBleed,
+    warnings,
+    overlay,
+  };
+}
+
+/**
+ * Überlagerungsmaske als RGBA (Randstreifen leicht getönt, Treffer kräftig).
+ *
+ * @param {Uint8Array} overlay  aus analyzeSafeZone
+ * @returns {Uint8ClampedArray}
+ */
+export function safeZoneOverlayRgba(overlay, w, h, { band = [255, 196, 0, 56], hit = [239, 68, 68, 200] } = {}) {
+  const out = new Uint8ClampedArray(w * h * 4);
+  for (let i = 0; i < w * h; i++) {
+    const c = overlay[i] === SAFE_ZONE_HIT ? hit : overlay[i] === SAFE_ZONE_BAND ? band : null;
+    if (c) out.set(c, i * 4);
+  }
+  return out;
+}
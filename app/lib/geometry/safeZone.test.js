@@ -0,0 +1,103 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { SAFE_ZONE_BAND, SAFE_ZONE_HIT, analyzeSafeZone, safeZoneBand } from "./safeZone.js";
+
+const W = 40;
+const H = 30;
+
+// Schnittform: Rechteck mit 5 px Abstand zum Bildrand
+function rectInside(inset = 5) {
+  const inside = new Uint8Array(W * H);
+  for (let y = inset; y < H - inset; y++) for (let x = inset; x < W - inset; x++) inside[y * W + x] = 1;
+  return inside;
+}
+
+// RGBA, paint(x, y) → [r, g, b, a] oder null (transparent)
+function image(paint) {
+  const rgba = new Uint8ClampedArray(W * H * 4);
+  for (let y = 0; y < H; y++) {
+    for (let x = 0; x < W; x++) {
+      const c = paint(x, y);
+      if (c) rgba.set(c, (y * W + x) * 4);
+    }
+  }
+  return rgba;
+}
+
+const BLACK = [0, 0, 0, 255];
+const RED = [200, 30, 30, 255];
+
+test("safeZoneBand: Randstreifen innerhalb der Schnittform", () => {
+  const inside = rectInside();
+  const band = safeZoneBand(inside, W, H, 3);
+  // 30 × 20 Form, 3 px Streifen → 24 × 14 Kern bleibt frei
+  assert.equal(band.reduce((s, v) => s + v, 0), 30 * 20 - 24 * 14);
+  assert.equal(band[15 * W + 20], 0);
+  assert.equal(band[5 * W + 20], 1);
+  assert.equal(band[0], 0, "außerhalb der Form kein Streifen");
+  // Bildrand zählt als außen
+  const full = safeZoneBand(new Uint8Array(W * H).fill(1), W, H, 2);
+  assert.equal(full[1 * W + 20], 1);
+  assert.equal(full[2 * W + 20], 0);
+});
+
+test("analyzeSafeZone: Motiv in der Mitte ist unkritisch", () => {
+  const rgba = image((x, y) => (x >= 15 && x < 25 && y >= 12 && y < 18 ? BLACK : null));
+  const res = analyzeSafeZone(rgba, rectInside(), W, H, { marginPx: 3 });
+  assert.equal(res.ok, true);
+  assert.equal(res.hitRatio, 0);
+  assert.deepEqual(res.warnings, []);
+  assert.ok(res.overlay.includes(SAFE_ZONE_BAND));
+  assert.ok(!res.overlay.includes(SAFE_ZONE_HIT));
+});
+
+test("analyzeSafeZone: Motiv im Randstreifen wird markiert", () => {
+  // Schrift-Balken direkt an der oberen Schnittkante
+  const rgba = image((x, y) => (x >= 12 && x < 28 && y >= 5 && y < 8 ? BLACK : null));
+  const res = analyzeSafeZone(rgba, rectInside(), W, H, { marginPx: 3 });
+  assert.equal(res.ok, false);
+  assert.equal(res.fullBleed, false);
+  assert.deepEqual(
+    res.warnings.map((w) => w.code),
+    ["safe_zone_content"]
+  );
+  assert.equal(res.overlay[6 * W + 20], SAFE_ZONE_HIT);
+  assert.equal(res.overlay[6 * W + 8], SAFE_ZONE_BAND);
+});
+
+test("analyzeSafeZone: Hintergrundfarbe zählt nicht als Motiv", () => {
+  const rgba = image(() => RED);
+  const res = analyzeSafeZone(rgba, rectInside(), W, H, { marginPx: 3, background: [200, 30, 30] });
+  assert.equal(res.ok, true);
+  assert.equal(res.coverage, 0);
+});
+
+test("analyzeSafeZone: randloses Motiv – nur Kanten (Schrift) werden beanstandet", () => {
+  // vollflächig rot: nur Hinweis, keine Warnung
+  const plain = analyzeSafeZone(image(() => RED), rectInside(), W, H, { marginPx: 3 });
+  assert.equal(plain.fullBleed, true);
+  assert.equal(plain.ok, true);
+  assert.deepEqual(
+    plain.warnings.map((w) => w.code),
+    ["safe_zone_full_bleed"]
+  );
+
+  // rot mit weißer Schrift im Randstreifen: Kanten werden Treffer
+  const text = image((x, y) => (x >= 18 && x < 22 && y === 6 ? [255, 255, 255, 255] : RED));
+  const res = analyzeSafeZone(text, rectInside(), W, H, { marginPx: 3 });
+  assert.equal(res.fullBleed, true);
+  assert.equal(res.ok, false);
+  assert.deepEqual(res.warnings.map((w) => w.code).sort(), ["safe_zone_content", "safe_zone_full_bleed"]);
+  // Treffer liegen auf den Kanten rund um die Schrift
+  assert.equal(res.overlay[5 * W + 19], SAFE_ZONE_HIT);
+  assert.equal(res.overlay[6 * W + 17], SAFE_ZONE_HIT);
+  assert.equal(res.overlay[7 * W + 10], SAFE_ZONE_BAND, "Fläche ohne Kante bleibt unmarkiert");
+  assert.equal(res.overlay[15 * W + 20], 0, "Kern liegt außerhalb des Streifens");
+});
+
+test("analyzeSafeZone: Abstand 0 prüft nichts", () => {
+  const rgba = image(() => BLACK);
+  const res = analyzeSafeZone(rgba, rectInside(), W, H, { marginPx: 0 });
+  assert.equal(res.bandPx, 0);
+  assert.equal(res.ok, true);
+});
@@ -0,0 +1,84 @@
+/**
+ * app/lib/geometry/simplify.js
+ *
+ * Douglas–Peucker-Vereinfachung für offene Linien und geschlossene Ringe.
+ * Punkte: [[x, y], …], Toleranz in denselben Einheiten.
+ */
+
+function sqSegDist(p, p1, p2) {
+  let x = p1[0];
+  let y = p1[1];
+  let dx = p2[0] - x;
+  let dy = p2[1] - y;
+
+  if (dx !== 0 || dy !== 0) {
+    const t = ((p[0] - x) * dx + (p[1] - y) * dy) / (dx * dx + dy * dy);
+    if (t > 1) {
+      x = p2[0];
+      y = p2[1];
+    } else if (t > 0) {
+      x += dx * t;
+      y += dy * t;
+    }
+  }
+
+  dx = p[0] - x;
+  dy = p[1] - y;
+  return dx * dx + dy * dy;
+}
+
+/** Offene Linie; Start- und Endpunkt bleiben erhalten */
+export function simplifyPolyline(points, tolerance) {
+  if (!points || points.length <= 2) return points || [];
+
+  const sqTolerance = Math.max(0, Number(tolerance) || 0) ** 2;
+  const keep = new Uint8Array(points.length);
+  keep[0] = 1;
+  keep[points.length - 1] = 1;
+
+  // iterativ statt rekursiv: lange Konturen sprengen sonst den Stack
+  const stack = [[0, points.length - 1]];
+  while (stack.length) {
+    const [first, last] = stack.pop();
+    let maxSqDist = sqTolerance;
+    let index = -1;
+    for (let i = first + 1; i < last; i++) {
+      const d = sqSegDist(points[i], points[first], points[last]);
+      if (d > maxSqDist) {
+        index = i;
+        maxSqDist = d;
+      }
+    }
+    if (index !== -1) {
+      keep[index] = 1;
+      stack.push([first, index], [index, last]);
+    }
+  }
+
+  return points.filter((_, i) => keep[i]);
+}
+
+/**
+ * Geschlossener Ring: am ersten und am davon entferntesten Punkt teilen,
+ * beide Hälften getrennt vereinfachen.
+ */
+export function simplifyRing(ring, tolerance) {
+  if (!ring || ring.length <= 4) return ring || [];
+
+  let far = 0;
+  let farDist = -1;
+  for (let i = 1; i < ring.length; i++) {
+    const dx = ring[i][0] - ring[0][0];
+    const dy = ring[i][1] - ring[0][1];
+    const d = dx * dx + dy * dy;
+    if (d > farDist) {
+      farDist = d;
+      far = i;
+    }
+  }
+
+  const a = simplifyPolyline(ring.slice(0, far + 1), tolerance);
+  const b = simplifyPolyline([...ring.slice(far), ring[0]], tolerance);
+  // Endpunkte kommen in beiden Hälften vor
+  return [...a.slice(0, -1), ...b.slice(0, -1)];
+}
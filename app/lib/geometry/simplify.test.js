@@ -0,0 +1,89 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { simplifyPolyline, simplifyRing } from "./simplify.js";
+
+// Quadrat mit Zwischenpunkten, Startpunkt mitten auf einer Kante
+function squareRing(size, perSide) {
+  const corners = [
+    [0, 0],
+    [size, 0],
+    [size, size],
+    [0, size],
+  ];
+  const pts = [];
+  for (let k = 0; k < 4; k++) {
+    const [ax, ay] = corners[k];
+    const [bx, by] = corners[(k + 1) % 4];
+    for (let i = 0; i < perSide; i++) pts.push([ax + ((bx - ax) * i) / perSide, ay + ((by - ay) * i) / perSide]);
+  }
+  return [...pts.slice(perSide / 2), ...pts.slice(0, perSide / 2)];
+}
+
+function segDist(p, a, b) {
+  const dx = b[0] - a[0];
+  const dy = b[1] - a[1];
+  const t = Math.max(0, Math.min(1, ((p[0] - a[0]) * dx + (p[1] - a[1]) * dy) / (dx * dx + dy * dy || 1)));
+  return Math.hypot(p[0] - a[0] - t * dx, p[1] - a[1] - t * dy);
+}
+
+function maxRingDeviation(ring, simplified) {
+  return Math.max(
+    ...ring.map((p) =>
+      Math.min(...simplified.map((a, i) => segDist(p, a, simplified[(i + 1) % simplified.length])))
+    )
+  );
+}
+
+test("simplifyRing: Quadrat behält die Ecken", () => {
+  const ring = squareRing(20, 10);
+  const out = simplifyRing(ring, 0.5);
+  for (const corner of [
+    [0, 0],
+    [20, 0],
+    [20, 20],
+    [0, 20],
+  ]) {
+    assert.ok(out.some((p) => p[0] === corner[0] && p[1] === corner[1]), `Ecke ${corner}`);
+  }
+  // Startpunkt bleibt erhalten (Teilung am ersten Punkt)
+  assert.ok(out.length <= 6);
+  assert.deepEqual(out[0], ring[0]);
+});
+
+test("simplifyRing: Abweichung bleibt innerhalb der Toleranz", () => {
+  const ring = Array.from({ length: 200 }, (_, i) => {
+    const a = (2 * Math.PI * i) / 200;
+    return [50 + 40 * Math.cos(a), 50 + 25 * Math.sin(a)];
+  });
+  for (const tol of [0.25, 1, 2]) {
+    const out = simplifyRing(ring, tol);
+    assert.ok(out.length < ring.length);
+    assert.ok(maxRingDeviation(ring, out) <= tol + 1e-9, `Toleranz ${tol}`);
+  }
+  assert.ok(simplifyRing(ring, 2).length < simplifyRing(ring, 0.25).length);
+});
+
+test("simplifyRing: kurze Ringe bleiben unverändert", () => {
+  const tri = [
+    [0, 0],
+    [1, 0],
+    [0, 1],
+  ];
+  assert.equal(simplifyRing(tri, 5), tri);
+  assert.deepEqual(simplifyRing(null, 1), []);
+});
+
+test("simplifyPolyline: Endpunkte bleiben, Knick bleibt", () => {
+  const line = [
+    [0, 0],
+    [1, 0.01],
+    [2, 0],
+    [3, 2],
+    [4, 4],
+  ];
+  assert.deepEqual(simplifyPolyline(line, 0.1), [
+    [0, 0],
+    [2, 0],
+    [4, 4],
+  ]);
+});
@@ -0,0 +1,156 @@
+/**
+ * app/lib/pdfArtwork.server.js
+ *
+ * PDF-Motive (z. B. druckfertige Logos von Geschäftskunden):
+ *  - Seite serverseitig rendern (pdfjs-dist + @napi-rs/canvas) → transparentes
+ *    PNG für den Konfigurator, auf den sichtbaren Inhalt zugeschnitten
+ *  - Zuschnitt als PDF-Box merken, damit das Druck-PDF die Originalseite als
+ *    Vektor einsetzen kann (printPdf.server.js, embedPage)
+ */
+import path from "path";
+import sharp from "sharp";
+import { createCanvas } from "@napi-rs/canvas";
+import { getDocument } from "pdfjs-dist/legacy/build/pdf.mjs";
+import { readOriginalUpload } from "./uploadStore.server";
+
+export const PDF_MIME = "application/pdf";
+export const PDF_RENDER_DPI = 300;
+
+// Längste Kante des gerenderten PNG (A4 bei 300 dpi passt knapp)
+const MAX_RENDER_PX = 4096;
+const MAX_PDF_MB = 20;
+const PT_PER_INCH = 72;
+const MM_PER_PT = 25.4 / PT_PER_INCH;
+
+const STANDARD_FONTS = path.resolve(process.cwd(), "node_modules", "pdfjs-dist", "standard_fonts") + path.sep;
+
+export function isPdfUpload(mime, ext) {
+  return String(mime || "").toLowerCase() === PDF_MIME || String(ext || "").toLowerCase() === "pdf";
+}
+
+// Sichtbarer Bereich (Alpha > 0) eines RGBA-Puffers; null = leere Seite
+function alphaBounds(data, width, height) {
+  let minX = width;
+  let minY = height;
+  let maxX = -1;
+  let maxY = -1;
+  for (let y = 0; y < height; y++) {
+    const row = y * width * 4;
+    for (let x = 0; x < width; x++) {
+      if (data[row + x * 4 + 3] === 0) continue;
+      if (x < minX) minX = x;
+      if (x > maxX) maxX = x;
+      if (y < minY) minY = y;
+      if (y > maxY) maxY = y;
+    }
+  }
+  return maxX < 0 ? null : { x: minX, y: minY, w: maxX - minX + 1, h: maxY - minY + 1 };
+}
+
+/**
+ * Rendert eine PDF-Seite als transparentes PNG, zugeschnitten auf den Inhalt.
+ *
+ * @param {Buffer|Uint8Array} bytes
+ * @param {{ page?: number, dpi?: number }} [opts]  page 1-basiert
+ * @returns {Promise<
+ *   | { ok: true, png: Buffer, widthPx: number, heightPx: number, dpi: number,
+ *       page: number, pageCount: number, widthMm: number, heightMm: number,
+ *       box: { left: number, bottom: number, right: number, top: number } | null }
+ *   | { ok: false, error: "invalid_pdf"|"pdf_page_out_of_range"|"pdf_empty_page" }>}
+ *   widthMm/heightMm = Größe des Zuschnitts; box = Zuschnitt in PDF-Punkten
+ *   (nur bei ungedrehten Seiten, sonst null → kein Vektor-Export)
+ */
+export async function renderPdfPage(bytes, { page = 1, dpi = PDF_RENDER_DPI } = {}) {
+  let doc;
+  try {
+    doc = await getDocument({
+      data: new Uint8Array(bytes),
+      isEvalSupported: false,
+      disableFontFace: true,
+      standardFontDataUrl: STANDARD_FONTS,
+      verbosity: 0,
+    }).promise;
+  } catch {
+    return { ok: false, error: "invalid_pdf" };
+  }
+
+  try {
+    const pageCount = doc.numPages;
+    const pageNo = Math.floor(Number(page) || 1);
+    if (pageNo < 1 || pageNo > pageCount) return { ok: false, error: "pdf_page_out_of_range" };
+
+    const pdfPage = await doc.getPage(pageNo);
+    const base = pdfPage.getViewport({ scale: 1 });
+    const scale = Math.min(dpi / PT_PER_INCH, MAX_RENDER_PX / Math.max(base.width, base.height));
+    const viewport = pdfPage.getViewport({ scale });
+
+    const width = Math.max(1, Math.round(viewport.width));
+    const height = Math.max(1, Math.round(viewport.height));
+    const canvas = createCanvas(width, height);
+    const ctx = canvas.getContext("2d");
+    await pdfPage.render({ canvasContext: ctx, viewport, background: "rgba(0,0,0,0)" }).promise;
+
+    const { data } = ctx.getImageData(0, 0, width, height);
+    const crop = alphaBounds(data, width, height);
+    if (!crop) return { ok: false, error: "pdf_empty_page" };
+
+    const png = await sharp(Buffer.from(data.buffer, data.byteOffset, data.byteLength), {
+      raw: { width, height, channels: 4 },
+    })
+      .extract({ left: crop.x, top: crop.y, width: crop.w, height: crop.h })
+      .png()
+      .toBuffer();
+
+    // Zuschnitt zurück in PDF-Koordinaten (Ursprung unten links der MediaBox)
+    let box = null;
+    if (pdfPage.rotate % 360 === 0) {
+      const [x1, y1] = viewport.convertToPdfPoint(crop.x, crop.y + crop.h);
+      const [x2, y2] = viewport.convertToPdfPoint(crop.x + crop.w, crop.y);
+      box = { left: x1, bottom: y1, right: x2, top: y2 };
+    }
+
+    return {
+      ok: true,
+      png,
+      widthPx: crop.w,
+      heightPx: crop.h,
+      dpi: Math.round(scale * PT_PER_INCH * 100) / 100,
+      page: pageNo,
+      pageCount,
+      widthMm: Math.round((crop.w / scale) * MM_PER_PT * 100) / 100,
+      heightMm: Math.round((crop.h / scale) * MM_PER_PT * 100) / 100,
+      box,
+    };
+  } finally {
+    await doc.destroy();
+  }
+}
+
+/** PDF-Box vom Client prüfen (Zahlen, positive Fläche) */
+export function parsePdfBox(box) {
+  const b = {
+    left: Number(box?.left),
+    bottom: Number(box?.bottom),
+    right: Number(box?.right),
+    top: Number(box?.top),
+  };
+  if (!Object.values(b).every(Number.isFinite) || !(b.right > b.left && b.top > b.bottom)) return null;
+  return b;
+}
+
+/**
+ * Original-PDF für den Export laden (nur Upload-Ordner bzw. Shopify-Dateihosts).
+ * @param {string} url
+ * @param {{ shop?: string|null }} [opts]  anfragender Shop (eigener CDN-Host)
+ * @returns {Promise<Buffer|null>}
+ */
+export async function loadPdfArtwork(url, { shop = null } = {}) {
+  if (!url) return null;
+  try {
+    const buf = await readOriginalUpload(String(url), { maxMb: MAX_PDF_MB, shop });
+    return buf && buf.subarray(0, 1024).includes("%PDF-") ? buf : null;
+  } catch (e) {
+    console.warn("[PDF ARTWORK] Original konnte nicht geladen werden:", e?.message || e);
+    return null;
+  }
+}
@@ -0,0 +1,292 @@
+/**
+ * app/lib/printPdf.server.js
+ *
+ * Druckfertiges PDF für RIP-Software (Onyx, Caldera, VersaWorks):
+ *  - Rastermotiv (PNG) in echter Größe (Pixel / DPI) – oder, bei hochgeladenen
+ *    SVG-Motiven, Hintergrund + Motiv als Vektorpfade (vectorArtwork.server.js),
+ *    bei PDF-Motiven die Originalseite als eingebettete Form (pdfArtwork.server.js)
+ *  - Schnittkonturen als Vektorpfade, je Schnittebene (CutContour, KissCut,
+ *    Perforation – cutLayers.server.js) eine Separation-Sonderfarbe
+ *    (Tint-Fallback CMYK) auf einer eigenen PDF-Ebene (Optional Content Group)
+ *    gleichen Namens
+ *  - optional Beschnittzugabe (bleed.server.js): Seite = Nenngröße + Beschnitt,
+ *    TrimBox = Nenngröße, BleedBox = ganze Seite; Schnittkonturen bleiben in Nenngröße
+ */
+import {
+  PDFArray,
+  PDFDocument,
+  PDFName,
+  PDFNumber,
+  PDFOperator,
+  PDFString,
+  clip,
+  cmyk,
+  concatTransformationMatrix,
+  drawSvgPath,
+  endPath,
+  popGraphicsState,
+  pushGraphicsState,
+  rectangle,
+  rgb,
+  setLineCap,
+  setLineJoin,
+} from "pdf-lib";
+import { multiply } from "./svgDocument.server";
+import { CUT_LAYERS, CUT_LAYER_ORDER, DEFAULT_CUT_LAYER } from "./cutLayers.server";
+
+const PT_PER_INCH = 72;
+const MM_PER_INCH = 25.4;
+
+export function pxToPt(px, dpi) {
+  return (Number(px) / Number(dpi)) * PT_PER_INCH;
+}
+
+export function ptToMm(pt) {
+  return (pt / PT_PER_INCH) * MM_PER_INCH;
+}
+
+/**
+ * SVG-Pfad (Pixel-Koordinaten des Export-Canvas) für die geometrischen Formen –
+ * entspricht den <circle>/<ellipse>/<rect>-Cutlines des SVG-Exports.
+ *
+ * @param {string} shapeKey normalisiert: round | oval | rounded | rect
+ * @param {{ w: number, h: number, rw: number, rh: number, radius?: number }} dims
+ *   w/h = Canvas, rw/rh = Sticker-Maße (ohne Padding), radius für "rounded"
+ */
+export function shapeCutPathD(shapeKey, { w, h, rw, rh, radius = 0 }) {
+  const cx = w / 2;
+  const cy = h / 2;
+  if (shapeKey === "round" || shapeKey === "oval") {
+    const rx = shapeKey === "round" ? Math.min(rw, rh) / 2 : rw / 2;
+    const ry = shapeKey === "round" ? rx : rh / 2;
+    return `M ${cx - rx} ${cy} A ${rx} ${ry} 0 1 0 ${cx + rx} ${cy} A ${rx} ${ry} 0 1 0 ${cx - rx} ${cy} Z`;
+  }
+  const r = shapeKey === "rounded" ? Math.max(0, Math.min(radius, w / 2, h / 2)) : 0;
+  if (!r) return `M 0 0 H ${w} V ${h} H 0 Z`;
+  return [
+    `M ${r} 0 H ${w - r}`,
+    `A ${r} ${r} 0 0 1 ${w} ${r} V ${h - r}`,
+    `A ${r} ${r} 0 0 1 ${w - r} ${h} H ${r}`,
+    `A ${r} ${r} 0 0 1 0 ${h - r} V ${r}`,
+    `A ${r} ${r} 0 0 1 ${r} 0 Z`,
+  ].join(" ");
+}
+
+// Separation-Farbraum: [/Separation /CutContour /DeviceCMYK <Tint-Funktion>]
+function createSpotColorSpace(doc, name, c1) {
+  const tint = doc.context.obj({
+    FunctionType: 2,
+    Domain: [0, 1],
+    C0: [0, 0, 0, 0],
+    C1: c1,
+    N: 1,
+  });
+  return doc.context.register(
+    doc.context.obj([PDFName.of("Separation"), PDFName.of(name), PDFName.of("DeviceCMYK"), tint])
+  );
+}
+
+// Ebenen (OCGs) anlegen und im Katalog registrieren
+function createLayers(doc, names) {
+  const ocgs = PDFArray.withContext(doc.context);
+  const refs = names.map((name) => {
+    const ocg = doc.context.register(doc.context.obj({ Type: "OCG", Name: PDFString.of(name) }));
+    ocgs.push(ocg);
+    return ocg;
+  });
+  doc.catalog.set(
+    PDFName.of("OCProperties"),
+    doc.context.obj({ OCGs: ocgs, D: { Order: ocgs, ON: ocgs } })
+  );
+  return refs;
+}
+
+function setResource(page, kind, key, ref) {
+  const resources = page.node.Resources();
+  let dict = resources.lookup(PDFName.of(kind));
+  if (!dict) {
+    dict = page.doc.context.obj({});
+    resources.set(PDFName.of(kind), dict);
+  }
+  dict.set(PDFName.of(key), ref);
+}
+
+const LINE_CAPS = { butt: 0, round: 1, square: 2 };
+const LINE_JOINS = { miter: 0, round: 1, bevel: 2 };
+
+function toRgb(c) {
+  return rgb(c[0] / 255, c[1] / 255, c[2] / 255);
+}
+
+// Füllregel: drawSvgPath schließt immer mit f/B (nonzero)
+function withFillRule(ops, fillRule) {
+  if (fillRule !== "evenodd") return ops;
+  return ops.map((op) => (op.name === "f" ? PDFOperator.of("f*") : op.name === "B" ? PDFOperator.of("B*") : op));
+}
+
+/**
+ * Operatoren für ein zerlegtes Vektormotiv.
+ * rect = Zielrechteck in Export-Pixeln, viewBox = Koordinatensystem des Motivs
+ * (preserveAspectRatio "xMidYMid meet" wie im Export-SVG).
+ */
+function vectorArtOperators({ shapes, rect, viewBox }, { scale, pageH }) {
+  const k = Math.min(rect.w / viewBox.w, rect.h / viewBox.h);
+  const ox = rect.x + (rect.w - viewBox.w * k) / 2 - viewBox.x * k;
+  const oy = rect.y + (rect.h - viewBox.h * k) / 2 - viewBox.y * k;
+  // Motiv → Export-Pixel → PDF-Punkte (y nach oben)
+  const toPage = multiply([scale, 0, 0, -scale, 0, pageH], [k, 0, 0, k, ox, oy]);
+
+  // Viewport des Motivs begrenzen wie das verschachtelte <svg> im Export
+  const ops = [
+    pushGraphicsState(),
+    rectangle(rect.x * scale, pageH - (rect.y + rect.h) * scale, rect.w * scale, rect.h * scale),
+    clip(),
+    endPath(),
+  ];
+  for (const shape of shapes) {
+    // drawSvgPath spiegelt selbst (scale 1 −1) – hier vorab aufheben
+    const [a, b, c, d, e, f] = multiply(multiply(toPage, shape.matrix), [1, 0, 0, -1, 0, 0]);
+    ops.push(
+      pushGraphicsState(),
+      concatTransformationMatrix(a, b, c, d, e, f),
+      setLineCap(LINE_CAPS[shape.lineCap] ?? 0),
+      setLineJoin(LINE_JOINS[shape.lineJoin] ?? 0),
+      PDFOperator.of("M", [PDFNumber.of(4)]), // SVG-Standard stroke-miterlimit
+      ...withFillRule(
+        drawSvgPath(shape.d, {
+          x: 0,
+          y: 0,
+          scale: 1,
+          color: shape.fill ? toRgb(shape.fill) : undefined,
+          borderColor: shape.stroke ? toRgb(shape.stroke) : undefined,
+          borderWidth: shape.stroke ? shape.strokeWidth : 0,
+        }),
+        shape.fillRule
+      ),
+      popGraphicsState()
+    );
+  }
+  ops.push(popGraphicsState());
+  return ops;
+}
+
+/**
+ * @param {{
+ *   pngBuffer: Buffer,         // bei bleedPx > 0 inkl. Beschnitt (addRasterBleed)
+ *   widthPx: number, heightPx: number, dpi: number,  // Nenngröße (ohne Beschnitt)
+ *   bleedPx?: number,
+ *   cutPathsD?: string[],      // SVG-Pfade in Pixel-Koordinaten (Ebene CutContour)
+ *   cutLayers?: Array<{ name: string, pathsD: string[] }>,  // weitere Schnittebenen
+ *   cutStrokePt?: number,
+ *   title?: string,
+ *   vectorArt?: { shapes: import("./vectorArtwork.server").VectorShape[],
+ *                 rect: { x: number, y: number, w: number, h: number },
+ *                 viewBox: { x: number, y: number, w: number, h: number } } | null,
+ *   pdfArt?: { bytes: Uint8Array, pageIndex: number,
+ *              box: { left: number, bottom: number, right: number, top: number },
+ *              rect: { x: number, y: number, w: number, h: number } } | null,
+ *   background?: { d: string, color: number[] } | null,  // nur mit vectorArt/pdfArt
+ * }} input
+ *   Mit vectorArt bzw. pdfArt ersetzt das Vektormotiv (plus Hintergrundfläche) das PNG.
+ * @returns {Promise<{ bytes: Uint8Array, widthMm: number, heightMm: number, bleedMm: number, cutLayers: string[] }>}
+ *   widthMm/heightMm = Nenngröße (TrimBox); cutLayers = tatsächlich geschriebene
+ *   Schnittebenen (in Schnittreihenfolge)
+ */
+export async function buildPrintPdf({
+  pngBuffer,
+  widthPx,
+  heightPx,
+  dpi,
+  bleedPx = 0,
+  cutPathsD = [],
+  cutLayers = [],
+  cutStrokePt = 0.25,
+  title = "Sticker",
+  vectorArt = null,
+  pdfArt = null,
+  background = null,
+}) {
+  const doc = await PDFDocument.create();
+  doc.setTitle(title);
+  doc.setProducer("sticker-configurator");
+
+  // pageW/pageH = Nenngröße; bei Beschnitt liegt sie um bleedPt versetzt auf der Seite
+  const pageW = pxToPt(widthPx, dpi);
+  const pageH = pxToPt(heightPx, dpi);
+  const bleedPt = Math.max(0, pxToPt(bleedPx, dpi));
+  const page = doc.addPage([pageW + 2 * bleedPt, pageH + 2 * bleedPt]);
+
+  const scale = pageW / widthPx;
+
+  if (bleedPt) {
+    page.setTrimBox(bleedPt, bleedPt, pageW, pageH);
+    page.setBleedBox(0, 0, pageW + 2 * bleedPt, pageH + 2 * bleedPt);
+    page.pushOperators(pushGraphicsState(), concatTransformationMatrix(1, 0, 0, 1, bleedPt, bleedPt));
+  }
+
+  if (vectorArt || pdfArt) {
+    if (background?.d) {
+      // Beschnitt: Hintergrundfläche per gleichfarbiger Kontur über den Schnitt hinaus
+      const color = toRgb(background.color);
+      const bleedStroke = bleedPx > 0 ? { borderColor: color, borderWidth: 2 * bleedPx } : {};
+      page.pushOperators(...drawSvgPath(background.d, { x: 0, y: pageH, scale, color, ...bleedStroke }));
+    }
+    if (vectorArt) {
+      page.pushOperators(...vectorArtOperators(vectorArt, { scale, pageH }));
+    } else {
+      const src = await PDFDocument.load(pdfArt.bytes);
+      const embedded = await doc.embedPage(src.getPage(pdfArt.pageIndex), pdfArt.box);
+      const { x, y, w, h } = pdfArt.rect;
+      page.drawPage(embedded, { x: x * scale, y: pageH - (y + h) * scale, width: w * scale, height: h * scale });
+    }
+  } else {
+    const png = await doc.embedPng(pngBuffer);
+    page.drawImage(png, { x: -bleedPt, y: -bleedPt, width: pageW + 2 * bleedPt, height: pageH + 2 * bleedPt });
+  }
+
+  // Pfade je Ebene sammeln; Reihenfolge im Content-Stream = Schnittreihenfolge
+  const byLayer = new Map();
+  for (const { name, pathsD } of [{ name: DEFAULT_CUT_LAYER, pathsD: cutPathsD }, ...cutLayers]) {
+    const list = (pathsD || []).filter(Boolean);
+    if (!list.length || !CUT_LAYERS[name]) continue;
+    byLayer.set(name, [...(byLayer.get(name) || []), ...list]);
+  }
+  const layerNames = CUT_LAYER_ORDER.filter((name) => byLayer.has(name));
+
+  if (layerNames.length) {
+    const ocgs = createLayers(doc, layerNames);
+    const ops = [];
+    layerNames.forEach((name, i) => {
+      setResource(page, "ColorSpace", `CS${i}`, createSpotColorSpace(doc, name, CUT_LAYERS[name].cmyk));
+      setResource(page, "Properties", `OC${i}`, ocgs[i]);
+
+      ops.push(PDFOperator.of("BDC", [PDFName.of("OC"), PDFName.of(`OC${i}`)]));
+      for (const d of byLayer.get(name)) {
+        // drawSvgPath liefert die Pfad-Operatoren; die Platzhalter-Farbe (K)
+        // wird durch die Sonderfarbe ersetzt: /CSn CS 1 SCN
+        const pathOps = drawSvgPath(d, {
+          x: 0,
+          y: pageH,
+          scale,
+          borderColor: cmyk(...CUT_LAYERS[name].cmyk),
+          borderWidth: cutStrokePt / scale,
+        });
+        for (const op of pathOps) {
+          if (op.name === "K") {
+            ops.push(PDFOperator.of("CS", [PDFName.of(`CS${i}`)]), PDFOperator.of("SCN", [doc.context.obj(1)]));
+          } else {
+            ops.push(op);
+          }
+        }
+      }
+      ops.push(PDFOperator.of("EMC"));
+    });
+    page.pushOperators(...ops);
+  }
+
+  if (bleedPt) page.pushOperators(popGraphicsState());
+
+  // Ohne Object Streams (PDF 1.5) – ältere RIPs lesen sonst die Farbräume nicht
+  const bytes = await doc.save({ useObjectStreams: false });
+  return { bytes, widthMm: ptToMm(pageW), heightMm: ptToMm(pageH), bleedMm: ptToMm(bleedPt), cutLayers: layerNames };
+}
@@ -0,0 +1,185 @@
+/**
+ * app/lib/rasterUpload.server.js
+ *
+ * Normalisierung hochgeladener Rasterbilder vor dem Speichern:
+ *  - EXIF-Orientierung anwenden (Handyfotos)
+ *  - in sRGB umrechnen (eingebettetes ICC-Profil, CMYK-JPEGs)
+ *  - Metadaten entfernen (EXIF inkl. GPS, XMP, IPTC)
+ *  - TIFF/HEIF/BMP → PNG, damit Browser-Canvas und Druckexport sie verarbeiten
+ *
+ * Das unveränderte Original bleibt für die Produktion erhalten (Upload-Route).
+ * Die eingebettete Dichte (DPI) wird vorher aus dem Original gelesen.
+ */
+import sharp from "sharp";
+import { readImageDensity } from "../utils/imageDpi";
+
+// Endungen, die auch ohne (korrekten) MIME-Type vom Browser als Bild gelten
+const RASTER_EXTS = new Set(["png", "jpg", "jpeg", "webp", "gif", "avif", "tif", "tiff", "heic", "heif", "bmp"]);
+
+// Formate, die unverändert im Ursprungsformat bleiben dürfen
+const KEEP_FORMATS = new Set(["jpeg", "png", "webp"]);
+
+const FORMAT_EXT = { jpeg: "jpg", png: "png", webp: "webp" };
+const FORMAT_MIME = { jpeg: "image/jpeg", png: "image/png", webp: "image/webp" };
+
+export function isRasterUpload(mime, ext) {
+  return String(mime || "").toLowerCase().startsWith("image/") || RASTER_EXTS.has(String(ext || "").toLowerCase());
+}
+
+function isHeic(mime, ext) {
+  return /^image\/hei[cf]/.test(String(mime || "").toLowerCase()) || ["heic", "heif"].includes(String(ext || "").toLowerCase());
+}
+
+// ── BMP ───────────────────────────────────────────────────────────────────
+// sharp/libvips liest kein BMP → unkomprimierte Varianten selbst dekodieren
+
+function maskChannel(mask) {
+  if (!mask) return null;
+  let shift = 0;
+  while (!((mask >>> shift) & 1)) shift++;
+  const max = mask >>> shift;
+  return (px) => Math.round((((px & mask) >>> shift) * 255) / max);
+}
+
+/**
+ * @param {Buffer} buf
+ * @returns {{ data: Buffer, width: number, height: number } | null}  RGBA, null = kein/unbekanntes BMP
+ */
+function decodeBmp(buf) {
+  if (buf.length < 54 || buf.toString("latin1", 0, 2) !== "BM") return null;
+  const dataOffset = buf.readUInt32LE(10);
+  const headerSize = buf.readUInt32LE(14);
+  const width = buf.readInt32LE(18);
+  const rawHeight = buf.readInt32LE(22);
+  const bpp = buf.readUInt16LE(28);
+  const compression = buf.readUInt32LE(30);
+  const height = Math.abs(rawHeight);
+  const topDown = rawHeight < 0;
+  if (!(width > 0 && height > 0) || headerSize < 40) return null;
+
+  // BI_RGB (0) oder BI_BITFIELDS (3) / BI_ALPHABITFIELDS (6); RLE wird nicht unterstützt
+  const bitfields = compression === 3 || compression === 6;
+  if (compression !== 0 && !bitfields) return null;
+  if (![1, 4, 8, 16, 24, 32].includes(bpp)) return null;
+
+  // Masken: bei V4/V5-Headern im Header, sonst direkt dahinter
+  let masks = null;
+  if (bpp === 16 || bpp === 32) {
+    if (bitfields) {
+      const at = headerSize >= 52 ? 54 : 14 + headerSize;
+      const alphaAt = headerSize >= 56 ? 66 : compression === 6 ? at + 12 : -1;
+      masks = [buf.readUInt32LE(at), buf.readUInt32LE(at + 4), buf.readUInt32LE(at + 8), alphaAt > 0 ? buf.readUInt32LE(alphaAt) : 0];
+    } else {
+      masks = bpp === 16 ? [0x7c00, 0x03e0, 0x001f, 0] : [0xff0000, 0xff00, 0xff, 0xff000000];
+    }
+  }
+  const channels = masks?.map(maskChannel);
+
+  const paletteAt = 14 + headerSize + (bitfields && headerSize === 40 ? 12 : 0);
+  const colorsUsed = buf.readUInt32LE(46) || (bpp <= 8 ? 1 << bpp : 0);
+
+  const stride = Math.floor((bpp * width + 31) / 32) * 4;
+  if (dataOffset + stride * height > buf.length) return null;
+
+  const out = Buffer.alloc(width * height * 4);
+  let anyAlpha = false;
+  for (let y = 0; y < height; y++) {
+    const row = dataOffset + (topDown ? y : height - 1 - y) * stride;
+    for (let x = 0; x < width; x++) {
+      const o = (y * width + x) * 4;
+      if (bpp <= 8) {
+        const bit = x * bpp;
+        const idx = (buf[row + (bit >> 3)] >> (8 - bpp - (bit & 7))) & ((1 << bpp) - 1);
+        if (idx >= colorsUsed) continue;
+        const p = paletteAt + idx * 4;
+        out[o] = buf[p + 2];
+        out[o + 1] = buf[p + 1];
+        out[o + 2] = buf[p];
+        out[o + 3] = 255;
+      } else if (bpp === 24) {
+        const p = row + x * 3;
+        out[o] = buf[p + 2];
+        out[o + 1] = buf[p + 1];
+        out[o + 2] = buf[p];
+        out[o + 3] = 255;
+      } else {
+        const px = bpp === 16 ? buf.readUInt16LE(row + x * 2) : buf.readUInt32LE(row + x * 4);
+        out[o] = channels[0](px);
+        out[o + 1] = channels[1](px);
+        out[o + 2] = channels[2](px);
+        out[o + 3] = channels[3] ? channels[3](px) : 255;
+        if (out[o + 3]) anyAlpha = true;
+      }
+    }
+  }
+  // 32-Bit-BMPs mit unbenutztem (0) Alphakanal sind deckend gemeint
+  if (bpp === 32 && !anyAlpha) for (let i = 3; i < out.length; i += 4) out[i] = 255;
+
+  return { data: out, width, height };
+}
+
+// ── Normalisierung ────────────────────────────────────────────────────────
+
+/**
+ * Normalisiert ein hochgeladenes Rasterbild.
+ *
+ * @param {Buffer} buffer
+ * @param {{ mime?: string, ext?: string }} [hint]  Angaben des Browsers (nur für Fehlermeldungen)
+ * @returns {Promise<
+ *   | { ok: true, changed: boolean, buffer: Buffer, ext: string, mime: string,
+ *       widthPx: number, heightPx: number, steps: string[],
+ *       density: { dpiX: number, dpiY: number, source: string } | null }
+ *   | { ok: false, error: "unsupported_image"|"heic_not_supported" }>}
+ *   changed = false → buffer ist das Original (nichts zu tun)
+ *   steps   = durchgeführte Schritte (orient, srgb, strip, convert:<format>)
+ *   density = eingebettete Dichte des Originals (Achsen wie widthPx/heightPx)
+ */
+export async function normalizeRasterUpload(buffer, { mime, ext } = {}) {
+  const bmp = decodeBmp(buffer);
+  const input = bmp
+    ? sharp(bmp.data, { raw: { width: bmp.width, height: bmp.height, channels: 4 } })
+    : sharp(buffer, { failOn: "error" });
+
+  let meta;
+  try {
+    meta = await input.metadata();
+  } catch {
+    // Vorkompiliertes sharp kann HEIF nur mit AV1 (AVIF), nicht mit HEVC (iPhone-HEIC)
+    return { ok: false, error: isHeic(mime, ext) ? "heic_not_supported" : "unsupported_image" };
+  }
+
+  const format = bmp ? "bmp" : meta.format;
+  const density = readImageDensity(buffer);
+  // Animierte GIFs nicht anfassen (sharp würde nur das erste Bild behalten)
+  if (format === "gif") {
+    return { ok: true, changed: false, buffer, ext: "gif", mime: "image/gif", widthPx: meta.width, heightPx: meta.pageHeight || meta.height, steps: [], density };
+  }
+
+  const outFormat = KEEP_FORMATS.has(format) ? format : "png";
+  const steps = [];
+  if ((meta.orientation || 1) > 1) steps.push("orient");
+  if (meta.icc || (meta.space && meta.space !== "srgb" && meta.space !== "b-w")) steps.push("srgb");
+  if (meta.exif || meta.xmp || meta.iptc) steps.push("strip");
+  if (outFormat !== format) steps.push(`convert:${outFormat}`);
+
+  const rotated = (meta.orientation || 1) >= 5;
+  const widthPx = rotated ? meta.height : meta.width;
+  const heightPx = rotated ? meta.width : meta.height;
+
+  if (!steps.length) {
+    return { ok: true, changed: false, buffer, ext: FORMAT_EXT[format], mime: FORMAT_MIME[format], widthPx, heightPx, steps, density };
+  }
+
+  // sharp rechnet ohne withMetadata() über das ICC-Profil nach sRGB und verwirft alle Metadaten
+  let pipeline = input.autoOrient().toColourspace("srgb");
+  if (outFormat === "jpeg") pipeline = pipeline.jpeg({ quality: 95, chromaSubsampling: "4:4:4" });
+  else if (outFormat === "webp") pipeline = pipeline.webp({ quality: 95, alphaQuality: 100 });
+  else pipeline = pipeline.png();
+
+  try {
+    const out = await pipeline.toBuffer();
+    return { ok: true, changed: true, buffer: out, ext: FORMAT_EXT[outFormat], mime: FORMAT_MIME[outFormat], widthPx, heightPx, steps, density };
+  } catch {
+    return { ok: false, error: isHeic(mime, ext) ? "heic_not_supported" : "unsupported_image" };
+  }
+}
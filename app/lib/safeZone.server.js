@@ -0,0 +1,75 @@
+/**
+ * app/lib/safeZone.server.js
+ *
+ * Sicherheitsabstand beim Export: prüft das Export-PNG gegen die Schnittform
+ * (analyzeSafeZone, gleiche Regeln wie im Konfigurator) und liefert Warnungen
+ * plus eine Überlagerungsmaske als PNG-Data-URL in Export-Proportionen.
+ *
+ * Konfiguration im Katalog (CatalogShape.meta): { safeMarginMm: 3 }
+ * Der Export-Request kann safeMarginMm überschreiben (0 = keine Prüfung).
+ */
+import sharp from "sharp";
+import { DEFAULT_SAFE_MARGIN_MM, MAX_SAFE_MARGIN_MM, analyzeSafeZone, safeZoneOverlayRgba } from "./geometry";
+import { cutPathMask } from "./bleed.server";
+
+// Analyse auf verkleinertem Raster: der Streifen ist einige mm breit, feinere
+// Auflösung ändert das Ergebnis nicht, kostet aber Speicher (Distanztransformation)
+const ANALYSIS_MAX_PX = 800;
+
+/**
+ * Sicherheitsabstand aus Request bzw. Katalog-Meta.
+ *
+ * @param {{ safeMarginMm?: any }} [requested]
+ * @param {{ safeMarginMm?: number } | null} [meta]
+ * @returns {{ mm: number }}
+ */
+export function resolveSafeMargin(requested = {}, meta = null) {
+  const mm = Number(requested?.safeMarginMm ?? meta?.safeMarginMm ?? DEFAULT_SAFE_MARGIN_MM);
+  return { mm: Number.isFinite(mm) ? Math.min(MAX_SAFE_MARGIN_MM, Math.max(0, mm)) : DEFAULT_SAFE_MARGIN_MM };
+}
+
+/**
+ * @param {Buffer} pngBuffer  Export-Raster in Nenngröße
+ * @param {{ cutPathD: string, marginPx: number, background?: number[] | null }} opts
+ *   cutPathD = Schnittform in Pixel-Koordinaten des PNG, marginPx in Export-Pixeln,
+ *   background = Stickergrund [r, g, b] (null = ohne Hintergrundfarbe)
+ * @returns {Promise<{
+ *   ok: boolean, coverage: number, hitRatio: number, fullBleed: boolean,
+ *   warnings: Array<{ severity: string, code: string, message: string }>,
+ *   overlayDataUrl: string, overlayWidthPx: number, overlayHeightPx: number
+ * }>}
+ */
+export async function analyzeExportSafeZone(pngBuffer, { cutPathD, marginPx, background = null }) {
+  const meta = await sharp(pngBuffer).metadata();
+  const scale = Math.min(1, ANALYSIS_MAX_PX / Math.max(meta.width || 1, meta.height || 1));
+  const w = Math.max(1, Math.round((meta.width || 1) * scale));
+  const h = Math.max(1, Math.round((meta.height || 1) * scale));
+
+  const { data } = await sharp(pngBuffer)
+    .ensureAlpha()
+    .resize(w, h, { fit: "fill" })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  // Halb abgedeckte Kantenpixel zählen zur Form (Streifen reicht bis an die Kontur)
+  const inside = cutPathMask(cutPathD, w, h, { scale, minCover: 128 });
+  const res = analyzeSafeZone(data, inside, w, h, { marginPx: marginPx * scale, background });
+
+  const overlay = safeZoneOverlayRgba(res.overlay, w, h);
+  const overlayPng = await sharp(Buffer.from(overlay.buffer, overlay.byteOffset, overlay.byteLength), {
+    raw: { width: w, height: h, channels: 4 },
+  })
+    .png()
+    .toBuffer();
+
+  return {
+    ok: res.ok,
+    coverage: Math.round(res.coverage * 1000) / 1000,
+    hitRatio: Math.round(res.hitRatio * 1000) / 1000,
+    fullBleed: res.fullBleed,
+    warnings: res.warnings,
+    overlayDataUrl: `data:image/png;base64,${overlayPng.toString("base64")}`,
+    overlayWidthPx: w,
+    overlayHeightPx: h,
+  };
+}
@@ -0,0 +1,291 @@
+/**
+ * app/lib/svgDocument.server.js
+ *
+ * Kleiner, abhängigkeitsfreier SVG/XML-Parser für hochgeladene Vektorgrafiken.
+ * Liefert einen Baum { name, attrs, children, text } und Hilfen für viewBox,
+ * Transformationen und Farben. Kein vollständiger XML-Parser: DOCTYPE,
+ * Kommentare, Processing Instructions und CDATA werden übersprungen.
+ */
+
+/**
+ * @typedef {Object} SvgNode
+ * @property {string} name            Elementname (Schreibweise wie im Original, ohne Präfix "svg:")
+ * @property {Record<string, string>} attrs
+ * @property {SvgNode[]} children
+ * @property {string} text            Textinhalt (nur direkte Textknoten)
+ */
+
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" };
+
+function decodeEntities(s) {
+  return String(s).replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (m, e) => {
+    if (e[0] === "#") {
+      const code = e[1] === "x" || e[1] === "X" ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : m;
+    }
+    return ENTITIES[e.toLowerCase()] ?? m;
+  });
+}
+
+function escapeXml(s) {
+  return String(s).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+const ATTR_RE = /([^\s=/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+
+// Position des schließenden ">" ab from; ">" in Attributwerten ("…" / '…') zählt nicht
+function tagEnd(src, from) {
+  let quote = "";
+  for (let i = from; i < src.length; i++) {
+    const c = src[i];
+    if (quote) {
+      if (c === quote) quote = "";
+    } else if (c === '"' || c === "'") {
+      quote = c;
+    } else if (c === ">") {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Parst SVG-Text. Wirft bei kaputtem Markup oder fehlendem <svg>-Wurzelelement.
+ * @param {string} text
+ * @returns {SvgNode}
+ */
+export function parseSvg(text) {
+  const src = String(text || "");
+  const root = { name: "#document", attrs: {}, children: [], text: "" };
+  const stack = [root];
+  let i = 0;
+
+  while (i < src.length) {
+    const lt = src.indexOf("<", i);
+    if (lt < 0) {
+      stack[stack.length - 1].text += decodeEntities(src.slice(i));
+      break;
+    }
+    if (lt > i) stack[stack.length - 1].text += decodeEntities(src.slice(i, lt));
+
+    if (src.startsWith("<!--", lt)) {
+      const end = src.indexOf("-->", lt + 4);
+      if (end < 0) throw new Error("svg_unterminated_comment");
+      i = end + 3;
+      continue;
+    }
+    if (src.startsWith("<![CDATA[", lt)) {
+      const end = src.indexOf("]]>", lt + 9);
+      if (end < 0) throw new Error("svg_unterminated_cdata");
+      stack[stack.length - 1].text += src.slice(lt + 9, end);
+      i = end + 3;
+      continue;
+    }
+    if (src.startsWith("<?", lt) || src.startsWith("<!", lt)) {
+      // <?xml …?>, <!DOCTYPE …> (interne Subsets mit [] werden mit übersprungen)
+      let end = tagEnd(src, lt);
+      const bracket = src.indexOf("[", lt);
+      if (bracket >= 0 && bracket < end) end = src.indexOf("]>", bracket) + 1;
+      if (end <= 0) throw new Error("svg_unterminated_declaration");
+      i = end + 1;
+      continue;
+    }
+
+    const gt = tagEnd(src, lt);
+    if (gt < 0) throw new Error("svg_unterminated_tag");
+    const raw = src.slice(lt + 1, gt);
+
+    if (raw[0] === "/") {
+      const name = raw.slice(1).trim().replace(/^svg:/, "");
+      const open = stack.pop();
+      if (!open || open === root || open.name !== name) throw new Error("svg_mismatched_tag");
+      i = gt + 1;
+      continue;
+    }
+
+    const selfClosing = raw.endsWith("/");
+    const body = selfClosing ? raw.slice(0, -1) : raw;
+    const nameMatch = body.match(/^\s*([^\s/>]+)/);
+    if (!nameMatch) throw new Error("svg_invalid_tag");
+
+    const node = {
+      name: nameMatch[1].replace(/^svg:/, ""),
+      attrs: {},
+      children: [],
+      text: "",
+    };
+    const attrSrc = body.slice(nameMatch[0].length);
+    for (const m of attrSrc.matchAll(ATTR_RE)) {
+      node.attrs[m[1]] = decodeEntities(m[2] ?? m[3] ?? m[4] ?? "");
+    }
+
+    stack[stack.length - 1].children.push(node);
+    if (!selfClosing) stack.push(node);
+    i = gt + 1;
+  }
+
+  if (stack.length !== 1) throw new Error("svg_unclosed_tag");
+  const svg = root.children.find((c) => c.name === "svg");
+  if (!svg) throw new Error("svg_missing_root");
+  return svg;
+}
+
+/** Baum zurück in Markup (Attribute/Text escaped). */
+export function serializeSvg(node) {
+  const attrs = Object.entries(node.attrs)
+    .map(([k, v]) => ` ${k}="${escapeXml(v)}"`)
+    .join("");
+  const inner = (node.text.trim() ? escapeXml(node.text) : "") + node.children.map(serializeSvg).join("");
+  return inner ? `<${node.name}${attrs}>${inner}</${node.name}>` : `<${node.name}${attrs}/>`;
+}
+
+/** Längenangabe in px (px, mm, cm, in, pt; % und em → NaN). */
+export function parseLength(v) {
+  const m = String(v ?? "").trim().match(/^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)(px|mm|cm|in|pt)?$/i);
+  if (!m) return NaN;
+  const n = Number(m[1]);
+  const unit = (m[2] || "px").toLowerCase();
+  const factor = { px: 1, mm: 96 / 25.4, cm: 96 / 2.54, in: 96, pt: 96 / 72 }[unit];
+  return n * factor;
+}
+
+/**
+ * Koordinatensystem des Wurzelelements: viewBox, sonst width/height.
+ * @returns {{ x: number, y: number, w: number, h: number } | null}
+ */
+export function svgViewBox(svg) {
+  const vb = String(svg.attrs.viewBox || svg.attrs.viewbox || "")
+    .trim()
+    .split(/[\s,]+/)
+    .map(Number);
+  if (vb.length === 4 && vb.every(Number.isFinite) && vb[2] > 0 && vb[3] > 0) {
+    return { x: vb[0], y: vb[1], w: vb[2], h: vb[3] };
+  }
+  const w = parseLength(svg.attrs.width);
+  const h = parseLength(svg.attrs.height);
+  return w > 0 && h > 0 ? { x: 0, y: 0, w, h } : null;
+}
+
+// ── Transformationen ──────────────────────────────────────────────────────
+// Matrix [a, b, c, d, e, f] wie SVG matrix(): x' = a·x + c·y + e, y' = b·x + d·y + f
+
+export const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+/** m1 ∘ m2 (erst m2, dann m1) */
+export function multiply(m1, m2) {
+  const [a1, b1, c1, d1, e1, f1] = m1;
+  const [a2, b2, c2, d2, e2, f2] = m2;
+  return [
+    a1 * a2 + c1 * b2,
+    b1 * a2 + d1 * b2,
+    a1 * c2 + c1 * d2,
+    b1 * c2 + d1 * d2,
+    a1 * e2 + c1 * f2 + e1,
+    b1 * e2 + d1 * f2 + f1,
+  ];
+}
+
+/** transform-Attribut → Matrix; unbekannte Funktionen → null */
+export function parseTransform(value) {
+  let m = IDENTITY;
+  const src = String(value || "").trim();
+  if (!src) return m;
+
+  const re = /([a-z]+)\s*\(([^)]*)\)/gi;
+  let consumed = "";
+  for (const [all, fn, argStr] of src.matchAll(re)) {
+    consumed += all;
+    const a = argStr.split(/[\s,]+/).filter(Boolean).map(Number);
+    if (!a.every(Number.isFinite)) return null;
+    let t;
+    switch (fn.toLowerCase()) {
+      case "matrix":
+        if (a.length !== 6) return null;
+        t = a;
+        break;
+      case "translate":
+        t = [1, 0, 0, 1, a[0] || 0, a[1] || 0];
+        break;
+      case "scale":
+        t = [a[0] ?? 1, 0, 0, a[1] ?? a[0] ?? 1, 0, 0];
+        break;
+      case "rotate": {
+        const r = ((a[0] || 0) * Math.PI) / 180;
+        const rot = [Math.cos(r), Math.sin(r), -Math.sin(r), Math.cos(r), 0, 0];
+        const cx = a[1] || 0;
+        const cy = a[2] || 0;
+        t = multiply(multiply([1, 0, 0, 1, cx, cy], rot), [1, 0, 0, 1, -cx, -cy]);
+        break;
+      }
+      case "skewx":
+        t = [1, 0, Math.tan(((a[0] || 0) * Math.PI) / 180), 1, 0, 0];
+        break;
+      case "skewy":
+        t = [1, Math.tan(((a[0] || 0) * Math.PI) / 180), 0, 1, 0, 0];
+        break;
+      default:
+        return null;
+    }
+    m = multiply(m, t);
+  }
+  // Reste außer Trennzeichen → ungültig
+  if (src.replace(re, "").replace(/[\s,]/g, "") !== "") return null;
+  return consumed ? m : IDENTITY;
+}
+
+// ── Farben ────────────────────────────────────────────────────────────────
+const NAMED_COLORS = {
+  black: [0, 0, 0],
+  white: [255, 255, 255],
+  red: [255, 0, 0],
+  lime: [0, 255, 0],
+  green: [0, 128, 0],
+  blue: [0, 0, 255],
+  yellow: [255, 255, 0],
+  cyan: [0, 255, 255],
+  aqua: [0, 255, 255],
+  magenta: [255, 0, 255],
+  fuchsia: [255, 0, 255],
+  gray: [128, 128, 128],
+  grey: [128, 128, 128],
+  silver: [192, 192, 192],
+  maroon: [128, 0, 0],
+  olive: [128, 128, 0],
+  navy: [0, 0, 128],
+  purple: [128, 0, 128],
+  teal: [0, 128, 128],
+  orange: [255, 165, 0],
+};
+
+/**
+ * CSS-Farbe → [r, g, b] (0–255), "none" → null, nicht unterstützt → undefined.
+ */
+export function parseColor(value) {
+  const v = String(value ?? "").trim().toLowerCase();
+  if (!v || v === "none" || v === "transparent") return null;
+  if (NAMED_COLORS[v]) return NAMED_COLORS[v];
+
+  let m = v.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/);
+  if (m) {
+    const hex = m[1].length === 3 ? m[1].replace(/./g, "$&$&") : m[1];
+    return [0, 2, 4].map((k) => parseInt(hex.slice(k, k + 2), 16));
+  }
+  m = v.match(/^rgb\(\s*([\d.]+%?)\s*,\s*([\d.]+%?)\s*,\s*([\d.]+%?)\s*\)$/);
+  if (m) {
+    return m.slice(1, 4).map((c) => {
+      const n = c.endsWith("%") ? (parseFloat(c) / 100) * 255 : parseFloat(c);
+      return Math.max(0, Math.min(255, Math.round(n)));
+    });
+  }
+  return undefined;
+}
+
+/** style="a:b; c:d" → { a: "b", c: "d" } */
+export function parseStyle(style) {
+  const out = {};
+  for (const part of String(style || "").split(";")) {
+    const idx = part.indexOf(":");
+    if (idx > 0) out[part.slice(0, idx).trim().toLowerCase()] = part.slice(idx + 1).trim();
+  }
+  return out;
+}
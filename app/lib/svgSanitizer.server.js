@@ -0,0 +1,247 @@
+/**
+ * app/lib/svgSanitizer.server.js
+ *
+ * Whitelist-Sanitizer für hochgeladene SVG-Dateien. Uploads werden öffentlich
+ * (CORS *) ausgeliefert – alles Aktive oder Externe fliegt raus:
+ *  - Elemente außerhalb der Whitelist (script, foreignObject, iframe, a, …)
+ *  - Event-Handler (on*) und alle nicht gelisteten Attribute
+ *  - externe Referenzen: href nur "#id" (bzw. data:-Rasterbilder bei <image>),
+ *    url() nur "url(#id)", in <style> kein @import
+ * Zusätzlich werden viewBox und width/height normalisiert (px, ohne %).
+ */
+import { parseLength, parseStyle, parseSvg, serializeSvg, svgViewBox } from "./svgDocument.server.js";
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+const XLINK_NS = "http://www.w3.org/1999/xlink";
+
+const MAX_NODES = 50000;
+const MAX_DEPTH = 64;
+
+const ALLOWED_ELEMENTS = new Set([
+  "svg", "g", "defs", "title", "desc", "symbol", "use", "style",
+  "path", "rect", "circle", "ellipse", "line", "polyline", "polygon",
+  "text", "tspan", "textPath",
+  "linearGradient", "radialGradient", "stop", "pattern", "clipPath", "mask", "marker", "image",
+  "filter", "feBlend", "feColorMatrix", "feComposite", "feFlood", "feGaussianBlur",
+  "feMerge", "feMergeNode", "feMorphology", "feOffset",
+]);
+
+const ALLOWED_ATTRS = new Set([
+  // Struktur / Geometrie
+  "id", "class", "style", "transform", "viewBox", "preserveAspectRatio", "version",
+  "x", "y", "width", "height", "rx", "ry", "cx", "cy", "r", "fx", "fy", "fr",
+  "x1", "y1", "x2", "y2", "d", "points", "pathLength",
+  // Darstellung
+  "fill", "fill-opacity", "fill-rule", "stroke", "stroke-width", "stroke-opacity",
+  "stroke-linecap", "stroke-linejoin", "stroke-miterlimit", "stroke-dasharray", "stroke-dashoffset",
+  "opacity", "color", "display", "visibility", "overflow", "paint-order", "vector-effect",
+  "clip-path", "clip-rule", "mask", "filter", "mix-blend-mode", "isolation",
+  "color-interpolation-filters", "shape-rendering",
+  // Verläufe, Muster, Masken, Marker
+  "offset", "stop-color", "stop-opacity", "gradientUnits", "gradientTransform", "spreadMethod",
+  "patternUnits", "patternContentUnits", "patternTransform", "clipPathUnits",
+  "maskUnits", "maskContentUnits", "markerWidth", "markerHeight", "markerUnits", "refX", "refY",
+  "orient", "marker-start", "marker-mid", "marker-end",
+  // Text
+  "font-family", "font-size", "font-weight", "font-style", "font-variant", "text-anchor",
+  "dominant-baseline", "alignment-baseline", "baseline-shift", "letter-spacing", "word-spacing",
+  "text-decoration", "dx", "dy", "rotate", "textLength", "lengthAdjust", "startOffset", "xml:space",
+  // Filter
+  "filterUnits", "primitiveUnits", "in", "in2", "result", "mode", "type", "values", "operator",
+  "k1", "k2", "k3", "k4", "stdDeviation", "radius", "flood-color", "flood-opacity",
+  // Referenzen (Werte werden gesondert geprüft)
+  "href", "xlink:href",
+]);
+
+const URL_ATTRS = new Set(["fill", "stroke", "clip-path", "mask", "filter", "marker-start", "marker-mid", "marker-end"]);
+const DATA_IMAGE_RE = /^data:image\/(png|jpe?g|gif|webp);base64,[a-z0-9+/=\s]+$/i;
+
+// url(...) nur als lokale Referenz (#id)
+function hasForeignUrl(value) {
+  for (const m of String(value).matchAll(/url\(\s*(['"]?)(.*?)\1\s*\)/gi)) {
+    if (!m[2].trim().startsWith("#")) return true;
+  }
+  return false;
+}
+
+// CSS-Escapes auflösen (u\72l( → url(, @\69mport → @import), wie es der Browser tut
+function decodeCssEscapes(value) {
+  return String(value).replace(/\\(?:([0-9a-f]{1,6})[ \t\n\r\f]?|\r\n|([\s\S]))/gi, (m, hex, ch) => {
+    if (hex === undefined) return /[\r\n\f]/.test(ch ?? "\n") ? "" : ch;
+    const cp = parseInt(hex, 16);
+    return cp > 0 && cp <= 0x10ffff && !(cp >= 0xd800 && cp <= 0xdfff) ? String.fromCodePoint(cp) : "\ufffd";
+  });
+}
+
+// Geprüft wird die dekodierte Fassung, sonst umgehen Escapes alle Muster
+function isDangerousValue(value) {
+  const v = decodeCssEscapes(value);
+  return /javascript:|vbscript:|expression\s*\(|-moz-binding|behavior\s*:|@import/i.test(v) || hasForeignUrl(v);
+}
+
+function cleanHref(elementName, value) {
+  const v = String(value || "").trim();
+  if (v.startsWith("#")) return v;
+  if (elementName === "image" && DATA_IMAGE_RE.test(v)) return v;
+  return null;
+}
+
+function cleanStyleAttr(value, removed) {
+  const out = [];
+  for (const [prop, v] of Object.entries(parseStyle(value))) {
+    if (!ALLOWED_ATTRS.has(prop) || isDangerousValue(v)) {
+      removed.add(`style:${prop}`);
+      continue;
+    }
+    out.push(`${prop}:${v}`);
+  }
+  return out.join(";");
+}
+
+// <style>: @import und externe url() entfernen, sonst unverändert
+function cleanStylesheet(css, removed) {
+  let out = String(css);
+  if (/@import/i.test(out)) removed.add("style:@import");
+  out = out.replace(/@import[^;]*;?/gi, "");
+  out = out.replace(/url\(\s*(['"]?)(.*?)\1\s*\)/gi, (m, q, target) => {
+    if (target.trim().startsWith("#")) return m;
+    removed.add("style:url");
+    return "none";
+  });
+  if (isDangerousValue(out)) {
+    removed.add("style");
+    return null;
+  }
+  return out;
+}
+
+function sanitizeChildren(node, depth, ctx) {
+  return node.children.flatMap((child) => sanitizeNode(child, depth + 1, ctx) ?? []);
+}
+
+function sanitizeNode(node, depth, ctx) {
+  if (depth > MAX_DEPTH || ++ctx.count > MAX_NODES) throw new Error("svg_too_complex");
+  // Links: Inhalt behalten, nur das <a> samt href verwerfen
+  if (node.name === "a") {
+    ctx.removed.add("a");
+    return sanitizeChildren(node, depth, ctx);
+  }
+  if (!ALLOWED_ELEMENTS.has(node.name)) {
+    ctx.removed.add(node.name);
+    return null;
+  }
+
+  const attrs = {};
+  for (const [key, value] of Object.entries(node.attrs)) {
+    if (key === "href" || key === "xlink:href") {
+      const href = cleanHref(node.name, value);
+      if (href == null) ctx.removed.add(`${node.name}@${key}`);
+      else attrs[key] = href;
+      continue;
+    }
+    if (key === "style") {
+      const style = cleanStyleAttr(value, ctx.removed);
+      if (style) attrs.style = style;
+      continue;
+    }
+    if (key === "xmlns" || key.startsWith("xmlns:")) continue; // wird an der Wurzel neu gesetzt
+    if (!ALLOWED_ATTRS.has(key) || (URL_ATTRS.has(key) && hasForeignUrl(value)) || isDangerousValue(value)) {
+      ctx.removed.add(/^on/i.test(key) ? "on*" : key);
+      continue;
+    }
+    attrs[key] = value;
+  }
+
+  // <image> ohne eingebettetes Rasterbild hätte nur externe Quellen
+  if (node.name === "image" && !attrs.href && !attrs["xlink:href"]) {
+    ctx.removed.add("image");
+    return null;
+  }
+  if (attrs["xlink:href"]) ctx.usesXlink = true;
+
+  let text = "";
+  if (node.name === "style") {
+    const css = cleanStylesheet(node.text, ctx.removed);
+    if (css == null) return null;
+    text = css;
+  } else if (node.name === "text" || node.name === "tspan" || node.name === "textPath" || node.name === "title" || node.name === "desc") {
+    text = node.text;
+  }
+
+  return { name: node.name, attrs, children: sanitizeChildren(node, depth, ctx), text };
+}
+
+/**
+ * Bereinigt und normalisiert eine SVG-Datei.
+ *
+ * @param {Buffer|string} input
+ * @returns {{ ok: true, svg: string, viewBox: { x: number, y: number, w: number, h: number },
+ *             widthPx: number, heightPx: number, removed: string[] }
+ *         | { ok: false, error: "invalid_svg"|"svg_without_size"|"svg_too_complex" }}
+ *   widthPx/heightPx = Originalgröße bei 96 px/in (width/height, sonst viewBox)
+ */
+export function sanitizeSvg(input) {
+  let tree;
+  try {
+    tree = parseSvg(Buffer.isBuffer(input) ? input.toString("utf8") : input);
+  } catch {
+    return { ok: false, error: "invalid_svg" };
+  }
+
+  const viewBox = svgViewBox(tree);
+  if (!viewBox) return { ok: false, error: "svg_without_size" };
+
+  const ctx = { count: 0, removed: new Set(), usesXlink: false };
+  let clean;
+  try {
+    clean = sanitizeNode(tree, 0, ctx);
+  } catch {
+    return { ok: false, error: "svg_too_complex" };
+  }
+
+  // Größe: absolute Angaben übernehmen, sonst viewBox; Seitenverhältnis aus der viewBox
+  let widthPx = parseLength(tree.attrs.width);
+  let heightPx = parseLength(tree.attrs.height);
+  if (!(widthPx > 0) && !(heightPx > 0)) {
+    widthPx = viewBox.w;
+    heightPx = viewBox.h;
+  } else if (!(heightPx > 0)) {
+    heightPx = (widthPx * viewBox.h) / viewBox.w;
+  } else if (!(widthPx > 0)) {
+    widthPx = (heightPx * viewBox.w) / viewBox.h;
+  }
+  const round = (n) => Math.round(n * 1000) / 1000;
+
+  const rootAttrs = Object.fromEntries(
+    Object.entries(clean.attrs).filter(([k]) => !["x", "y", "width", "height", "viewBox", "preserveAspectRatio"].includes(k))
+  );
+  clean.attrs = {
+    xmlns: SVG_NS,
+    ...(ctx.usesXlink ? { "xmlns:xlink": XLINK_NS } : {}),
+    ...rootAttrs,
+    viewBox: `${viewBox.x} ${viewBox.y} ${viewBox.w} ${viewBox.h}`,
+    width: String(round(widthPx)),
+    height: String(round(heightPx)),
+  };
+
+  return {
+    ok: true,
+    svg: `<?xml version="1.0" encoding="UTF-8"?>\n${serializeSvg(clean)}`,
+    viewBox,
+    widthPx: round(widthPx),
+    heightPx: round(heightPx),
+    removed: [...ctx.removed],
+  };
+}
+
+/**
+ * Zusatz-Header für ausgelieferte SVG-Dateien: auch bei direktem Aufruf im
+ * Browser keine Skripte, keine externen Ressourcen.
+ */
+export function svgResponseHeaders(filename) {
+  if (!String(filename || "").toLowerCase().endsWith(".svg")) return {};
+  return {
+    "Content-Security-Policy": "default-src 'none'; style-src 'unsafe-inline'; img-src data:",
+    "X-Content-Type-Options": "nosniff",
+  };
+}
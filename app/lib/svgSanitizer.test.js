@@ -0,0 +1,115 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { parseSvg } from "./svgDocument.server.js";
+import { sanitizeSvg } from "./svgSanitizer.server.js";
+
+function clean(body, rootAttrs = "") {
+  const res = sanitizeSvg(`<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 100 100"${rootAttrs}>${body}</svg>`);
+  assert.equal(res.ok, true, res.error);
+  return res;
+}
+
+// ── Aktive Inhalte ────────────────────────────────────────────────────────
+test("sanitizeSvg: <script> wird entfernt", () => {
+  const res = clean(`<script>alert(1)</script><script type="text/javascript"><![CDATA[alert(2)]]></script><rect width="10" height="10"/>`);
+  assert.doesNotMatch(res.svg, /script|alert/i);
+  assert.match(res.svg, /<rect /);
+  assert.ok(res.removed.includes("script"));
+});
+
+test("sanitizeSvg: on*-Handler werden entfernt", () => {
+  const res = clean(`<rect width="10" height="10" onclick="alert(1)" ONLOAD="alert(2)"/>`, ` onload="alert(3)"`);
+  assert.doesNotMatch(res.svg, /on(click|load)|alert/i);
+  assert.ok(res.removed.includes("on*"));
+});
+
+test("sanitizeSvg: foreignObject samt Inhalt wird entfernt", () => {
+  const res = clean(`<foreignObject width="10" height="10"><iframe xmlns="http://www.w3.org/1999/xhtml" src="https://evil.example"/></foreignObject>`);
+  assert.doesNotMatch(res.svg, /foreignObject|iframe|evil/);
+});
+
+test("sanitizeSvg: Elemente mit svg:-Präfix werden wie ohne geprüft", () => {
+  const res = sanitizeSvg(
+    `<svg:svg xmlns:svg="http://www.w3.org/2000/svg" viewBox="0 0 10 10"><svg:script>alert(1)</svg:script><svg:rect width="1" height="1"/></svg:svg>`
+  );
+  assert.equal(res.ok, true);
+  assert.doesNotMatch(res.svg, /script|alert|svg:/);
+  assert.match(res.svg, /<rect /);
+});
+
+// ── Externe Referenzen ────────────────────────────────────────────────────
+test("sanitizeSvg: href und xlink:href nur auf #id", () => {
+  const res = clean(
+    `<defs><path id="p" d="M0 0h1"/></defs>` +
+      `<use href="#p"/><use href="https://evil.example/x.svg#p"/><use xlink:href="javascript:alert(1)"/>` +
+      `<a href="https://evil.example"><rect width="1" height="1"/></a>`,
+    ` xmlns:xlink="http://www.w3.org/1999/xlink"`
+  );
+  assert.match(res.svg, /<use href="#p"\/>/);
+  assert.doesNotMatch(res.svg, /evil|javascript/);
+  assert.ok(res.removed.includes("use@href") && res.removed.includes("use@xlink:href") && res.removed.includes("a"));
+});
+
+test("sanitizeSvg: <image> nur mit eingebettetem Rasterbild", () => {
+  const png = "data:image/png;base64,iVBORw0KGgo=";
+  const svgData = `data:image/svg+xml;base64,${Buffer.from("<svg onload='alert(1)'/>").toString("base64")}`;
+  const res = clean(
+    `<image href="${png}" width="1" height="1"/><image href="${svgData}" width="1" height="1"/>` +
+      `<image href="https://evil.example/a.png" width="1" height="1"/><image xlink:href="data:image/svg+xml,&lt;svg/&gt;"/>`
+  );
+  assert.equal(res.svg.match(/<image /g).length, 1);
+  assert.ok(res.svg.includes(png));
+  assert.doesNotMatch(res.svg, /svg\+xml|evil/);
+});
+
+test("sanitizeSvg: url() nur als lokale Referenz", () => {
+  const res = clean(
+    `<rect width="1" height="1" fill="url(#g)"/><rect width="1" height="1" fill="url(https://evil.example/a.svg#g)"/>` +
+      `<rect width="1" height="1" style="fill:url('//evil.example/b');stroke:red"/>` +
+      `<style>.a{fill:url(#g)} .b{background:url(https://evil.example/c.png)}</style>`
+  );
+  assert.match(res.svg, /fill="url\(#g\)"/);
+  assert.match(res.svg, /style="stroke:red"/);
+  assert.match(res.svg, /\.a\{fill:url\(#g\)\}/);
+  assert.doesNotMatch(res.svg, /evil/);
+});
+
+// ── CSS-Escapes (Regression dcb00b1) ──────────────────────────────────────
+test("sanitizeSvg: CSS-Escapes umgehen die Prüfung nicht", () => {
+  const res = clean(
+    `<rect width="1" height="1" style="fill:u\\72l(https://evil.example/a)"/>` +
+      `<rect width="1" height="1" fill="\\75 rl(https://evil.example/b)"/>` +
+      `<style>@\\69mport "https://evil.example/c.css"; .x{fill:red}</style>` +
+      `<style>.y{fill:u\\000072l(https://evil.example/d)}</style>`
+  );
+  assert.doesNotMatch(res.svg, /evil/);
+  assert.doesNotMatch(res.svg, /<style/);
+});
+
+test("sanitizeSvg: javascript: im Stil wird entfernt", () => {
+  const res = clean(`<rect width="1" height="1" style="fill:red;filter:java\\73 cript:alert(1)"/>`);
+  assert.match(res.svg, /style="fill:red"/);
+  assert.doesNotMatch(res.svg, /alert/);
+});
+
+// ── Parser ────────────────────────────────────────────────────────────────
+test("parseSvg: '>' in Attributwerten beendet das Tag nicht", () => {
+  const tree = parseSvg(`<svg viewBox="0 0 10 10"><text font-family='a>b' x="1">x &gt; y</text><path d="M0 0" id="p>1"/></svg>`);
+  assert.equal(tree.children.length, 2);
+  assert.equal(tree.children[0].attrs["font-family"], "a>b");
+  assert.equal(tree.children[0].text, "x > y");
+  assert.equal(tree.children[1].attrs.id, "p>1");
+});
+
+test("sanitizeSvg: gültiges SVG mit '>' in Attributen bleibt erhalten", () => {
+  const res = sanitizeSvg(`<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE svg PUBLIC "-//W3C//DTD SVG 1.1//EN" "http://www.w3.org/Graphics/SVG/1.1/DTD/svg11.dtd">
+<svg xmlns="http://www.w3.org/2000/svg" width="20mm" height="10mm" viewBox="0 0 20 10"><title>a > b</title><rect id="r>1" width="20" height="10"/></svg>`);
+  assert.equal(res.ok, true);
+  assert.match(res.svg, /<rect id="r&gt;1" width="20" height="10"\/>/);
+});
+
+test("sanitizeSvg: kaputtes Markup und fehlende Größe", () => {
+  assert.deepEqual(sanitizeSvg(`<svg viewBox="0 0 1 1"><g></svg>`), { ok: false, error: "invalid_svg" });
+  assert.deepEqual(sanitizeSvg(`<svg><rect/></svg>`), { ok: false, error: "svg_without_size" });
+});
@@ -0,0 +1,109 @@
+/**
+ * app/lib/uploadStore.server.js
+ *
+ * Zugriff auf Original-Uploads (SVG, PDF) für den Export und auf Export-Dateien
+ * für die Produktion: lokal gespeicherte Dateien direkt von der Platte,
+ * Shopify-CDN-Dateien per HTTP.
+ *
+ * Die URL kommt vom Storefront-Client bzw. aus Bestell-Properties: geladen wird
+ * nur aus dem Upload-/Export-Ordner oder von Shopify-Dateihosts (keine
+ * Weiterleitungen), nie von beliebigen Hosts.
+ */
+import fs from "fs/promises";
+import path from "path";
+
+export const UPLOAD_DIR = path.resolve(process.cwd(), "public", "uploads", "sticker-configurator", "originals");
+export const EXPORT_DIR = path.resolve(process.cwd(), "public", "exports", "sticker-configurator");
+
+const LOCAL_UPLOAD_RE = /\/uploads\/sticker-configurator\/originals\/([^/?#]+)(?:[?#]|$)/i;
+// Nur Dateien direkt im Export-Ordner (nicht gang-sheets/…)
+const LOCAL_EXPORT_RE = /\/exports\/sticker-configurator\/([^/?#]+)(?:[?#]|$)/i;
+const FETCH_TIMEOUT_MS = 10000;
+
+// Shopify-Dateien (fileCreate): cdn.shopify.com/s/files/… bzw. <shop>/cdn/shop/files/…
+const SHOPIFY_CDN_HOSTS = new Set(["cdn.shopify.com"]);
+
+/**
+ * Darf die URL per HTTP geladen werden? Nur HTTPS auf Shopify-Dateihosts
+ * (bzw. dem eigenen Shop unter /cdn/shop/).
+ * @param {string} url
+ * @param {string|null} [shop]  myshopify-Domain des anfragenden Shops
+ */
+export function isAllowedUploadUrl(url, shop = null) {
+  let u;
+  try {
+    u = new URL(String(url || ""));
+  } catch {
+    return false;
+  }
+  if (u.protocol !== "https:" || u.username || u.password || u.port) return false;
+  const host = u.hostname.toLowerCase();
+  if (SHOPIFY_CDN_HOSTS.has(host)) return u.pathname.startsWith("/s/files/");
+  return !!shop && host === String(shop).toLowerCase() && u.pathname.startsWith("/cdn/shop/");
+}
+
+// Nur der Dateiname zählt, Pfadanteile werden verworfen
+async function readFromDir(dir, filename, maxMb) {
+  const name = path.basename(String(filename || ""));
+  if (!name || name === "." || name === "..") return null;
+  try {
+    const buf = await fs.readFile(path.join(dir, name));
+    return buf.length > maxMb * 1024 * 1024 ? null : buf;
+  } catch {
+    return null;
+  }
+}
+
+// Lokale URL (Muster re): nur von der Platte, nie über HTTP (Host stammt vom
+// Client); sonst nur erlaubte Shopify-Dateihosts
+async function readFromDirOrShopify(url, re, dir, { maxMb, shop }) {
+  const local = String(url || "").match(re);
+  if (local) {
+    try {
+      return await readFromDir(dir, decodeURIComponent(local[1]), maxMb);
+    } catch {
+      return null; // ungültige %-Kodierung
+    }
+  }
+
+  if (!isAllowedUploadUrl(url, shop)) {
+    console.warn("[UPLOAD STORE] URL nicht erlaubt:", String(url || "").slice(0, 200));
+    return null;
+  }
+  const maxBytes = maxMb * 1024 * 1024;
+  const res = await fetch(url, { redirect: "error", signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+  if (!res.ok) return null;
+  if (Number(res.headers.get("content-length") || 0) > maxBytes) return null;
+  const buf = Buffer.from(await res.arrayBuffer());
+  return buf.length > maxBytes ? null : buf;
+}
+
+/**
+ * Liest eine Datei aus dem Upload-Ordner (nur Dateiname, Pfadanteile werden verworfen).
+ * @param {string} filename
+ * @param {{ maxMb: number }} opts
+ * @returns {Promise<Buffer|null>}
+ */
+export function readLocalUpload(filename, { maxMb }) {
+  return readFromDir(UPLOAD_DIR, filename, maxMb);
+}
+
+/**
+ * Liest einen Original-Upload.
+ * @param {string} url   Upload-URL (lokal oder Shopify CDN)
+ * @param {{ maxMb: number, shop?: string|null }} opts
+ * @returns {Promise<Buffer|null>} null bei fehlender/zu großer/nicht erlaubter Datei
+ */
+export function readOriginalUpload(url, { maxMb, shop = null }) {
+  return readFromDirOrShopify(url, LOCAL_UPLOAD_RE, UPLOAD_DIR, { maxMb, shop });
+}
+
+/**
+ * Liest eine Export-Datei (sticker.export) für die Produktion.
+ * @param {string} url   Export-URL (lokal oder Shopify CDN), z. B. aus _sc_svg
+ * @param {{ maxMb: number, shop?: string|null }} opts
+ * @returns {Promise<Buffer|null>} null bei fehlender/zu großer/nicht erlaubter Datei
+ */
+export function readExportFile(url, { maxMb, shop = null }) {
+  return readFromDirOrShopify(url, LOCAL_EXPORT_RE, EXPORT_DIR, { maxMb, shop });
+}
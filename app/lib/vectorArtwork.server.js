@@ -0,0 +1,310 @@
+/**
+ * app/lib/vectorArtwork.server.js
+ *
+ * Hochgeladene SVG-Motive bleiben bis in die Druckdateien Vektor:
+ *  - Vorschau-Raster für Uploads (sharp)
+ *  - Laden der Originaldatei (lokaler Upload-Ordner oder CDN), erneut bereinigt
+ *  - Einbetten als verschachteltes <svg> in das Export-SVG (ohne <clipPath>)
+ *  - Zerlegen in einfache Pfade für das Druck-PDF (printPdf.server.js)
+ *
+ * Alles, was sich nicht verlustfrei als PDF-Pfad abbilden lässt (Text, Bilder,
+ * Verläufe, Masken, Transparenz …), führt zu null → Aufrufer nimmt das Raster.
+ */
+import sharp from "sharp";
+import {
+  IDENTITY,
+  multiply,
+  parseColor,
+  parseStyle,
+  parseSvg,
+  parseTransform,
+  serializeSvg,
+} from "./svgDocument.server";
+import { sanitizeSvg } from "./svgSanitizer.server";
+import { readOriginalUpload } from "./uploadStore.server";
+
+export const VECTOR_MIME = "image/svg+xml";
+
+const MAX_VECTOR_MB = 5;
+
+// ── Upload ────────────────────────────────────────────────────────────────
+
+export function isVectorUpload(mime, ext) {
+  return String(mime || "").toLowerCase() === VECTOR_MIME || String(ext || "").toLowerCase() === "svg";
+}
+
+const PREVIEW_MAX_PX = 1600;
+
+/**
+ * Rastert ein (bereinigtes) SVG als PNG-Vorschau, längste Kante PREVIEW_MAX_PX.
+ * Nur für Anzeige – Druckdateien bekommen das Original als Vektor.
+ * @param {string} svgText
+ * @param {{ widthPx: number, heightPx: number }} size
+ * @returns {Promise<Buffer>}
+ */
+export async function rasterizeSvgPreview(svgText, { widthPx, heightPx }) {
+  const longest = Math.max(1, widthPx, heightPx);
+  // density skaliert das SVG beim Rendern (72 dpi = 1:1) – kein Hochskalieren eines kleinen Rasters
+  const density = Math.min(2400, Math.max(1, (72 * PREVIEW_MAX_PX) / longest));
+  return await sharp(Buffer.from(svgText, "utf8"), { density })
+    .resize({ width: PREVIEW_MAX_PX, height: PREVIEW_MAX_PX, fit: "inside", withoutEnlargement: true })
+    .png()
+    .toBuffer();
+}
+
+// ── Laden ─────────────────────────────────────────────────────────────────
+
+/**
+ * Lädt ein Vektormotiv für den Export.
+ * @param {string} url  Upload-URL (lokal oder Shopify CDN, siehe uploadStore.server.js)
+ * @param {{ shop?: string|null }} [opts]  anfragender Shop (eigener CDN-Host)
+ * @returns {Promise<{ svg: import("./svgDocument.server").SvgNode, viewBox: { x: number, y: number, w: number, h: number } } | null>}
+ */
+export async function loadVectorArtwork(url, { shop = null } = {}) {
+  if (!url) return null;
+  try {
+    const buf = await readOriginalUpload(String(url), { maxMb: MAX_VECTOR_MB, shop });
+    if (!buf) return null;
+    const text = buf.toString("utf8");
+    // CDN-Dateien stammen nicht zwingend aus unserem Upload → immer bereinigen
+    const clean = sanitizeSvg(text);
+    if (!clean.ok) return null;
+    return { svg: parseSvg(clean.svg), viewBox: clean.viewBox };
+  } catch (e) {
+    console.warn("[VECTOR] Motiv konnte nicht geladen werden:", e?.message || e);
+    return null;
+  }
+}
+
+// ── Export-SVG ────────────────────────────────────────────────────────────
+
+// Attribute des Wurzelelements, die beim Verschachteln neu gesetzt werden
+const ROOT_GEOMETRY_ATTRS = new Set(["x", "y", "width", "height", "viewbox", "preserveaspectratio"]);
+
+/**
+ * Motiv als verschachteltes <svg> an der Stelle rect (Export-Pixel).
+ * Das innere <svg> begrenzt selbst auf seinen Viewport – kein <clipPath> nötig.
+ *
+ * @param {{ svg: any, viewBox: { x: number, y: number, w: number, h: number } }} art
+ * @param {{ x: number, y: number, w: number, h: number }} rect
+ */
+export function embedVectorSvg(art, rect) {
+  const { x, y, w, h } = art.viewBox;
+  const attrs = Object.fromEntries(
+    Object.entries(art.svg.attrs).filter(([k]) => !ROOT_GEOMETRY_ATTRS.has(k.toLowerCase()))
+  );
+  return serializeSvg({
+    ...art.svg,
+    attrs: {
+      ...attrs,
+      x: String(rect.x),
+      y: String(rect.y),
+      width: String(rect.w),
+      height: String(rect.h),
+      viewBox: `${x} ${y} ${w} ${h}`,
+      preserveAspectRatio: "xMidYMid meet",
+    },
+  });
+}
+
+// ── Zerlegung für das PDF ─────────────────────────────────────────────────
+
+/**
+ * @typedef {Object} VectorShape
+ * @property {string} d                   SVG-Pfad im Koordinatensystem des Motivs
+ * @property {number[]} matrix            Element-Transformation (zum viewBox-System)
+ * @property {number[]|null} fill         [r, g, b] 0–255
+ * @property {"nonzero"|"evenodd"} fillRule
+ * @property {number[]|null} stroke
+ * @property {number} strokeWidth
+ * @property {"butt"|"round"|"square"} lineCap
+ * @property {"miter"|"round"|"bevel"} lineJoin
+ */
+
+const INHERITED = {
+  fill: "black",
+  "fill-rule": "nonzero",
+  stroke: "none",
+  "stroke-width": "1",
+  "stroke-linecap": "butt",
+  "stroke-linejoin": "miter",
+  color: "black",
+};
+const STYLE_PROPS = [
+  ...Object.keys(INHERITED),
+  "opacity",
+  "fill-opacity",
+  "stroke-opacity",
+  "stroke-dasharray",
+  "display",
+  "visibility",
+  "clip-path",
+  "mask",
+  "filter",
+];
+
+const SKIPPED_ELEMENTS = new Set(["title", "desc", "metadata", "defs"]);
+const SHAPE_ELEMENTS = new Set(["path", "rect", "circle", "ellipse", "line", "polyline", "polygon"]);
+const PATH_D_RE = /^[0-9a-zA-Z\s,.\-+]*$/;
+
+class Unsupported extends Error {}
+
+function num(v, fallback = 0) {
+  const n = parseFloat(v);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function points(v) {
+  const n = String(v || "").trim().split(/[\s,]+/).filter(Boolean).map(Number);
+  if (n.length < 4 || n.some((x) => !Number.isFinite(x))) return null;
+  const pairs = [];
+  for (let i = 0; i + 1 < n.length; i += 2) pairs.push(`${n[i]} ${n[i + 1]}`);
+  return pairs;
+}
+
+// Grundformen → Pfaddaten (leere Zeichenkette = nichts zu zeichnen)
+function shapeToPathD(node) {
+  const a = node.attrs;
+  for (const k of ["x", "y", "width", "height", "rx", "ry", "cx", "cy", "r", "x1", "y1", "x2", "y2"]) {
+    if (a[k] != null && /[%a-z]\s*$/i.test(a[k]) && !/px\s*$/i.test(a[k])) throw new Unsupported("units");
+  }
+  switch (node.name) {
+    case "path": {
+      const d = String(a.d || "").trim();
+      if (d && !PATH_D_RE.test(d)) throw new Unsupported("path_d");
+      return d;
+    }
+    case "rect": {
+      const x = num(a.x);
+      const y = num(a.y);
+      const w = num(a.width);
+      const h = num(a.height);
+      if (!(w > 0 && h > 0)) return "";
+      let rx = a.rx != null ? num(a.rx) : a.ry != null ? num(a.ry) : 0;
+      let ry = a.ry != null ? num(a.ry) : rx;
+      rx = Math.min(Math.max(0, rx), w / 2);
+      ry = Math.min(Math.max(0, ry), h / 2);
+      if (!rx || !ry) return `M ${x} ${y} H ${x + w} V ${y + h} H ${x} Z`;
+      return [
+        `M ${x + rx} ${y} H ${x + w - rx}`,
+        `A ${rx} ${ry} 0 0 1 ${x + w} ${y + ry} V ${y + h - ry}`,
+        `A ${rx} ${ry} 0 0 1 ${x + w - rx} ${y + h} H ${x + rx}`,
+        `A ${rx} ${ry} 0 0 1 ${x} ${y + h - ry} V ${y + ry}`,
+        `A ${rx} ${ry} 0 0 1 ${x + rx} ${y} Z`,
+      ].join(" ");
+    }
+    case "circle":
+    case "ellipse": {
+      const cx = num(a.cx);
+      const cy = num(a.cy);
+      const rx = node.name === "circle" ? num(a.r) : num(a.rx);
+      const ry = node.name === "circle" ? rx : num(a.ry);
+      if (!(rx > 0 && ry > 0)) return "";
+      return `M ${cx - rx} ${cy} A ${rx} ${ry} 0 1 0 ${cx + rx} ${cy} A ${rx} ${ry} 0 1 0 ${cx - rx} ${cy} Z`;
+    }
+    case "line":
+      return `M ${num(a.x1)} ${num(a.y1)} L ${num(a.x2)} ${num(a.y2)}`;
+    case "polyline":
+    case "polygon": {
+      const p = points(a.points);
+      if (!p) return "";
+      return `M ${p.join(" L ")}${node.name === "polygon" ? " Z" : ""}`;
+    }
+    default:
+      return "";
+  }
+}
+
+function resolveStyle(node, inherited) {
+  const own = { ...parseStyle(node.attrs.style) };
+  const out = { ...inherited };
+  for (const prop of STYLE_PROPS) {
+    const v = own[prop] ?? node.attrs[prop];
+    if (v == null || v === "" || v === "inherit") continue;
+    out[prop] = String(v).trim();
+  }
+  return out;
+}
+
+function resolvePaint(value, style) {
+  const v = String(value).trim().toLowerCase() === "currentcolor" ? style.color : value;
+  const rgb = parseColor(v);
+  if (rgb === undefined) throw new Unsupported("paint");
+  return rgb;
+}
+
+function assertPlain(style) {
+  if (style["clip-path"] || style.mask || style.filter) throw new Unsupported("effect");
+  for (const key of ["opacity", "fill-opacity", "stroke-opacity"]) {
+    if (style[key] != null && num(style[key], 1) < 0.999) throw new Unsupported("transparency");
+  }
+  const dash = style["stroke-dasharray"];
+  if (dash && dash !== "none") throw new Unsupported("dash");
+}
+
+function walk(node, matrix, inherited, out) {
+  if (SKIPPED_ELEMENTS.has(node.name)) return;
+
+  const style = resolveStyle(node, inherited);
+  if (style.display === "none") return;
+
+  const local = parseTransform(node.attrs.transform);
+  if (!local) throw new Unsupported("transform");
+  const m = multiply(matrix, local);
+
+  // Nicht vererbte Eigenschaften nur am Element selbst prüfen
+  assertPlain(style);
+  const childStyle = { ...style };
+  delete childStyle.opacity;
+  delete childStyle["clip-path"];
+  delete childStyle.mask;
+  delete childStyle.filter;
+
+  if (node.name === "g") {
+    for (const child of node.children) walk(child, m, childStyle, out);
+    return;
+  }
+  if (node.name === "style" && node.text.trim()) throw new Unsupported("stylesheet");
+  if (node.name === "style") return;
+  if (!SHAPE_ELEMENTS.has(node.name)) throw new Unsupported(node.name);
+  if (style.visibility === "hidden" || style.visibility === "collapse") return;
+
+  const d = shapeToPathD(node);
+  if (!d) return;
+
+  // <line> hat keine Fläche; offene Pfade/polyline füllt PDF wie SVG (implizit geschlossen)
+  const fill = node.name === "line" ? null : resolvePaint(style.fill, style);
+  const stroke = resolvePaint(style.stroke, style);
+  const strokeWidth = num(style["stroke-width"], 1);
+  if (!fill && !(stroke && strokeWidth > 0)) return;
+
+  out.push({
+    d,
+    matrix: m,
+    fill,
+    fillRule: style["fill-rule"] === "evenodd" ? "evenodd" : "nonzero",
+    stroke: strokeWidth > 0 ? stroke : null,
+    strokeWidth,
+    lineCap: ["round", "square"].includes(style["stroke-linecap"]) ? style["stroke-linecap"] : "butt",
+    lineJoin: ["round", "bevel"].includes(style["stroke-linejoin"]) ? style["stroke-linejoin"] : "miter",
+  });
+}
+
+/**
+ * Zerlegt das Motiv in einfache, einfarbige Pfade.
+ * @param {{ svg: any }} art
+ * @returns {{ shapes: VectorShape[] } | { shapes: null, reason: string }}
+ */
+export function collectVectorShapes(art) {
+  const shapes = [];
+  try {
+    // Wurzel: nur vererbbare Darstellungsattribute (transform gilt am <svg> nicht überall)
+    const style = resolveStyle(art.svg, INHERITED);
+    assertPlain(style);
+    for (const child of art.svg.children) walk(child, IDENTITY, style, shapes);
+  } catch (e) {
+    if (e instanceof Unsupported) return { shapes: null, reason: e.message };
+    throw e;
+  }
+  return { shapes };
+}
@@ -0,0 +1,130 @@
+// app/pricing/priceMath.js
+//
+// Reine Rechenfunktionen der Preis-Engine (Fläche, Material, Mengenstaffel, Währung):
+// keine DB, keine Shopify-API – pricingEngine.server.js lädt Tabellen und
+// Varianten und rechnet hiermit. Re-Exporte dort, Aufrufer importieren weiter
+// aus pricingEngine.server.js.
+
+export const DEFAULT_AREA_STEP_M2 = 0.1;
+
+export function roundMoney(x) {
+  return Math.round((Number(x) || 0) * 100) / 100;
+}
+
+function positiveNumber(x) {
+  const n = Number(x);
+  return Number.isFinite(n) && n > 0 ? n : 0;
+}
+
+// ── Fläche ────────────────────────────────────────────────────────────────
+/**
+ * Flächenpreis für einen Sticker (ohne Mengen/Aufschläge).
+ * Reine Funktion.
+ */
+export function calcAreaPrice(table, widthCm, heightCm) {
+  const w = positiveNumber(widthCm);
+  const h = positiveNumber(heightCm);
+  const step = Number(table.areaStepM2) || DEFAULT_AREA_STEP_M2;
+
+  const rawAreaM2 = (w / 100) * (h / 100);
+  const minSteps = Math.max(1, Math.ceil(Number(table.minAreaM2) / step - 1e-9));
+  const steps = Math.max(minSteps, Math.ceil(rawAreaM2 / step - 1e-9));
+  const billedAreaM2 = steps * step;
+
+  return {
+    rawAreaM2,
+    billedAreaM2,
+    steps,
+    pricePerM2: Number(table.pricePerM2),
+    unitPrice: roundMoney(billedAreaM2 * Number(table.pricePerM2)),
+  };
+}
+
+// ── Material ──────────────────────────────────────────────────────────────
+/**
+ * Material-Zeilen zum Grundpreis. Reine Funktion.
+ * inkAreaM2 = bedruckte Stickerfläche gesamt (Stückfläche × Stückzahl).
+ */
+export function calcMaterialLines(material, baseAmount, quantity, inkAreaM2) {
+  const lines = [];
+
+  if (material.multiplier !== 1) {
+    lines.push({
+      code: "material",
+      label: `Material ${material.label} (×${material.multiplier})`,
+      unit: null,
+      quantity: 1,
+      amount: roundMoney(baseAmount * (material.multiplier - 1)),
+    });
+  }
+  if (material.surchargePerUnit > 0) {
+    lines.push({
+      code: "material_surcharge",
+      label: `Aufschlag ${material.label}`,
+      unit: roundMoney(material.surchargePerUnit),
+      quantity,
+      amount: roundMoney(material.surchargePerUnit * quantity),
+    });
+  }
+  if (material.whiteInkPerM2 > 0 && inkAreaM2 > 0) {
+    lines.push({
+      code: "white_ink",
+      label: `Weißdruck ${inkAreaM2.toFixed(3)} m² × ${material.whiteInkPerM2.toFixed(2)} €/m²`,
+      unit: roundMoney(material.whiteInkPerM2),
+      quantity: 1,
+      amount: roundMoney(inkAreaM2 * material.whiteInkPerM2),
+    });
+  }
+
+  return lines;
+}
+
+// ── Mengenstaffeln ────────────────────────────────────────────────────────
+/**
+ * Staffeltabelle für eine Gesamtstückzahl. Reine Funktion.
+ * Beginnt die Staffel nicht bei 1 Stück, wird eine Basisstufe (0 %) ergänzt.
+ *
+ * @param {Array<{minQty:number, discountPct:number}>} tiers
+ * @param {number} totalPieces
+ * @param {number} basePricePerPiece Stückpreis ohne Rabatt
+ */
+export function resolveTier(tiers, totalPieces, basePricePerPiece) {
+  const sorted = [...(tiers || [])]
+    .filter((t) => t.minQty >= 1)
+    .sort((a, b) => a.minQty - b.minQty);
+  if (!sorted.length || sorted[0].minQty > 1) sorted.unshift({ minQty: 1, discountPct: 0 });
+
+  const table = sorted.map((t, i) => ({
+    minQty: t.minQty,
+    maxQty: sorted[i + 1] ? sorted[i + 1].minQty - 1 : null,
+    discountPct: t.discountPct,
+    pricePerPiece: Math.round(basePricePerPiece * (1 - t.discountPct / 100) * 10000) / 10000,
+  }));
+
+  const idx = table.reduce((best, t, i) => (totalPieces >= t.minQty ? i : best), 0);
+  const current = table[idx];
+  const nextRow = table[idx + 1] || null;
+
+  const next = nextRow
+    ? {
+        minQty: nextRow.minQty,
+        discountPct: nextRow.discountPct,
+        piecesToGo: nextRow.minQty - totalPieces,
+        // Ersparnis je Stück gegenüber der aktuellen Stufe
+        savingsPct:
+          Math.round((1 - (1 - nextRow.discountPct / 100) / (1 - current.discountPct / 100)) * 1000) / 10,
+      }
+    : null;
+
+  return { basis: "pieces", totalPieces, table, current, next };
+}
+
+// ── Währung ───────────────────────────────────────────────────────────────
+/**
+ * Gleiche Währung (ISO-Code, Groß-/Kleinschreibung egal)? Fehlt eine Angabe,
+ * gilt das als Abweichung – ein Betrag wird nie ungeprüft umgedeutet.
+ */
+export function sameCurrency(a, b) {
+  const x = String(a || "").trim().toUpperCase();
+  return !!x && x === String(b || "").trim().toUpperCase();
+}
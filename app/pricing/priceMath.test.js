@@ -0,0 +1,111 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { calcAreaPrice, calcMaterialLines, resolveTier, roundMoney, sameCurrency } from "./priceMath.js";
+
+const TABLE = { pricePerM2: 250, minAreaM2: 0.1, areaStepM2: 0.1 };
+const MATERIAL = { label: "Transparent", multiplier: 1, surchargePerUnit: 0, whiteInkPerM2: 0 };
+
+// ── Fläche ────────────────────────────────────────────────────────────────
+test("calcAreaPrice: Mindestfläche gilt für kleine Sticker", () => {
+  const res = calcAreaPrice(TABLE, 4, 4);
+  assert.equal(res.steps, 1);
+  assert.equal(res.billedAreaM2, 0.1);
+  assert.equal(res.unitPrice, 25);
+});
+
+test("calcAreaPrice: rundet auf ganze Flächenschritte auf", () => {
+  // 40 × 30 cm = 0,12 m² → 2 Schritte à 0,1 m²
+  const res = calcAreaPrice(TABLE, 40, 30);
+  assert.equal(res.steps, 2);
+  assert.equal(res.unitPrice, 50);
+});
+
+test("calcAreaPrice: exakte Schrittgrenze wird nicht aufgerundet", () => {
+  // 50 × 40 cm = 0,2 m² (Gleitkomma: 0,20000000000000004)
+  assert.equal(calcAreaPrice(TABLE, 50, 40).steps, 2);
+});
+
+// ── Material ──────────────────────────────────────────────────────────────
+test("calcMaterialLines: Standardmaterial erzeugt keine Zeilen", () => {
+  assert.deepEqual(calcMaterialLines(MATERIAL, 100, 1, 0.5), []);
+});
+
+test("calcMaterialLines: Multiplikator, Aufschlag je Einheit und Weißdruck", () => {
+  const lines = calcMaterialLines(
+    { ...MATERIAL, multiplier: 1.2, surchargePerUnit: 1.5, whiteInkPerM2: 10 },
+    100,
+    3,
+    0.25
+  );
+  assert.deepEqual(
+    lines.map((l) => [l.code, l.amount]),
+    [
+      ["material", 20],
+      ["material_surcharge", 4.5],
+      ["white_ink", 2.5],
+    ]
+  );
+});
+
+test("calcMaterialLines: Weißdruck nur mit bedruckter Fläche", () => {
+  const lines = calcMaterialLines({ ...MATERIAL, whiteInkPerM2: 10 }, 100, 1, 0);
+  assert.deepEqual(lines, []);
+});
+
+// ── Mengenstaffeln ────────────────────────────────────────────────────────
+const TIERS = [
+  { minQty: 250, discountPct: 15 },
+  { minQty: 50, discountPct: 5 },
+];
+
+test("resolveTier: ergänzt Basisstufe ab 1 Stück und sortiert", () => {
+  const res = resolveTier(TIERS, 10, 1);
+  assert.deepEqual(
+    res.table.map((t) => [t.minQty, t.maxQty, t.discountPct]),
+    [
+      [1, 49, 0],
+      [50, 249, 5],
+      [250, null, 15],
+    ]
+  );
+  assert.equal(res.current.minQty, 1);
+  assert.equal(res.next.minQty, 50);
+  assert.equal(res.next.piecesToGo, 40);
+});
+
+test("resolveTier: Stufe gilt ab minQty einschließlich", () => {
+  assert.equal(resolveTier(TIERS, 49, 1).current.discountPct, 0);
+  assert.equal(resolveTier(TIERS, 50, 1).current.discountPct, 5);
+  assert.equal(resolveTier(TIERS, 5000, 1).current.discountPct, 15);
+  assert.equal(resolveTier(TIERS, 5000, 1).next, null);
+});
+
+test("resolveTier: Ersparnis relativ zur aktuellen Stufe", () => {
+  const res = resolveTier(TIERS, 100, 2);
+  assert.equal(res.current.pricePerPiece, 1.9);
+  // (1 − 0,85 / 0,95) = 10,5 %
+  assert.equal(res.next.savingsPct, 10.5);
+});
+
+test("resolveTier: ohne Staffel nur die Basisstufe", () => {
+  const res = resolveTier([], 500, 1.25);
+  assert.equal(res.table.length, 1);
+  assert.equal(res.current.pricePerPiece, 1.25);
+  assert.equal(res.next, null);
+});
+
+test("roundMoney: kaufmännisch auf Cent", () => {
+  assert.equal(roundMoney(1.005 + 1e-9), 1.01);
+  assert.equal(roundMoney("2.5"), 2.5);
+  assert.equal(roundMoney(undefined), 0);
+});
+
+// ── Währung ───────────────────────────────────────────────────────────────
+test("sameCurrency: Preistabelle und Shop-Währung", () => {
+  assert.equal(sameCurrency("EUR", "EUR"), true);
+  assert.equal(sameCurrency("eur", " EUR "), true);
+  // Preistabelle in EUR, Shop in USD: Betrag darf nicht als USD berechnet werden
+  assert.equal(sameCurrency("EUR", "USD"), false);
+  assert.equal(sameCurrency("EUR", ""), false);
+  assert.equal(sameCurrency(undefined, undefined), false);
+});
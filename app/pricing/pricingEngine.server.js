@@ -0,0 +1,469 @@
+// app/pricing/pricingEngine.server.js
+//
+// Einzige Preislogik der App. Alle Preis-Routen, die Draft-Order und der
+// Konfigurator (Anzeige vor dem Warenkorb) rechnen hierüber.
+//
+// Preismodi je Preistabelle (Prisma: PriceTable, pro Shop, shapeKey "*" = Standard):
+//   - "variant": Stückpreis = Preis der Shopify-Variante (Katalog-Größen)
+//   - "area":    Fläche in m², abgerechnet in areaStepM2-Schritten, mind. minAreaM2
+//   - "auto":    "variant" wenn eine Katalog-Variante gewählt ist, sonst "area"
+//
+// Materialpreise (Prisma: MaterialPrice) gelten je Farbe in beiden Modi:
+// Multiplikator auf den Grundpreis, Aufschlag je Einheit und Weißdruck je m².
+//
+// Mengenstaffeln (Prisma: PriceTier) gelten je Form/Farbe auf die Gesamtstückzahl
+// (quantity × pieces) und werden als Rabattzeile verrechnet. pieces (Stück je
+// Set) kommt aus dem gemeinsamen Ausbeute-Rechner (app/utils/stickerYield.js).
+//
+// Jedes Ergebnis enthält eine Aufschlüsselung (breakdown.lines) und die
+// Staffeltabelle (tiers), die Routen unverändert an den Client weitergeben.
+import prisma from "../db.server";
+import { getCatalogForShop } from "../catalog/catalogStore.server";
+import { STICKER_COLORWAYS } from "../catalog/stickerCatalog.server";
+import { calcPiecesPerPack, resolvePackArea } from "../utils/stickerYield";
+import { DEFAULT_AREA_STEP_M2, calcAreaPrice, calcMaterialLines, resolveTier, roundMoney, sameCurrency } from "./priceMath";
+
+// Reine Rechenfunktionen (ohne DB) liegen in priceMath.js
+export { calcAreaPrice, calcMaterialLines, resolveTier, roundMoney, sameCurrency };
+
+export const PRICE_MODES = ["auto", "variant", "area"];
+
+export const DEFAULT_PRICE_TABLE = Object.freeze({
+  shapeKey: "*",
+  mode: "auto",
+  pricePerM2: 250,
+  minAreaM2: 0.1,
+  areaStepM2: DEFAULT_AREA_STEP_M2,
+  setupFee: 0,
+  currencyCode: "EUR",
+});
+
+export const DEFAULT_MATERIAL_PRICE = Object.freeze({
+  multiplier: 1,
+  surchargePerUnit: 0,
+  whiteInkPerM2: 0,
+});
+
+const VARIANT_PRICE_QUERY = `#graphql
+  query PricingVariant($id: ID!) {
+    node(id: $id) {
+      ... on ProductVariant {
+        id
+        title
+        price
+      }
+    }
+  }
+`;
+
+// ── Hilfsfunktionen ───────────────────────────────────────────────────────
+function positiveNumber(x) {
+  const n = Number(x);
+  return Number.isFinite(n) && n > 0 ? n : 0;
+}
+
+function tableFromRow(row) {
+  if (!row) return { ...DEFAULT_PRICE_TABLE, source: "default" };
+  return {
+    shapeKey: row.shapeKey,
+    mode: PRICE_MODES.includes(row.mode) ? row.mode : DEFAULT_PRICE_TABLE.mode,
+    pricePerM2: Number(row.pricePerM2),
+    minAreaM2: Number(row.minAreaM2),
+    areaStepM2: Number(row.areaStepM2) > 0 ? Number(row.areaStepM2) : DEFAULT_PRICE_TABLE.areaStepM2,
+    setupFee: Number(row.setupFee) || 0,
+    currencyCode: row.currencyCode || DEFAULT_PRICE_TABLE.currencyCode,
+    source: "db",
+  };
+}
+
+// ── Preistabellen ─────────────────────────────────────────────────────────
+/**
+ * Preistabelle für Shop + Form: Form-Zeile → Shop-Standard ("*") → Defaults.
+ */
+export async function getPriceTable(shop, shapeKey) {
+  if (!shop) return tableFromRow(null);
+
+  const rows = await prisma.priceTable.findMany({
+    where: { shop, shapeKey: { in: [String(shapeKey || "*"), "*"] } },
+  });
+  const row = rows.find((r) => r.shapeKey === shapeKey) || rows.find((r) => r.shapeKey === "*");
+  return tableFromRow(row);
+}
+
+export async function listPriceTables(shop) {
+  const rows = await prisma.priceTable.findMany({ where: { shop }, orderBy: { shapeKey: "asc" } });
+  return rows.map(tableFromRow);
+}
+
+/**
+ * Legt eine Preistabelle an bzw. aktualisiert sie. Ungültige Werte → { ok: false, error }.
+ */
+export async function savePriceTable(shop, input) {
+  const shapeKey = String(input?.shapeKey || "*").trim() || "*";
+  const mode = String(input?.mode || DEFAULT_PRICE_TABLE.mode);
+  const data = {
+    mode,
+    pricePerM2: Number(input?.pricePerM2),
+    minAreaM2: Number(input?.minAreaM2),
+    areaStepM2: Number(input?.areaStepM2),
+    setupFee: Number(input?.setupFee ?? 0),
+    currencyCode: String(input?.currencyCode || DEFAULT_PRICE_TABLE.currencyCode).toUpperCase(),
+  };
+
+  if (!PRICE_MODES.includes(mode)) return { ok: false, error: "invalid_mode" };
+  for (const k of ["pricePerM2", "minAreaM2", "setupFee"]) {
+    if (!Number.isFinite(data[k]) || data[k] < 0) return { ok: false, error: `invalid_${k}` };
+  }
+  if (!(data.areaStepM2 > 0)) return { ok: false, error: "invalid_areaStepM2" };
+  if (!/^[A-Z]{3}$/.test(data.currencyCode)) return { ok: false, error: "invalid_currencyCode" };
+
+  const row = await prisma.priceTable.upsert({
+    where: { shop_shapeKey: { shop, shapeKey } },
+    create: { shop, shapeKey, ...data },
+    update: data,
+  });
+  return { ok: true, table: tableFromRow(row) };
+}
+
+export async function deletePriceTable(shop, shapeKey) {
+  await prisma.priceTable.deleteMany({ where: { shop, shapeKey: String(shapeKey || "") } });
+}
+
+// ── Materialpreise ────────────────────────────────────────────────────────
+function materialFromRow(colorKey, row) {
+  const label = STICKER_COLORWAYS.find((c) => c.colorKey === colorKey)?.label || colorKey;
+  if (!row) return { colorKey, label, ...DEFAULT_MATERIAL_PRICE, source: "default" };
+  return {
+    colorKey,
+    label,
+    multiplier: Number(row.multiplier) > 0 ? Number(row.multiplier) : 1,
+    surchargePerUnit: Number(row.surchargePerUnit) || 0,
+    whiteInkPerM2: Number(row.whiteInkPerM2) || 0,
+    source: "db",
+  };
+}
+
+export async function getMaterialPrice(shop, colorKey) {
+  const key = String(colorKey || "white");
+  if (!shop) return materialFromRow(key, null);
+  const row = await prisma.materialPrice.findUnique({ where: { shop_colorKey: { shop, colorKey: key } } });
+  return materialFromRow(key, row);
+}
+
+/**
+ * Materialpreise aller Farben (bekannte Farben immer enthalten, ggf. mit Defaults).
+ */
+export async function listMaterialPrices(shop) {
+  const rows = await prisma.materialPrice.findMany({ where: { shop } });
+  const keys = [...new Set([...STICKER_COLORWAYS.map((c) => c.colorKey), ...rows.map((r) => r.colorKey)])];
+  return keys.map((k) => materialFromRow(k, rows.find((r) => r.colorKey === k)));
+}
+
+export async function saveMaterialPrice(shop, input) {
+  const colorKey = String(input?.colorKey || "").trim();
+  const data = {
+    multiplier: Number(input?.multiplier),
+    surchargePerUnit: Number(input?.surchargePerUnit ?? 0),
+    whiteInkPerM2: Number(input?.whiteInkPerM2 ?? 0),
+  };
+
+  if (!colorKey) return { ok: false, error: "invalid_colorKey" };
+  if (!(data.multiplier > 0)) return { ok: false, error: "invalid_multiplier" };
+  for (const k of ["surchargePerUnit", "whiteInkPerM2"]) {
+    if (!Number.isFinite(data[k]) || data[k] < 0) return { ok: false, error: `invalid_${k}` };
+  }
+
+  const row = await prisma.materialPrice.upsert({
+    where: { shop_colorKey: { shop, colorKey } },
+    create: { shop, colorKey, ...data },
+    update: data,
+  });
+  return { ok: true, material: materialFromRow(colorKey, row) };
+}
+
+// ── Mengenstaffeln ────────────────────────────────────────────────────────
+function tierFromRow(row) {
+  return {
+    id: row.id,
+    shapeKey: row.shapeKey,
+    colorKey: row.colorKey,
+    minQty: Number(row.minQty),
+    discountPct: Number(row.discountPct) || 0,
+  };
+}
+
+/**
+ * Staffel für Form + Farbe. Die spezifischste vorhandene Gruppe gewinnt:
+ * (Form, Farbe) → (Form, *) → (*, Farbe) → (*, *). Keine Staffel → [].
+ */
+export async function getPriceTiers(shop, shapeKey, colorKey) {
+  if (!shop) return [];
+
+  const s = String(shapeKey || "*");
+  const c = String(colorKey || "*");
+  const rows = await prisma.priceTier.findMany({
+    where: { shop, shapeKey: { in: [s, "*"] }, colorKey: { in: [c, "*"] } },
+    orderBy: { minQty: "asc" },
+  });
+
+  for (const [gs, gc] of [[s, c], [s, "*"], ["*", c], ["*", "*"]]) {
+    const group = rows.filter((r) => r.shapeKey === gs && r.colorKey === gc);
+    if (group.length) return group.map(tierFromRow);
+  }
+  return [];
+}
+
+export async function listPriceTiers(shop) {
+  const rows = await prisma.priceTier.findMany({
+    where: { shop },
+    orderBy: [{ shapeKey: "asc" }, { colorKey: "asc" }, { minQty: "asc" }],
+  });
+  return rows.map(tierFromRow);
+}
+
+export async function savePriceTier(shop, input) {
+  const shapeKey = String(input?.shapeKey || "*").trim() || "*";
+  const colorKey = String(input?.colorKey || "*").trim() || "*";
+  const minQty = Number(input?.minQty);
+  const discountPct = Number(input?.discountPct);
+
+  if (!Number.isInteger(minQty) || minQty < 1) return { ok: false, error: "invalid_minQty" };
+  if (!Number.isFinite(discountPct) || discountPct < 0 || discountPct >= 100) {
+    return { ok: false, error: "invalid_discountPct" };
+  }
+
+  const row = await prisma.priceTier.upsert({
+    where: { shop_shapeKey_colorKey_minQty: { shop, shapeKey, colorKey, minQty } },
+    create: { shop, shapeKey, colorKey, minQty, discountPct },
+    update: { discountPct },
+  });
+  return { ok: true, tier: tierFromRow(row) };
+}
+
+export async function deletePriceTier(shop, id) {
+  await prisma.priceTier.deleteMany({ where: { shop, id: String(id || "") } });
+}
+
+// ── Eingaben ──────────────────────────────────────────────────────────────
+/**
+ * Liest Preis-Eingaben aus JSON-Body oder FormData (inkl. Alt-Aliasse width/w/qty).
+ */
+export function parsePriceInput(source) {
+  const get = typeof source?.get === "function" ? (k) => source.get(k) : (k) => source?.[k];
+  const pick = (...keys) => {
+    for (const k of keys) {
+      const v = get(k);
+      if (v != null && v !== "") return v;
+    }
+    return undefined;
+  };
+
+  return {
+    shapeKey: String(pick("shapeKey", "shape") || ""),
+    colorKey: String(pick("colorKey", "color") || ""),
+    sizeKey: String(pick("sizeKey", "size") || ""),
+    widthCm: pick("widthCm", "width", "w"),
+    heightCm: pick("heightCm", "height", "h"),
+    quantity: pick("quantity", "qty") ?? 1,
+    borderMm: pick("borderMm", "freeformBorderMm") ?? 0,
+    variantId: String(pick("variantId") || ""),
+    clientVariantPrice: pick("variantPrice"),
+  };
+}
+
+/**
+ * Felder der früheren calcPrice-Antworten (area/rawArea/price), damit alte
+ * Aufrufer weiter funktionieren. quantity = Anzahl Einheiten.
+ */
+export function legacyPriceFields(quote) {
+  return {
+    rawArea: quote.breakdown.area?.rawAreaM2 ?? (quote.widthCm / 100) * (quote.heightCm / 100),
+    area: quote.breakdown.area?.billedAreaM2 ?? (quote.widthCm / 100) * (quote.heightCm / 100),
+    quantity: quote.quantity,
+    price: quote.total,
+  };
+}
+
+// ── Berechnung ────────────────────────────────────────────────────────────
+/**
+ * Preis einer Shopify-Variante über die Admin API.
+ * @returns {Promise<{ price: number, title: string } | null>}
+ */
+export async function fetchVariantPrice(admin, variantId) {
+  const id = String(variantId || "").match(/(\d+)$/)?.[1];
+  if (!admin || !id) return null;
+
+  const resp = await admin.graphql(VARIANT_PRICE_QUERY, {
+    variables: { id: `gid://shopify/ProductVariant/${id}` },
+  });
+  const data = await resp.json();
+  const v = data?.data?.node;
+  if (!v) return null;
+
+  const price = Number(v.price);
+  return Number.isFinite(price) ? { price, title: String(v.title || "") } : null;
+}
+
+function findCatalogSize(catalog, shapeKey, colorKey, sizeKey) {
+  const shape = catalog?.[shapeKey];
+  if (!shape || !sizeKey) return null;
+  const color = shape.colors?.[colorKey || shape.defaultColorKey];
+  const sizes = color?.sizes || shape.sizes || [];
+  return sizes.find((s) => s.sizeKey === sizeKey) || null;
+}
+
+/**
+ * Einheitliche Preisberechnung.
+ *
+ * Eingaben: shapeKey/colorKey/sizeKey (Katalog) und/oder widthCm/heightCm,
+ * quantity = Anzahl Einheiten (Warenkorb-Menge), variantId optional,
+ * borderMm = Rand bei Freiform. Maße und Variante aus dem Katalog haben Vorrang
+ * vor Client-Angaben; die Stück je Set (für die Mengenstaffel) werden daraus
+ * berechnet, nie vom Client übernommen.
+ *
+ * Der Variantenpreis kommt vom Admin-Client; `clientVariantPrice` wird nur
+ * verwendet, wenn kein Admin-Client verfügbar ist (reine Anzeige), und ist
+ * dann in breakdown.variantPriceSource = "client" markiert.
+ *
+ * @returns {Promise<{ ok: true, ...quote } | { ok: false, error: string }>}
+ */
+export async function quoteStickerPrice({
+  shop = null,
+  admin = null,
+  shapeKey = "",
+  colorKey = "",
+  sizeKey = "",
+  widthCm,
+  heightCm,
+  quantity = 1,
+  borderMm = 0,
+  variantId = "",
+  clientVariantPrice,
+} = {}) {
+  const qty = Math.max(1, Math.floor(Number(quantity) || 1));
+
+  let w = positiveNumber(widthCm);
+  let h = positiveNumber(heightCm);
+  let vid = String(variantId || "").match(/(\d+)$/)?.[1] || "";
+
+  let size = null;
+  let shapeMeta = null;
+  if (shapeKey) {
+    const { catalog } = await getCatalogForShop(shop);
+    shapeMeta = catalog?.[shapeKey]?.meta || null;
+    if (sizeKey) {
+      size = findCatalogSize(catalog, shapeKey, colorKey, sizeKey);
+      if (!size) return { ok: false, error: "unknown_size" };
+      w = Number(size.widthCm);
+      h = Number(size.heightCm);
+      vid = String(size.variantId || "") || vid;
+    }
+  }
+
+  if (!(w > 0) || !(h > 0)) return { ok: false, error: "invalid_dimensions" };
+
+  // Set-Fläche (Rollenbreite, Set-Länge) je Form aus dem Katalog
+  const packYield = calcPiecesPerPack({ ...resolvePackArea(shapeMeta), shape: shapeKey, widthCm: w, heightCm: h, borderMm });
+  const piecesPerUnit = packYield.pieces;
+  const totalPieces = qty * piecesPerUnit;
+
+  const [table, tierRows, material] = await Promise.all([
+    getPriceTable(shop, shapeKey),
+    getPriceTiers(shop, shapeKey, colorKey),
+    getMaterialPrice(shop, colorKey),
+  ]);
+  const mode = table.mode === "auto" ? (vid ? "variant" : "area") : table.mode;
+
+  const lines = [];
+  let unitPrice = 0;
+  let area = null;
+  let variant = null;
+
+  if (mode === "variant") {
+    if (!vid) return { ok: false, error: "variant_required" };
+
+    let fetched = null;
+    try {
+      fetched = await fetchVariantPrice(admin, vid);
+    } catch (e) {
+      console.error("[PRICING] Variantenpreis:", e?.message || e);
+    }
+
+    if (fetched) {
+      variant = { variantId: vid, title: fetched.title, price: fetched.price, source: "shopify" };
+    } else if (!admin && Number.isFinite(Number(clientVariantPrice)) && Number(clientVariantPrice) >= 0) {
+      variant = { variantId: vid, title: "", price: Number(clientVariantPrice), source: "client" };
+    } else {
+      return { ok: false, error: "variant_price_unavailable" };
+    }
+
+    unitPrice = roundMoney(variant.price);
+    lines.push({ code: "variant", label: "Variantenpreis", unit: unitPrice, quantity: qty, amount: roundMoney(unitPrice * qty) });
+  } else {
+    area = calcAreaPrice(table, w, h);
+    unitPrice = area.unitPrice;
+    lines.push({
+      code: "area",
+      label: `${area.billedAreaM2.toFixed(2)} m² × ${area.pricePerM2.toFixed(2)} €/m²`,
+      unit: unitPrice,
+      quantity: qty,
+      amount: roundMoney(unitPrice * qty),
+    });
+  }
+
+  const baseAmount = lines[0].amount;
+  const inkAreaM2 = (w / 100) * (h / 100) * totalPieces;
+  lines.push(...calcMaterialLines(material, baseAmount, qty, inkAreaM2));
+
+  const subtotal = roundMoney(lines.reduce((sum, l) => sum + l.amount, 0));
+  const tiers = resolveTier(tierRows, totalPieces, subtotal / totalPieces);
+  if (tiers.current.discountPct > 0) {
+    lines.push({
+      code: "tier",
+      label: `Mengenrabatt ab ${tiers.current.minQty} Stück (−${tiers.current.discountPct} %)`,
+      unit: null,
+      quantity: 1,
+      amount: -roundMoney((subtotal * tiers.current.discountPct) / 100),
+    });
+  }
+
+  if (table.setupFee > 0) {
+    lines.push({ code: "setup", label: "Einrichtung", unit: roundMoney(table.setupFee), quantity: 1, amount: roundMoney(table.setupFee) });
+  }
+
+  const total = roundMoney(lines.reduce((sum, l) => sum + l.amount, 0));
+
+  return {
+    ok: true,
+    mode,
+    shapeKey: shapeKey || null,
+    colorKey: colorKey || null,
+    sizeKey: size ? size.sizeKey : null,
+    variantId: vid || null,
+    widthCm: w,
+    heightCm: h,
+    quantity: qty,
+    pieces: piecesPerUnit,
+    totalPieces,
+    unitPrice,
+    total,
+    currencyCode: table.currencyCode,
+    tiers,
+    breakdown: {
+      mode,
+      table: { shapeKey: table.shapeKey, source: table.source },
+      area,
+      yield: packYield,
+      material: {
+        colorKey: material.colorKey,
+        multiplier: material.multiplier,
+        surchargePerUnit: material.surchargePerUnit,
+        whiteInkPerM2: material.whiteInkPerM2,
+        source: material.source,
+      },
+      variantPriceSource: variant?.source || null,
+      lines,
+      total,
+    },
+  };
+}
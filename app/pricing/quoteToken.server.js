@@ -0,0 +1,104 @@
+// app/pricing/quoteToken.server.js
+//
+// Signierte Preisangebote: Die Preis-Route gibt zu jedem serverseitig
+// berechneten Preis ein kurzlebiges Token aus (HMAC-SHA256 über Konfiguration
+// + Preis). Das Token reist als Warenkorb-Property `_sc_quote` bzw. im
+// Draft-Order-Request mit und wird dort wieder geprüft.
+//
+// Format: base64url(JSON-Payload) "." base64url(HMAC)
+import crypto from "crypto";
+
+export const QUOTE_TOKEN_TTL_SEC = 30 * 60;
+export const QUOTE_PROPERTY = "_sc_quote";
+
+const TOKEN_VERSION = 1;
+
+// Felder, die Token und geprüfte Konfiguration gemeinsam haben müssen
+const CONFIG_FIELDS = ["shapeKey", "colorKey", "sizeKey", "variantId", "widthCm", "heightCm", "quantity", "pieces"];
+
+function secret() {
+  const s = process.env.QUOTE_TOKEN_SECRET || process.env.SHOPIFY_API_SECRET || "";
+  if (!s) throw new Error("QUOTE_TOKEN_SECRET/SHOPIFY_API_SECRET fehlt");
+  return s;
+}
+
+function b64url(buf) {
+  return Buffer.from(buf).toString("base64url");
+}
+
+function hmac(data) {
+  return crypto.createHmac("sha256", secret()).update(data).digest();
+}
+
+function normValue(key, v) {
+  if (v == null || v === "") return "";
+  if (key === "widthCm" || key === "heightCm") return Number(Number(v).toFixed(2));
+  if (key === "quantity" || key === "pieces") return Math.floor(Number(v)) || 0;
+  return String(v);
+}
+
+/**
+ * Token für ein Ergebnis von quoteStickerPrice().
+ * Preise, die auf einer Client-Angabe beruhen, werden nicht signiert.
+ *
+ * @returns {{ quoteToken: string, quoteExpiresAt: string } | {}}
+ */
+export function issueQuoteToken(quote, { shop = null, ttlSec = QUOTE_TOKEN_TTL_SEC } = {}) {
+  if (!quote?.ok || quote.breakdown?.variantPriceSource === "client") return {};
+
+  const now = Math.floor(Date.now() / 1000);
+  const payload = { v: TOKEN_VERSION, shop: shop || null, iat: now, exp: now + ttlSec };
+  for (const k of CONFIG_FIELDS) payload[k] = normValue(k, quote[k]);
+  payload.total = Number(quote.total);
+  payload.currencyCode = quote.currencyCode;
+
+  const body = b64url(JSON.stringify(payload));
+  return {
+    quoteToken: `${body}.${b64url(hmac(body))}`,
+    quoteExpiresAt: new Date(payload.exp * 1000).toISOString(),
+  };
+}
+
+/**
+ * Prüft Signatur, Ablauf, Shop und – falls angegeben – Konfiguration/Preis.
+ * Der Shop muss exakt übereinstimmen (Token ohne Shop gelten nur ohne Shop).
+ *
+ * @param {string} token
+ * @param {{ shop?: string|null, expect?: Record<string, any>, total?: number, now?: number }} opts
+ *   expect: zu vergleichende Konfiguration – alle signierten Felder, auch leere
+ *   und 0 (fehlt ein Feld in expect, muss es auch im Token leer sein)
+ * @returns {{ ok: true, payload: any } | { ok: false, error: string, payload?: any }}
+ */
+export function verifyQuoteToken(token, { shop = null, expect = null, total, now = Date.now() } = {}) {
+  const [body, sig] = String(token || "").split(".");
+  if (!body || !sig) return { ok: false, error: "malformed" };
+
+  const expected = hmac(body);
+  const given = Buffer.from(sig, "base64url");
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return { ok: false, error: "bad_signature" };
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(body, "base64url").toString("utf8"));
+  } catch {
+    return { ok: false, error: "malformed" };
+  }
+
+  if (payload?.v !== TOKEN_VERSION) return { ok: false, error: "unsupported_version", payload };
+  if (!(Number(payload.exp) * 1000 > now)) return { ok: false, error: "expired", payload };
+  if ((payload.shop || null) !== (shop || null)) return { ok: false, error: "shop_mismatch", payload };
+
+  if (expect) {
+    for (const k of CONFIG_FIELDS) {
+      if (normValue(k, payload[k]) !== normValue(k, expect[k])) return { ok: false, error: `config_mismatch:${k}`, payload };
+    }
+  }
+
+  if (total != null && Math.abs(Number(total) - Number(payload.total)) > 0.01) {
+    return { ok: false, error: "price_mismatch", payload };
+  }
+
+  return { ok: true, payload };
+}
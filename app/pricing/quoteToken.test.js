@@ -0,0 +1,78 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { issueQuoteToken, verifyQuoteToken } from "./quoteToken.server.js";
+
+process.env.QUOTE_TOKEN_SECRET = "test-secret";
+
+const SHOP = "demo.myshopify.com";
+const QUOTE = {
+  ok: true,
+  shapeKey: "round",
+  colorKey: "white",
+  sizeKey: "",
+  variantId: "gid://shopify/ProductVariant/1",
+  widthCm: 5,
+  heightCm: 5,
+  quantity: 2,
+  pieces: 64,
+  total: 39.9,
+  currencyCode: "EUR",
+  breakdown: { variantPriceSource: "shopify" },
+};
+const EXPECT = { ...QUOTE };
+
+function issue(opts = {}) {
+  return issueQuoteToken(QUOTE, { shop: SHOP, ...opts }).quoteToken;
+}
+
+test("verifyQuoteToken: gültiges Token mit passender Konfiguration", () => {
+  const res = verifyQuoteToken(issue(), { shop: SHOP, expect: EXPECT, total: 39.9 });
+  assert.equal(res.ok, true);
+  assert.equal(res.payload.total, 39.9);
+});
+
+test("verifyQuoteToken: Maße werden auf 0,01 cm normalisiert", () => {
+  const res = verifyQuoteToken(issue(), { shop: SHOP, expect: { ...EXPECT, widthCm: "5.001" } });
+  assert.equal(res.ok, true);
+});
+
+test("issueQuoteToken: kein Token für Client-Preise", () => {
+  assert.deepEqual(issueQuoteToken({ ...QUOTE, breakdown: { variantPriceSource: "client" } }, { shop: SHOP }), {});
+  assert.deepEqual(issueQuoteToken({ ...QUOTE, ok: false }, { shop: SHOP }), {});
+});
+
+test("verifyQuoteToken: veränderte Signatur oder Nutzlast", () => {
+  const token = issue();
+  const [body, sig] = token.split(".");
+  const forged = Buffer.from(JSON.stringify({ ...JSON.parse(Buffer.from(body, "base64url")), total: 1 }));
+  assert.equal(verifyQuoteToken(`${forged.toString("base64url")}.${sig}`, { shop: SHOP }).error, "bad_signature");
+  assert.equal(verifyQuoteToken(`${body}.${sig.slice(2)}`, { shop: SHOP }).error, "bad_signature");
+  assert.equal(verifyQuoteToken("kaputt", { shop: SHOP }).error, "malformed");
+});
+
+test("verifyQuoteToken: Shop muss exakt übereinstimmen", () => {
+  assert.equal(verifyQuoteToken(issue(), { shop: "other.myshopify.com" }).error, "shop_mismatch");
+  assert.equal(verifyQuoteToken(issue(), { shop: null }).error, "shop_mismatch");
+  assert.equal(verifyQuoteToken(issue({ shop: null }), { shop: SHOP }).error, "shop_mismatch");
+  assert.equal(verifyQuoteToken(issue({ shop: null }), { shop: null }).ok, true);
+});
+
+test("verifyQuoteToken: leere und 0-Felder werden mitgeprüft", () => {
+  const token = issue();
+  assert.equal(verifyQuoteToken(token, { shop: SHOP, expect: { ...EXPECT, sizeKey: "a5" } }).error, "config_mismatch:sizeKey");
+  assert.equal(verifyQuoteToken(token, { shop: SHOP, expect: { ...EXPECT, quantity: 0 } }).error, "config_mismatch:quantity");
+  assert.equal(verifyQuoteToken(token, { shop: SHOP, expect: { ...EXPECT, colorKey: "" } }).error, "config_mismatch:colorKey");
+  const { pieces: _pieces, ...withoutPieces } = EXPECT;
+  assert.equal(verifyQuoteToken(token, { shop: SHOP, expect: withoutPieces }).error, "config_mismatch:pieces");
+});
+
+test("verifyQuoteToken: Preisabweichung über 1 Cent", () => {
+  assert.equal(verifyQuoteToken(issue(), { shop: SHOP, total: 39.905 }).ok, true);
+  assert.equal(verifyQuoteToken(issue(), { shop: SHOP, total: 39.5 }).error, "price_mismatch");
+});
+
+test("verifyQuoteToken: abgelaufenes Token", () => {
+  const token = issue({ ttlSec: 60 });
+  assert.equal(verifyQuoteToken(token, { shop: SHOP, now: Date.now() + 59_000 }).ok, true);
+  assert.equal(verifyQuoteToken(token, { shop: SHOP, now: Date.now() + 61_000 }).error, "expired");
+});
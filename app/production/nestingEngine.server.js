@@ -0,0 +1,336 @@
+// app/production/nestingEngine.server.js
+//
+// Gang-Sheets: mehrere Produktionsaufträge desselben Materials werden auf eine
+// Rolle fester Breite gepackt (MaxRects, Best-Short-Side-Fit, optional um 90°
+// gedreht, mit Abstand). Ergebnis je Bogen: ein kombiniertes Druck-SVG mit
+// gemeinsamen Schnittebenen (CutContour, KissCut, Perforation) und ein
+// Platzierungs-Manifest (JSON).
+//
+// Alle Maße intern in mm. Passt ein Auftrag nicht mehr auf die Rollenlänge,
+// wird ein weiterer Bogen angelegt.
+import fs from "fs/promises";
+import path from "path";
+import prisma from "../db.server";
+import { DEFAULT_SPACING_MM, PRINT_ROLL_WIDTH_CM } from "../utils/stickerYield";
+import { CUT_LAYER_ORDER, DEFAULT_CUT_LAYER, wrapCutLayer } from "../lib/cutLayers.server";
+import { readExportFile } from "../lib/uploadStore.server";
+import { sanitizeSvg } from "../lib/svgSanitizer.server";
+import { packRects } from "./rectPacking";
+
+export { packRects };
+
+export const DEFAULT_ROLL = {
+  widthCm: PRINT_ROLL_WIDTH_CM,
+  lengthCm: 500,
+  spacingMm: DEFAULT_SPACING_MM,
+  marginMm: 5,
+  allowRotate: true,
+};
+
+// Schutz gegen versehentlich riesige Läufe (Stück gesamt)
+const MAX_ITEMS = 5000;
+// Export-SVG mit eingebettetem Raster (renderedDataUrl bis 35 MB, base64)
+const MAX_SVG_MB = 60;
+const CUT_COLOR = "#ff00ff";
+const CUT_STROKE_MM = 0.25;
+
+const SHEET_DIR = path.join(process.cwd(), "public", "exports", "sticker-configurator", "gang-sheets");
+
+// ── Hilfsfunktionen ───────────────────────────────────────────────────────
+function num(v, fallback) {
+  const n = Number(String(v ?? "").replace(",", "."));
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function r3(n) {
+  return Math.round(n * 1000) / 1000;
+}
+
+function escapeAttr(s) {
+  return String(s ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/"/g, "&quot;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+/** Rollen-Optionen aus Formular/JSON; fehlende Werte → DEFAULT_ROLL. */
+export function parseRollInput(input = {}) {
+  const get = (k) => (typeof input.get === "function" ? input.get(k) : input[k]);
+  const rotate = get("allowRotate");
+  return {
+    widthCm: Math.max(1, num(get("widthCm"), DEFAULT_ROLL.widthCm)),
+    lengthCm: Math.max(1, num(get("lengthCm"), DEFAULT_ROLL.lengthCm)),
+    spacingMm: Math.max(0, num(get("spacingMm"), DEFAULT_ROLL.spacingMm)),
+    marginMm: Math.max(0, num(get("marginMm"), DEFAULT_ROLL.marginMm)),
+    allowRotate: rotate == null ? DEFAULT_ROLL.allowRotate : rotate === true || rotate === "on" || rotate === "true" || rotate === "1",
+  };
+}
+
+// ── Schnittkontur & Motiv ─────────────────────────────────────────────────
+/** Geometrische Schnittkontur in mm (Fallback ohne Job-SVG). */
+export function shapeCutElement(shapeKey, w, h) {
+  const s = String(shapeKey || "").toLowerCase();
+  const attrs = `fill="none" stroke="${CUT_COLOR}" stroke-width="${CUT_STROKE_MM}"`;
+  if (s === "round" || s === "circle") {
+    return `<circle cx="${r3(w / 2)}" cy="${r3(h / 2)}" r="${r3(Math.min(w, h) / 2)}" ${attrs} />`;
+  }
+  if (s.startsWith("oval")) {
+    return `<ellipse cx="${r3(w / 2)}" cy="${r3(h / 2)}" rx="${r3(w / 2)}" ry="${r3(h / 2)}" ${attrs} />`;
+  }
+  if (s.endsWith("_rounded") || s === "rounded") {
+    const rad = r3(Math.min(w, h) * 0.1);
+    return `<rect x="0" y="0" width="${r3(w)}" height="${r3(h)}" rx="${rad}" ry="${rad}" ${attrs} />`;
+  }
+  return `<rect x="0" y="0" width="${r3(w)}" height="${r3(h)}" ${attrs} />`;
+}
+
+/**
+ * Zerlegt ein Export-SVG (siehe sticker.export) in Motiv und Schnittebenen.
+ * @returns {{ viewW: number, viewH: number, bleed: number, artwork: string, cuts: Record<string, string> } | null}
+ *   viewW/viewH = Nenngröße, bleed = Beschnitt je Seite (viewBox beginnt bei −bleed),
+ *   cuts = Inhalt je Schnittebene (nur vorhandene)
+ */
+export function splitExportSvg(svg) {
+  const text = String(svg || "");
+  const open = text.match(/<svg\b[^>]*>/i);
+  const close = text.lastIndexOf("</svg>");
+  if (!open || close < 0) return null;
+
+  const vb = open[0].match(/viewBox="\s*([-\d.]+)[\s,]+([-\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)\s*"/i);
+  const bleed = Math.max(0, -Number(vb?.[1]) || 0);
+  const viewW = Number(vb?.[3]) - 2 * bleed;
+  const viewH = Number(vb?.[4]) - 2 * bleed;
+  if (!(viewW > 0 && viewH > 0)) return null;
+
+  let inner = text.slice(open.index + open[0].length, close);
+  const cuts = {};
+  for (const name of CUT_LAYER_ORDER) {
+    inner = inner.replace(new RegExp(`<g id="${name}">([\\s\\S]*?)<\\/g>`, "i"), (_, c) => {
+      if (c.trim()) cuts[name] = c.trim();
+      return "";
+    });
+  }
+
+  return { viewW, viewH, bleed, artwork: inner.trim(), cuts };
+}
+
+function hasSvgCuts(src) {
+  return !!src.art && Object.keys(src.art.cuts).length > 0;
+}
+
+// Job-SVG stammt aus Bestell-Properties (vom Kunden änderbar): nur aus dem
+// Export-Ordner bzw. von Shopify-Dateihosts laden und vor dem Einbetten in das
+// öffentlich ausgelieferte Gang-Sheet bereinigen
+async function loadJobArtwork(job, shop) {
+  if (!job.svgUrl) return null;
+  try {
+    const buf = await readExportFile(job.svgUrl, { maxMb: MAX_SVG_MB, shop });
+    if (!buf) return null;
+    const clean = sanitizeSvg(buf);
+    if (!clean.ok) {
+      console.warn(`[NESTING] SVG für Auftrag ${job.id} abgelehnt:`, clean.error);
+      return null;
+    }
+    return splitExportSvg(clean.svg);
+  } catch (e) {
+    console.warn(`[NESTING] SVG für Auftrag ${job.id} nicht ladbar:`, e?.message || e);
+    return null;
+  }
+}
+
+// ── SVG-Aufbau ────────────────────────────────────────────────────────────
+/**
+ * Kombiniertes Druck-SVG eines Bogens. Motive liegen einmal als <symbol> vor
+ * und werden per <use> platziert (Beschnitt ragt über die Platzierung hinaus,
+ * bis zum Abstand der Nachbarn); die Schnittkonturen werden ausgeschrieben
+ * (Plotter-Software ignoriert <use>) und je Schnittebene gesammelt. Ohne
+ * Job-SVG gilt die geometrische Form als CutContour.
+ *
+ * @param {{ widthMm: number, lengthMm: number, placements: any[] }} sheet
+ * @param {Map<string, { symbolId: string, widthMm: number, heightMm: number, art: any, imageUrl: string, shapeKey: string }>} sources
+ */
+export function buildGangSheetSvg(sheet, sources) {
+  const symbols = [];
+  const uses = [];
+  const cuts = new Map(CUT_LAYER_ORDER.map((name) => [name, []]));
+
+  for (const src of sources.values()) {
+    if (src.art?.artwork) {
+      const overflow = src.art.bleed ? ` overflow="visible"` : "";
+      symbols.push(
+        `<symbol id="${src.symbolId}" viewBox="0 0 ${src.art.viewW} ${src.art.viewH}" preserveAspectRatio="none"${overflow}>\n${src.art.artwork}\n</symbol>`
+      );
+    } else if (src.imageUrl) {
+      symbols.push(
+        `<symbol id="${src.symbolId}" viewBox="0 0 ${r3(src.widthMm)} ${r3(src.heightMm)}">` +
+          `<image href="${escapeAttr(src.imageUrl)}" x="0" y="0" width="${r3(src.widthMm)}" height="${r3(src.heightMm)}" preserveAspectRatio="xMidYMid slice" />` +
+          `</symbol>`
+      );
+    }
+  }
+
+  for (const p of sheet.placements) {
+    const src = sources.get(p.jobId);
+    const w = src.widthMm;
+    const h = src.heightMm;
+    const transform = p.rotated
+      ? `translate(${r3(p.xMm + h)} ${r3(p.yMm)}) rotate(90)`
+      : `translate(${r3(p.xMm)} ${r3(p.yMm)})`;
+
+    if (src.art?.artwork || src.imageUrl) {
+      uses.push(`<use href="#${src.symbolId}" width="${r3(w)}" height="${r3(h)}" transform="${transform}" />`);
+    }
+
+    if (hasSvgCuts(src)) {
+      const sx = w / src.art.viewW;
+      const sy = h / src.art.viewH;
+      const stroke = r3(CUT_STROKE_MM / Math.min(sx, sy));
+      for (const [name, cut] of Object.entries(src.art.cuts)) {
+        const inner = cut.replace(/stroke-width="[^"]*"/g, `stroke-width="${stroke}"`);
+        cuts.get(name).push(`<g transform="${transform} scale(${sx} ${sy})">${inner}</g>`);
+      }
+    } else {
+      cuts.get(DEFAULT_CUT_LAYER).push(`<g transform="${transform}">${shapeCutElement(src.shapeKey, w, h)}</g>`);
+    }
+  }
+
+  const W = r3(sheet.widthMm);
+  const H = r3(sheet.lengthMm);
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<svg width="${W}mm" height="${H}mm" viewBox="0 0 ${W} ${H}" xmlns="http://www.w3.org/2000/svg">
+  <defs>
+${symbols.join("\n")}
+  </defs>
+  <g id="Artwork">
+    ${uses.join("\n    ")}
+  </g>
+  ${[...cuts].map(([name, list]) => wrapCutLayer(name, list.join("\n    "))).filter(Boolean).join("\n  ")}
+</svg>`;
+}
+
+// ── Gang-Sheets erzeugen ──────────────────────────────────────────────────
+/**
+ * Packt Aufträge eines Materials auf Rollenbögen und speichert SVG + Manifest
+ * unter public/exports/sticker-configurator/gang-sheets.
+ *
+ * @param {string} shop
+ * @param {{ jobIds?: string[], colorKey?: string, status?: string, roll?: Partial<typeof DEFAULT_ROLL>, appBase?: string }} opts
+ *   Ohne jobIds: alle Aufträge mit `status` (Standard "new") und `colorKey`.
+ * @returns {Promise<{ ok: true, colorKey: string, sheets: any[], unplaced: any[] } | { ok: false, error: string }>}
+ */
+export async function createGangSheets(shop, { jobIds = [], colorKey = "", status = "new", roll = {}, appBase = "" } = {}) {
+  const opts = { ...DEFAULT_ROLL, ...roll };
+  const where = { shop };
+  if (jobIds.length) where.id = { in: jobIds.map(String) };
+  else where.status = status;
+  if (colorKey) where.colorKey = colorKey;
+
+  const jobs = await prisma.productionJob.findMany({ where, orderBy: { createdAt: "asc" } });
+  if (!jobs.length) return { ok: false, error: "no_jobs" };
+
+  const colors = new Set(jobs.map((j) => j.colorKey));
+  if (colors.size > 1) return { ok: false, error: "mixed_materials" };
+
+  const items = [];
+  for (const job of jobs) {
+    const copies = Math.max(1, job.pieces) * Math.max(1, job.quantity);
+    for (let i = 0; i < copies; i++) {
+      items.push({ id: `${job.id}#${i}`, jobId: job.id, copy: i, w: job.widthCm * 10, h: job.heightCm * 10 });
+    }
+  }
+  if (items.length > MAX_ITEMS) return { ok: false, error: "too_many_items" };
+  if (items.some((it) => !(it.w > 0 && it.h > 0))) return { ok: false, error: "missing_dimensions" };
+
+  const margin = opts.marginMm;
+  const usableW = opts.widthCm * 10 - 2 * margin;
+  const usableH = opts.lengthCm * 10 - 2 * margin;
+  if (!(usableW > 0 && usableH > 0)) return { ok: false, error: "invalid_roll" };
+
+  const byId = new Map(items.map((it) => [it.id, it]));
+  const { bins, unplaced } = packRects(items, {
+    binW: usableW,
+    binH: usableH,
+    spacing: opts.spacingMm,
+    allowRotate: !!opts.allowRotate,
+  });
+
+  const sources = new Map();
+  await Promise.all(
+    jobs.map(async (job, i) => {
+      sources.set(job.id, {
+        symbolId: `job${i + 1}`,
+        widthMm: job.widthCm * 10,
+        heightMm: job.heightCm * 10,
+        shapeKey: job.shapeKey,
+        imageUrl: job.pngUrl || job.imageUrl,
+        art: await loadJobArtwork(job, shop),
+      });
+    })
+  );
+  const jobsById = new Map(jobs.map((j) => [j.id, j]));
+
+  await fs.mkdir(SHEET_DIR, { recursive: true });
+  const ts = Date.now();
+  const material = String([...colors][0]).replace(/[^a-z0-9_-]/gi, "") || "material";
+  const base = String(appBase || "").replace(/\/$/, "");
+
+  const sheets = [];
+  for (const [n, bin] of bins.entries()) {
+    const placements = bin.placements.map((p) => {
+      const it = byId.get(p.id);
+      const job = jobsById.get(it.jobId);
+      const src = sources.get(it.jobId);
+      return {
+        jobId: job.id,
+        orderName: job.orderName,
+        lineItemId: job.lineItemId,
+        copy: it.copy,
+        xMm: r3(p.x + margin),
+        yMm: r3(p.y + margin),
+        widthMm: r3(p.w),
+        heightMm: r3(p.h),
+        rotated: p.rotated,
+        cutSource: hasSvgCuts(src) ? "svg" : "shape",
+      };
+    });
+
+    const lengthMm = Math.max(...placements.map((p) => p.yMm + p.heightMm)) + margin;
+    const widthMm = opts.widthCm * 10;
+    const usedArea = placements.reduce((s, p) => s + p.widthMm * p.heightMm, 0);
+
+    const sheet = { widthMm, lengthMm: r3(lengthMm), placements };
+    const svg = buildGangSheetSvg(sheet, sources);
+
+    const name = `${ts}-${material}-${n + 1}`;
+    const manifest = {
+      sheet: n + 1,
+      shop,
+      colorKey: [...colors][0],
+      createdAt: new Date(ts).toISOString(),
+      roll: { ...opts, widthMm, usedLengthMm: r3(lengthMm) },
+      utilization: r3(usedArea / (widthMm * lengthMm)),
+      jobs: [...new Set(placements.map((p) => p.jobId))],
+      placements,
+    };
+
+    await fs.writeFile(path.join(SHEET_DIR, `${name}.svg`), svg, "utf8");
+    await fs.writeFile(path.join(SHEET_DIR, `${name}.json`), JSON.stringify(manifest, null, 2), "utf8");
+
+    sheets.push({
+      ...manifest,
+      svgUrl: `${base}/exports/sticker-configurator/gang-sheets/${name}.svg`,
+      manifestUrl: `${base}/exports/sticker-configurator/gang-sheets/${name}.json`,
+    });
+  }
+
+  return {
+    ok: true,
+    colorKey: [...colors][0],
+    sheets,
+    unplaced: unplaced.map((id) => {
+      const it = byId.get(id);
+      return { jobId: it.jobId, copy: it.copy, widthMm: it.w, heightMm: it.h };
+    }),
+  };
+}
@@ -0,0 +1,248 @@
+// app/production/productionJobs.server.js
+//
+// Produktionsaufträge aus Bestellungen. Der Konfigurator schreibt pro
+// Warenkorb-Position `_sc_*`-Properties und `sc_config` (JSON); hier werden
+// sie gelesen und als ProductionJob gespeichert (ein Auftrag je Position).
+import prisma from "../db.server";
+import { QUOTE_PROPERTY, verifyQuoteToken } from "../pricing/quoteToken.server";
+
+export const PRODUCTION_STATUSES = ["new", "printing", "cut", "shipped"];
+
+// ── Hilfsfunktionen ───────────────────────────────────────────────────────
+function propertiesToObject(properties) {
+  // REST-Payload: [{ name, value }]; GraphQL: [{ key, value }]
+  if (Array.isArray(properties)) {
+    return Object.fromEntries(
+      properties
+        .map((p) => [String(p?.name ?? p?.key ?? ""), p?.value == null ? "" : String(p.value)])
+        .filter(([k]) => k)
+    );
+  }
+  return properties && typeof properties === "object" ? { ...properties } : {};
+}
+
+function parseJson(s) {
+  try {
+    const v = JSON.parse(String(s || ""));
+    return v && typeof v === "object" ? v : null;
+  } catch {
+    return null;
+  }
+}
+
+function num(...xs) {
+  for (const x of xs) {
+    const n = Number(String(x ?? "").replace(",", "."));
+    if (Number.isFinite(n) && n > 0) return n;
+  }
+  return 0;
+}
+
+function str(...xs) {
+  for (const x of xs) {
+    if (x != null && String(x).trim() !== "") return String(x).trim();
+  }
+  return "";
+}
+
+// ── Parsing ───────────────────────────────────────────────────────────────
+/**
+ * Liest eine Bestellposition. Positionen ohne Konfigurator-Properties → null.
+ * sc_config hat Vorrang, die einzelnen `_sc_*`-Properties sind Fallback.
+ */
+export function parseStickerLineItem(lineItem) {
+  const props = propertiesToObject(lineItem?.properties);
+  const config = parseJson(props.sc_config);
+
+  const shapeKey = str(config?.shape, props._sc_shape);
+  if (!shapeKey) return null;
+
+  return {
+    lineItemId: String(lineItem.id ?? lineItem.admin_graphql_api_id ?? ""),
+    shapeKey,
+    sizeKey: str(config?.sizeKey, props._sc_size_key),
+    colorKey: str(config?.colorKey, props._sc_color_key) || "white",
+    widthCm: num(config?.wcm, props._sc_w_cm),
+    heightCm: num(config?.hcm, props._sc_h_cm),
+    pieces: Math.max(1, Math.floor(num(config?.pieces, props._sc_pieces_per_pack)) || 1),
+    // Draft-Order-Position: Menge 1 zum Gesamtpreis, bestellte Sets in _sc_quantity
+    quantity: Math.max(1, Math.floor(num(props._sc_quantity) || Number(lineItem.quantity) || 1)),
+    variantId: str(lineItem.variant_id, config?.variantId, props._sc_variant_id),
+    imageUrl: str(props.sc_preview_url, props._sc_image),
+    svgUrl: str(props.sc_file_url, props._sc_svg),
+    pngUrl: str(props._sc_png),
+    pdfUrl: str(props._sc_pdf),
+    originalUrl: str(props._sc_original),
+    unitPrice: Number(lineItem.price),
+    lineTotal: Number(lineItem.price) * Math.max(1, Math.floor(Number(lineItem.quantity) || 1)),
+    quoteToken: str(props[QUOTE_PROPERTY]),
+    config,
+    properties: props,
+  };
+}
+
+/**
+ * Prüft das signierte Preisangebot einer Position gegen Konfiguration und
+ * tatsächlich berechneten Stückpreis.
+ * @returns {string} "valid" | "missing" | Fehlercode
+ */
+export function checkLineQuote(shop, parsed) {
+  if (!parsed.quoteToken) return "missing";
+
+  const check = verifyQuoteToken(parsed.quoteToken, {
+    shop,
+    expect: {
+      shapeKey: parsed.shapeKey,
+      colorKey: parsed.colorKey,
+      sizeKey: parsed.sizeKey,
+      variantId: parsed.variantId,
+      widthCm: parsed.widthCm,
+      heightCm: parsed.heightCm,
+      quantity: parsed.quantity,
+      pieces: parsed.pieces,
+    },
+    // Angebot gilt für die ganze Position (inkl. Mengenrabatt)
+    total: Number.isFinite(parsed.lineTotal) ? parsed.lineTotal : undefined,
+    // Angebot muss zum Zeitpunkt des Checkouts gültig gewesen sein, nicht beim Webhook
+    now: parsed.orderedAt || Date.now(),
+  });
+  return check.ok ? "valid" : check.error;
+}
+
+// ── Ingestion ─────────────────────────────────────────────────────────────
+/**
+ * Legt für jede Sticker-Position einer Bestellung einen ProductionJob an.
+ * Idempotent (Webhooks werden ggf. mehrfach zugestellt): bestehende
+ * Aufträge werden aktualisiert, ihr Status bleibt erhalten.
+ *
+ * @param {string} shop
+ * @param {any} order REST-Payload von orders/create
+ * @returns {Promise<{ jobs: number, skipped: number }>}
+ */
+export async function ingestOrder(shop, order) {
+  const orderId = String(order?.id ?? "");
+  const orderName = String(order?.name ?? "");
+  const orderedAt = Date.parse(order?.created_at || "") || Date.now();
+  const items = Array.isArray(order?.line_items) ? order.line_items : [];
+
+  let jobs = 0;
+  let skipped = 0;
+
+  for (const item of items) {
+    const parsed = parseStickerLineItem(item);
+    if (!parsed || !parsed.lineItemId) {
+      skipped++;
+      continue;
+    }
+
+    const quoteStatus = checkLineQuote(shop, { ...parsed, orderedAt });
+    if (quoteStatus !== "valid" && quoteStatus !== "missing") {
+      console.warn(`[PRODUCTION] ${shop} ${orderName} Position ${parsed.lineItemId}: Angebot ${quoteStatus}`);
+    }
+
+    const data = {
+      orderId,
+      orderName,
+      shapeKey: parsed.shapeKey,
+      sizeKey: parsed.sizeKey,
+      colorKey: parsed.colorKey,
+      widthCm: parsed.widthCm,
+      heightCm: parsed.heightCm,
+      pieces: parsed.pieces,
+      quantity: parsed.quantity,
+      variantId: parsed.variantId,
+      imageUrl: parsed.imageUrl,
+      svgUrl: parsed.svgUrl,
+      pngUrl: parsed.pngUrl,
+      pdfUrl: parsed.pdfUrl,
+      originalUrl: parsed.originalUrl,
+      quoteStatus,
+      config: parsed.config ?? undefined,
+      properties: parsed.properties,
+    };
+
+    await prisma.productionJob.upsert({
+      where: { shop_lineItemId: { shop, lineItemId: parsed.lineItemId } },
+      create: { shop, lineItemId: parsed.lineItemId, ...data },
+      update: data,
+    });
+    jobs++;
+  }
+
+  return { jobs, skipped };
+}
+
+// ── Warteschlange ─────────────────────────────────────────────────────────
+/** Folgestatus im Ablauf new → printing → cut → shipped (null am Ende). */
+export function nextProductionStatus(status) {
+  const i = PRODUCTION_STATUSES.indexOf(status);
+  return i >= 0 && i < PRODUCTION_STATUSES.length - 1 ? PRODUCTION_STATUSES[i + 1] : null;
+}
+
+/**
+ * Aufträge eines Shops, neueste zuerst, seitenweise. Leere Filter werden ignoriert.
+ * after = nextCursor der aktuellen Seite (ältere Aufträge), before = prevCursor
+ * (neuere Aufträge); ohne beides die erste Seite.
+ * @param {string} shop
+ * @param {{ status?: string, colorKey?: string, shapeKey?: string, take?: number, after?: string, before?: string }} [filters]
+ * @returns {Promise<{ jobs: any[], nextCursor: string | null, prevCursor: string | null }>}
+ */
+export async function listProductionJobs(
+  shop,
+  { status = "", colorKey = "", shapeKey = "", take = 50, after = "", before = "" } = {}
+) {
+  const where = { shop };
+  if (PRODUCTION_STATUSES.includes(status)) where.status = status;
+  if (colorKey) where.colorKey = colorKey;
+  if (shapeKey) where.shapeKey = shapeKey;
+
+  // Rückwärts blättern = aufsteigend ab dem Cursor lesen und umdrehen.
+  // Ein Auftrag mehr als angezeigt: zeigt an, ob es in Leserichtung weitergeht.
+  const backwards = !after && !!before;
+  const cursor = after || before;
+  const dir = backwards ? "asc" : "desc";
+  const rows = await prisma.productionJob.findMany({
+    where,
+    orderBy: [{ createdAt: dir }, { id: dir }],
+    take: take + 1,
+    ...(cursor ? { cursor: { id: String(cursor) }, skip: 1 } : {}),
+  });
+
+  const more = rows.length > take;
+  const jobs = backwards ? rows.slice(0, take).reverse() : rows.slice(0, take);
+  const first = jobs[0]?.id || null;
+  const last = jobs[jobs.length - 1]?.id || null;
+  return {
+    jobs,
+    nextCursor: backwards || more ? last : null,
+    prevCursor: backwards ? (more ? first : null) : cursor ? first : null,
+  };
+}
+
+/** Anzahl Aufträge je Status (für Filter-Badges). */
+export async function countProductionJobsByStatus(shop) {
+  const rows = await prisma.productionJob.groupBy({
+    by: ["status"],
+    where: { shop },
+    _count: { _all: true },
+  });
+  const counts = Object.fromEntries(PRODUCTION_STATUSES.map((s) => [s, 0]));
+  for (const r of rows) counts[r.status] = r._count._all;
+  return counts;
+}
+
+/**
+ * Setzt den Status eines Auftrags. Ohne `status` wird auf den Folgestatus
+ * weitergeschaltet.
+ * @returns {Promise<{ ok: true, job: any } | { ok: false, error: string }>}
+ */
+export async function updateProductionJobStatus(shop, id, status = "") {
+  const job = await prisma.productionJob.findFirst({ where: { id: String(id || ""), shop } });
+  if (!job) return { ok: false, error: "job_not_found" };
+
+  const target = status || nextProductionStatus(job.status);
+  if (!PRODUCTION_STATUSES.includes(target)) return { ok: false, error: "invalid_status" };
+
+  const updated = await prisma.productionJob.update({ where: { id: job.id }, data: { status: target } });
+  return { ok: true, job: updated };
+}
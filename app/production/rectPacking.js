@@ -0,0 +1,100 @@
+// app/production/rectPacking.js
+//
+// Rechteck-Packen für Gang-Sheets (MaxRects, Best-Short-Side-Fit, optional um
+// 90° gedreht, mit Abstand). Reine Geometrie ohne DB- und Dateizugriff;
+// Maße in einer beliebigen, einheitlichen Einheit (Gang-Sheets: mm).
+
+// ── Packen (MaxRects) ─────────────────────────────────────────────────────
+function intersects(a, b) {
+  return a.x < b.x + b.w && a.x + a.w > b.x && a.y < b.y + b.h && a.y + a.h > b.y;
+}
+
+function contains(a, b) {
+  return b.x >= a.x && b.y >= a.y && b.x + b.w <= a.x + a.w && b.y + b.h <= a.y + a.h;
+}
+
+function splitFree(free, used) {
+  if (!intersects(free, used)) return [free];
+  const out = [];
+  if (used.x > free.x) out.push({ x: free.x, y: free.y, w: used.x - free.x, h: free.h });
+  if (used.x + used.w < free.x + free.w) {
+    out.push({ x: used.x + used.w, y: free.y, w: free.x + free.w - (used.x + used.w), h: free.h });
+  }
+  if (used.y > free.y) out.push({ x: free.x, y: free.y, w: free.w, h: used.y - free.y });
+  if (used.y + used.h < free.y + free.h) {
+    out.push({ x: free.x, y: used.y + used.h, w: free.w, h: free.y + free.h - (used.y + used.h) });
+  }
+  return out;
+}
+
+function pruneFree(rects) {
+  return rects.filter((r, i) => !rects.some((o, j) => j !== i && contains(o, r) && (!contains(r, o) || j < i)));
+}
+
+/**
+ * Packt Rechtecke in Bögen der Breite binW und Länge binH (MaxRects-BSSF).
+ * Abstand wird als Aufschlag auf jedes Teil und den Bogen gerechnet.
+ *
+ * @param {{ id: any, w: number, h: number }[]} items
+ * @param {{ binW: number, binH: number, spacing?: number, allowRotate?: boolean }} opts
+ * @returns {{ bins: { placements: { id: any, x: number, y: number, w: number, h: number, rotated: boolean }[] }[], unplaced: any[] }}
+ *   w/h der Platzierung sind die Maße auf dem Bogen (bei Drehung vertauscht).
+ */
+export function packRects(items, { binW, binH, spacing = 0, allowRotate = true }) {
+  const W = binW + spacing;
+  const H = binH + spacing;
+  const sorted = [...items].sort((a, b) => Math.max(b.w, b.h) - Math.max(a.w, a.h) || b.w * b.h - a.w * a.h);
+
+  const bins = [];
+  const unplaced = [];
+
+  const fits = (it, rotated) => {
+    const w = (rotated ? it.h : it.w) + spacing;
+    const h = (rotated ? it.w : it.h) + spacing;
+    return w <= W && h <= H;
+  };
+
+  for (const it of sorted) {
+    if (!fits(it, false) && !(allowRotate && fits(it, true))) {
+      unplaced.push(it.id);
+      continue;
+    }
+
+    let placed = false;
+    for (const bin of [...bins, null]) {
+      const target = bin || { free: [{ x: 0, y: 0, w: W, h: H }], placements: [] };
+
+      let best = null;
+      for (const rotated of allowRotate ? [false, true] : [false]) {
+        const w = (rotated ? it.h : it.w) + spacing;
+        const h = (rotated ? it.w : it.h) + spacing;
+        for (const f of target.free) {
+          if (w > f.w || h > f.h) continue;
+          const shortSide = Math.min(f.w - w, f.h - h);
+          // Rolle: bei Gleichstand die kleinere y-Position (kurze Lauflänge)
+          if (!best || shortSide < best.shortSide || (shortSide === best.shortSide && f.y < best.y)) {
+            best = { x: f.x, y: f.y, w, h, rotated, shortSide };
+          }
+        }
+      }
+      if (!best) continue;
+
+      const used = { x: best.x, y: best.y, w: best.w, h: best.h };
+      target.free = pruneFree(target.free.flatMap((f) => splitFree(f, used)));
+      target.placements.push({
+        id: it.id,
+        x: best.x,
+        y: best.y,
+        w: best.w - spacing,
+        h: best.h - spacing,
+        rotated: best.rotated,
+      });
+      if (!bin) bins.push(target);
+      placed = true;
+      break;
+    }
+    if (!placed) unplaced.push(it.id);
+  }
+
+  return { bins: bins.map((b) => ({ placements: b.placements })), unplaced };
+}
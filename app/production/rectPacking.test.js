@@ -0,0 +1,79 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { packRects } from "./rectPacking.js";
+
+function overlaps(a, b, spacing) {
+  return (
+    a.x < b.x + b.w + spacing && a.x + a.w + spacing > b.x && a.y < b.y + b.h + spacing && a.y + a.h + spacing > b.y
+  );
+}
+
+function assertValidBins(res, { binW, binH, spacing = 0 }) {
+  for (const bin of res.bins) {
+    for (const p of bin.placements) {
+      assert.ok(p.x >= 0 && p.y >= 0, `${p.id} liegt im Bogen`);
+      assert.ok(p.x + p.w <= binW + 1e-9 && p.y + p.h <= binH + 1e-9, `${p.id} ragt nicht über den Bogen`);
+    }
+    bin.placements.forEach((a, i) =>
+      bin.placements.slice(i + 1).forEach((b) => assert.ok(!overlaps(a, b, spacing), `${a.id} / ${b.id} überlappen`))
+    );
+  }
+}
+
+test("packRects: alle Teile ohne Überlappung im Bogen", () => {
+  const items = Array.from({ length: 40 }, (_, i) => ({ id: i, w: 10 + (i % 7) * 5, h: 8 + (i % 5) * 6 }));
+  const opts = { binW: 120, binH: 200, spacing: 0 };
+  const res = packRects(items, opts);
+  assert.deepEqual(res.unplaced, []);
+  assert.equal(res.bins.flatMap((b) => b.placements).length, items.length);
+  assertValidBins(res, opts);
+});
+
+test("packRects: Abstand zwischen Teilen, nicht am Bogenrand", () => {
+  const opts = { binW: 100, binH: 100, spacing: 5 };
+  // 2 × 2 Teile à 47,5 mm + 5 mm Abstand füllen den Bogen genau
+  const res = packRects(
+    Array.from({ length: 4 }, (_, i) => ({ id: i, w: 47.5, h: 47.5 })),
+    opts
+  );
+  assert.equal(res.bins.length, 1);
+  assertValidBins(res, opts);
+  assert.deepEqual(
+    res.bins[0].placements.map((p) => [p.x, p.y]).sort((a, b) => a[1] - b[1] || a[0] - b[0]),
+    [
+      [0, 0],
+      [52.5, 0],
+      [0, 52.5],
+      [52.5, 52.5],
+    ]
+  );
+});
+
+test("packRects: dreht Teile, die nur quer passen", () => {
+  const res = packRects([{ id: "quer", w: 150, h: 40 }], { binW: 100, binH: 200 });
+  const [p] = res.bins[0].placements;
+  assert.equal(p.rotated, true);
+  assert.deepEqual([p.w, p.h], [40, 150]);
+});
+
+test("packRects: ohne Drehung bleibt zu breites Teil übrig", () => {
+  const res = packRects(
+    [
+      { id: "quer", w: 150, h: 40 },
+      { id: "ok", w: 50, h: 50 },
+    ],
+    { binW: 100, binH: 200, allowRotate: false }
+  );
+  assert.deepEqual(res.unplaced, ["quer"]);
+  assert.equal(res.bins[0].placements[0].id, "ok");
+});
+
+test("packRects: weiterer Bogen, wenn die Länge nicht reicht", () => {
+  const opts = { binW: 100, binH: 100, spacing: 2 };
+  const res = packRects(
+    Array.from({ length: 6 }, (_, i) => ({ id: i, w: 60, h: 60 })),
+    opts
+  );
+  assert.equal(res.bins.length, 6);
+  assertValidBins(res, opts);
+});
@@ -1,8 +1,8 @@
 // app/routes/api.sticker.price.jsx
 import { json } from "@remix-run/node";
-
-const MIN_M2 = 0.1;
-const PRICE_PER_M2 = 250;
+import { authenticate } from "../shopify.server";
+import { legacyPriceFields, parsePriceInput, quoteStickerPrice } from "../pricing/pricingEngine.server";
+import { issueQuoteToken } from "../pricing/quoteToken.server";
 
 // Debug-Loader, damit GET im Browser nicht crasht
 export async function loader() {
@@ -14,19 +14,20 @@ export async function action({ request }) {
     return json({ error: "Method not allowed" }, { status: 405 });
   }
 
-  const { widthCm, heightCm } = await request.json();
-
-  const w = Number(widthCm) || 0;
-  const h = Number(heightCm) || 0;
+  // Embedded Admin (Bearer) → Shop-Preistabellen; sonst Standard
+  let admin = null;
+  let shop = null;
+  if ((request.headers.get("authorization") || "").toLowerCase().startsWith("bearer ")) {
+    const auth = await authenticate.admin(request);
+    admin = auth.admin;
+    shop = auth.session?.shop || null;
+  }
 
-  const area = (w / 100) * (h / 100); // m²
-  const billedArea = Math.max(area, MIN_M2);
-  const quantity = Math.ceil(billedArea / MIN_M2);
-  const price = billedArea * PRICE_PER_M2;
+  const body = await request.json().catch(() => ({}));
+  const quote = await quoteStickerPrice({ ...parsePriceInput(body), shop, admin });
+  if (!quote.ok) {
+    return json({ ok: false, error: quote.error }, { status: 400 });
+  }
 
-  return json({
-    area: billedArea,
-    quantity,
-    price,
-  });
+  return json({ ...quote, ...legacyPriceFields(quote), ...issueQuoteToken(quote, { shop }) });
 }
@@ -0,0 +1,195 @@
+// app/routes/app.catalog.jsx
+// Admin: Sticker-Katalog des Shops + Abgleich der Variant-IDs mit Shopify
+// + Integritätsbericht (DB-Katalog und Seed-Datei).
+
+import { json } from "@remix-run/node";
+import { Form, useActionData, useLoaderData, useNavigation } from "@remix-run/react";
+import { Badge, Banner, BlockStack, Button, Card, DataTable, Layout, Page, Text } from "@shopify/polaris";
+import { TitleBar } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import { getCatalogForShop } from "../catalog/catalogStore.server";
+import { syncCatalogFromShopify } from "../catalog/catalogSync.server";
+import { validateCatalog } from "../catalog/catalogValidator.server";
+import { STICKER_CATALOG } from "../catalog/stickerCatalog.server";
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const { catalog, version } = await getCatalogForShop(session.shop);
+
+  const shapes = Object.values(catalog).map((shape) => {
+    const colors = Object.values(shape.colors || {});
+    const entries = colors.flatMap((c) => c.sizes || []);
+    return {
+      shapeKey: shape.shapeKey,
+      label: shape.label,
+      productHandle: shape.productHandle,
+      colors: colors.map((c) => c.colorKey),
+      entries: entries.length,
+      withoutVariant: entries.filter((s) => !s.variantId).length,
+    };
+  });
+
+  return json({
+    shapes,
+    version,
+    validation: {
+      db: validateCatalog(catalog),
+      seed: validateCatalog(STICKER_CATALOG),
+    },
+  });
+};
+
+export const action = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const formData = await request.formData();
+
+  if (formData.get("intent") !== "sync") {
+    return json({ ok: false, error: "unknown_intent" }, { status: 400 });
+  }
+
+  try {
+    const report = await syncCatalogFromShopify({ admin, shop: session.shop });
+    return json(report);
+  } catch (e) {
+    console.error("[CATALOG SYNC]", e);
+    return json({ ok: false, error: String(e?.message || e) }, { status: 500 });
+  }
+};
+
+function entryText(e) {
+  return `${e.colorKey} / ${e.label}`;
+}
+
+function ValidationCard({ title, result }) {
+  return (
+    <Card>
+      <BlockStack gap="300">
+        <Text as="h2" variant="headingMd">
+          {title}{" "}
+          <Badge tone={result.counts.error ? "critical" : "success"}>{`${result.counts.error} Fehler`}</Badge>{" "}
+          <Badge tone={result.counts.warning ? "warning" : undefined}>{`${result.counts.warning} Warnungen`}</Badge>
+        </Text>
+        {result.issues.length ? (
+          <DataTable
+            columnContentTypes={["text", "text", "text", "text"]}
+            headings={["", "Ort", "Befund", "Behebung"]}
+            rows={result.issues.map((i) => [
+              <Badge key="s" tone={i.severity === "error" ? "critical" : "warning"}>{i.code}</Badge>,
+              [i.shapeKey, i.colorKey, i.sizeKey].filter(Boolean).join(" / "),
+              i.message,
+              i.hint,
+            ])}
+          />
+        ) : (
+          <Text as="p" tone="subdued">Keine Befunde.</Text>
+        )}
+      </BlockStack>
+    </Card>
+  );
+}
+
+export default function CatalogPage() {
+  const { shapes, version, validation } = useLoaderData();
+  const report = useActionData();
+  const nav = useNavigation();
+  const syncing = nav.state === "submitting";
+
+  return (
+    <Page>
+      <TitleBar title="Sticker-Katalog" />
+      <Layout>
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="300">
+              <Text as="p" variant="bodyMd">
+                Variant-IDs werden über den Produkt-Handle jeder Form aus Shopify gelesen
+                und per Optionswert (Farbe + Größe) zugeordnet.
+              </Text>
+              <Form method="post">
+                <input type="hidden" name="intent" value="sync" />
+                <Button submit variant="primary" loading={syncing}>
+                  Mit Shopify synchronisieren
+                </Button>
+              </Form>
+              <Text as="p" variant="bodySm" tone="subdued">
+                Katalog-Version: {version || "–"}
+              </Text>
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+
+        {report?.error ? (
+          <Layout.Section>
+            <Banner tone="critical" title="Synchronisierung fehlgeschlagen">
+              <p>{report.error}</p>
+            </Banner>
+          </Layout.Section>
+        ) : null}
+
+        {report?.shapes ? (
+          <Layout.Section>
+            <Card>
+              <BlockStack gap="400">
+                <Text as="h2" variant="headingMd">
+                  Ergebnis ({new Date(report.syncedAt).toLocaleString("de-DE")})
+                </Text>
+                {report.shapes.map((r) => (
+                  <BlockStack key={r.shapeKey} gap="100">
+                    <Text as="h3" variant="headingSm">
+                      {r.shapeKey} <Badge>{r.productHandle || "kein Handle"}</Badge>
+                    </Text>
+                    {r.error ? (
+                      <Text as="p" tone="critical">{r.error}</Text>
+                    ) : !r.productFound ? (
+                      <Text as="p" tone="critical">Produkt nicht gefunden.</Text>
+                    ) : (
+                      <>
+                        <Text as="p">
+                          {r.updated.length} aktualisiert, {r.created.length} neu verknüpft,{" "}
+                          {r.missing.length} ohne Variante, {r.unmatchedVariants.length} Varianten nicht zuordenbar
+                        </Text>
+                        {r.missing.length ? (
+                          <Text as="p" tone="caution">
+                            Ohne Variante: {r.missing.map(entryText).join(", ")}
+                          </Text>
+                        ) : null}
+                        {r.unmatchedVariants.length ? (
+                          <Text as="p" tone="subdued">
+                            Nicht zuordenbar: {r.unmatchedVariants.map((v) => v.title).join(", ")}
+                          </Text>
+                        ) : null}
+                      </>
+                    )}
+                  </BlockStack>
+                ))}
+              </BlockStack>
+            </Card>
+          </Layout.Section>
+        ) : null}
+
+        <Layout.Section>
+          <Card>
+            <DataTable
+              columnContentTypes={["text", "text", "text", "numeric", "numeric"]}
+              headings={["Form", "Produkt-Handle", "Farben", "Einträge", "Ohne Variante"]}
+              rows={shapes.map((s) => [
+                s.label,
+                s.productHandle || "–",
+                s.colors.join(", "),
+                s.entries,
+                s.withoutVariant,
+              ])}
+            />
+          </Card>
+        </Layout.Section>
+
+        <Layout.Section>
+          <ValidationCard title="Prüfung: Katalog (Datenbank)" result={validation.db} />
+        </Layout.Section>
+        <Layout.Section>
+          <ValidationCard title="Prüfung: Seed-Datei (stickerCatalog.server.js)" result={validation.seed} />
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
@@ -22,6 +22,9 @@ export default function App() {
         <Link to="/app" rel="home">
           Home
         </Link>
+        <Link to="/app/catalog">Katalog</Link>
+        <Link to="/app/pricing">Preise</Link>
+        <Link to="/app/production">Produktion</Link>
         <Link to="/app/additional">Additional page</Link>
       </NavMenu>
       <Outlet />
@@ -0,0 +1,293 @@
+// app/routes/app.pricing.jsx
+// Admin: Preistabellen des Shops (pro Form oder "*" = Standard für alle Formen),
+// Materialpreise (pro Farbe) und Mengenstaffeln (pro Form/Farbe).
+
+import { json } from "@remix-run/node";
+import { Form, useActionData, useLoaderData, useNavigation } from "@remix-run/react";
+import { Banner, BlockStack, Button, Card, DataTable, Layout, Page, Text } from "@shopify/polaris";
+import { TitleBar } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import { getCatalogForShop } from "../catalog/catalogStore.server";
+import {
+  DEFAULT_PRICE_TABLE,
+  PRICE_MODES,
+  deletePriceTable,
+  deletePriceTier,
+  listMaterialPrices,
+  listPriceTables,
+  listPriceTiers,
+  saveMaterialPrice,
+  savePriceTable,
+  savePriceTier,
+} from "../pricing/pricingEngine.server";
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const [tables, tiers, materials, { catalog }] = await Promise.all([
+    listPriceTables(session.shop),
+    listPriceTiers(session.shop),
+    listMaterialPrices(session.shop),
+    getCatalogForShop(session.shop),
+  ]);
+
+  return json({
+    tables,
+    defaults: DEFAULT_PRICE_TABLE,
+    modes: PRICE_MODES,
+    tiers,
+    materials,
+    shapes: Object.values(catalog).map((s) => ({ shapeKey: s.shapeKey, label: s.label })),
+    colors: [
+      ...new Map(
+        Object.values(catalog)
+          .flatMap((s) => Object.values(s.colors || {}))
+          .map((c) => [c.colorKey, { colorKey: c.colorKey, label: c.label }])
+      ).values(),
+    ],
+  });
+};
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+
+  if (intent === "delete") {
+    await deletePriceTable(session.shop, formData.get("shapeKey"));
+    return json({ ok: true });
+  }
+
+  if (intent === "save") {
+    const result = await savePriceTable(session.shop, Object.fromEntries(formData));
+    return json(result, { status: result.ok ? 200 : 400 });
+  }
+
+  if (intent === "saveMaterial") {
+    const result = await saveMaterialPrice(session.shop, Object.fromEntries(formData));
+    return json(result, { status: result.ok ? 200 : 400 });
+  }
+
+  if (intent === "deleteTier") {
+    await deletePriceTier(session.shop, formData.get("id"));
+    return json({ ok: true });
+  }
+
+  if (intent === "saveTier") {
+    const result = await savePriceTier(session.shop, Object.fromEntries(formData));
+    return json(result, { status: result.ok ? 200 : 400 });
+  }
+
+  return json({ ok: false, error: "unknown_intent" }, { status: 400 });
+};
+
+const inputStyle = { marginTop: 4, width: "160px" };
+
+export default function PricingPage() {
+  const { tables, tiers, materials, defaults, modes, shapes, colors } = useLoaderData();
+  const result = useActionData();
+  const nav = useNavigation();
+  const busy = nav.state === "submitting";
+
+  return (
+    <Page>
+      <TitleBar title="Preise" />
+      <Layout>
+        {result?.error ? (
+          <Layout.Section>
+            <Banner tone="critical" title="Speichern fehlgeschlagen">
+              <p>{result.error}</p>
+            </Banner>
+          </Layout.Section>
+        ) : null}
+
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="300">
+              <Text as="h2" variant="headingMd">Preistabellen</Text>
+              <Text as="p" tone="subdued">
+                Ohne eigene Tabelle gelten die Standardwerte: Modus {defaults.mode},{" "}
+                {defaults.pricePerM2} €/m², mind. {defaults.minAreaM2} m² in {defaults.areaStepM2} m²-Schritten.
+              </Text>
+              <DataTable
+                columnContentTypes={["text", "text", "numeric", "numeric", "numeric", "numeric", "text"]}
+                headings={["Form", "Modus", "€/m²", "Min. m²", "Schritt m²", "Einrichtung", ""]}
+                rows={tables.map((t) => [
+                  t.shapeKey === "*" ? "* (Standard)" : t.shapeKey,
+                  t.mode,
+                  t.pricePerM2,
+                  t.minAreaM2,
+                  t.areaStepM2,
+                  t.setupFee,
+                  <Form key={t.shapeKey} method="post">
+                    <input type="hidden" name="intent" value="delete" />
+                    <input type="hidden" name="shapeKey" value={t.shapeKey} />
+                    <Button submit tone="critical" variant="plain" disabled={busy}>
+                      Löschen
+                    </Button>
+                  </Form>,
+                ])}
+              />
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+
+        <Layout.Section>
+          <Card>
+            <Form method="post">
+              <input type="hidden" name="intent" value="save" />
+              <div style={{ display: "flex", flexWrap: "wrap", gap: 12, alignItems: "flex-end" }}>
+                <label>
+                  Form:
+                  <select name="shapeKey" defaultValue="*" style={{ ...inputStyle, display: "block" }}>
+                    <option value="*">* (Standard)</option>
+                    {shapes.map((s) => (
+                      <option key={s.shapeKey} value={s.shapeKey}>{s.label}</option>
+                    ))}
+                  </select>
+                </label>
+                <label>
+                  Modus:
+                  <select name="mode" defaultValue={defaults.mode} style={{ ...inputStyle, display: "block" }}>
+                    {modes.map((m) => (
+                      <option key={m} value={m}>{m}</option>
+                    ))}
+                  </select>
+                </label>
+                {[
+                  ["pricePerM2", "€/m²", defaults.pricePerM2, "0.01"],
+                  ["minAreaM2", "Min. m²", defaults.minAreaM2, "0.001"],
+                  ["areaStepM2", "Schritt m²", defaults.areaStepM2, "0.001"],
+                  ["setupFee", "Einrichtung €", defaults.setupFee, "0.01"],
+                ].map(([name, label, value, step]) => (
+                  <label key={name}>
+                    {label}:
+                    <input
+                      type="number"
+                      name={name}
+                      min="0"
+                      step={step}
+                      defaultValue={value}
+                      required
+                      style={{ ...inputStyle, display: "block" }}
+                    />
+                  </label>
+                ))}
+                <input type="hidden" name="currencyCode" value={defaults.currencyCode} />
+                <Button submit variant="primary" loading={busy}>
+                  Speichern
+                </Button>
+              </div>
+            </Form>
+          </Card>
+        </Layout.Section>
+
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="300">
+              <Text as="h2" variant="headingMd">Materialpreise</Text>
+              <Text as="p" tone="subdued">
+                Gilt für Varianten- und Flächenpreise: Multiplikator auf den Grundpreis, Aufschlag je
+                Einheit und Weißdruck je m² Stickerfläche.
+              </Text>
+              {materials.map((m) => (
+                <Form key={m.colorKey} method="post">
+                  <input type="hidden" name="intent" value="saveMaterial" />
+                  <input type="hidden" name="colorKey" value={m.colorKey} />
+                  <div style={{ display: "flex", flexWrap: "wrap", gap: 12, alignItems: "flex-end" }}>
+                    <div style={{ width: 120, paddingBottom: 6 }}>
+                      <Text as="span" fontWeight="semibold">{m.label}</Text>
+                    </div>
+                    {[
+                      ["multiplier", "Multiplikator", m.multiplier, "0.01", "0.01"],
+                      ["surchargePerUnit", "Aufschlag €/Einheit", m.surchargePerUnit, "0.01", "0"],
+                      ["whiteInkPerM2", "Weißdruck €/m²", m.whiteInkPerM2, "0.01", "0"],
+                    ].map(([name, label, value, step, min]) => (
+                      <label key={name}>
+                        {label}:
+                        <input
+                          type="number"
+                          name={name}
+                          min={min}
+                          step={step}
+                          defaultValue={value}
+                          required
+                          style={{ ...inputStyle, display: "block" }}
+                        />
+                      </label>
+                    ))}
+                    <Button submit loading={busy}>
+                      Speichern
+                    </Button>
+                  </div>
+                </Form>
+              ))}
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="300">
+              <Text as="h2" variant="headingMd">Mengenstaffeln</Text>
+              <Text as="p" tone="subdued">
+                Rabatt auf den Stückpreis ab einer Gesamtstückzahl. Pro Form/Farbe gilt die
+                spezifischste Staffel: Form + Farbe → Form → Farbe → Standard.
+              </Text>
+              <DataTable
+                columnContentTypes={["text", "text", "numeric", "numeric", "text"]}
+                headings={["Form", "Farbe", "Ab Stück", "Rabatt %", ""]}
+                rows={tiers.map((t) => [
+                  t.shapeKey,
+                  t.colorKey,
+                  t.minQty,
+                  t.discountPct,
+                  <Form key={t.id} method="post">
+                    <input type="hidden" name="intent" value="deleteTier" />
+                    <input type="hidden" name="id" value={t.id} />
+                    <Button submit tone="critical" variant="plain" disabled={busy}>
+                      Löschen
+                    </Button>
+                  </Form>,
+                ])}
+              />
+              <Form method="post">
+                <input type="hidden" name="intent" value="saveTier" />
+                <div style={{ display: "flex", flexWrap: "wrap", gap: 12, alignItems: "flex-end" }}>
+                  <label>
+                    Form:
+                    <select name="shapeKey" defaultValue="*" style={{ ...inputStyle, display: "block" }}>
+                      <option value="*">* (alle)</option>
+                      {shapes.map((s) => (
+                        <option key={s.shapeKey} value={s.shapeKey}>{s.label}</option>
+                      ))}
+                    </select>
+                  </label>
+                  <label>
+                    Farbe:
+                    <select name="colorKey" defaultValue="*" style={{ ...inputStyle, display: "block" }}>
+                      <option value="*">* (alle)</option>
+                      {colors.map((c) => (
+                        <option key={c.colorKey} value={c.colorKey}>{c.label}</option>
+                      ))}
+                    </select>
+                  </label>
+                  <label>
+                    Ab Stück:
+                    <input type="number" name="minQty" min="1" step="1" required style={{ ...inputStyle, display: "block" }} />
+                  </label>
+                  <label>
+                    Rabatt %:
+                    <input type="number" name="discountPct" min="0" max="99.99" step="0.1" required style={{ ...inputStyle, display: "block" }} />
+                  </label>
+                  <Button submit variant="primary" loading={busy}>
+                    Stufe speichern
+                  </Button>
+                </div>
+              </Form>
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
@@ -0,0 +1,352 @@
+// app/routes/app.production.jsx
+// Admin: Produktions-Warteschlange. Aufträge aus orders/create, filterbar nach
+// Status, Material (Farbe) und Form; Druckdateien zum Download und
+// Statuswechsel new → printing → cut → shipped. Aufträge eines Materials
+// lassen sich zu Gang-Sheets für die Druckrolle zusammenfassen.
+
+import { json } from "@remix-run/node";
+import { Form, useActionData, useLoaderData, useNavigate, useNavigation } from "@remix-run/react";
+import {
+  Badge,
+  Banner,
+  BlockStack,
+  Button,
+  ButtonGroup,
+  Card,
+  DataTable,
+  InlineStack,
+  Layout,
+  Page,
+  Pagination,
+  Text,
+  Thumbnail,
+} from "@shopify/polaris";
+import { TitleBar } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import { getCatalogForShop } from "../catalog/catalogStore.server";
+import {
+  PRODUCTION_STATUSES,
+  countProductionJobsByStatus,
+  listProductionJobs,
+  nextProductionStatus,
+  updateProductionJobStatus,
+} from "../production/productionJobs.server";
+import { DEFAULT_ROLL, createGangSheets, parseRollInput } from "../production/nestingEngine.server";
+
+const STATUS_LABELS = { new: "Neu", printing: "Im Druck", cut: "Geschnitten", shipped: "Versendet" };
+const STATUS_TONES = { new: "attention", printing: "info", cut: "warning", shipped: "success" };
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const params = new URL(request.url).searchParams;
+  const filters = {
+    status: params.get("status") || "",
+    colorKey: params.get("colorKey") || "",
+    shapeKey: params.get("shapeKey") || "",
+  };
+  const page = { after: params.get("after") || "", before: params.get("before") || "" };
+
+  const [{ jobs, nextCursor, prevCursor }, counts, { catalog }] = await Promise.all([
+    listProductionJobs(session.shop, { ...filters, ...page }),
+    countProductionJobsByStatus(session.shop),
+    getCatalogForShop(session.shop),
+  ]);
+
+  return json({
+    filters,
+    nextCursor,
+    prevCursor,
+    counts,
+    statuses: PRODUCTION_STATUSES,
+    roll: DEFAULT_ROLL,
+    jobs: jobs.map((j) => ({ ...j, next: nextProductionStatus(j.status) })),
+    shapes: Object.values(catalog).map((s) => ({ shapeKey: s.shapeKey, label: s.label })),
+    colors: [
+      ...new Map(
+        Object.values(catalog)
+          .flatMap((s) => Object.values(s.colors || {}))
+          .map((c) => [c.colorKey, { colorKey: c.colorKey, label: c.label }])
+      ).values(),
+    ],
+  });
+};
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+
+  if (intent === "nest") {
+    const { origin } = new URL(request.url);
+    const result = await createGangSheets(session.shop, {
+      colorKey: String(formData.get("colorKey") || ""),
+      status: String(formData.get("status") || "new"),
+      roll: parseRollInput(formData),
+      appBase: process.env.SHOPIFY_APP_URL || origin,
+    });
+    return json(result, { status: result.ok ? 200 : 400 });
+  }
+
+  if (intent !== "status") {
+    return json({ ok: false, error: "unknown_intent" }, { status: 400 });
+  }
+
+  const result = await updateProductionJobStatus(
+    session.shop,
+    formData.get("id"),
+    String(formData.get("status") || "")
+  );
+  return json(result, { status: result.ok ? 200 : 400 });
+};
+
+const selectStyle = { marginTop: 4, width: "160px", display: "block" };
+
+function GangSheetCard({ colors, statuses, roll, busy, result }) {
+  return (
+    <Card>
+      <BlockStack gap="300">
+        <Text as="h2" variant="headingMd">Gang-Sheet erstellen</Text>
+        <Text as="p" tone="subdued">
+          Packt alle Aufträge eines Materials mit dem gewählten Status auf die Rolle. Ergebnis:
+          Druck-SVG mit gemeinsamen Schnittebenen (CutContour, KissCut, Perforation) und Platzierungs-Manifest je Bogen.
+        </Text>
+        <Form method="post">
+          <input type="hidden" name="intent" value="nest" />
+          <div style={{ display: "flex", flexWrap: "wrap", gap: 12, alignItems: "flex-end" }}>
+            <label>
+              Material:
+              <select name="colorKey" required defaultValue={colors[0]?.colorKey} style={selectStyle}>
+                {colors.map((c) => (
+                  <option key={c.colorKey} value={c.colorKey}>{c.label}</option>
+                ))}
+              </select>
+            </label>
+            <label>
+              Status:
+              <select name="status" defaultValue="new" style={selectStyle}>
+                {statuses.map((s) => (
+                  <option key={s} value={s}>{STATUS_LABELS[s]}</option>
+                ))}
+              </select>
+            </label>
+            {[
+              ["widthCm", "Rollenbreite cm", roll.widthCm],
+              ["lengthCm", "Max. Länge cm", roll.lengthCm],
+              ["spacingMm", "Abstand mm", roll.spacingMm],
+              ["marginMm", "Rand mm", roll.marginMm],
+            ].map(([name, label, value]) => (
+              <label key={name}>
+                {label}:
+                <input type="number" name={name} min="0" step="0.1" defaultValue={value} required style={selectStyle} />
+              </label>
+            ))}
+            <label style={{ paddingBottom: 6 }}>
+              <input type="checkbox" name="allowRotate" value="true" defaultChecked={roll.allowRotate} /> Drehen erlauben
+            </label>
+            <input type="hidden" name="allowRotate" value="false" />
+            <Button submit variant="primary" loading={busy}>
+              Bögen erzeugen
+            </Button>
+          </div>
+        </Form>
+        {result?.sheets ? (
+          <BlockStack gap="200">
+            {result.sheets.map((s) => (
+              <InlineStack key={s.sheet} gap="300" blockAlign="center">
+                <Text as="span" fontWeight="semibold">{`Bogen ${s.sheet}`}</Text>
+                <Text as="span">
+                  {`${s.placements.length} Sticker · ${(s.roll.usedLengthMm / 10).toFixed(1)} cm · ${Math.round(s.utilization * 100)} % genutzt`}
+                </Text>
+                <Button size="slim" url={s.svgUrl} target="_blank" download>
+                  SVG
+                </Button>
+                <Button size="slim" url={s.manifestUrl} target="_blank" download>
+                  Manifest
+                </Button>
+              </InlineStack>
+            ))}
+            {result.unplaced.length ? (
+              <Banner tone="warning" title={`${result.unplaced.length} Sticker passen nicht auf die Rolle`} />
+            ) : null}
+          </BlockStack>
+        ) : null}
+      </BlockStack>
+    </Card>
+  );
+}
+
+function StatusForm({ job, status = "", label, variant, busy }) {
+  return (
+    <Form method="post">
+      <input type="hidden" name="intent" value="status" />
+      <input type="hidden" name="id" value={job.id} />
+      <input type="hidden" name="status" value={status} />
+      <Button submit size="slim" variant={variant} disabled={busy}>
+        {label}
+      </Button>
+    </Form>
+  );
+}
+
+function StatusButtons({ job, busy }) {
+  return (
+    <InlineStack gap="200" blockAlign="center">
+      {job.next ? (
+        <StatusForm job={job} label={`→ ${STATUS_LABELS[job.next]}`} variant="primary" busy={busy} />
+      ) : null}
+      {job.status !== "new" ? (
+        <StatusForm job={job} status="new" label="Zurücksetzen" variant="plain" busy={busy} />
+      ) : null}
+    </InlineStack>
+  );
+}
+
+function Downloads({ job }) {
+  if (!job.svgUrl && !job.pngUrl && !job.pdfUrl && !job.originalUrl) return <Text as="span" tone="subdued">–</Text>;
+  return (
+    <ButtonGroup>
+      {job.svgUrl ? (
+        <Button size="slim" url={job.svgUrl} target="_blank" download>
+          SVG
+        </Button>
+      ) : null}
+      {job.pngUrl ? (
+        <Button size="slim" url={job.pngUrl} target="_blank" download>
+          PNG
+        </Button>
+      ) : null}
+      {job.pdfUrl ? (
+        <Button size="slim" url={job.pdfUrl} target="_blank" download>
+          PDF
+        </Button>
+      ) : null}
+      {job.originalUrl ? (
+        <Button size="slim" url={job.originalUrl} target="_blank" download>
+          Original
+        </Button>
+      ) : null}
+    </ButtonGroup>
+  );
+}
+
+export default function ProductionPage() {
+  const { jobs, counts, statuses, filters, nextCursor, prevCursor, shapes, colors, roll } = useLoaderData();
+  const result = useActionData();
+  const nav = useNavigation();
+  const navigate = useNavigate();
+
+  // Filter bleiben beim Blättern erhalten
+  const pageUrl = (key, id) => {
+    const params = new URLSearchParams(Object.entries(filters).filter(([, v]) => v));
+    params.set(key, id);
+    return `?${params.toString()}`;
+  };
+  const busy = nav.state === "submitting";
+
+  return (
+    <Page>
+      <TitleBar title="Produktion" />
+      <Layout>
+        {result?.error ? (
+          <Layout.Section>
+            <Banner tone="critical" title="Aktion fehlgeschlagen">
+              <p>{result.error}</p>
+            </Banner>
+          </Layout.Section>
+        ) : null}
+
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="300">
+              <InlineStack gap="200">
+                {statuses.map((s) => (
+                  <Badge key={s} tone={STATUS_TONES[s]}>{`${STATUS_LABELS[s]}: ${counts[s] || 0}`}</Badge>
+                ))}
+              </InlineStack>
+              <Form method="get">
+                <div style={{ display: "flex", flexWrap: "wrap", gap: 12, alignItems: "flex-end" }}>
+                  <label>
+                    Status:
+                    <select name="status" defaultValue={filters.status} style={selectStyle}>
+                      <option value="">Alle</option>
+                      {statuses.map((s) => (
+                        <option key={s} value={s}>{STATUS_LABELS[s]}</option>
+                      ))}
+                    </select>
+                  </label>
+                  <label>
+                    Material:
+                    <select name="colorKey" defaultValue={filters.colorKey} style={selectStyle}>
+                      <option value="">Alle</option>
+                      {colors.map((c) => (
+                        <option key={c.colorKey} value={c.colorKey}>{c.label}</option>
+                      ))}
+                    </select>
+                  </label>
+                  <label>
+                    Form:
+                    <select name="shapeKey" defaultValue={filters.shapeKey} style={selectStyle}>
+                      <option value="">Alle</option>
+                      {shapes.map((s) => (
+                        <option key={s.shapeKey} value={s.shapeKey}>{s.label}</option>
+                      ))}
+                    </select>
+                  </label>
+                  <Button submit>Filtern</Button>
+                </div>
+              </Form>
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+
+        <Layout.Section>
+          <GangSheetCard colors={colors} statuses={statuses} roll={roll} busy={busy} result={result} />
+        </Layout.Section>
+
+        <Layout.Section>
+          <Card>
+            {jobs.length ? (
+              <DataTable
+                columnContentTypes={["text", "text", "text", "text", "numeric", "text", "text", "text"]}
+                headings={["", "Bestellung", "Sticker", "Material", "Stück", "Status", "Druckdateien", ""]}
+                rows={jobs.map((j) => [
+                  j.imageUrl ? (
+                    <Thumbnail key="t" size="small" source={j.imageUrl} alt={`${j.orderName} ${j.shapeKey}`} />
+                  ) : (
+                    "–"
+                  ),
+                  <BlockStack key="o" gap="050">
+                    <Text as="span" fontWeight="semibold">{j.orderName || j.orderId}</Text>
+                    <Text as="span" variant="bodySm" tone="subdued">
+                      {new Date(j.createdAt).toLocaleString("de-DE")}
+                    </Text>
+                  </BlockStack>,
+                  `${j.shapeKey} · ${j.widthCm} × ${j.heightCm} cm`,
+                  j.colorKey,
+                  j.pieces * j.quantity,
+                  <Badge key="s" tone={STATUS_TONES[j.status]}>{STATUS_LABELS[j.status] || j.status}</Badge>,
+                  <Downloads key="d" job={j} />,
+                  <StatusButtons key="b" job={j} busy={busy} />,
+                ])}
+              />
+            ) : (
+              <Text as="p" tone="subdued">Keine Aufträge für diese Filter.</Text>
+            )}
+            {prevCursor || nextCursor ? (
+              <InlineStack align="center">
+                <Pagination
+                  hasPrevious={!!prevCursor}
+                  previousTooltip="Neuere Aufträge"
+                  onPrevious={() => navigate(pageUrl("before", prevCursor))}
+                  hasNext={!!nextCursor}
+                  nextTooltip="Ältere Aufträge"
+                  onNext={() => navigate(pageUrl("after", nextCursor))}
+                />
+              </InlineStack>
+            ) : null}
+          </Card>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
@@ -1,35 +1,205 @@
 import { json } from "@remix-run/node";
 import { authenticate } from "../shopify.server"; // ggf. Pfad anpassen
+import { parsePriceInput, quoteStickerPrice, sameCurrency } from "../pricing/pricingEngine.server";
+import { QUOTE_PROPERTY, verifyQuoteToken } from "../pricing/quoteToken.server";
+import { parseStickerLineItem } from "../production/productionJobs.server";
+
+export const handle = { isAppProxy: true };
+
+// Rundungsdifferenz, die zwischen Client-Anzeige und Serverpreis toleriert wird
+const PRICE_TOLERANCE = 0.01;
+
+// Konfigurationsfelder, die Preis und Produktion gemeinsam bestimmen
+const CONFIG_FIELDS = ["shapeKey", "colorKey", "sizeKey", "widthCm", "heightCm", "borderMm", "quantity"];
+const NUMERIC_FIELDS = new Set(["widthCm", "heightCm", "borderMm", "quantity"]);
+
+function sameValue(key, a, b) {
+  if (NUMERIC_FIELDS.has(key)) return Math.abs(Number(a) - Number(b)) <= 0.01;
+  return String(a) === String(b);
+}
+
+/**
+ * Eine Konfiguration aus Top-Level-Feldern und meta. meta wird so gelesen, wie
+ * die Produktion sie später liest (Warenkorb-Properties `_sc_*`/sc_config) und
+ * zusätzlich mit den Preis-Feldnamen. Widersprechen sich die Quellen → Fehler,
+ * sonst wird genau dieses Objekt bepreist und in die Attribute geschrieben.
+ *
+ * @returns {{ ok: true, config: Record<string, any> } | { ok: false, field: string }}
+ */
+function normalizeDraftConfig(body) {
+  const meta = body?.meta && typeof body.meta === "object" ? body.meta : {};
+  const production = parseStickerLineItem({ id: "draft", properties: meta });
+  // Menge nur, wenn explizit angegeben (parsePriceInput setzt sonst 1)
+  const sources = [
+    { ...parsePriceInput(body || {}), quantity: body?.quantity ?? body?.qty },
+    { ...parsePriceInput(meta), quantity: meta._sc_quantity ?? meta.quantity ?? meta.qty },
+    production && {
+      shapeKey: production.shapeKey,
+      // ohne Angabe setzt die Produktion "white" – nur explizite Farben vergleichen
+      colorKey: production.config?.colorKey ?? production.properties._sc_color_key,
+      sizeKey: production.sizeKey,
+      widthCm: production.widthCm || undefined,
+      heightCm: production.heightCm || undefined,
+    },
+  ].filter(Boolean);
+
+  const config = {};
+  for (const key of CONFIG_FIELDS) {
+    const values = sources.map((src) => src[key]).filter((v) => v != null && v !== "" && !(key === "borderMm" && Number(v) === 0));
+    if (values.some((v) => !sameValue(key, v, values[0]))) return { ok: false, field: key };
+    config[key] = values[0];
+  }
+  return { ok: true, config };
+}
+
+// Produktionsrelevante Attribute aus dem bepreisten Angebot (überschreiben meta)
+function productionAttributes(meta, quote, config) {
+  const scConfig = (() => {
+    try {
+      const v = JSON.parse(String(meta.sc_config || ""));
+      return v && typeof v === "object" ? v : {};
+    } catch {
+      return {};
+    }
+  })();
+
+  return {
+    _sc_shape: quote.shapeKey,
+    _sc_w_cm: quote.widthCm.toFixed(2),
+    _sc_h_cm: quote.heightCm.toFixed(2),
+    _sc_color_key: quote.colorKey || "white",
+    _sc_size_key: quote.sizeKey || "",
+    _sc_border_mm: String(Number(config.borderMm) || 0),
+    _sc_pieces_per_pack: String(quote.pieces),
+    _sc_print_length_cm: String(quote.breakdown?.yield?.area?.lengthCm ?? ""),
+    _sc_print_width_cm: String(quote.breakdown?.yield?.area?.widthCm ?? ""),
+    _sc_quantity: String(quote.quantity),
+    _sc_total_pieces_hint: String(quote.totalPieces),
+    _sc_variant_id: String(quote.variantId || ""),
+    sc_config: JSON.stringify({
+      ...scConfig,
+      shape: quote.shapeKey,
+      wcm: quote.widthCm.toFixed(2),
+      hcm: quote.heightCm.toFixed(2),
+      colorKey: quote.colorKey || "white",
+      sizeKey: quote.sizeKey || "",
+      borderMm: String(Number(config.borderMm) || 0),
+      pieces: quote.pieces,
+      variantId: String(quote.variantId || ""),
+    }),
+  };
+}
 
 export async function action({ request }) {
   // App-Proxy Call (Storefront -> App)
-  const { admin } = await authenticate.public.appProxy(request);
+  const { admin, session } = await authenticate.public.appProxy(request);
 
   const body = await request.json().catch(() => ({}));
   const productId = Number(body?.productId);
-  const pieces = Math.max(1, Number(body?.pieces) || 1);
+
+  if (!productId) {
+    return json({ ok: false, error: "Ungültige Eingaben (productId)." }, { status: 400 });
+  }
 
   // ✅ Variante A: Gesamtpreis statt Unit-Preis
-  // Erwartet: body.totalPrice (preferred) oder fallback: body.meta.priceTotal
-  const totalPriceRaw =
-    body?.totalPrice ?? body?.meta?.priceTotal ?? body?.priceTotal;
-  const totalPrice = Number(totalPriceRaw);
+  // Der Preis wird ausschließlich serverseitig berechnet (Katalog + Preistabelle
+  // des Shops). body.totalPrice ist nur noch eine Erwartung des Clients:
+  //   - fehlt er → Serverpreis wird übernommen
+  //   - weicht er ab → 409 price_mismatch mit dem korrekten Preis
+  // Top-Level und meta müssen dieselbe Konfiguration beschreiben (sonst könnte
+  // ein kleiner Sticker bepreist und ein großer produziert werden)
+  const normalized = normalizeDraftConfig(body);
+  if (!normalized.ok) {
+    return json(
+      { ok: false, error: "Konfiguration widersprüchlich.", code: "config_mismatch", field: normalized.field },
+      { status: 400 }
+    );
+  }
+  const { config } = normalized;
 
-  if (!productId || !Number.isFinite(totalPrice) || totalPrice < 0) {
+  const quote = await quoteStickerPrice({
+    ...config,
+    variantId: String(productId),
+    clientVariantPrice: undefined, // nie dem Client vertrauen
+    shop: session?.shop || null,
+    admin,
+  });
+
+  if (!quote.ok) {
     return json(
-      { ok: false, error: "Ungültige Eingaben (productId/totalPrice)." },
+      { ok: false, error: `Preis konnte nicht berechnet werden (${quote.error}).`, code: quote.error },
       { status: 400 }
     );
   }
 
-  // Shop-Währung holen (damit MoneyInput passt)
+  // Katalog-Größe gehört zu einer anderen Variante als der bestellten
+  if (quote.variantId && quote.variantId !== String(productId)) {
+    return json(
+      { ok: false, error: "Variante passt nicht zur Konfiguration.", code: "variant_mismatch", variantId: quote.variantId },
+      { status: 400 }
+    );
+  }
+
+  const totalPrice = quote.total;
+
+  // Signiertes Angebot aus dem Konfigurator (Pflicht): muss zu Shop, Konfiguration
+  // und aktuellem Serverpreis passen, sonst wurde unterwegs manipuliert.
+  const quoteToken = body?.quoteToken ?? body?.meta?.[QUOTE_PROPERTY] ?? "";
+  if (!quoteToken) {
+    return json(
+      { ok: false, error: "Preisangebot fehlt.", code: "quote_missing", totalPrice, breakdown: quote.breakdown },
+      { status: 400 }
+    );
+  }
+  const check = verifyQuoteToken(quoteToken, { shop: session?.shop || null, expect: quote, total: totalPrice });
+  if (!check.ok) {
+    const status = check.error === "price_mismatch" || check.error === "expired" ? 409 : 400;
+    return json(
+      { ok: false, error: "Preisangebot ungültig.", code: `quote_${check.error}`, totalPrice, breakdown: quote.breakdown },
+      { status }
+    );
+  }
+  const clientTotalRaw = body?.totalPrice ?? body?.meta?.priceTotal ?? body?.priceTotal;
+  if (clientTotalRaw != null && clientTotalRaw !== "") {
+    const clientTotal = Number(clientTotalRaw);
+    if (!Number.isFinite(clientTotal) || Math.abs(clientTotal - totalPrice) > PRICE_TOLERANCE) {
+      return json(
+        {
+          ok: false,
+          error: "Preis hat sich geändert.",
+          code: "price_mismatch",
+          totalPrice,
+          clientTotal: Number.isFinite(clientTotal) ? clientTotal : null,
+          breakdown: quote.breakdown,
+        },
+        { status: 409 }
+      );
+    }
+  }
+
+  // Shop-Währung holen: priceOverride gilt in Shop-Währung, der Serverpreis in
+  // der Währung der Preistabelle – bei Abweichung nicht umdeuten, ablehnen
   const shopRes = await admin.graphql(`#graphql
     query {
       shop { currencyCode }
     }
   `);
   const shopJson = await shopRes.json();
-  const currencyCode = shopJson?.data?.shop?.currencyCode || "EUR";
+  const shopCurrency = shopJson?.data?.shop?.currencyCode || "";
+  if (!sameCurrency(quote.currencyCode, shopCurrency)) {
+    console.error(`[DRAFT ORDER] Währung Preistabelle ${quote.currencyCode} ≠ Shop ${shopCurrency || "?"}`);
+    return json(
+      {
+        ok: false,
+        error: "Währung der Preistabelle passt nicht zur Shop-Währung.",
+        code: "currency_mismatch",
+        currencyCode: quote.currencyCode,
+        shopCurrencyCode: shopCurrency || null,
+      },
+      { status: 409 }
+    );
+  }
+  const currencyCode = quote.currencyCode;
 
   const variantGid = `gid://shopify/ProductVariant/${productId}`;
 
@@ -48,19 +218,22 @@ export async function action({ request }) {
     }
   `;
 
-  // ✅ Attributes: alles aus meta + pieces + totalPrice
+  // ✅ Attributes: meta, Konfiguration aber immer aus dem bepreisten Angebot
   const meta = body?.meta || {};
   const customAttributesObj = {
     ...meta,
-    pieces,
+    ...productionAttributes(meta, quote, config),
+    pieces: quote.pieces,
     priceTotal: Number(totalPrice.toFixed(2)),
+    _sc_price_breakdown: quote.breakdown,
+    _sc_quote_status: "valid",
   };
 
   const input = {
     lineItems: [
       {
         variantId: variantGid,
-        quantity: 1, // ✅ wichtig: NICHT pieces, sonst wieder Multiplikation
+        quantity: 1, // ✅ wichtig: NICHT pieces/Sets – Gesamtpreis inkl. Staffel, Sets in _sc_quantity
         priceOverride: {
           amount: totalPrice.toFixed(2), // ✅ Gesamtpreis
           currencyCode,
@@ -86,5 +259,10 @@ export async function action({ request }) {
   }
 
   const invoiceUrl = data?.data?.draftOrderCreate?.draftOrder?.invoiceUrl;
-  return json({ ok: true, invoiceUrl });
+  return json({
+    ok: true,
+    invoiceUrl,
+    totalPrice: Number(totalPrice.toFixed(2)),
+    breakdown: quote.breakdown,
+  });
 }
@@ -4,6 +4,15 @@ import fs from "fs/promises";
 import path from "path";
 import { authenticate } from "../shopify.server";
 import { uploadBufferAsShopifyFile } from "../lib/shopifyFiles.server";
+import { buildPrintPdf, shapeCutPathD } from "../lib/printPdf.server";
+import { collectVectorShapes, embedVectorSvg, loadVectorArtwork } from "../lib/vectorArtwork.server";
+import { parseColor } from "../lib/svgDocument.server";
+import { loadPdfArtwork, parsePdfBox } from "../lib/pdfArtwork.server";
+import { CUTLINE_TOLERANCE_MM, fittedRingsToPathD, parsePolylinePathD } from "../lib/geometry";
+import { CUT_LAYERS, DEFAULT_CUT_LAYER, parseCutPaths, resolveCutLayers, wrapCutLayer } from "../lib/cutLayers.server";
+import { addRasterBleed, bleedPxAtDpi, resolveBleed } from "../lib/bleed.server";
+import { analyzeExportSafeZone, resolveSafeMargin } from "../lib/safeZone.server";
+import { getCatalogForShop } from "../catalog/catalogStore.server";
 
 // Pflicht für App-Proxy POST-Requests: verhindert CSRF-Ablehnung durch shopify-app-remix
 export const handle = { isAppProxy: true };
@@ -13,6 +22,10 @@ export const handle = { isAppProxy: true };
 // ==============================
 const DEFAULT_UPLOAD_PNG_TO_SHOPIFY = false;
 const DEFAULT_UPLOAD_SVG_TO_SHOPIFY = process.env.NODE_ENV === "production";
+const DEFAULT_UPLOAD_PDF_TO_SHOPIFY = DEFAULT_UPLOAD_SVG_TO_SHOPIFY;
+
+// Fallback, wenn der Client keine Export-DPI mitschickt (für die PDF-Seitengröße)
+const DEFAULT_EXPORT_DPI = 300;
 
 // Schutz: sehr große Base64 Uploads abweisen (optional)
 const MAX_DATAURL_MB = 35;
@@ -30,21 +43,21 @@ function isAppProxyRequest(request) {
   return u.searchParams.has("shop") && (u.searchParams.has("signature") || u.searchParams.has("hmac"));
 }
 
-async function getAdminClientOrThrow(request) {
+async function getAuthContextOrThrow(request) {
   const auth = String(request.headers.get("authorization") || "");
 
   if (/^bearer\s+/i.test(auth)) {
-    const { admin } = await authenticate.admin(request);
-    return admin;
+    const { admin, session } = await authenticate.admin(request);
+    return { admin, shop: session?.shop || null };
   }
 
   if (isAppProxyRequest(request)) {
-    const { admin } = await authenticate.public.appProxy(request);
-    return admin;
+    const { admin, session } = await authenticate.public.appProxy(request);
+    return { admin, shop: session?.shop || new URL(request.url).searchParams.get("shop") };
   }
 
-  const { admin } = await authenticate.admin(request);
-  return admin;
+  const { admin, session } = await authenticate.admin(request);
+  return { admin, shop: session?.shop || null };
 }
 
 function normalizeShape(rawShape) {
@@ -125,6 +138,16 @@ function sanitizeSvgPathD(d) {
   return s;
 }
 
+// Freeform-Polylinie (ältere Clients, externe Aufrufer) → kubische Béziers innerhalb
+// CUTLINE_TOLERANCE_MM, damit Plotter nicht an hunderten Knoten stocken.
+// Pfade mit Kurven/Bögen bleiben unverändert.
+function fitCutlinePathD(d, dpi) {
+  const rings = d ? parsePolylinePathD(d) : null;
+  if (!rings || !rings.length) return d;
+  const pxPerMm = (Number(dpi) > 0 ? Number(dpi) : DEFAULT_EXPORT_DPI) / 25.4;
+  return fittedRingsToPathD(rings, CUTLINE_TOLERANCE_MM * pxPerMm) || d;
+}
+
 function buildCutlinePathTag({ d, strokePx, color = "#ff00ff" }) {
   const dd = sanitizeSvgPathD(d);
   if (!dd) return "";
@@ -132,10 +155,70 @@ function buildCutlinePathTag({ d, strokePx, color = "#ff00ff" }) {
   return `<path d="${dd}" fill="none" stroke="${color}" stroke-width="${sw}" />`;
 }
 
-function wrapCutContour(inner) {
-  if (!inner) return "";
-  // id="CutContour" ist der Standard-Layer-Name für Plotter (Silhouette, Graphtec, Roland, Cricut).
-  return `<g id="CutContour">\n  ${inner}\n</g>`;
+// Motiv-Rechteck (Export-Pixel) vom Client. Nur "contain"-Platzierungen innerhalb
+// des Canvas – alles andere bräuchte einen Clip und bleibt beim gerasterten PNG.
+function parseArtRect(r, w, h) {
+  const x = Number(r?.x);
+  const y = Number(r?.y);
+  const rw = Number(r?.w);
+  const rh = Number(r?.h);
+  if (![x, y, rw, rh].every(Number.isFinite) || !(rw > 0 && rh > 0)) return null;
+  const tol = 1;
+  if (x < -tol || y < -tol || x + rw > w + tol || y + rh > h + tol) return null;
+  return { x, y, w: rw, h: rh };
+}
+
+// Produktionsvorgaben des Produkts (Schnittebenen, Beschnitt, Sicherheitsabstand): Request-Angaben
+// vor Katalog-Meta der Form; catalogShapeKey = Katalog-Key (z. B. "rect" für
+// "rect_landscape"), colorKey = Material.
+async function resolveProductionOptions(shop, body) {
+  const requested = { cutLayers: body?.cutLayers, contourLayer: body?.contourLayer };
+  const hasCutLayers = Array.isArray(requested.cutLayers) && requested.cutLayers.length > 0;
+
+  let meta = null;
+  if (!hasCutLayers || body?.bleedMm == null || body?.safeMarginMm == null) {
+    const { catalog } = await getCatalogForShop(shop);
+    const def = catalog[String(body?.catalogShapeKey || "")] || catalog[String(body?.shape || "")];
+    meta = def?.meta || null;
+  }
+
+  return {
+    cut: resolveCutLayers(requested, hasCutLayers ? null : meta),
+    bleed: resolveBleed({ bleedMm: body?.bleedMm, bleedMode: body?.bleedMode }, meta, body?.colorKey),
+    safeMargin: resolveSafeMargin({ safeMarginMm: body?.safeMarginMm }, meta),
+  };
+}
+
+/**
+ * Schnittebenen für SVG und PDF.
+ * contourEl/contourD = Sticker-Kontur als SVG-Element (Strichfarbe der contourLayer)
+ * bzw. als Pfad fürs PDF, extra = weitere Pfade [{ layer, d }]. Sieht das Produkt
+ * einen Durchschnitt vor, liegt die Kontur aber auf einer anderen Ebene
+ * (Sticker-Bogen), wird ohne eigenen CutContour-Pfad das Trägermaterial am
+ * Canvas-Rand durchgeschnitten.
+ *
+ * @returns {{ svg: string, pdf: Array<{ name: string, pathsD: string[] }>, layers: string[] }}
+ *   layers = Ebenen mit Inhalt (Schnittreihenfolge)
+ */
+function buildCutLayers(cut, { contourEl, contourD = "", extra, w, h, strokePx }) {
+  const byLayer = new Map(cut.layers.map((name) => [name, { els: [], pathsD: [] }]));
+  const add = (name, d, el) => {
+    const l = byLayer.get(name);
+    l.els.push(el || buildCutlinePathTag({ d, strokePx, color: CUT_LAYERS[name].svgColor }));
+    if (d) l.pathsD.push(d);
+  };
+
+  if (contourEl) add(cut.contourLayer, contourD, contourEl);
+  for (const p of extra) add(p.layer, p.d);
+  const dieCut = byLayer.get(DEFAULT_CUT_LAYER);
+  if (contourEl && dieCut && !dieCut.els.length) add(DEFAULT_CUT_LAYER, `M 0 0 H ${w} V ${h} H 0 Z`);
+
+  const layers = cut.layers.filter((name) => byLayer.get(name).els.length);
+  return {
+    svg: layers.map((name) => wrapCutLayer(name, byLayer.get(name).els.join("\n  "))).join("\n"),
+    pdf: layers.map((name) => ({ name, pathsD: byLayer.get(name).pathsD })),
+    layers,
+  };
 }
 
 export async function action({ request }) {
@@ -145,8 +228,9 @@ export async function action({ request }) {
 
   // Auth
   let admin;
+  let shop;
   try {
-    admin = await getAdminClientOrThrow(request);
+    ({ admin, shop } = await getAuthContextOrThrow(request));
   } catch (e) {
     console.error("[EXPORT AUTH ERROR]", e);
     return json({ ok: false, error: "Unauthorized" }, { status: 401 });
@@ -177,9 +261,29 @@ export async function action({ request }) {
       cutlinePathD = "",
       cutlineStrokePx = null,
 
+      // Schnittebenen: weitere Pfade [{ layer, d }] (Export-Pixel), z. B. Perforation.
+      // cutLayers/contourLayer überschreiben die Katalog-Meta (resolveProductionOptions),
+      // ebenso bleedMm/bleedMode (Beschnitt) und safeMarginMm (Sicherheitsabstand),
+      // beides nur Canvas-Export.
+      cutPaths = [],
+
+      // Vektormotiv (SVG-Upload): Original-URL + Platzierung im Export-Canvas
+      vectorUrl = "",
+      artRect = null,
+
+      // PDF-Motiv: Original-PDF, Seite (1-basiert) + Zuschnitt in PDF-Punkten
+      pdfArtworkUrl = "",
+      pdfPage = 1,
+      pdfBox = null,
+
+      // Druck-PDF (Raster in echter Größe + CutContour als Sonderfarbe)
+      exportPdf = false,
+      dpi = DEFAULT_EXPORT_DPI,
+
       // Perf Flags (Client kann hier steuern)
       uploadPngToShopify = DEFAULT_UPLOAD_PNG_TO_SHOPIFY,
       uploadSvgToShopify = DEFAULT_UPLOAD_SVG_TO_SHOPIFY,
+      uploadPdfToShopify = DEFAULT_UPLOAD_PDF_TO_SHOPIFY,
     } = body || {};
 
     const shapeKey = normalizeShape(rawShape);
@@ -194,6 +298,8 @@ export async function action({ request }) {
         bgColor,
         exportTransparent: !!exportTransparent,
         hasRenderedDataUrl: !!renderedDataUrl,
+        hasVectorUrl: !!vectorUrl,
+        hasPdfArtworkUrl: !!pdfArtworkUrl,
         uploadPngToShopify: !!uploadPngToShopify,
         uploadSvgToShopify: !!uploadSvgToShopify,
         cutlineEnabled: !!cutlineEnabled,
@@ -202,6 +308,13 @@ export async function action({ request }) {
       });
     }
 
+    const { cut, bleed, safeMargin } = await resolveProductionOptions(shop, body);
+    const extraCuts = cut.ok ? parseCutPaths(cutPaths, cut.layers, sanitizeSvgPathD) : cut;
+    if (!extraCuts.ok) {
+      return json({ ok: false, error: extraCuts.error, layer: extraCuts.layer }, { status: 400 });
+    }
+    const contourColor = CUT_LAYERS[cut.contourLayer].svgColor;
+
     const bg = normalizeBgInput(bgMode, bgColor, exportTransparent);
     const fill = bg.raw || "#ffffff";
     const hasBgFill = !!bg.hasFill;
@@ -246,6 +359,7 @@ export async function action({ request }) {
       const ts = Date.now();
       const pngName = `${ts}-sticker.png`;
       const svgName = `${ts}-sticker.svg`;
+      const pdfName = `${ts}-sticker.pdf`;
 
       const localPngUrl = `${appBase}/exports/sticker-configurator/${pngName}`;
       const localSvgUrl = `${appBase}/exports/sticker-configurator/${svgName}`;
@@ -278,43 +392,54 @@ export async function action({ request }) {
       }
 
       // 2) Cutline / Clip
-      let cutPath = "";
+      let contourEl = ""; // Sticker-Kontur auf cut.contourLayer
+      let cutPath = ""; // nur Masken-Filter-Fallback (Freeform ohne Vektorpfad)
+      let pdfCutD = ""; // gleiche Kontur als Pfad (Pixel) für das Druck-PDF
       const strokeW = Number.isFinite(Number(cutlineStrokePx)) ? Number(cutlineStrokePx) : 1;
 
       // ✅ Vektorpfad vom Client (z.B. Freeform-Tracing) hat Priorität
       const wantsCutline = !!cutlineEnabled;
-      const cutlineD = sanitizeSvgPathD(cutlinePathD);
+      const cutlineD = shapeKey === "freeform" ? fitCutlinePathD(sanitizeSvgPathD(cutlinePathD), dpi) : sanitizeSvgPathD(cutlinePathD);
+
+      // rectWidthPx/rectHeightPx = tatsächliche Sticker-Maße (ohne Canvas-Padding bei round/oval).
+      const rw = clampInt(rectWidthPx ?? exportW, 1, 20000);
+      const rh = clampInt(rectHeightPx ?? exportH, 1, 20000);
+      // Eckenradius ≈ Differenz zwischen Canvas und Sticker-Maß (= Padding)
+      const padX = Math.max(0, Math.round((exportW - rw) / 2));
+      const padY = Math.max(0, Math.round((exportH - rh) / 2));
+      const radius = shapeKey === "rounded" ? Math.max(4, Math.min(padX, padY, Math.min(exportW, exportH) / 2)) : 0;
 
       if (wantsCutline && cutlineD) {
         // Vektorpfad direkt verwenden (Freeform oder Client-generierte Form)
-        cutPath = wrapCutContour(buildCutlinePathTag({ d: cutlineD, strokePx: strokeW, color: "#ff00ff" }));
+        contourEl = buildCutlinePathTag({ d: cutlineD, strokePx: strokeW, color: contourColor });
+        pdfCutD = cutlineD;
       } else if (wantsCutline && shapeKey !== "freeform") {
         // Für geometrische Formen: native SVG-Elemente – präziser als approximierte Pfade.
-        // rectWidthPx/rectHeightPx = tatsächliche Sticker-Maße (ohne Canvas-Padding bei round/oval).
-        const rw = clampInt(rectWidthPx ?? exportW, 1, 20000);
-        const rh = clampInt(rectHeightPx ?? exportH, 1, 20000);
         const cx = exportW / 2;
         const cy = exportH / 2;
         let shapeEl = "";
 
         if (shapeKey === "round") {
           const r = Math.min(rw, rh) / 2;
-          shapeEl = `<circle cx="${cx}" cy="${cy}" r="${r}" fill="none" stroke="#ff00ff" stroke-width="${strokeW}" />`;
+          shapeEl = `<circle cx="${cx}" cy="${cy}" r="${r}" fill="none" stroke="${contourColor}" stroke-width="${strokeW}" />`;
         } else if (shapeKey === "oval") {
-          shapeEl = `<ellipse cx="${cx}" cy="${cy}" rx="${rw / 2}" ry="${rh / 2}" fill="none" stroke="#ff00ff" stroke-width="${strokeW}" />`;
+          shapeEl = `<ellipse cx="${cx}" cy="${cy}" rx="${rw / 2}" ry="${rh / 2}" fill="none" stroke="${contourColor}" stroke-width="${strokeW}" />`;
         } else if (shapeKey === "rounded") {
-          // Eckenradius ≈ Differenz zwischen Canvas und Sticker-Maß (= Padding)
-          const padX = Math.max(0, Math.round((exportW - rw) / 2));
-          const padY = Math.max(0, Math.round((exportH - rh) / 2));
-          const radius = Math.max(4, Math.min(padX, padY, Math.min(exportW, exportH) / 2));
-          shapeEl = `<rect x="0" y="0" width="${exportW}" height="${exportH}" rx="${radius}" ry="${radius}" fill="none" stroke="#ff00ff" stroke-width="${strokeW}" />`;
+          shapeEl = `<rect x="0" y="0" width="${exportW}" height="${exportH}" rx="${radius}" ry="${radius}" fill="none" stroke="${contourColor}" stroke-width="${strokeW}" />`;
         } else {
-          shapeEl = `<rect x="0" y="0" width="${exportW}" height="${exportH}" fill="none" stroke="#ff00ff" stroke-width="${strokeW}" />`;
+          shapeEl = `<rect x="0" y="0" width="${exportW}" height="${exportH}" fill="none" stroke="${contourColor}" stroke-width="${strokeW}" />`;
         }
 
-        cutPath = wrapCutContour(shapeEl);
+        contourEl = shapeEl;
+        pdfCutD = shapeCutPathD(shapeKey, { w: exportW, h: exportH, rw, rh, radius });
       }
 
+      // 3) Vektormotiv: Original-SVG statt gerastertem Canvas-Bild in SVG und PDF.
+      // Hintergrund = Sticker-Fläche als Pfad (Freeform: Schnittkontur inkl. Rand).
+      const stickerD = shapeKey === "freeform" ? cutlineD : shapeCutPathD(shapeKey, { w: exportW, h: exportH, rw, rh, radius });
+      const vectorRect = vectorUrl ? parseArtRect(artRect, exportW, exportH) : null;
+      const vectorArt = vectorRect && stickerD ? await loadVectorArtwork(vectorUrl, { shop }) : null;
+
       const preserve = getPreserve(shapeKey);
 
       let defsExtra = "";
@@ -325,8 +450,28 @@ export async function action({ request }) {
       // aber wenn cutlinePathD vorhanden ist, brauchen wir den Filter NICHT mehr für die Cutline.
       const freeformMask = typeof freeformCutMaskDataUrl === "string" ? freeformCutMaskDataUrl.trim() : "";
       const freeformMaskOk = shapeKey === "freeform" && /^data:image\/png;base64,/.test(freeformMask);
-
-      if (freeformMaskOk && !(wantsCutline && cutlineD)) {
+      const maskFallback = freeformMaskOk && !(wantsCutline && cutlineD);
+
+      // 4) Beschnitt: Motiv über die Sticker-Fläche hinaus verlängern, Schnittkonturen
+      // bleiben in Nenngröße. Ohne Vektorkontur (Masken-Fallback) kein Beschnitt.
+      const exportDpi = Number(dpi) > 0 ? Number(dpi) : DEFAULT_EXPORT_DPI;
+      const bleedPx = stickerD && !maskFallback ? bleedPxAtDpi(bleed.mm, exportDpi) : 0;
+      let bledPng = null;
+      const rasterWithBleed = async () => {
+        if (!bledPng) {
+          bledPng = bleedPx
+            ? (await addRasterBleed(pngBuffer, { cutPathD: stickerD, bleedPx, mode: bleed.mode })).buffer
+            : pngBuffer;
+        }
+        return bledPng;
+      };
+
+      if (vectorArt) {
+        // Vektormotiv: Hintergrundfläche per gleichfarbiger Kontur in den Beschnitt
+        const bleedStroke = bleedPx ? ` stroke="${fill}" stroke-width="${2 * bleedPx}" stroke-linejoin="round"` : "";
+        bgRect = hasBgFill ? `<path d="${stickerD}" fill="${fill}"${bleedStroke} />` : "";
+        imageTag = embedVectorSvg(vectorArt, vectorRect);
+      } else if (maskFallback) {
         const maskId = "ffmask_" + ts.toString(36);
         const cutFilterId = "ffcut_" + ts.toString(36);
         const cutRadius = Math.max(1, Math.round(strokeW / 2));
@@ -340,7 +485,7 @@ export async function action({ request }) {
   <filter id="${cutFilterId}" x="-20%" y="-20%" width="140%" height="140%" color-interpolation-filters="sRGB">
     <feMorphology in="SourceAlpha" operator="dilate" radius="${cutRadius}" result="d" />
     <feComposite in="d" in2="SourceAlpha" operator="out" result="edge" />
-    <feFlood flood-color="#ff00ff" flood-opacity="1" result="c" />
+    <feFlood flood-color="${contourColor}" flood-opacity="1" result="c" />
     <feComposite in="c" in2="edge" operator="in" result="colEdge" />
   </filter>
 </defs>`;
@@ -356,24 +501,42 @@ export async function action({ request }) {
           // Kein separates bgRect nötig – sonst würden Ecken außerhalb des Kreises/Ovals sichtbar.
           bgRect = "";
         } else {
-          bgRect = hasBgFill && shapeKey !== "freeform" ? `<rect x="0" y="0" width="${exportW}" height="${exportH}" fill="${fill}" />` : "";
+          bgRect =
+            hasBgFill && shapeKey !== "freeform"
+              ? `<rect x="${-bleedPx}" y="${-bleedPx}" width="${exportW + 2 * bleedPx}" height="${exportH + 2 * bleedPx}" fill="${fill}" />`
+              : "";
         }
-        // Bei Canvas-Mode ist renderedDataUrl "die Wahrheit" (keine CDN-Abhängigkeit)
-        imageTag = `<image href="${renderedDataUrl}" x="0" y="0" width="${exportW}" height="${exportH}" preserveAspectRatio="none" />`;
+        // Bei Canvas-Mode ist renderedDataUrl "die Wahrheit" (keine CDN-Abhängigkeit);
+        // mit Beschnitt das erweiterte Raster, um bleedPx nach links oben versetzt
+        const rasterHref = bleedPx ? `data:image/png;base64,${(await rasterWithBleed()).toString("base64")}` : renderedDataUrl;
+        imageTag = `<image href="${rasterHref}" x="${-bleedPx}" y="${-bleedPx}" width="${exportW + 2 * bleedPx}" height="${exportH + 2 * bleedPx}" preserveAspectRatio="none" />`;
 
         // Falls man lieber den Shopify-PNG-Link im SVG will:
         // imageTag = `<image href="${pngUrl}" x="0" y="0" width="${exportW}" height="${exportH}" preserveAspectRatio="${preserve}" />`;
       }
 
+      const cutLayers = buildCutLayers(cut, {
+        contourEl,
+        contourD: pdfCutD,
+        extra: extraCuts.paths,
+        w: exportW,
+        h: exportH,
+        strokePx: strokeW,
+      });
+
+      // Beschnitt liegt außerhalb von 0…exportW: viewBox beginnt bei −bleedPx
+      const svgW = exportW + 2 * bleedPx;
+      const svgH = exportH + 2 * bleedPx;
       const svgContent = `<?xml version="1.0" encoding="UTF-8"?>
-<svg width="${exportW}" height="${exportH}" viewBox="0 0 ${exportW} ${exportH}" xmlns="http://www.w3.org/2000/svg">
+<svg width="${svgW}" height="${svgH}" viewBox="${-bleedPx} ${-bleedPx} ${svgW} ${svgH}" xmlns="http://www.w3.org/2000/svg">
   ${defsExtra}
   ${bgRect}
   ${imageTag}
   ${cutPath}
+  ${cutLayers.svg}
 </svg>`;
 
-      // 4) SVG Upload
+      // 5) SVG Upload
       let svgUrl = localSvgUrl;
       let svgFileId = null;
 
@@ -399,17 +562,123 @@ export async function action({ request }) {
         svgUrl = localSvgUrl;
       }
 
+      // 6) Druck-PDF (optional)
+      let pdfUrl = null;
+      let pdfFileId = null;
+      let pdfInfo = null;
+
+      if (exportPdf) {
+        // Motive mit Text, Bildern, Verläufen o. Ä. → PDF mit Raster (SVG bleibt Vektor)
+        const { shapes } = vectorArt ? collectVectorShapes(vectorArt) : { shapes: null };
+        const bgRgb = hasBgFill ? parseColor(fill) : null;
+        const pdfVector = !!shapes && bgRgb !== undefined;
+
+        // PDF-Motiv: Originalseite (Zuschnitt) statt des Rasters einsetzen
+        let pdfArt = null;
+        const pdfRect = !pdfVector && pdfArtworkUrl && stickerD && bgRgb !== undefined ? parseArtRect(artRect, exportW, exportH) : null;
+        const box = pdfRect ? parsePdfBox(pdfBox) : null;
+        const pdfBytes = box ? await loadPdfArtwork(pdfArtworkUrl, { shop }) : null;
+        if (pdfBytes) {
+          pdfArt = { bytes: pdfBytes, pageIndex: Math.max(0, Math.floor(Number(pdfPage) || 1) - 1), box, rect: pdfRect };
+        }
+
+        const pdfInput = {
+          pngBuffer: pdfVector || pdfArt ? pngBuffer : await rasterWithBleed(),
+          widthPx: exportW,
+          heightPx: exportH,
+          dpi: exportDpi,
+          bleedPx,
+          cutLayers: cutLayers.pdf,
+          title: pdfName,
+        };
+        const background = (pdfVector || pdfArt) && bgRgb ? { d: stickerD, color: bgRgb } : null;
+        let pdf;
+        try {
+          pdf = await buildPrintPdf({
+            ...pdfInput,
+            vectorArt: pdfVector ? { shapes, rect: vectorRect, viewBox: vectorArt.viewBox } : null,
+            pdfArt,
+            background,
+          });
+        } catch (e) {
+          // z. B. verschlüsseltes Original-PDF → Raster wie bei normalen Motiven
+          if (!pdfArt) throw e;
+          console.warn("[EXPORT PDF] Original-PDF nicht einbettbar, nutze Raster:", e?.message || e);
+          pdfArt = null;
+          pdf = await buildPrintPdf({ ...pdfInput, pngBuffer: await rasterWithBleed() });
+        }
+        pdfInfo = {
+          dpi: exportDpi,
+          widthMm: Math.round(pdf.widthMm * 100) / 100,
+          heightMm: Math.round(pdf.heightMm * 100) / 100,
+          bleedMm: Math.round(pdf.bleedMm * 100) / 100,
+          // Freeform ohne Vektorpfad (nur Masken-Filter) → PDF ohne Schnittkontur
+          cutContour: !!pdfCutD,
+          cutLayers: pdf.cutLayers,
+          vector: pdfVector || !!pdfArt,
+        };
+
+        if (uploadPdfToShopify) {
+          try {
+            const up = await uploadBufferAsShopifyFile(admin, {
+              buffer: Buffer.from(pdf.bytes),
+              filename: pdfName,
+              mimeType: "application/pdf",
+              resource: "FILE",
+              contentType: "FILE",
+              alt: "Sticker export PDF",
+            });
+            pdfUrl = up.url;
+            pdfFileId = up.fileId;
+          } catch (e) {
+            console.error("[EXPORT PDF SHOPIFY WARN]", e);
+          }
+        }
+
+        if (!pdfFileId) {
+          await fs.writeFile(path.join(EXPORT_DIR, pdfName), pdf.bytes);
+          pdfUrl = `${appBase}/exports/sticker-configurator/${pdfName}`;
+        }
+      }
+
+      // 7) Sicherheitsabstand: Motiv zu nah an der Schnittkontur? Nur Hinweis –
+      // ein Fehler der Analyse bricht den Export nicht ab.
+      let safeZone = null;
+      const safeMarginPx = stickerD && !maskFallback ? bleedPxAtDpi(safeMargin.mm, exportDpi) : 0;
+      if (safeMarginPx > 0) {
+        try {
+          const background = hasBgFill ? parseColor(fill) || null : null;
+          safeZone = {
+            marginMm: safeMargin.mm,
+            marginPx: safeMarginPx,
+            ...(await analyzeExportSafeZone(pngBuffer, { cutPathD: stickerD, marginPx: safeMarginPx, background })),
+          };
+        } catch (e) {
+          console.warn("[EXPORT SAFE ZONE WARN]", e?.message || e);
+        }
+      }
+
       return json({
         ok: true,
         svgUrl,
         pngUrl,
+        pdfUrl,
         svgFileId,
         pngFileId,
+        pdfFileId,
+        pdf: pdfInfo,
+        vector: !!vectorArt,
+        cutLayers: cutLayers.layers,
+        // Beschnitt je Seite; exportWidthPx/exportHeightPx bleiben die Nenngröße
+        bleed: { mm: bleedPx ? bleed.mm : 0, px: bleedPx, mode: bleed.mode },
+        // Warnungen + Überlagerungsmaske (PNG in Export-Proportionen), null = nicht geprüft
+        safeZone,
         exportWidthPx: exportW,
         exportHeightPx: exportH,
         perf: {
           uploadPngToShopify: !!uploadPngToShopify,
           uploadSvgToShopify: !!uploadSvgToShopify,
+          uploadPdfToShopify: !!(exportPdf && uploadPdfToShopify),
         },
       });
     }
@@ -434,10 +703,10 @@ export async function action({ request }) {
     const clipId = "clip_" + Date.now().toString(36) + "_" + Math.random().toString(36).slice(2, 8);
 
     let clipShape = "";
-    let cutPath = "";
+    let contourEl = "";
 
     const wantsCutline = !!cutlineEnabled;
-    const cutlineD = sanitizeSvgPathD(cutlinePathD);
+    const cutlineD = shapeKey === "freeform" ? fitCutlinePathD(sanitizeSvgPathD(cutlinePathD), dpi) : sanitizeSvgPathD(cutlinePathD);
     const strokeW = Number.isFinite(Number(cutlineStrokePx)) ? Number(cutlineStrokePx) : 1;
 
     // Tatsächliche Sticker-Maße (in MODE 2 meist = w/h, da kein Canvas-Padding)
@@ -449,27 +718,27 @@ export async function action({ request }) {
     // ✅ Vektorpfad vom Client nutzen (Freeform-Tracing oder Client-generiert)
     if (wantsCutline && cutlineD && shapeKey !== "freeform") {
       clipShape = `<path d="${cutlineD}" />`;
-      cutPath = wrapCutContour(buildCutlinePathTag({ d: cutlineD, strokePx: strokeW, color: "#ff00ff" }));
+      contourEl = buildCutlinePathTag({ d: cutlineD, strokePx: strokeW, color: contourColor });
     } else {
       if (shapeKey === "round") {
         const r = Math.min(rw, rh) / 2;
         clipShape = `<circle cx="${cx}" cy="${cy}" r="${r}" />`;
-        cutPath = wantsCutline ? wrapCutContour(`<circle cx="${cx}" cy="${cy}" r="${r}" fill="none" stroke="#ff00ff" stroke-width="${strokeW}" />`) : "";
+        contourEl = wantsCutline ? `<circle cx="${cx}" cy="${cy}" r="${r}" fill="none" stroke="${contourColor}" stroke-width="${strokeW}" />` : "";
       } else if (shapeKey === "oval") {
         clipShape = `<ellipse cx="${cx}" cy="${cy}" rx="${rw / 2}" ry="${rh / 2}" />`;
-        cutPath = wantsCutline ? wrapCutContour(`<ellipse cx="${cx}" cy="${cy}" rx="${rw / 2}" ry="${rh / 2}" fill="none" stroke="#ff00ff" stroke-width="${strokeW}" />`) : "";
+        contourEl = wantsCutline ? `<ellipse cx="${cx}" cy="${cy}" rx="${rw / 2}" ry="${rh / 2}" fill="none" stroke="${contourColor}" stroke-width="${strokeW}" />` : "";
       } else if (shapeKey === "rounded") {
         const padX = Math.max(0, Math.round((w - rw) / 2));
         const padY = Math.max(0, Math.round((h - rh) / 2));
         const radius = Math.max(4, Math.min(padX, padY, Math.min(w, h) / 2));
         clipShape = `<rect x="0" y="0" width="${w}" height="${h}" rx="${radius}" ry="${radius}" />`;
-        cutPath = wantsCutline ? wrapCutContour(`<rect x="0" y="0" width="${w}" height="${h}" rx="${radius}" ry="${radius}" fill="none" stroke="#ff00ff" stroke-width="${strokeW}" />`) : "";
+        contourEl = wantsCutline ? `<rect x="0" y="0" width="${w}" height="${h}" rx="${radius}" ry="${radius}" fill="none" stroke="${contourColor}" stroke-width="${strokeW}" />` : "";
       } else if (shapeKey === "freeform") {
         clipShape = `<rect x="0" y="0" width="${w}" height="${h}" />`;
-        cutPath = wantsCutline && cutlineD ? wrapCutContour(buildCutlinePathTag({ d: cutlineD, strokePx: strokeW })) : "";
+        contourEl = wantsCutline && cutlineD ? buildCutlinePathTag({ d: cutlineD, strokePx: strokeW, color: contourColor }) : "";
       } else {
         clipShape = `<rect x="0" y="0" width="${w}" height="${h}" />`;
-        cutPath = wantsCutline ? wrapCutContour(`<rect x="0" y="0" width="${w}" height="${h}" fill="none" stroke="#ff00ff" stroke-width="${strokeW}" />`) : "";
+        contourEl = wantsCutline ? `<rect x="0" y="0" width="${w}" height="${h}" fill="none" stroke="${contourColor}" stroke-width="${strokeW}" />` : "";
       }
     }
 
@@ -482,12 +751,14 @@ export async function action({ request }) {
     const defsBlock = useClip ? `<defs><clipPath id="${clipId}">${clipShape}</clipPath></defs>` : "";
     const contentGroup = useClip ? `<g clip-path="url(#${clipId})">${imageTag}</g>` : `${imageTag}`;
 
+    const cutLayers = buildCutLayers(cut, { contourEl, extra: extraCuts.paths, w, h, strokePx: strokeW });
+
     const svgContent = `<?xml version="1.0" encoding="UTF-8"?>
 <svg width="${w}" height="${h}" viewBox="0 0 ${w} ${h}" xmlns="http://www.w3.org/2000/svg">
   ${defsBlock}
   ${bgRect}
   ${contentGroup}
-  ${cutPath}
+  ${cutLayers.svg}
 </svg>`;
 
     await ensureDirOnce(EXPORT_DIR);
@@ -520,7 +791,20 @@ export async function action({ request }) {
       svgUrl = localSvgUrl;
     }
 
-    return json({ ok: true, svgUrl, pngUrl: null, svgFileId, exportWidthPx: w, exportHeightPx: h });
+    // Ohne gerastertes Motiv (renderedDataUrl) gibt es kein Druck-PDF
+    return json({
+      ok: true,
+      svgUrl,
+      pngUrl: null,
+      pdfUrl: null,
+      svgFileId,
+      cutLayers: cutLayers.layers,
+      // Ohne gerastertes Motiv kein Beschnitt und keine Prüfung des Sicherheitsabstands
+      bleed: { mm: 0, px: 0, mode: bleed.mode },
+      safeZone: null,
+      exportWidthPx: w,
+      exportHeightPx: h,
+    });
   } catch (err) {
     console.error("[EXPORT ERROR]", err);
     return json({ ok: false, error: err?.message || String(err) }, { status: 500 });
@@ -4,6 +4,7 @@ import crypto from "crypto";
 import fs from "fs/promises";
 import path from "path";
 import { authenticate } from "../shopify.server";
+import { FREEFORM_SEAL_GAPS_PX, buildInsideMaskFromAlpha, dilateMask } from "../lib/geometry";
 
 // Pflicht für App-Proxy POST-Requests: verhindert CSRF-Ablehnung durch shopify-app-remix
 export const handle = { isAppProxy: true };
@@ -189,129 +190,6 @@ async function fetchImageBuffer(imageUrlRaw, request, { timeoutMs = 8000, maxByt
 
 // --- Masken ----------------------------------------------------------------
 
-function buildInsideMaskFromAlpha(imgData, w, h, alphaThreshold = 8) {
-  const a = imgData.data;
-
-  const isTransparent = new Uint8Array(w * h);
-  for (let i = 0; i < w * h; i++) isTransparent[i] = a[i * 4 + 3] <= alphaThreshold ? 1 : 0;
-
-  const outside = new Uint8Array(w * h);
-  const qx = new Int32Array(w * h);
-  const qy = new Int32Array(w * h);
-  let qs = 0,
-    qe = 0;
-
-  const push = (x, y) => {
-    qx[qe] = x;
-    qy[qe] = y;
-    qe++;
-  };
-
-  const trySeed = (x, y) => {
-    const idx = y * w + x;
-    if (isTransparent[idx] && !outside[idx]) {
-      outside[idx] = 1;
-      push(x, y);
-    }
-  };
-
-  for (let x = 0; x < w; x++) {
-    trySeed(x, 0);
-    trySeed(x, h - 1);
-  }
-  for (let y = 0; y < h; y++) {
-    trySeed(0, y);
-    trySeed(w - 1, y);
-  }
-
-  while (qs < qe) {
-    const x = qx[qs];
-    const y = qy[qs];
-    qs++;
-
-    const nx1 = x + 1;
-    const nx2 = x - 1;
-    const ny1 = y + 1;
-    const ny2 = y - 1;
-
-    if (nx1 < w) {
-      const i = y * w + nx1;
-      if (isTransparent[i] && !outside[i]) {
-        outside[i] = 1;
-        push(nx1, y);
-      }
-    }
-    if (nx2 >= 0) {
-      const i = y * w + nx2;
-      if (isTransparent[i] && !outside[i]) {
-        outside[i] = 1;
-        push(nx2, y);
-      }
-    }
-    if (ny1 < h) {
-      const i = ny1 * w + x;
-      if (isTransparent[i] && !outside[i]) {
-        outside[i] = 1;
-        push(x, ny1);
-      }
-    }
-    if (ny2 >= 0) {
-      const i = ny2 * w + x;
-      if (isTransparent[i] && !outside[i]) {
-        outside[i] = 1;
-        push(x, ny2);
-      }
-    }
-  }
-
-  const inside = new Uint8Array(w * h);
-  for (let i = 0; i < w * h; i++) inside[i] = outside[i] ? 0 : 1;
-  return inside;
-}
-
-// Schnelle Dilation via separable Box-Filter
-function dilateMaskBox(mask, w, h, radiusPx) {
-  const r = Math.max(0, Math.round(radiusPx || 0));
-  if (r <= 0) return mask;
-
-  const tmp = new Uint8Array(w * h);
-  const ps = new Int32Array(w + 1);
-
-  for (let y = 0; y < h; y++) {
-    const row = y * w;
-    ps[0] = 0;
-    for (let x = 0; x < w; x++) {
-      ps[x + 1] = ps[x] + (mask[row + x] ? 1 : 0);
-    }
-
-    for (let x = 0; x < w; x++) {
-      const L = Math.max(0, x - r);
-      const R = Math.min(w - 1, x + r);
-      const sum = ps[R + 1] - ps[L];
-      tmp[row + x] = sum > 0 ? 1 : 0;
-    }
-  }
-
-  const out = new Uint8Array(w * h);
-  const psY = new Int32Array(h + 1);
-
-  for (let x = 0; x < w; x++) {
-    psY[0] = 0;
-    for (let y = 0; y < h; y++) {
-      psY[y + 1] = psY[y] + (tmp[y * w + x] ? 1 : 0);
-    }
-
-    for (let y = 0; y < h; y++) {
-      const T = Math.max(0, y - r);
-      const B = Math.min(h - 1, y + r);
-      const sum = psY[B + 1] - psY[T];
-      out[y * w + x] = sum > 0 ? 1 : 0;
-    }
-  }
-
-  return out;
-}
-
 function maskToAlphaCanvas(mask, w, h) {
   const c = createCanvas(w, h);
   const ctx = c.getContext("2d");
@@ -405,7 +283,7 @@ async function getMasterForImageUrl(resolvedImageUrl, request) {
   kctx.drawImage(masterCanvas, 0, 0, mw, mh);
 
   const imgData = kctx.getImageData(0, 0, mw, mh);
-  const insideMask = buildInsideMaskFromAlpha(imgData, mw, mh, 8);
+  const insideMask = buildInsideMaskFromAlpha(imgData, mw, mh, 8, FREEFORM_SEAL_GAPS_PX);
 
   const master = {
     masterCanvas,
@@ -453,7 +331,7 @@ function renderFreeformStickerCanvas({
   let backing = master.backing.get(key);
 
   if (!backing) {
-    const backingMask = dilateMaskBox(master.insideMask, mw, mh, borderInMaskPx);
+    const backingMask = dilateMask(master.insideMask, mw, mh, borderInMaskPx);
     const alphaCanvas = maskToAlphaCanvas(backingMask, mw, mh);
     backing = { alphaCanvas };
     master.backing.set(key, backing);
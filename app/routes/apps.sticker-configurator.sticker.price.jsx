@@ -1,47 +1,28 @@
 import { json } from "@remix-run/node";
 import { authenticate } from "../shopify.server";
+import { legacyPriceFields, parsePriceInput, quoteStickerPrice } from "../pricing/pricingEngine.server";
+import { issueQuoteToken } from "../pricing/quoteToken.server";
 
 // Pflicht für App-Proxy POST-Requests: verhindert CSRF-Ablehnung durch shopify-app-remix
 export const handle = { isAppProxy: true };
 
-const MIN_M2 = 0.1;
-const PRICE_PER_M2 = 250;
-
-// Preislogik:
-// - Fläche wird in 0.1 m²-Schritten abgerechnet (MIN_M2)
-// - quantity = abgerechnete Schritte (Multiplier)
-// - area = abgerechnete Fläche (Steps * MIN_M2)
-function calcPrice(widthCm, heightCm) {
-  const w = Number(widthCm) || 0;
-  const h = Number(heightCm) || 0;
-
-  const rawArea = Math.max(0, (w / 100) * (h / 100)); // m² (echte Fläche)
-  const billedSteps = Math.max(1, Math.ceil(rawArea / MIN_M2)); // 0.1m² Schritte
-  const billedArea = billedSteps * MIN_M2; // abgerechnete Fläche (gerundet)
-  const price = billedArea * PRICE_PER_M2;
-
-  return {
-    rawArea,
-    area: billedArea,
-    quantity: billedSteps,
-    price,
-  };
-}
-
 function isAppProxyRequest(request) {
   const u = new URL(request.url);
   return u.searchParams.has("shop") && (u.searchParams.has("hmac") || u.searchParams.has("signature"));
 }
 
+// Liefert Shop + Admin-Client (für Shop-Preistabellen und Variantenpreise)
 async function softAuth(request) {
   if (isAppProxyRequest(request)) {
-    await authenticate.public.appProxy(request);
-    return;
+    const { admin, session } = await authenticate.public.appProxy(request);
+    return { admin: admin ?? null, shop: session?.shop || new URL(request.url).searchParams.get("shop") };
   }
   const auth = request.headers.get("authorization") || "";
   if (auth.toLowerCase().startsWith("bearer ")) {
-    await authenticate.admin(request);
+    const { admin, session } = await authenticate.admin(request);
+    return { admin, shop: session?.shop || null };
   }
+  return { admin: null, shop: null };
 }
 
 export async function loader() {
@@ -49,8 +30,9 @@ export async function loader() {
 }
 
 export async function action({ request }) {
+  let ctx = { admin: null, shop: null };
   try {
-    await softAuth(request);
+    ctx = await softAuth(request);
   } catch (e) {
     console.error("[PRICE AUTH ERROR]", e);
     // fail-open: Preisberechnung ist unkritisch – nicht das UI killen
@@ -63,20 +45,15 @@ export async function action({ request }) {
 
     const contentType = request.headers.get("content-type") || "";
 
-    let widthCmRaw;
-    let heightCmRaw;
+    let input;
 
     if (contentType.includes("application/json")) {
-      const body = await request.json();
-      widthCmRaw = body.widthCm ?? body.width ?? body.w;
-      heightCmRaw = body.heightCm ?? body.height ?? body.h;
+      input = parsePriceInput(await request.json());
     } else if (
       contentType.includes("multipart/form-data") ||
       contentType.includes("application/x-www-form-urlencoded")
     ) {
-      const formData = await request.formData();
-      widthCmRaw = formData.get("widthCm");
-      heightCmRaw = formData.get("heightCm");
+      input = parsePriceInput(await request.formData());
     } else {
       return json(
         { ok: false, error: `Unsupported Content-Type: ${contentType}` },
@@ -84,34 +61,26 @@ export async function action({ request }) {
       );
     }
 
-    if (widthCmRaw == null || heightCmRaw == null) {
+    if (!input.sizeKey && (input.widthCm == null || input.heightCm == null)) {
       return json(
         {
           ok: false,
           error: "Missing widthCm/heightCm",
-          got: { widthCm: widthCmRaw ?? null, heightCm: heightCmRaw ?? null },
+          got: { widthCm: input.widthCm ?? null, heightCm: input.heightCm ?? null },
         },
         { status: 200 }
       );
     }
 
-    const widthCm = Number(widthCmRaw);
-    const heightCm = Number(heightCmRaw);
-
-    if (!Number.isFinite(widthCm) || !Number.isFinite(heightCm) || widthCm <= 0 || heightCm <= 0) {
-      return json(
-        { ok: false, error: "Invalid widthCm/heightCm", got: { widthCm, heightCm } },
-        { status: 200 }
-      );
+    const quote = await quoteStickerPrice({ ...input, shop: ctx.shop, admin: ctx.admin });
+    if (!quote.ok) {
+      return json({ ok: false, error: quote.error, got: input }, { status: 200 });
     }
 
-    const priceData = calcPrice(widthCm, heightCm);
-
     return json({
-      ok: true,
-      widthCm,
-      heightCm,
-      ...priceData, // rawArea, area, quantity, price
+      ...quote, // mode, widthCm, heightCm, unitPrice, total, currencyCode, breakdown, tiers
+      ...legacyPriceFields(quote), // rawArea, area, quantity, price
+      ...issueQuoteToken(quote, { shop: ctx.shop }), // quoteToken, quoteExpiresAt
     });
   } catch (err) {
     console.error("[PRICE ACTION ERROR]", err);
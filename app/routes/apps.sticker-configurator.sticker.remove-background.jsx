@@ -0,0 +1,115 @@
+// app/routes/apps.sticker-configurator.sticker.remove-background.jsx
+import { json } from "@remix-run/node";
+import { authenticate } from "../shopify.server";
+import { removeImageBackground } from "../lib/backgroundRemoval.server";
+
+// Pflicht für App-Proxy POST-Requests: verhindert CSRF-Ablehnung durch shopify-app-remix
+export const handle = { isAppProxy: true };
+
+const MAX_FILE_MB = 15;
+// multipart-Overhead (Boundary, Feld-Header) zusätzlich zur Datei
+const MAX_BODY_BYTES = MAX_FILE_MB * 1024 * 1024 + 64 * 1024;
+
+const CORS = {
+  "Access-Control-Allow-Origin": "*",
+  "Cache-Control": "no-store, max-age=0",
+};
+
+function isAppProxyRequest(request) {
+  const u = new URL(request.url);
+  return u.searchParams.has("shop") && (u.searchParams.has("hmac") || u.searchParams.has("signature"));
+}
+
+// Freistellen ist teuer (Modell-Lauf) → nur über App Proxy oder Admin-Session
+async function requireAuth(request) {
+  if (isAppProxyRequest(request)) {
+    await authenticate.public.appProxy(request);
+    return true;
+  }
+  const auth = request.headers.get("authorization") || "";
+  if (auth.toLowerCase().startsWith("bearer ")) {
+    await authenticate.admin(request);
+    return true;
+  }
+  return false;
+}
+
+export async function loader() {
+  return json({
+    ok: true,
+    route: "/apps/sticker-configurator/sticker/remove-background",
+    hint: "POST multipart/form-data { file } → { url } (transparentes PNG)",
+  });
+}
+
+export async function action({ request }) {
+  if (request.method === "OPTIONS") {
+    return new Response(null, {
+      status: 204,
+      headers: {
+        "Access-Control-Allow-Origin": "*",
+        "Access-Control-Allow-Methods": "POST, OPTIONS",
+        "Access-Control-Allow-Headers": "Content-Type",
+      },
+    });
+  }
+
+  if (request.method !== "POST") {
+    return json({ ok: false, error: "Method not allowed" }, { status: 405, headers: CORS });
+  }
+
+  // Zu große Requests abweisen, bevor der Body gepuffert wird – requireAuth
+  // läuft erst danach (Body vor authenticate.* lesen, siehe Upload-Route)
+  const contentLength = Number(request.headers.get("content-length") || 0);
+  if (contentLength > MAX_BODY_BYTES) {
+    return json({ ok: false, error: `file_too_large_max_${MAX_FILE_MB}mb` }, { status: 413, headers: CORS });
+  }
+
+  let buffer;
+  try {
+    const formData = await request.formData();
+    const file = formData.get("file");
+    if (!file || typeof file.arrayBuffer !== "function") {
+      return json({ ok: false, error: "invalid_file" }, { status: 400, headers: CORS });
+    }
+    buffer = Buffer.from(await file.arrayBuffer());
+  } catch (e) {
+    console.error("[REMOVE BG] FormData-Parse-Fehler:", e?.message || e);
+    return json({ ok: false, error: "form_parse_error" }, { status: 400, headers: CORS });
+  }
+
+  if (buffer.length === 0) {
+    return json({ ok: false, error: "empty_file" }, { status: 400, headers: CORS });
+  }
+  if (buffer.length > MAX_FILE_MB * 1024 * 1024) {
+    return json({ ok: false, error: `file_too_large_max_${MAX_FILE_MB}mb` }, { status: 413, headers: CORS });
+  }
+
+  try {
+    if (!(await requireAuth(request))) {
+      return json({ ok: false, error: "unauthorized" }, { status: 401, headers: CORS });
+    }
+  } catch (e) {
+    if (e instanceof Response) {
+      return json({ ok: false, error: "unauthorized" }, { status: 401, headers: CORS });
+    }
+    console.error("[REMOVE BG AUTH ERROR]", e);
+    return json({ ok: false, error: "unauthorized" }, { status: 401, headers: CORS });
+  }
+
+  try {
+    const started = Date.now();
+    const result = await removeImageBackground(buffer);
+    console.log(`[REMOVE BG] ${result.hash.slice(0, 12)} ${result.cached ? "aus Cache" : `berechnet in ${Date.now() - started} ms`}`);
+    return json({ ok: true, ...result }, { headers: CORS });
+  } catch (e) {
+    if (e?.message === "unsupported_image") {
+      return json({ ok: false, error: "unsupported_image" }, { status: 400, headers: CORS });
+    }
+    if (e?.message === "queue_full") {
+      return json({ ok: false, error: "queue_full" }, { status: 503, headers: { ...CORS, "Retry-After": "30" } });
+    }
+    console.error("[REMOVE BG] Freistellen fehlgeschlagen:", e?.message || e);
+    return json({ ok: false, error: "background_removal_failed" }, { status: 500, headers: CORS });
+  }
+}
@@ -4,38 +4,24 @@ import fs from "fs/promises";
 import path from "path";
 import crypto from "crypto";
 import { authenticate } from "../shopify.server";
-import { STICKER_CATALOG, STICKER_CATALOG_VERSION } from "../catalog/stickerCatalog.server";
+import { getCatalogForShop } from "../catalog/catalogStore.server";
 import {
   stagedUploadsCreateOne,
   uploadBufferToStagedTarget,
   fileCreateOne,
   waitForShopifyFileUrl,
+  uploadBufferAsShopifyFile,
 } from "../lib/shopifyFiles.server";
+import { VECTOR_MIME, isVectorUpload, rasterizeSvgPreview } from "../lib/vectorArtwork.server";
+import { sanitizeSvg } from "../lib/svgSanitizer.server";
+import { PDF_MIME, isPdfUpload, renderPdfPage } from "../lib/pdfArtwork.server";
+import { UPLOAD_DIR } from "../lib/uploadStore.server";
+import { isRasterUpload, normalizeRasterUpload } from "../lib/rasterUpload.server";
+import { isPlaceholderDpi, printSizeCm } from "../utils/imageDpi";
 
 export const handle = { isAppProxy: true };
 
-// ── Legacy-Exports (werden von anderen Routen re-exportiert) ──────────────
-export const MIN_M2 = 0.1;
-export const PRICE_PER_M2 = 250;
-export function calcPrice(widthCm, heightCm, quantity = 1) {
-  const w = Number(widthCm) || 0;
-  const h = Number(heightCm) || 0;
-  const area = (w / 100) * (h / 100);
-  const billedArea = Math.max(area, MIN_M2);
-  const billedQuantity = Math.ceil(billedArea / MIN_M2);
-  const effectiveQty = quantity || billedQuantity;
-  const price = billedArea * PRICE_PER_M2;
-  return { area: billedArea, quantity: effectiveQty, price };
-}
-
 // ── Konstanten ────────────────────────────────────────────────────────────
-const UPLOAD_DIR = path.resolve(
-  process.cwd(),
-  "public",
-  "uploads",
-  "sticker-configurator",
-  "originals"
-);
 const UPLOAD_TO_SHOPIFY = process.env.NODE_ENV === "production";
 const MAX_FILE_MB = 20;
 
@@ -53,10 +39,6 @@ function safeFilename(originalName) {
   return `${stamp}-${rnd}-${base}`;
 }
 
-function isImageMime(m) {
-  return String(m || "").toLowerCase().startsWith("image/");
-}
-
 /**
  * Öffentliche URL für lokal gespeicherte Dateien.
  *
@@ -103,17 +85,50 @@ async function getAdminClient(request) {
   }
 }
 
+// Shop für den Katalog bestimmen: App Proxy (signiert) oder Admin-Session.
+// Ohne verifizierten Shop → null (Seed-Katalog).
+async function resolveShop(request) {
+  try {
+    const u = new URL(request.url);
+    const isProxy = u.searchParams.has("hmac") || u.searchParams.has("signature");
+    if (isProxy) {
+      const { session } = await authenticate.public.appProxy(request);
+      return session?.shop || u.searchParams.get("shop") || null;
+    }
+    if (request.headers.get("authorization")) {
+      const { session } = await authenticate.admin(request);
+      return session?.shop || null;
+    }
+  } catch (e) {
+    if (e instanceof Response) return null;
+    console.warn("[UPLOAD] Shop-Auflösung fehlgeschlagen:", e?.message || e);
+  }
+  return null;
+}
+
 // ── Loader (GET) ──────────────────────────────────────────────────────────
-export async function loader() {
-  return json(
-    {
-      ok: true,
-      route: "/apps/sticker-configurator/sticker/upload",
-      catalogVersion: STICKER_CATALOG_VERSION,
-      catalog: STICKER_CATALOG,
-    },
-    { headers: CORS }
-  );
+export async function loader({ request }) {
+  const shop = await resolveShop(request);
+
+  try {
+    const { catalog, version, source } = await getCatalogForShop(shop);
+    return json(
+      {
+        ok: true,
+        route: "/apps/sticker-configurator/sticker/upload",
+        catalogVersion: version,
+        catalogSource: source,
+        catalog,
+      },
+      { headers: CORS }
+    );
+  } catch (e) {
+    console.error("[UPLOAD] Katalog konnte nicht geladen werden:", e?.message || e);
+    return json(
+      { ok: false, error: "catalog_unavailable" },
+      { status: 500, headers: CORS }
+    );
+  }
 }
 
 // ── Action (POST) ─────────────────────────────────────────────────────────
@@ -138,6 +153,15 @@ export async function action({ request }) {
   // Wichtig: request.formData() muss VOR jedem authenticate.*-Aufruf erfolgen,
   // da manche Versionen von shopify-app-remix den Request-Body intern konsumieren.
   let buffer, mime, filename;
+  let vector = false; // SVG: bleibt als Original erhalten (Vektor-Export)
+  let svgInfo = null; // bereinigtes SVG: Originalgröße + entfernte Inhalte
+  let pdfInfo = null; // PDF: gerenderte Seite, Originalmaße, Zuschnitt
+  let rasterInfo = null; // Rasterbild: Pixelmaße + durchgeführte Normalisierung
+  // Druckgröße laut Datei: { dpiX, dpiY, source, widthCm, heightCm, placeholder } | null
+  let printSize = null;
+  // Zusatzdatei neben dem Hauptupload: Raster-Vorschau zum SVG bzw. Original-PDF
+  // ({ field, buffer, filename, mimeType, resource, alt } – field = Response-Feld der URL)
+  let secondary = null;
 
   try {
     const formData = await request.formData();
@@ -148,8 +172,14 @@ export async function action({ request }) {
       return json({ ok: false, error: "invalid_file" }, { status: 400, headers: CORS });
     }
 
+    const rawName = String(file.name || "image");
+    const ext = (rawName.split(".").pop() || "png").toLowerCase();
+
     mime = String(file.type || "").toLowerCase();
-    if (!isImageMime(mime)) {
+    vector = isVectorUpload(mime, ext);
+    if (vector) mime = VECTOR_MIME;
+    const pdf = isPdfUpload(mime, ext);
+    if (!vector && !pdf && !isRasterUpload(mime, ext)) {
       return json({ ok: false, error: "not_an_image" }, { status: 400, headers: CORS });
     }
 
@@ -167,11 +197,96 @@ export async function action({ request }) {
       );
     }
 
-    const rawName = String(file.name || "image");
-    const ext = (rawName.split(".").pop() || "png").toLowerCase();
-    const finalExt = ["png", "jpg", "jpeg", "webp", "gif", "avif"].includes(ext) ? ext : "png";
     const baseName = rawName.replace(/\.[^.]+$/, "");
-    filename = safeFilename(`${baseName}.${finalExt}`);
+
+    if (vector) {
+      // Nur die bereinigte Fassung wird gespeichert (öffentlich mit CORS * ausgeliefert)
+      const clean = sanitizeSvg(buffer);
+      if (!clean.ok) {
+        return json({ ok: false, error: clean.error }, { status: 400, headers: CORS });
+      }
+      if (clean.removed.length) {
+        console.warn("[UPLOAD] SVG bereinigt, entfernt:", clean.removed.join(", "));
+      }
+      buffer = Buffer.from(clean.svg, "utf8");
+      svgInfo = { widthPx: clean.widthPx, heightPx: clean.heightPx, viewBox: clean.viewBox, removed: clean.removed };
+      filename = safeFilename(`${baseName}.svg`);
+      try {
+        secondary = {
+          field: "previewUrl",
+          buffer: await rasterizeSvgPreview(clean.svg, clean),
+          filename: filename.replace(/\.svg$/, ".preview.png"),
+          mimeType: "image/png",
+          resource: "IMAGE",
+          alt: "Sticker upload preview",
+        };
+      } catch (e) {
+        console.warn("[UPLOAD] SVG-Vorschau fehlgeschlagen:", e?.message || e);
+      }
+    } else if (pdf) {
+      // Konfigurator arbeitet mit der gerenderten Seite (PNG), das PDF bleibt als Original
+      const rendered = await renderPdfPage(buffer, { page: Number(formData.get("page") || 1) });
+      if (!rendered.ok) {
+        return json({ ok: false, error: rendered.error }, { status: 400, headers: CORS });
+      }
+      const pdfName = safeFilename(`${baseName}.pdf`);
+      secondary = {
+        field: "originalUrl",
+        buffer,
+        filename: pdfName,
+        mimeType: PDF_MIME,
+        resource: "FILE",
+        alt: "Sticker upload original",
+      };
+      pdfInfo = {
+        page: rendered.page,
+        pageCount: rendered.pageCount,
+        widthMm: rendered.widthMm,
+        heightMm: rendered.heightMm,
+        dpi: rendered.dpi,
+        box: rendered.box,
+        vector: !!rendered.box,
+      };
+      printSize = {
+        dpiX: rendered.dpi,
+        dpiY: rendered.dpi,
+        source: "pdf",
+        widthCm: Math.round(rendered.widthMm * 10) / 100,
+        heightCm: Math.round(rendered.heightMm * 10) / 100,
+        placeholder: false,
+      };
+      buffer = rendered.png;
+      mime = "image/png";
+      filename = pdfName.replace(/\.pdf$/, ".png");
+    } else {
+      // Ausrichtung, sRGB, Metadaten, Format – das Original bleibt für die Produktion
+      const norm = await normalizeRasterUpload(buffer, { mime, ext });
+      if (!norm.ok) {
+        return json({ ok: false, error: norm.error }, { status: 400, headers: CORS });
+      }
+      filename = safeFilename(`${baseName}.${norm.ext}`);
+      if (norm.changed) {
+        console.log(`[UPLOAD] Bild normalisiert: ${norm.steps.join(", ")}`);
+        secondary = {
+          field: "originalUrl",
+          buffer,
+          filename: filename.replace(/\.[^.]+$/, `.original.${ext.replace(/[^a-z0-9]/g, "") || "bin"}`),
+          mimeType: mime || "application/octet-stream",
+          resource: "FILE",
+          alt: "Sticker upload original",
+        };
+      }
+      rasterInfo = { widthPx: norm.widthPx, heightPx: norm.heightPx, normalized: norm.steps };
+      if (norm.density) {
+        printSize = {
+          ...norm.density,
+          ...printSizeCm({ widthPx: norm.widthPx, heightPx: norm.heightPx, ...norm.density }),
+          placeholder: isPlaceholderDpi(norm.density),
+        };
+      }
+      buffer = norm.buffer;
+      mime = norm.mime;
+    }
 
     console.log(`[UPLOAD] Datei empfangen: ${filename} (${buffer.length} Bytes, ${mime})`);
   } catch (e) {
@@ -188,11 +303,12 @@ export async function action({ request }) {
     try {
       console.log("[UPLOAD] Starte Shopify CDN Upload...");
 
+      // SVG als generische Datei – als IMAGE würde Shopify sie rastern bzw. umschreiben
       const staged = await stagedUploadsCreateOne(admin, {
         filename,
         mimeType: mime,
         httpMethod: "POST",
-        resource: "IMAGE",
+        resource: vector ? "FILE" : "IMAGE",
       });
       console.log("[UPLOAD] Staged target erstellt:", staged.resourceUrl);
 
@@ -200,7 +316,7 @@ export async function action({ request }) {
       console.log("[UPLOAD] Buffer zu S3/GCS hochgeladen");
 
       const created = await fileCreateOne(admin, {
-        contentType: "IMAGE",
+        contentType: vector ? "FILE" : "IMAGE",
         originalSource: staged.resourceUrl,
         filename,
         alt: "Sticker upload",
@@ -214,10 +330,31 @@ export async function action({ request }) {
 
       if (ready.url) {
         console.log("[UPLOAD] Shopify CDN URL erhalten:", ready.url);
-        return json(
-          { ok: true, url: ready.url, filename, fileId: created.id, source: "shopify" },
-          { headers: CORS }
-        );
+
+        const extra = {};
+        if (secondary) {
+          try {
+            const up = await uploadBufferAsShopifyFile(admin, {
+              buffer: secondary.buffer,
+              filename: secondary.filename,
+              mimeType: secondary.mimeType,
+              resource: secondary.resource,
+              contentType: secondary.resource,
+              alt: secondary.alt,
+            });
+            extra[secondary.field] = up.url;
+          } catch (e) {
+            console.warn("[UPLOAD] Zusatzdatei-Upload fehlgeschlagen:", e?.message || e);
+          }
+        }
+        // Original fehlt (Produktion, PDF-Vektorexport) → lieber alles lokal speichern
+        if (secondary?.field !== "originalUrl" || extra.originalUrl) {
+          return json(
+            { ok: true, url: ready.url, filename, fileId: created.id, source: "shopify", vector, mime, svg: svgInfo, pdf: pdfInfo, raster: rasterInfo, printSize, ...extra },
+            { headers: CORS }
+          );
+        }
+        console.warn("[UPLOAD] Original nicht auf Shopify. Falle zu lokal.");
       }
 
       console.warn("[UPLOAD] Shopify CDN noch nicht READY (Timeout). Falle zu lokal.");
@@ -233,12 +370,17 @@ export async function action({ request }) {
   try {
     await fs.mkdir(UPLOAD_DIR, { recursive: true });
     await fs.writeFile(path.join(UPLOAD_DIR, filename), buffer);
+    const extra = {};
+    if (secondary) {
+      await fs.writeFile(path.join(UPLOAD_DIR, secondary.filename), secondary.buffer);
+      extra[secondary.field] = buildLocalUrl(request.url, secondary.filename);
+    }
 
     const url = buildLocalUrl(request.url, filename);
     console.log("[UPLOAD] Lokaler Fallback erfolgreich. URL:", url);
 
     return json(
-      { ok: true, url, filename, source: "local" },
+      { ok: true, url, filename, source: "local", vector, mime, svg: svgInfo, pdf: pdfInfo, raster: rasterInfo, printSize, ...extra },
       { headers: CORS }
     );
   } catch (writeErr) {
@@ -1,5 +1,6 @@
 import fs from "fs/promises";
 import path from "path";
+import { svgResponseHeaders } from "../lib/svgSanitizer.server";
 
 function contentTypeFor(name = "") {
   const n = name.toLowerCase();
@@ -58,6 +59,8 @@ export async function loader({ params, request }) {
     );
     // CORS: nötig wenn Canvas-Code das Bild cross-origin lädt (z.B. in Admin-Kontext)
     headers.set("Access-Control-Allow-Origin", "*");
+    // SVG: bei direktem Aufruf keine Skripte/externen Ressourcen
+    for (const [k, v] of Object.entries(svgResponseHeaders(abs))) headers.set(k, v);
 
     const buf = await fs.readFile(abs);
     return new Response(buf, { status: 200, headers });
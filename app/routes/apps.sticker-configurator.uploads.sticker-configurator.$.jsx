@@ -1,6 +1,7 @@
 import { json } from "@remix-run/node";
 import fs from "fs/promises";
 import path from "path";
+import { svgResponseHeaders } from "../lib/svgSanitizer.server";
 
 function contentTypeFor(filePath) {
   const ext = path.extname(filePath).toLowerCase();
@@ -31,6 +32,7 @@ export async function loader({ params }) {
       headers: {
         "Content-Type": contentTypeFor(abs),
         "Cache-Control": "public, max-age=3600",
+        ...svgResponseHeaders(abs),
       },
     });
   } catch (e) {
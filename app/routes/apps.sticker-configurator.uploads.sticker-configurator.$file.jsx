@@ -1,6 +1,7 @@
 import { createReadStream } from "fs";
 import fs from "fs/promises";
 import path from "path";
+import { svgResponseHeaders } from "../lib/svgSanitizer.server";
 
 function contentTypeFor(name = "") {
   const n = name.toLowerCase();
@@ -33,6 +34,7 @@ export async function loader({ params }) {
       "Content-Type": contentTypeFor(file),
       "Cache-Control": "public, max-age=31536000, immutable",
       "Cross-Origin-Resource-Policy": "cross-origin",
+      ...svgResponseHeaders(file),
     },
   });
 }
@@ -1,25 +1,6 @@
 // app/routes/app.stickerbuilder.price.jsx
 import { json } from "@remix-run/node";
-
-const MIN_M2 = 0.1;
-const PRICE_PER_M2 = 250;
-
-function calcPrice(widthCm, heightCm, quantity = 1) {
-  const w = Number(widthCm) || 0;
-  const h = Number(heightCm) || 0;
-
-  const area = (w / 100) * (h / 100); // m²
-  const billedArea = Math.max(area, MIN_M2);
-  const billedQuantity = Math.ceil(billedArea / MIN_M2);
-  const effectiveQty = quantity || billedQuantity;
-  const price = billedArea * PRICE_PER_M2;
-
-  return {
-    area: billedArea,
-    quantity: effectiveQty,
-    price,
-  };
-}
+import { legacyPriceFields, parsePriceInput, quoteStickerPrice } from "../../pricing/pricingEngine.server";
 
 export async function loader() {
   return json({ error: "Method not allowed" }, { status: 405 });
@@ -33,33 +14,22 @@ export async function action({ request }) {
 
     const contentType = request.headers.get("content-type") || "";
 
-    let widthCmRaw;
-    let heightCmRaw;
-    let quantityRaw;
+    const input = contentType.includes("application/json")
+      ? parsePriceInput(await request.json())
+      : parsePriceInput(await request.formData());
 
-    if (contentType.includes("application/json")) {
-      const body = await request.json();
-      widthCmRaw = body.widthCm ?? body.width;
-      heightCmRaw = body.heightCm ?? body.height;
-      quantityRaw = body.quantity ?? body.qty;
-    } else {
-      const formData = await request.formData();
-      widthCmRaw = formData.get("widthCm");
-      heightCmRaw = formData.get("heightCm");
-      quantityRaw = formData.get("quantity");
+    const quote = await quoteStickerPrice({
+      ...input,
+      widthCm: input.widthCm ?? 10,
+      heightCm: input.heightCm ?? 10,
+    });
+    if (!quote.ok) {
+      return json({ ok: false, error: quote.error }, { status: 200 });
     }
 
-    const widthCm = widthCmRaw ? Number(widthCmRaw) : 10;
-    const heightCm = heightCmRaw ? Number(heightCmRaw) : 10;
-    const quantity = quantityRaw ? Number(quantityRaw) : 1;
-
-    const priceData = calcPrice(widthCm, heightCm, quantity);
-
     return json({
-      ok: true,
-      widthCm,
-      heightCm,
-      ...priceData, // area, quantity, price
+      ...quote,
+      ...legacyPriceFields(quote), // area, quantity, price
     });
   } catch (err) {
     console.error("[ADMIN PRICE ERROR]", err);
@@ -0,0 +1,2 @@
+// handle re-exportieren damit shopify-app-remix die Route als App-Proxy erkennt (kein CSRF-Check)
+export { loader, action, handle } from "./apps.sticker-configurator.sticker.remove-background.jsx";
@@ -1,5 +1,6 @@
 import fs from "fs/promises";
 import path from "path";
+import { svgResponseHeaders } from "../lib/svgSanitizer.server";
 
 // Shopify App-Proxy Route: liefert /apps/sticker-configurator/uploads/... aus
 export const handle = {
@@ -79,6 +80,7 @@ export async function loader({ request, params }) {
         ETag: etag,
         "Cache-Control": "public, max-age=3600",
         "Access-Control-Allow-Origin": "*",
+        ...svgResponseHeaders(resolved.rel),
       },
     });
   } catch {
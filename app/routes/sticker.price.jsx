@@ -1,19 +1,22 @@
 // app/routes/sticker.price.jsx
 import { json } from "@remix-run/node";
-import { calcPrice } from "./apps.sticker-configurator.sticker.upload.jsx";
+import { legacyPriceFields, parsePriceInput, quoteStickerPrice } from "../pricing/pricingEngine.server";
+import { issueQuoteToken } from "../pricing/quoteToken.server";
 
 // POST /sticker/price
+// Ohne Auth → Standard-Preistabelle, Variantenpreis nur aus Client-Angabe
 export async function action({ request }) {
   if (request.method !== "POST") {
     return json({ error: "Method not allowed" }, { status: 405 });
   }
 
   const body = await request.json().catch(() => ({}));
-  const widthCm = body?.widthCm ?? body?.width;
-  const heightCm = body?.heightCm ?? body?.height;
+  const quote = await quoteStickerPrice(parsePriceInput(body));
+  if (!quote.ok) {
+    return json({ ok: false, error: quote.error }, { status: 400 });
+  }
 
-  const { area, price } = calcPrice(widthCm, heightCm, 1);
-  return json({ area, quantity: 1, price });
+  return json({ ...quote, ...legacyPriceFields(quote), ...issueQuoteToken(quote) });
 }
 
 // Optional GET for quick checks in browser
@@ -0,0 +1,15 @@
+import { authenticate } from "../shopify.server";
+import { ingestOrder } from "../production/productionJobs.server";
+
+export const action = async ({ request }) => {
+  const { shop, topic, payload } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}`);
+
+  const { jobs, skipped } = await ingestOrder(shop, payload);
+  if (jobs) {
+    console.log(`[PRODUCTION] ${shop} ${payload?.name || payload?.id}: ${jobs} Auftrag/Aufträge, ${skipped} andere Positionen`);
+  }
+
+  return new Response();
+};
@@ -1,11 +1,200 @@
-export function calculateDpi(image) {
-  // Manche JPGs/PNGs enthalten DPI in EXIF
-  // Falls nicht → Default 300
+// app/utils/imageDpi.js
+//
+// Auflösung und physische Größe von Motiven – gemeinsam für Konfigurator
+// (Client) und Upload-Route (Server). Keine Abhängigkeiten, arbeitet direkt auf
+// den Datei-Bytes, damit das Frontend-Bundle die Datei importieren kann.
+//
+// Eingebettete Dichte:
+//   - JPEG: JFIF (APP0) bzw. EXIF XResolution/YResolution (APP1)
+//   - PNG:  pHYs-Chunk (Pixel je Meter)
+//   - TIFF: XResolution/YResolution im ersten IFD
+//   - BMP:  biXPelsPerMeter/biYPelsPerMeter
+
+export const CM_PER_INCH = 2.54;
+
+// Standardwerte von Kameras, Screenshots und Web-Exporten – sagen nichts über die Druckgröße
+const SCREEN_DEFAULT_DPI = [72, 96];
+// Darunter keine plausible Druckauflösung (libvips schreibt z. B. 1 px/mm = 25,4 dpi)
+const MIN_PRINT_DPI = 50;
+
+const MIN_VALID_DPI = 1;
+const MAX_VALID_DPI = 10000;
+
+function validDpi(v) {
+  return Number.isFinite(v) && v >= MIN_VALID_DPI && v <= MAX_VALID_DPI ? v : 0;
+}
+
+function density(dpiX, dpiY, source) {
+  const x = validDpi(dpiX);
+  const y = validDpi(dpiY) || x;
+  return x ? { dpiX: Math.round(x * 100) / 100, dpiY: Math.round(y * 100) / 100, source } : null;
+}
+
+// ── TIFF-Struktur (EXIF, TIFF-Dateien) ────────────────────────────────────
+
+// Liest XResolution, YResolution, ResolutionUnit und Orientation aus IFD0
+function readTiffIfd0(view, start) {
+  if (start + 8 > view.byteLength) return null;
+  const order = view.getUint16(start);
+  const le = order === 0x4949;
+  if (!le && order !== 0x4d4d) return null;
+  const u16 = (o) => view.getUint16(start + o, le);
+  const u32 = (o) => view.getUint32(start + o, le);
+  if (u16(2) !== 42) return null;
+
+  const ifd = u32(4);
+  if (start + ifd + 2 > view.byteLength) return null;
+  const count = u16(ifd);
+  const out = { unit: 2, orientation: 1 };
+  for (let i = 0; i < count; i++) {
+    const e = ifd + 2 + i * 12;
+    if (start + e + 12 > view.byteLength) break;
+    const tag = u16(e);
+    if (tag === 0x011a || tag === 0x011b) {
+      const at = u32(e + 8);
+      if (start + at + 8 > view.byteLength) continue;
+      const den = u32(at + 4);
+      const value = den ? u32(at) / den : 0;
+      if (tag === 0x011a) out.x = value;
+      else out.y = value;
+    } else if (tag === 0x0128) {
+      out.unit = u16(e + 8);
+    } else if (tag === 0x0112) {
+      out.orientation = u16(e + 8);
+    }
+  }
+  return out;
+}
+
+function tiffDensity(ifd, source) {
+  if (!ifd || !ifd.x) return null;
+  // 1 = keine Einheit, 2 = Zoll, 3 = Zentimeter
+  if (ifd.unit === 1) return null;
+  const f = ifd.unit === 3 ? CM_PER_INCH : 1;
+  return density(ifd.x * f, (ifd.y || ifd.x) * f, source);
+}
+
+// ── Formate ───────────────────────────────────────────────────────────────
+
+function jpegDensity(view) {
+  let jfif = null;
+  let exif = null;
+  let orientation = 1;
+  let o = 2;
+  while (o + 4 <= view.byteLength) {
+    if (view.getUint8(o) !== 0xff) break;
+    const marker = view.getUint8(o + 1);
+    // Bilddaten beginnen → keine Metadaten mehr
+    if (marker === 0xda || marker === 0xd9) break;
+    const len = view.getUint16(o + 2);
+    const data = o + 4;
+    if (marker === 0xe0 && len >= 14 && view.getUint32(data) === 0x4a464946 && view.getUint8(data + 4) === 0) {
+      const units = view.getUint8(data + 7);
+      const f = units === 2 ? CM_PER_INCH : 1;
+      if (units === 1 || units === 2) jfif = density(view.getUint16(data + 8) * f, view.getUint16(data + 10) * f, "jfif");
+    } else if (marker === 0xe1 && len >= 16 && view.getUint32(data) === 0x45786966 && view.getUint16(data + 4) === 0) {
+      const ifd = readTiffIfd0(view, data + 6);
+      exif = tiffDensity(ifd, "exif");
+      orientation = ifd?.orientation || 1;
+    }
+    o += 2 + len;
+  }
+  return { found: jfif || exif, orientation };
+}
+
+function pngDensity(view) {
+  let o = 8;
+  while (o + 12 <= view.byteLength) {
+    const len = view.getUint32(o);
+    const type = view.getUint32(o + 4);
+    // pHYs
+    if (type === 0x70485973 && len >= 9) {
+      // Einheit 1 = Meter; 0 = nur Seitenverhältnis
+      if (view.getUint8(o + 16) !== 1) return null;
+      const perInch = CM_PER_INCH / 100;
+      return density(view.getUint32(o + 8) * perInch, view.getUint32(o + 12) * perInch, "png");
+    }
+    // IDAT/IEND: pHYs muss davor stehen
+    if (type === 0x49444154 || type === 0x49454e44) return null;
+    o += 12 + len;
+  }
+  return null;
+}
+
+function bmpDensity(view) {
+  if (view.byteLength < 46) return null;
+  const perInch = CM_PER_INCH / 100;
+  return density(view.getInt32(38, true) * perInch, view.getInt32(42, true) * perInch, "bmp");
+}
+
+/**
+ * Liest die eingebettete Dichte einer Bilddatei.
+ *
+ * @param {Uint8Array|ArrayBuffer} bytes
+ * @returns {{ dpiX: number, dpiY: number, source: "jfif"|"exif"|"png"|"tiff"|"bmp" } | null}
+ *   Achsen bereits nach EXIF-Orientierung gedreht; null = keine Angabe
+ */
+export function readImageDensity(bytes) {
+  const u8 = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes || []);
+  if (u8.byteLength < 8) return null;
+  const view = new DataView(u8.buffer, u8.byteOffset, u8.byteLength);
+
   try {
-    if (image && image.height && image.width) {
-      return 300; 
+    if (u8[0] === 0xff && u8[1] === 0xd8) {
+      const { found, orientation } = jpegDensity(view);
+      // Orientierung 5–8: Bild wird um 90° gedreht angezeigt
+      return found && orientation >= 5 ? { ...found, dpiX: found.dpiY, dpiY: found.dpiX } : found;
     }
-  } catch (e) {
-    return 300;
+    if (view.getUint32(0) === 0x89504e47) return pngDensity(view);
+    if ((u8[0] === 0x49 && u8[1] === 0x49) || (u8[0] === 0x4d && u8[1] === 0x4d)) {
+      return tiffDensity(readTiffIfd0(view, 0), "tiff");
+    }
+    if (u8[0] === 0x42 && u8[1] === 0x4d) return bmpDensity(view);
+  } catch {
+    // abgeschnittene/kaputte Metadaten → wie "keine Angabe"
+  }
+  return null;
+}
+
+/** 72/96 dpi (Vorgabewert der Software) oder unplausibel klein → keine echte Druckgröße */
+export function isPlaceholderDpi(d) {
+  if (!d) return true;
+  if (d.dpiX < MIN_PRINT_DPI || d.dpiY < MIN_PRINT_DPI) return true;
+  return SCREEN_DEFAULT_DPI.includes(Math.round(d.dpiX)) && SCREEN_DEFAULT_DPI.includes(Math.round(d.dpiY));
+}
+
+/**
+ * Physische Größe aus Pixelmaßen und Dichte.
+ * @returns {{ widthCm: number, heightCm: number } | null}
+ */
+export function printSizeCm({ widthPx, heightPx, dpiX, dpiY }) {
+  const w = Number(widthPx);
+  const h = Number(heightPx);
+  if (!(w > 0 && h > 0 && dpiX > 0 && dpiY > 0)) return null;
+  const round = (n) => Math.round(n * 100) / 100;
+  return { widthCm: round((w / dpiX) * CM_PER_INCH), heightCm: round((h / dpiY) * CM_PER_INCH) };
+}
+
+/**
+ * Effektive Auflösung eines Motivs, das die Zielfläche ausfüllt
+ * (kleinere der beiden Achsen).
+ */
+export function calculateDpi({ widthPx, heightPx, widthCm, heightCm }) {
+  const wIn = Math.max(1e-9, (Number(widthCm) || 0) / CM_PER_INCH);
+  const hIn = Math.max(1e-9, (Number(heightCm) || 0) / CM_PER_INCH);
+  return Math.min((Number(widthPx) || 0) / wIn, (Number(heightPx) || 0) / hIn);
+}
+
+/**
+ * Effektive Auflösung je Größe.
+ * @param {{ widthPx: number, heightPx: number }} image
+ * @param {Array<{ sizeKey: string, wCm: number, hCm: number }>} sizes
+ * @returns {Record<string, number>}  sizeKey → DPI (gerundet)
+ */
+export function dpiBySize({ widthPx, heightPx }, sizes) {
+  const out = {};
+  for (const s of sizes || []) {
+    out[s.sizeKey] = Math.round(calculateDpi({ widthPx, heightPx, widthCm: s.wCm, heightCm: s.hCm }));
   }
+  return out;
 }
@@ -0,0 +1,156 @@
+// app/utils/stickerYield.js
+//
+// Stück je Set ("pieces per pack") – gemeinsam für Konfigurator (Client) und
+// Server (Preis, Draft-Order). Keine Abhängigkeiten, damit das Frontend-Bundle
+// die Datei direkt importieren kann.
+//
+// Ein Set ist der Abschnitt PACK_WIDTH_CM × PACK_LENGTH_CM (30 × 130 cm) der
+// Druckrolle; je Form überschreibbar im Katalog (CatalogShape.meta:
+// { rollWidthCm, packLengthCm, packSpacingMm }). Gelegt wird die echte Form
+// (Freiform: Bounding-Box inkl. Rand) mit Abstand (Standard 3 mm):
+//   - Raster in beiden Ausrichtungen
+//   - Raster + Reststreifen in der anderen Ausrichtung
+//   - versetzte Reihen für runde/ovale Sticker
+//
+// meta.rollWidthCm = 0 schaltet auf das frühere Bahnmodell: eine Form breit,
+// ohne Abstand – Stück = Länge / längste Seite.
+
+export const PACK_LENGTH_CM = 130;
+export const PACK_WIDTH_CM = 30;
+// Druckrolle der Produktion (Gang-Sheets); für Sets nur mit meta.rollWidthCm
+export const PRINT_ROLL_WIDTH_CM = 130;
+export const DEFAULT_SPACING_MM = 3;
+
+function positive(v) {
+  const n = Number(v);
+  return Number.isFinite(n) && n > 0 ? n : 0;
+}
+
+// Anzahl in einer Richtung bei Abstand s (kein Abstand am Rand nötig)
+function fitCount(space, size, s) {
+  if (!(size > 0) || size > space) return 0;
+  return Math.floor((space + s) / (size + s) + 1e-9);
+}
+
+function gridCount(W, L, a, b, s) {
+  return fitCount(W, a, s) * fitCount(L, b, s);
+}
+
+// Raster (a×b) auf einem Teil der Breite, Rest mit gedrehter Ausrichtung (b×a);
+// dasselbe entlang der Länge. Bestes Ergebnis über alle Teilungen.
+function mixedCount(W, L, a, b, s) {
+  let best = 0;
+
+  const colsMax = fitCount(W, a, s);
+  const rowsA = fitCount(L, b, s);
+  for (let k = 0; k <= colsMax; k++) {
+    const rest = W - k * (a + s);
+    const n = k * rowsA + (rest > 0 ? gridCount(rest, L, b, a, s) : 0);
+    if (n > best) best = n;
+  }
+
+  const rowsMax = fitCount(L, b, s);
+  const colsA = fitCount(W, a, s);
+  for (let k = 0; k <= rowsMax; k++) {
+    const rest = L - k * (b + s);
+    const n = k * colsA + (rest > 0 ? gridCount(W, rest, b, a, s) : 0);
+    if (n > best) best = n;
+  }
+
+  return best;
+}
+
+// Versetzte Reihen (Ellipsen: affines Bild der hexagonalen Kreispackung)
+function staggeredCount(W, L, a, b, s) {
+  if (a > W || b > L) return 0;
+  const pitchX = a + s;
+  const pitchY = (b + s) * (Math.sqrt(3) / 2);
+  const rows = Math.floor((L - b) / pitchY + 1e-9) + 1;
+  const even = fitCount(W, a, s);
+  const odd = W - pitchX / 2 >= a ? fitCount(W - pitchX / 2, a, s) : 0;
+  return Math.ceil(rows / 2) * even + Math.floor(rows / 2) * odd;
+}
+
+/**
+ * Set-Fläche aus CatalogShape.meta (fehlende Werte = PACK_WIDTH_CM × PACK_LENGTH_CM).
+ *
+ * @param {{ rollWidthCm?: number, packLengthCm?: number, packSpacingMm?: number } | null} [meta]
+ * @returns {{ rollWidthCm: number, packLengthCm: number, spacingMm?: number }}
+ *   rollWidthCm = 0 → Bahnmodell
+ */
+export function resolvePackArea(meta = null) {
+  const area = {
+    rollWidthCm: meta?.rollWidthCm === 0 ? 0 : positive(meta?.rollWidthCm) || PACK_WIDTH_CM,
+    packLengthCm: positive(meta?.packLengthCm) || PACK_LENGTH_CM,
+  };
+  const spacing = Number(meta?.packSpacingMm);
+  return Number.isFinite(spacing) && spacing >= 0 ? { ...area, spacingMm: spacing } : area;
+}
+
+/**
+ * Stück je Set für Form und Maße.
+ *
+ * @param {{ shape?: string, widthCm: number, heightCm: number, borderMm?: number,
+ *           rollWidthCm?: number, packLengthCm?: number, spacingMm?: number }} input
+ *   borderMm wird nur bei "freeform" auf die Bounding-Box aufgeschlagen.
+ *   rollWidthCm = 0 → eine Bahn (Bahnmodell), spacingMm dann standardmäßig 0.
+ * @returns {{ pieces: number, layout: "strip"|"grid"|"mixed"|"staggered"|"oversize", rotated: boolean,
+ *             itemWidthMm: number, itemHeightMm: number, spacingMm: number,
+ *             area: { widthCm: number | null, lengthCm: number } }}
+ */
+export function calcPiecesPerPack({
+  shape = "",
+  widthCm,
+  heightCm,
+  borderMm = 0,
+  rollWidthCm = PACK_WIDTH_CM,
+  packLengthCm = PACK_LENGTH_CM,
+  spacingMm = positive(rollWidthCm) ? DEFAULT_SPACING_MM : 0,
+} = {}) {
+  const s = String(shape || "").toLowerCase();
+  const border = s === "freeform" ? positive(borderMm) : 0;
+  const w = positive(widthCm) * 10 + 2 * border;
+  const h = positive(heightCm) * 10 + 2 * border;
+  const gap = Math.max(0, Number(spacingMm) || 0);
+  const W = positive(rollWidthCm) * 10;
+  const L = positive(packLengthCm) * 10;
+
+  const result = {
+    pieces: 1,
+    layout: "oversize",
+    rotated: false,
+    itemWidthMm: Math.round(w * 100) / 100,
+    itemHeightMm: Math.round(h * 100) / 100,
+    spacingMm: gap,
+    area: { widthCm: W ? W / 10 : null, lengthCm: L / 10 },
+  };
+  if (!(w > 0 && h > 0 && L > 0)) return result;
+
+  // Eine Bahn: längste Seite entlang der Länge
+  if (!W) {
+    const n = fitCount(L, Math.max(w, h), gap);
+    return n < 1 ? result : { ...result, pieces: n, layout: "strip", rotated: h < w };
+  }
+
+  const candidates = [
+    { layout: "grid", rotated: false, n: gridCount(W, L, w, h, gap) },
+    { layout: "grid", rotated: true, n: gridCount(W, L, h, w, gap) },
+    { layout: "mixed", rotated: false, n: mixedCount(W, L, w, h, gap) },
+    { layout: "mixed", rotated: true, n: mixedCount(W, L, h, w, gap) },
+  ];
+  if (s === "round" || s === "circle" || s.startsWith("oval")) {
+    candidates.push(
+      { layout: "staggered", rotated: false, n: staggeredCount(W, L, w, h, gap) },
+      { layout: "staggered", rotated: true, n: staggeredCount(W, L, h, w, gap) },
+      // versetzt entlang der Rollenbreite
+      { layout: "staggered", rotated: false, n: staggeredCount(L, W, h, w, gap) },
+      { layout: "staggered", rotated: true, n: staggeredCount(L, W, w, h, gap) }
+    );
+  }
+
+  // Bei Gleichstand gewinnt die einfachere Anordnung (Reihenfolge oben)
+  const best = candidates.reduce((a, c) => (c.n > a.n ? c : a));
+  if (best.n < 1) return result;
+
+  return { ...result, pieces: best.n, layout: best.layout, rotated: best.rotated };
+}
@@ -0,0 +1,108 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { PACK_LENGTH_CM, PACK_WIDTH_CM, calcPiecesPerPack, resolvePackArea } from "./stickerYield.js";
+
+// ── Standard: Set 30 × 130 cm ────────────────────────────────────────────
+test("calcPiecesPerPack: Standard-Set mit 3 mm Abstand", () => {
+  // 4 cm: 7 Spalten × 30 Reihen
+  const square = calcPiecesPerPack({ shape: "square", widthCm: 4, heightCm: 4 });
+  assert.deepEqual([square.pieces, square.layout, square.spacingMm], [210, "grid", 3]);
+  assert.deepEqual(square.area, { widthCm: PACK_WIDTH_CM, lengthCm: PACK_LENGTH_CM });
+  // runde Sticker versetzt: mehr als im Raster
+  const round = calcPiecesPerPack({ shape: "round", widthCm: 4, heightCm: 4 });
+  assert.equal(round.layout, "staggered");
+  assert.ok(round.pieces > square.pieces);
+  assert.equal(calcPiecesPerPack({ shape: "square", widthCm: 10, heightCm: 10 }).pieces, 24);
+});
+
+test("calcPiecesPerPack: lange Form wird quer zur Rollenbreite gedreht", () => {
+  // 40 × 10 cm passt nur gedreht in 30 cm Breite: 2 Spalten × 3 Reihen
+  const res = calcPiecesPerPack({ shape: "rect", widthCm: 40, heightCm: 10 });
+  assert.deepEqual([res.pieces, res.rotated], [6, true]);
+});
+
+test("calcPiecesPerPack: Rand nur bei Freiform", () => {
+  // 40 mm + 2 × 5 mm Rand = 50 mm → 5 Spalten × 24 Reihen
+  assert.equal(calcPiecesPerPack({ shape: "freeform", widthCm: 4, heightCm: 4, borderMm: 5 }).pieces, 120);
+  assert.equal(calcPiecesPerPack({ shape: "square", widthCm: 4, heightCm: 4, borderMm: 5 }).pieces, 210);
+});
+
+test("calcPiecesPerPack: Übergröße und ungültige Maße ergeben 1 Stück", () => {
+  assert.deepEqual(
+    [calcPiecesPerPack({ widthCm: 140, heightCm: 10 }), calcPiecesPerPack({ widthCm: 0, heightCm: 5 })].map((r) => [
+      r.pieces,
+      r.layout,
+    ]),
+    [
+      [1, "oversize"],
+      [1, "oversize"],
+    ]
+  );
+});
+
+// ── Bahnmodell (rollWidthCm = 0) ─────────────────────────────────────────
+test("calcPiecesPerPack: Bahn von 130 cm ohne Abstand", () => {
+  const strip = { rollWidthCm: 0 };
+  assert.equal(calcPiecesPerPack({ shape: "square", widthCm: 4, heightCm: 4, ...strip }).pieces, 32);
+  assert.equal(calcPiecesPerPack({ shape: "round", widthCm: 4, heightCm: 4, ...strip }).pieces, 32);
+  assert.equal(calcPiecesPerPack({ shape: "square", widthCm: 10, heightCm: 10, ...strip }).pieces, 13);
+});
+
+test("calcPiecesPerPack: längste Seite liegt entlang der Bahn", () => {
+  const res = calcPiecesPerPack({ shape: "rect", widthCm: 10, heightCm: 4, rollWidthCm: 0 });
+  assert.equal(res.pieces, 13);
+  assert.equal(res.layout, "strip");
+  assert.equal(res.rotated, true);
+  assert.equal(res.spacingMm, 0);
+  assert.deepEqual(res.area, { widthCm: null, lengthCm: PACK_LENGTH_CM });
+});
+
+// ── Set-Fläche mit Rollenbreite ──────────────────────────────────────────
+test("calcPiecesPerPack: Raster mit Standardabstand 3 mm", () => {
+  const area = { rollWidthCm: 30, packLengthCm: 30 };
+  assert.equal(calcPiecesPerPack({ shape: "square", widthCm: 10, heightCm: 10, ...area, spacingMm: 0 }).pieces, 9);
+  const res = calcPiecesPerPack({ shape: "square", widthCm: 10, heightCm: 10, ...area });
+  assert.equal(res.spacingMm, 3);
+  assert.equal(res.pieces, 4);
+  assert.equal(res.layout, "grid");
+});
+
+test("calcPiecesPerPack: Reststreifen in gedrehter Ausrichtung", () => {
+  // 22 × 20 cm: reines Raster 5 × 3 = 15, mit gedrehtem Reststreifen 18
+  const res = calcPiecesPerPack({ shape: "rect", widthCm: 4, heightCm: 6, rollWidthCm: 22, packLengthCm: 20, spacingMm: 0 });
+  assert.equal(res.pieces, 18);
+  assert.equal(res.layout, "mixed");
+});
+
+test("calcPiecesPerPack: versetzte Reihen für runde Sticker", () => {
+  const area = { rollWidthCm: 10, packLengthCm: 100, spacingMm: 0 };
+  const round = calcPiecesPerPack({ shape: "round", widthCm: 2, heightCm: 2, ...area });
+  assert.equal(round.layout, "staggered");
+  assert.ok(round.pieces > 250);
+  // Eckige Formen werden nie versetzt gelegt
+  assert.equal(calcPiecesPerPack({ shape: "square", widthCm: 2, heightCm: 2, ...area }).pieces, 250);
+});
+
+// ── resolvePackArea ──────────────────────────────────────────────────────
+test("resolvePackArea: ohne Meta Standard-Set", () => {
+  const standard = { rollWidthCm: PACK_WIDTH_CM, packLengthCm: PACK_LENGTH_CM };
+  assert.deepEqual(resolvePackArea(), standard);
+  assert.deepEqual(resolvePackArea({ rollWidthCm: null }), standard);
+  assert.deepEqual(resolvePackArea({ rollWidthCm: -5, packLengthCm: "x" }), standard);
+});
+
+test("resolvePackArea: rollWidthCm 0 wählt das Bahnmodell", () => {
+  const area = resolvePackArea({ rollWidthCm: 0 });
+  assert.equal(area.rollWidthCm, 0);
+  assert.equal(calcPiecesPerPack({ shape: "square", widthCm: 4, heightCm: 4, ...area }).layout, "strip");
+});
+
+test("resolvePackArea: Werte aus dem Katalog, Abstand 0 bleibt erhalten", () => {
+  assert.deepEqual(resolvePackArea({ rollWidthCm: 30, packLengthCm: 50, packSpacingMm: 0 }), {
+    rollWidthCm: 30,
+    packLengthCm: 50,
+    spacingMm: 0,
+  });
+  const res = calcPiecesPerPack({ shape: "square", widthCm: 10, heightCm: 10, ...resolvePackArea({ rollWidthCm: 30, packLengthCm: 30 }) });
+  assert.equal(res.spacingMm, 3);
+});
@@ -1,8 +1,21 @@
 import React, { useEffect, useMemo, useRef, useState } from "react";
+import { calcPiecesPerPack, resolvePackArea } from "../app/utils/stickerYield.js";
+import { calculateDpi, dpiBySize, isPlaceholderDpi, printSizeCm, readImageDensity } from "../app/utils/imageDpi.js";
+// Einzelmodule statt app/lib/geometry/index.js – hält clipper-lib aus dem Storefront-Bundle
+import { FREEFORM_SEAL_GAPS_PX, buildInsideMaskFromAlpha, dilateMask, maskBBox } from "../app/lib/geometry/mask.js";
+import { traceContours } from "../app/lib/geometry/contour.js";
+import { simplifyRing } from "../app/lib/geometry/simplify.js";
+import { CUTLINE_TOLERANCE_MM, fittedRingsToPathD } from "../app/lib/geometry/bezier.js";
+import {
+  DEFAULT_SAFE_MARGIN_MM,
+  MAX_SAFE_MARGIN_MM,
+  analyzeSafeZone,
+  safeZoneOverlayRgba,
+} from "../app/lib/geometry/safeZone.js";
 
 /**
  * StickerCanvasClient.jsx
- * - Self-contained (no relative imports)
+ * - Self-contained (einzige Ausnahmen: app/utils/stickerYield.js, app/utils/imageDpi.js und app/lib/geometry, gemeinsam mit dem Server)
  *
  * ✅ Patch (Austauschdatei):
  * - UI-Cutline bleibt wie gehabt (nur Vorschau)
@@ -19,8 +32,6 @@ import React, { useEffect, useMemo, useRef, useState } from "react";
 // ==============================
 // Konfiguration
 // ==============================
-const PRINT_LENGTH_CM = 130;
-
 // Mindestkante: 40 mm
 const MIN_EDGE_MM = 40;
 const MIN_EDGE_CM = MIN_EDGE_MM / 10;
@@ -36,9 +47,6 @@ const MIN_DPI = 180;
 const FREEFORM_MASTER_LONG_SIDE = 1200;
 const FREEFORM_PREVIEW_MAX_SIDE = 1100;
 
-// schließt kleine "Freiräume" / Schlitze zwischen Konturen (Mask Closing)
-const FREEFORM_SEAL_GAPS_PX = 3;
-
 // Rounded Export
 const ROUNDED_PAD_PX = 28;
 const ROUNDED_RADIUS_MM = (ROUNDED_PAD_PX / PX_PER_CM) * 10;
@@ -46,6 +54,9 @@ const ROUNDED_RADIUS_MM = (ROUNDED_PAD_PX / PX_PER_CM) * 10;
 // ✅ Cutline Stroke im Export (in px bei Export-DPI)
 const EXPORT_CUTLINE_STROKE_PX = 2;
 
+// Sicherheitsabstand: Prüf-Raster im Konfigurator (lange Seite in px)
+const SAFE_ZONE_PROBE_LONG_SIDE = 400;
+
 // UI Colorways (Fallback)
 const FALLBACK_COLORWAYS = [
   { colorKey: "white", label: "Weiß" },
@@ -89,25 +100,6 @@ function mmToPxAtDpi(mm, dpi) {
   return Math.max(1, Math.round((m / 25.4) * d));
 }
 
-function calcEffectiveDpi({ imgPxW, imgPxH, targetCmW, targetCmH }) {
-  const wIn = Math.max(1e-9, cmToInch(targetCmW));
-  const hIn = Math.max(1e-9, cmToInch(targetCmH));
-  const dpiX = (Number(imgPxW) || 0) / wIn;
-  const dpiY = (Number(imgPxH) || 0) / hIn;
-  return Math.min(dpiX, dpiY);
-}
-
-function getMajorForPieces(shape, wCm, hCm) {
-  if (shape === "round") return Math.max(1e-9, Number(wCm) || 0);
-  return Math.max(1e-9, Math.max(Number(wCm) || 0, Number(hCm) || 0));
-}
-
-function calcPiecesFixed(shape, wCm, hCm) {
-  const major = getMajorForPieces(shape, wCm, hCm);
-  const pieces = Math.floor(PRINT_LENGTH_CM / major);
-  return Math.max(1, pieces);
-}
-
 function toEuroFromCents(cents) {
   const c = Number(cents);
   if (!Number.isFinite(c)) return 0;
@@ -466,11 +458,76 @@ function api(path) {
   return base ? `${base}${p}` : p;
 }
 
+// Anzahl Sets (Warenkorb-Menge) – die Mengenstaffel rechnet mit Sets × Stück je Set
+const MAX_QUANTITY = 999;
+
+function clampQuantity(v) {
+  return Math.min(MAX_QUANTITY, Math.max(1, Math.floor(Number(v) || 1)));
+}
+
+// Preis-Anfrage für die aktuelle Konfiguration (Anzeige + signiertes Angebot)
+function buildPriceRequest({
+  shape, colorKey, sizeKey, selectedSizeObj, hasCatalogColors,
+  selectedVariantId, selectedVariantPrice, effWcm, effHcm, borderMm, quantity,
+}) {
+  const trustCatalogVid = !!hasCatalogColors || String(colorKey || "white") === "white";
+  const variantId = (trustCatalogVid ? Number(selectedSizeObj?.variantId) || 0 : 0) || Number(selectedVariantId) || 0;
+  if (!variantId && !(Number(effWcm) > 0 && Number(effHcm) > 0)) return null;
+
+  return {
+    shapeKey: String(shape),
+    colorKey: String(colorKey || "white"),
+    sizeKey: String(sizeKey || ""),
+    variantId: variantId ? String(variantId) : "",
+    variantPrice: Number(selectedVariantPrice) || undefined,
+    widthCm: Number(effWcm) || 0,
+    heightCm: Number(effHcm) || 0,
+    quantity: clampQuantity(quantity),
+    // Stück je Set rechnet der Server selbst (stickerYield), dafür braucht er den Rand
+    borderMm: shape === "freeform" ? Number(borderMm) || 0 : 0,
+  };
+}
+
+async function fetchPriceQuote(body, signal) {
+  const res = await fetch(api("/sticker/price"), {
+    method: "POST",
+    headers: { "Content-Type": "application/json", Accept: "application/json" },
+    signal,
+    body: JSON.stringify(body),
+  });
+  const j = await res.json().catch(() => null);
+  return j?.ok && Number.isFinite(Number(j.total)) ? j : null;
+}
+
+// Checkout über Draft-Order: Server bepreist erneut (inkl. Material/Staffel) und
+// setzt den Positionspreis – der Warenkorb kann nur den Variantenpreis berechnen
+async function createDraftCheckout(body) {
+  const res = await fetch(api("/sticker/draft-order"), {
+    method: "POST",
+    headers: { "Content-Type": "application/json", Accept: "application/json" },
+    body: JSON.stringify(body),
+  });
+  const j = await res.json().catch(() => null);
+  if (!j?.ok || !j.invoiceUrl) throw new Error(j?.error || `Draft-Order Fehler ${res.status}`);
+  return j;
+}
+
 function isProbablyRemoteUrl(u) {
   const s = String(u || "").trim();
   return /^https?:\/\//i.test(s) || s.startsWith("//") || s.startsWith("/");
 }
 
+// PDF, TIFF, HEIC: Browser zeigt sie (meist) nicht als <img> → Server rendert/konvertiert
+function needsServerRender(file) {
+  const type = String(file?.type || "").toLowerCase();
+  return (
+    type === "application/pdf" ||
+    type === "image/tiff" ||
+    /^image\/hei[cf]/.test(type) ||
+    /\.(pdf|tiff?|heic|heif)$/i.test(String(file?.name || ""))
+  );
+}
+
 function isBlobUrl(u) {
   return String(u || "").startsWith("blob:");
 }
@@ -627,126 +684,6 @@ function normalizeCatalog(raw) {
 // ==============================
 // Freeform Mask/Preview Engine
 // ==============================
-function invertMask(mask) {
-  const out = new Uint8Array(mask.length);
-  for (let i = 0; i < mask.length; i++) out[i] = mask[i] ? 0 : 1;
-  return out;
-}
-
-function dilateMaskExact(mask, w, h, radiusPx) {
-  const r = Math.max(0, Math.round(radiusPx || 0));
-  if (r <= 0) return mask;
-
-  const offsets = [];
-  const rr = r * r;
-  for (let dy = -r; dy <= r; dy++) {
-    for (let dx = -r; dx <= r; dx++) {
-      if (dx * dx + dy * dy <= rr) offsets.push([dx, dy]);
-    }
-  }
-
-  const out = new Uint8Array(w * h);
-
-  for (let y = 0; y < h; y++) {
-    const row = y * w;
-    for (let x = 0; x < w; x++) {
-      if (!mask[row + x]) continue;
-      for (let i = 0; i < offsets.length; i++) {
-        const nx = x + offsets[i][0];
-        const ny = y + offsets[i][1];
-        if (nx < 0 || ny < 0 || nx >= w || ny >= h) continue;
-        out[ny * w + nx] = 1;
-      }
-    }
-  }
-
-  return out;
-}
-
-function erodeMaskExact(mask, w, h, radiusPx) {
-  const inv = invertMask(mask);
-  const dil = dilateMaskExact(inv, w, h, radiusPx);
-  return invertMask(dil);
-}
-
-function closeMaskExact(mask, w, h, radiusPx) {
-  const r = Math.max(0, Math.round(radiusPx || 0));
-  if (r <= 0) return mask;
-  const dil = dilateMaskExact(mask, w, h, r);
-  const ero = erodeMaskExact(dil, w, h, r);
-  return ero;
-}
-
-function buildInsideMaskFromAlpha(imgData, w, h, alphaThreshold = 8, sealGapsPx = 0) {
-  const a = imgData.data;
-
-  let opaque = new Uint8Array(w * h);
-  for (let i = 0; i < w * h; i++) {
-    const alpha = a[i * 4 + 3];
-    opaque[i] = alpha > alphaThreshold ? 1 : 0;
-  }
-
-  const r = Math.max(0, Math.round(sealGapsPx || 0));
-  if (r > 0) {
-    opaque = closeMaskExact(opaque, w, h, r);
-  }
-
-  const outside = new Uint8Array(w * h);
-  const qx = new Int32Array(w * h);
-  const qy = new Int32Array(w * h);
-  let qs = 0;
-  let qe = 0;
-
-  const push = (x, y) => {
-    qx[qe] = x;
-    qy[qe] = y;
-    qe++;
-  };
-
-  const trySeed = (x, y) => {
-    const idx = y * w + x;
-    if (!opaque[idx] && !outside[idx]) {
-      outside[idx] = 1;
-      push(x, y);
-    }
-  };
-
-  for (let x = 0; x < w; x++) {
-    trySeed(x, 0);
-    trySeed(x, h - 1);
-  }
-  for (let y = 0; y < h; y++) {
-    trySeed(0, y);
-    trySeed(w - 1, y);
-  }
-
-  while (qs < qe) {
-    const x = qx[qs];
-    const y = qy[qs];
-    qs++;
-
-    const nb = [
-      [x + 1, y],
-      [x - 1, y],
-      [x, y + 1],
-      [x, y - 1],
-    ];
-
-    for (const [nx, ny] of nb) {
-      if (nx < 0 || ny < 0 || nx >= w || ny >= h) continue;
-      const nidx = ny * w + nx;
-      if (!opaque[nidx] && !outside[nidx]) {
-        outside[nidx] = 1;
-        push(nx, ny);
-      }
-    }
-  }
-
-  const inside = new Uint8Array(w * h);
-  for (let i = 0; i < w * h; i++) inside[i] = outside[i] ? 0 : 1;
-  return inside;
-}
-
 function maskToAlphaCanvas(mask, w, h) {
   const c = document.createElement("canvas");
   c.width = w;
@@ -857,25 +794,6 @@ function buildFreeformMasterMask({
   };
 }
 
-function maskBBox(mask, w, h) {
-  let minX = w,
-    minY = h,
-    maxX = -1,
-    maxY = -1;
-  for (let y = 0; y < h; y++) {
-    const row = y * w;
-    for (let x = 0; x < w; x++) {
-      if (!mask[row + x]) continue;
-      if (x < minX) minX = x;
-      if (y < minY) minY = y;
-      if (x > maxX) maxX = x;
-      if (y > maxY) maxY = y;
-    }
-  }
-  if (maxX < 0) return { minX: 0, minY: 0, maxX: w - 1, maxY: h - 1 };
-  return { minX, minY, maxX, maxY };
-}
-
 function maskAspectFromBBox(mask, w, h) {
   const bb = maskBBox(mask, w, h);
   const bw = Math.max(1, bb.maxX - bb.minX + 1);
@@ -899,12 +817,12 @@ function renderFreeformFromMasterMask({ master, outWpx, outHpx, bgColor, borderP
     (Math.max(1, outW) * Math.max(1, master.masterW))
   ));
 
-  // Cache dilated mask alpha canvas (expensive dilateMaskExact)
+  // Cache dilated mask alpha canvas
   if (!master._cache) master._cache = new Map();
   let cached = master._cache.get(borderInMask);
   if (!cached) {
     const backingMask = borderInMask > 0
-      ? dilateMaskExact(master.insideMask, master.mw, master.mh, borderInMask)
+      ? dilateMask(master.insideMask, master.mw, master.mh, borderInMask)
       : master.insideMask;
     const backingC = maskToAlphaCanvas(backingMask, master.mw, master.mh);
     cached = { backingC };
@@ -962,6 +880,21 @@ function renderFreeformFromMasterMask({ master, outWpx, outHpx, bgColor, borderP
   return canvas;
 }
 
+// Motiv-Rechteck im Freeform-Export (outW×outH) – auch für den Vektor-Export (artRect).
+// Skalierung: inner-space → outW×outH (gleiche Logik wie drawContainInRect für andere Formen).
+function freeformArtRect({ master, imgEl, outW, outH }) {
+  const iw = imgEl.naturalWidth || imgEl.width || 1;
+  const ih = imgEl.naturalHeight || imgEl.height || 1;
+  const scaleFit = Math.min(master.innerW / iw, master.innerH / ih);
+  const dw_i = iw * scaleFit;                       // Breite in inner-space Pixeln
+  const dh_i = ih * scaleFit;                       // Höhe  in inner-space Pixeln
+  const dx_i = (master.innerW - dw_i) / 2;          // Zentrierung in inner-space
+  const dy_i = (master.innerH - dh_i) / 2;
+  const scX  = outW / master.innerW;                // inner → output Skalierung X
+  const scY  = outH / master.innerH;                // inner → output Skalierung Y
+  return { x: dx_i * scX, y: dy_i * scY, w: dw_i * scX, h: dh_i * scY };
+}
+
 // High-quality freeform export: vector Path2D clip + native-resolution image draw.
 // Canvas = outW×outH (Sticker-Design-Maße bei Export-DPI) – identisch mit allen anderen Formen.
 // Kein Bbox-Crop: das PNG hat exakt die bestellten Sticker-Maße → kein Upscaling, kein Blur.
@@ -991,26 +924,26 @@ function renderFreeformWithPath2DClip({ master, imgEl, outWpx, outHpx, bgColor,
   }
 
   // Bild direkt aus imgEl (native Auflösung) → kein Upscaling-Artefakt.
-  // Skalierung: inner-space → outW×outH (gleiche Logik wie drawContainInRect für andere Formen).
   const iw = imgEl.naturalWidth || imgEl.width || 1;
   const ih = imgEl.naturalHeight || imgEl.height || 1;
-  const scaleFit = Math.min(master.innerW / iw, master.innerH / ih);
-  const dw_i = iw * scaleFit;                       // Breite in inner-space Pixeln
-  const dh_i = ih * scaleFit;                       // Höhe  in inner-space Pixeln
-  const dx_i = (master.innerW - dw_i) / 2;          // Zentrierung in inner-space
-  const dy_i = (master.innerH - dh_i) / 2;
-  const scX  = outW / master.innerW;                // inner → output Skalierung X
-  const scY  = outH / master.innerH;                // inner → output Skalierung Y
+  const art = freeformArtRect({ master, imgEl, outW, outH });
 
   ctx.imageSmoothingEnabled = true;
   ctx.imageSmoothingQuality = "high";
-  ctx.drawImage(imgEl, 0, 0, iw, ih,
-    dx_i * scX, dy_i * scY, dw_i * scX, dh_i * scY);
+  ctx.drawImage(imgEl, 0, 0, iw, ih, art.x, art.y, art.w, art.h);
 
   ctx.restore();
   return canvas;
 }
 
+// Sticker (sw×sh) mittig in die Billing-Box (bw×bh) – auch für das Cutline-Overlay
+function containPlacement(sw, sh, bw, bh) {
+  const s = Math.min(bw / sw, bh / sh);
+  const dw = Math.max(1, Math.round(sw * s));
+  const dh = Math.max(1, Math.round(sh * s));
+  return { dx: Math.round((bw - dw) / 2), dy: Math.round((bh - dh) / 2), dw, dh };
+}
+
 function composeStickerIntoBillingBox({ stickerCanvas, boxWpx, boxHpx }) {
   const bw = Math.max(1, Math.round(boxWpx));
   const bh = Math.max(1, Math.round(boxHpx));
@@ -1024,15 +957,7 @@ function composeStickerIntoBillingBox({ stickerCanvas, boxWpx, boxHpx }) {
 
   ctx.clearRect(0, 0, bw, bh);
 
-  const sw = stickerCanvas?.width || 1;
-  const sh = stickerCanvas?.height || 1;
-
-  const s = Math.min(bw / sw, bh / sh);
-  const dw = Math.max(1, Math.round(sw * s));
-  const dh = Math.max(1, Math.round(sh * s));
-
-  const dx = Math.round((bw - dw) / 2);
-  const dy = Math.round((bh - dh) / 2);
+  const { dx, dy, dw, dh } = containPlacement(stickerCanvas?.width || 1, stickerCanvas?.height || 1, bw, bh);
 
   ctx.imageSmoothingEnabled = true;
   ctx.imageSmoothingQuality = "high";
@@ -1045,139 +970,12 @@ function composeStickerIntoBillingBox({ stickerCanvas, boxWpx, boxHpx }) {
 // ✅ Export-Cutline: Kontur -> SVG PathD
 // ==============================
 
-// Ramer–Douglas–Peucker Simplification
-function rdp(points, epsilon) {
-  if (!points || points.length < 3) return points || [];
-  const eps = Math.max(0, Number(epsilon) || 0);
-
-  const distPointLine = (p, a, b) => {
-    const x = p[0],
-      y = p[1];
-    const x1 = a[0],
-      y1 = a[1];
-    const x2 = b[0],
-      y2 = b[1];
-    const dx = x2 - x1,
-      dy = y2 - y1;
-    if (dx === 0 && dy === 0) return Math.hypot(x - x1, y - y1);
-    const t = ((x - x1) * dx + (y - y1) * dy) / (dx * dx + dy * dy);
-    const tt = Math.max(0, Math.min(1, t));
-    const px = x1 + tt * dx,
-      py = y1 + tt * dy;
-    return Math.hypot(x - px, y - py);
-  };
-
-  const simplify = (pts) => {
-    let dmax = 0;
-    let idx = 0;
-    const end = pts.length - 1;
-    for (let i = 1; i < end; i++) {
-      const d = distPointLine(pts[i], pts[0], pts[end]);
-      if (d > dmax) {
-        dmax = d;
-        idx = i;
-      }
-    }
-    if (dmax > eps) {
-      const left = simplify(pts.slice(0, idx + 1));
-      const right = simplify(pts.slice(idx));
-      return left.slice(0, -1).concat(right);
-    }
-    return [pts[0], pts[end]];
-  };
-
-  return simplify(points);
-}
-
-// Moore Neighbor Tracing – robust contour extraction for binary masks.
-// Returns an ordered list of boundary pixel coordinates (closed polygon).
-// mask: Uint8Array (0/1), w/h
-function marchingSquaresContour(mask, w, h) {
-  const inside = (x, y) => x >= 0 && y >= 0 && x < w && y < h && !!mask[y * w + x];
-
-  // Find topmost, then leftmost inside pixel as the start
-  let sx = -1, sy = -1;
-  outer:
-  for (let y = 0; y < h; y++) {
-    for (let x = 0; x < w; x++) {
-      if (inside(x, y)) { sx = x; sy = y; break outer; }
-    }
-  }
-  if (sx < 0) return [];
-
-  // 8-connectivity directions (clockwise): E, SE, S, SW, W, NW, N, NE
-  const DX = [1, 1, 0, -1, -1, -1, 0, 1];
-  const DY = [0, 1, 1, 1, 0, -1, -1, -1];
-
-  const pts = [[sx, sy]];
-  let cx = sx, cy = sy;
-
-  // We arrived at the start pixel from above (came from direction N = index 6).
-  // Start searching neighbours clockwise from that backtrack direction.
-  let backDir = 6;
-
-  const maxSteps = Math.min(w * h * 2 + (w + h) * 8, 400000);
-  for (let step = 0; step < maxSteps; step++) {
-    let moved = false;
-    for (let i = 0; i < 8; i++) {
-      const d = (backDir + i) % 8;
-      const nx = cx + DX[d];
-      const ny = cy + DY[d];
-      if (inside(nx, ny)) {
-        // Update backtrack: opposite direction of how we entered (nx, ny)
-        backDir = (d + 4) % 8;
-        cx = nx; cy = ny;
-        pts.push([cx, cy]);
-        moved = true;
-        break;
-      }
-    }
-    if (!moved) break; // isolated pixel – shouldn't happen for dilated masks
-    // Jacob's stopping criterion: back at start
-    if (step > 1 && cx === sx && cy === sy) break;
-  }
-
-  return pts;
-}
-
-function pointsToPathD(points, scaleX, scaleY, offsetX = 0, offsetY = 0) {
-  if (!points || points.length < 2) return "";
-  const p0 = points[0];
-  let d = `M ${((p0[0] * scaleX) + offsetX).toFixed(2)} ${((p0[1] * scaleY) + offsetY).toFixed(2)}`;
-  for (let i = 1; i < points.length; i++) {
-    const p = points[i];
-    d += ` L ${((p[0] * scaleX) + offsetX).toFixed(2)} ${((p[1] * scaleY) + offsetY).toFixed(2)}`;
-  }
-  d += " Z";
-  return d;
-}
-
-// Smooth closed path using Catmull-Rom → cubic bezier (good for plotter cutlines).
-function pointsToSmoothPathD(points, scaleX, scaleY, offsetX = 0, offsetY = 0) {
-  if (!points || points.length < 2) return "";
-  if (points.length < 4) return pointsToPathD(points, scaleX, scaleY, offsetX, offsetY);
-
-  const n = points.length;
-  const px = (i) => points[((i % n) + n) % n][0] * scaleX + offsetX;
-  const py = (i) => points[((i % n) + n) % n][1] * scaleY + offsetY;
-
-  let d = `M ${px(0).toFixed(2)} ${py(0).toFixed(2)}`;
-  for (let i = 0; i < n; i++) {
-    // Catmull-Rom control points (tension = 1/6)
-    const cp1x = px(i)     + (px(i + 1) - px(i - 1)) / 6;
-    const cp1y = py(i)     + (py(i + 1) - py(i - 1)) / 6;
-    const cp2x = px(i + 1) - (px(i + 2) - px(i))     / 6;
-    const cp2y = py(i + 1) - (py(i + 2) - py(i))     / 6;
-    d += ` C ${cp1x.toFixed(2)} ${cp1y.toFixed(2)}, ${cp2x.toFixed(2)} ${cp2y.toFixed(2)}, ${px(i + 1).toFixed(2)} ${py(i + 1).toFixed(2)}`;
-  }
-  d += " Z";
-  return d;
-}
-
 // Single Source of Truth: Freeform Kontur → SVG-Pfad im outW×outH Koordinatensystem.
 // outW×outH = Design-Maße des Stickers bei Export-DPI (= cmToPxAtDpi(widthCm, DPI)).
 // Kein Bbox-Crop, kein renderOutW-Workaround – direkte Maske→Canvas Abbildung.
-function buildFreeformCutlinePathFromMaster(master, outW, outH, borderPxOut) {
+// Ergebnis: wenige kubische Béziers (CUTLINE_TOLERANCE_MM) statt dichter Polylinie –
+// outPxPerMm nur für andere Maßstäbe als Export-DPI (Vorschau-Overlay).
+function buildFreeformCutlinePathFromMaster(master, outW, outH, borderPxOut, outPxPerMm = mmToPxAtDpi(1, EXPORT_DPI)) {
   if (!master?.insideMask || !master.mw || !master.mh) return "";
 
   // Border in Masken-Pixeln.
@@ -1188,14 +986,14 @@ function buildFreeformCutlinePathFromMaster(master, outW, outH, borderPxOut) {
     (Math.max(1, outW) * Math.max(1, master.masterW))
   ));
 
-  const backingMask = dilateMaskExact(master.insideMask, master.mw, master.mh, borderInMask);
-
-  const rawPts = marchingSquaresContour(backingMask, master.mw, master.mh);
-  if (!rawPts.length) return "";
+  const backingMask = dilateMask(master.insideMask, master.mw, master.mh, borderInMask);
 
+  // Alle Inseln (getrennte Motivteile), jeweils nur die Außenkontur
   // RDP epsilon 2.0 px (Maskenraum) – ausreichend glatt für Plotter, keine Über-Simplifikation
-  const simplified = rdp(rawPts, 2.0);
-  if (simplified.length < 2) return "";
+  const rings = traceContours(backingMask, master.mw, master.mh)
+    .map((island) => simplifyRing(island.outer, 2.0))
+    .filter((ring) => ring.length >= 3);
+  if (!rings.length) return "";
 
   // Masken-Koordinaten → outW×outH Canvas:
   //   out_x = (mask_x * masterW/mw  −  padPx) * outW/innerW
@@ -1205,7 +1003,186 @@ function buildFreeformCutlinePathFromMaster(master, outW, outH, borderPxOut) {
   const offsetX = -master.padPx * outW / master.innerW;
   const offsetY = -master.padPx * outH / master.innerH;
 
-  return pointsToSmoothPathD(simplified, scaleX, scaleY, offsetX, offsetY);
+  return fittedRingsToPathD(rings, CUTLINE_TOLERANCE_MM * outPxPerMm, { scaleX, scaleY, offsetX, offsetY });
+}
+
+// ==============================
+// Feste Formen (Export + Sicherheitsabstand)
+// ==============================
+function isRoundedShape(shape) {
+  return shape === "square_rounded" || shape === "rect_rounded" || shape === "rect_landscape_rounded";
+}
+
+// Hintergrundfarbe wird nur bei diesen Formen ins Raster gemalt
+function fixedShapeFillsBg(shape) {
+  return shape === "round" || shape === "oval" || shape === "oval_portrait" || shape === "square" || isRoundedShape(shape);
+}
+
+// Schnittform einer festen Form im w×h Canvas; bw×bh = Sticker-Maße (round/oval),
+// padPx = Eckenradius (rounded). "" für Freiform und unbekannte Formen.
+function fixedShapePathD(shape, { w, h, bw, bh, padPx }) {
+  const cx = w / 2;
+  const cy = h / 2;
+
+  if (shape === "round") {
+    // Kreis zentriert im Canvas, Radius = halbe Sticker-Dimension (nicht halbe Canvas-Diagonale!)
+    const r = Math.min(bw, bh) / 2;
+    // Zwei Halbbögen: linker Punkt → obere Hälfte (CCW) → rechter Punkt → untere Hälfte (CCW) → geschlossen
+    return `M ${(cx - r).toFixed(2)} ${cy.toFixed(2)} A ${r} ${r} 0 1 0 ${(cx + r).toFixed(2)} ${cy.toFixed(2)} A ${r} ${r} 0 1 0 ${(cx - r).toFixed(2)} ${cy.toFixed(2)} Z`;
+  }
+
+  if (shape === "oval" || shape === "oval_portrait") {
+    // Ellipse zentriert im Canvas, rx/ry aus tatsächlichen Sticker-Maßen
+    const rx = bw / 2;
+    const ry = bh / 2;
+    return `M ${(cx - rx).toFixed(2)} ${cy.toFixed(2)} A ${rx} ${ry} 0 1 0 ${(cx + rx).toFixed(2)} ${cy.toFixed(2)} A ${rx} ${ry} 0 1 0 ${(cx - rx).toFixed(2)} ${cy.toFixed(2)} Z`;
+  }
+
+  if (shape === "square" || shape === "rect" || shape === "rect_landscape") {
+    return `M 0 0 L ${w} 0 L ${w} ${h} L 0 ${h} Z`;
+  }
+
+  if (isRoundedShape(shape)) {
+    // Eckenradius = tatsächliches Padding (ROUNDED_RADIUS_MM), nicht Prozentsatz des Canvas
+    const r = Math.max(4, Math.min(padPx, Math.min(w, h) / 2));
+    return (
+      `M ${r.toFixed(2)} 0 L ${(w - r).toFixed(2)} 0 ` +
+      `A ${r} ${r} 0 0 1 ${w} ${r.toFixed(2)} ` +
+      `L ${w} ${(h - r).toFixed(2)} ` +
+      `A ${r} ${r} 0 0 1 ${(w - r).toFixed(2)} ${h} ` +
+      `L ${r.toFixed(2)} ${h} ` +
+      `A ${r} ${r} 0 0 1 0 ${(h - r).toFixed(2)} ` +
+      `L 0 ${r.toFixed(2)} ` +
+      `A ${r} ${r} 0 0 1 ${r.toFixed(2)} 0 Z`
+    );
+  }
+
+  return "";
+}
+
+// Sticker einer festen Form rendern – gleiche Platzierung wie die Konfigurator-Vorschau.
+// Canvas = Sticker-Maße, bei rounded zusätzlich padPx Rand je Seite.
+// bgFill = Hintergrundfarbe oder null (transparent).
+function renderFixedShapeCanvas({ img, shape, baseWidthPx, baseHeightPx, padPx = 0, bgFill = null }) {
+  const isRound = shape === "round";
+  const isOval = shape === "oval" || shape === "oval_portrait";
+  const isRounded = isRoundedShape(shape);
+  const pad = isRounded ? padPx : 0;
+
+  // Round/Oval: Canvas = exakte Sticker-Maße (bw×bh), kein Diagonal/√2-Padding.
+  // Der Clip wird direkt auf den Canvas angewendet → PNG hat transparente Ecken,
+  // und das Export-SVG sieht genauso aus wie die Konfigurator-Vorschau.
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.max(1, baseWidthPx + pad * 2);
+  canvas.height = Math.max(1, baseHeightPx + pad * 2);
+
+  const ctx = canvas.getContext("2d");
+  if (!ctx) throw new Error("Canvas Kontext nicht verfügbar.");
+
+  // Letzte Motiv-Platzierung (Canvas-Pixel) – für den Vektor-Export
+  let artRect = null;
+
+  const drawContainInRect = (rectX, rectY, rectW, rectH) => {
+    const iw = img.naturalWidth || img.width || 1;
+    const ih = img.naturalHeight || img.height || 1;
+    const scale = Math.min(rectW / iw, rectH / ih);
+    const dw = iw * scale;
+    const dh = ih * scale;
+    const dx = rectX + (rectW - dw) / 2;
+    const dy = rectY + (rectH - dh) / 2;
+    ctx.drawImage(img, dx, dy, dw, dh);
+    artRect = { x: dx, y: dy, w: dw, h: dh };
+  };
+
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+  if (isRound || isOval) {
+    // Clip context to circle/oval before drawing — PNG gets transparent corners.
+    // Avoids needing SVG clipPath (Shopify CDN strips <clipPath> from uploaded SVGs).
+    const cx = canvas.width / 2;
+    const cy = canvas.height / 2;
+    const r = Math.min(baseWidthPx, baseHeightPx) / 2;
+    const rx = isRound ? r : baseWidthPx / 2;
+    const ry = isRound ? r : baseHeightPx / 2;
+    ctx.save();
+    ctx.beginPath();
+    ctx.ellipse(cx, cy, rx, ry, 0, 0, 2 * Math.PI);
+    ctx.clip();
+    if (bgFill) {
+      ctx.fillStyle = bgFill;
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+    }
+    // Bild auf bw/√2 × bh/√2 skalieren – größtes einbeschriebenes Rechteck der Ellipse/des Kreises.
+    // Entspricht der Konfigurator-Vorschau (.scImgOvalBox { width:70.71%; height:70.71% }).
+    // Bildecken liegen exakt auf der Ellipse → kein Motivbeschnitt.
+    const INSET = 1 / Math.SQRT2; // 0.7071
+    const imgW = baseWidthPx * INSET;
+    const imgH = baseHeightPx * INSET;
+    drawContainInRect((canvas.width - imgW) / 2, (canvas.height - imgH) / 2, imgW, imgH);
+    ctx.restore();
+  } else {
+    if (bgFill) {
+      ctx.fillStyle = bgFill;
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+    }
+    if (isRounded) drawContainInRect(pad, pad, baseWidthPx, baseHeightPx);
+    else drawContainInRect(0, 0, canvas.width, canvas.height);
+  }
+
+  return { canvas, artRect };
+}
+
+// CSS-Farbe → [r, g, b] (über den Canvas, damit alle Schreibweisen gehen)
+function cssColorToRgb(color) {
+  const c = document.createElement("canvas");
+  c.width = 1;
+  c.height = 1;
+  const ctx = c.getContext("2d");
+  if (!ctx) return null;
+  ctx.fillStyle = color;
+  ctx.fillRect(0, 0, 1, 1);
+  const d = ctx.getImageData(0, 0, 1, 1).data;
+  return [d[0], d[1], d[2]];
+}
+
+// Sicherheitsabstand im Konfigurator: Sticker verkleinert rendern (lange Seite
+// SAFE_ZONE_PROBE_LONG_SIDE), Schnittform als Maske, gleiche Analyse wie beim Export.
+// Freiform nicht: die Kontur folgt dem Motiv mit freeformBorderMm Abstand.
+// → { warnings, overlayUrl } oder null
+function analyzeFixedShapeSafeZone({ img, shape, widthCm, heightCm, bgFill, marginMm }) {
+  if (shape === "freeform" || !(marginMm > 0)) return null;
+
+  const dpi = SAFE_ZONE_PROBE_LONG_SIDE / cmToInch(Math.max(Number(widthCm) || 1, Number(heightCm) || 1));
+  const baseWidthPx = cmToPxAtDpi(widthCm, dpi);
+  const baseHeightPx = cmToPxAtDpi(heightCm, dpi);
+  const padPx = mmToPxAtDpi(ROUNDED_RADIUS_MM, dpi);
+
+  const { canvas } = renderFixedShapeCanvas({ img, shape, baseWidthPx, baseHeightPx, padPx, bgFill });
+  const w = canvas.width;
+  const h = canvas.height;
+  const d = fixedShapePathD(shape, { w, h, bw: baseWidthPx, bh: baseHeightPx, padPx });
+  if (!d) return null;
+
+  const maskCanvas = document.createElement("canvas");
+  maskCanvas.width = w;
+  maskCanvas.height = h;
+  const mctx = maskCanvas.getContext("2d");
+  const ctx = canvas.getContext("2d");
+  if (!mctx || !ctx) return null;
+  mctx.fill(new Path2D(d));
+  const cover = mctx.getImageData(0, 0, w, h).data;
+  const inside = new Uint8Array(w * h);
+  for (let i = 0; i < w * h; i++) inside[i] = cover[i * 4 + 3] >= 128 ? 1 : 0;
+
+  const res = analyzeSafeZone(ctx.getImageData(0, 0, w, h).data, inside, w, h, {
+    marginPx: mmToPxAtDpi(marginMm, dpi),
+    background: bgFill ? cssColorToRgb(bgFill) : null,
+  });
+
+  // Maske wird zur Überlagerung (gleiche Größe wie der Sticker-Canvas)
+  mctx.clearRect(0, 0, w, h);
+  mctx.putImageData(new ImageData(safeZoneOverlayRgba(res.overlay, w, h), w, h), 0, 0);
+  return { warnings: res.warnings, overlayUrl: maskCanvas.toDataURL("image/png") };
 }
 
 // ==============================
@@ -1289,7 +1266,11 @@ export default function StickerCanvasClient({
   const [selectedVariantTitle, setSelectedVariantTitle] = useState("");
 
   const [realPieces, setRealPieces] = useState(1);
+  const [quantity, setQuantity] = useState(1);
   const [priceTotal, setPriceTotal] = useState(0);
+  const [priceBreakdown, setPriceBreakdown] = useState(null);
+  const [priceTiers, setPriceTiers] = useState(null);
+  const quoteRef = useRef({ key: "", token: "", expiresAt: 0, total: NaN });
 
   const [uploading, setUploading] = useState(false);
   const [exporting, setExporting] = useState(false);
@@ -1301,12 +1282,29 @@ export default function StickerCanvasClient({
   const fileInputRef = useRef(null);
   const pendingFileRef = useRef(null);
   const remoteUploadPromiseRef = useRef(null);
+  // SVG-Upload: Original-URL für den Vektor-Export (leer bei Rasterbildern)
+  const uploadedVectorUrlRef = useRef("");
+  // Unverändertes Original (PDF bzw. vom Server normalisiertes Rasterbild) für die Produktion
+  const uploadedOriginalUrlRef = useRef("");
+  // PDF-Upload: gerenderte Seite, Seitenzahl, Zuschnitt (PDF-Punkte) für den Export
+  const [pdfArtwork, setPdfArtwork] = useState(null);
   const uploadGenIdRef = useRef(0);
   const localPreviewUrlRef = useRef(null);
+  // Freigestelltes Motiv: vorheriger Zustand zum Zurückschalten, Objekt-URL des Ergebnisses
+  const [bgRemoved, setBgRemoved] = useState(false);
+  const [removingBg, setRemovingBg] = useState(false);
+  const bgOriginalRef = useRef(null);
+  const cutoutObjUrlRef = useRef(null);
 
   const [imgAspect, setImgAspect] = useState(1);
+  // Pixelmaße des Motivs + eingebettete Dichte (DPI) → Druckgröße, DPI je Größe
+  const [imgPx, setImgPx] = useState(null);
+  const [fileDensity, setFileDensity] = useState(null);
+  const [artIsVector, setArtIsVector] = useState(false);
   const [freeformPreviewUrl, setFreeformPreviewUrl] = useState("");
   const [freeformPreviewAspect, setFreeformPreviewAspect] = useState(1);
+  // Schnittkontur über der lokalen Freiform-Vorschau (gleicher Pfad wie im Export)
+  const [freeformCutline, setFreeformCutline] = useState(null);
   const [freeformMaster, setFreeformMaster] = useState(null);
   const freeformPreviewObjUrlRef = useRef(null);
 
@@ -1322,6 +1320,8 @@ export default function StickerCanvasClient({
 
   const lastExportKeyRef = useRef("");
   const lastExportSvgUrlRef = useRef("");
+  const lastExportPngUrlRef = useRef("");
+  const lastExportPdfUrlRef = useRef("");
 
   const [vp, setVp] = useState(() => ({
     w: typeof window !== "undefined" ? window.innerWidth : 1200,
@@ -1574,6 +1574,50 @@ export default function StickerCanvasClient({
     return availableSizes.find((s) => String(s.sizeKey) === String(sizeKey)) || null;
   }, [availableSizes, sizeKey]);
 
+  // Druckgröße laut Datei – Software-Vorgaben (72/96 dpi) zählen nicht
+  const originalPrintSize = useMemo(() => {
+    if (!imgPx || !fileDensity || isPlaceholderDpi(fileDensity)) return null;
+    return printSizeCm({ widthPx: imgPx.w, heightPx: imgPx.h, ...fileDensity });
+  }, [imgPx, fileDensity]);
+
+  // Effektive DPI je Katalog-Größe (Vektormotive sind auflösungsunabhängig)
+  const sizeDpi = useMemo(() => {
+    if (!imgPx || artIsVector) return null;
+    return dpiBySize({ widthPx: imgPx.w, heightPx: imgPx.h }, availableSizes);
+  }, [imgPx, artIsVector, availableSizes]);
+
+  function dpiSuffix(dpi) {
+    if (!Number.isFinite(dpi)) return "";
+    return ` · ${dpi} DPI${dpi < MIN_DPI ? " ⚠" : ""}`;
+  }
+
+  function applyOriginalPrintSize() {
+    if (!originalPrintSize) return;
+    setAddedMsg("");
+    const { widthCm: w, heightCm: h } = originalPrintSize;
+
+    if (shape === "freeform") {
+      // Sticker = Motiv + Rand auf beiden Seiten
+      const long = Math.max(w, h) + (2 * (Number(freeformBorderMm) || 0)) / 10;
+      const min = FREEFORM_LONGSIDE_PRESETS_CM[0];
+      const max = FREEFORM_LONGSIDE_PRESETS_CM[FREEFORM_LONGSIDE_PRESETS_CM.length - 1];
+      setFreeformLongSideCm(Math.round(clampNum(long, min, max) * 10) / 10);
+      return;
+    }
+
+    // Katalogformen: nächstliegende Größe
+    let best = null;
+    let bestDiff = Infinity;
+    for (const s of availableSizes) {
+      const diff = Math.abs(s.wCm - w) + Math.abs(s.hCm - h);
+      if (diff < bestDiff) {
+        best = s;
+        bestDiff = diff;
+      }
+    }
+    if (best) setSizeKey(best.sizeKey);
+  }
+
   useEffect(() => {
     if (!catalog || !shapeDef) return;
 
@@ -1850,9 +1894,38 @@ export default function StickerCanvasClient({
     };
   }, [selectedVariantId, productVariants]);
 
+  // Preis: Preis-Engine des Servers (gleiche Logik wie Draft-Order),
+  // Variantenpreis als Sofortwert/Fallback
   useEffect(() => {
-    setPriceTotal(Number(selectedVariantPrice) || 0);
-  }, [selectedVariantPrice]);
+    setPriceTotal((Number(selectedVariantPrice) || 0) * clampQuantity(quantity));
+    setPriceBreakdown(null);
+    setPriceTiers(null);
+
+    const body = buildPriceRequest({
+      shape, colorKey, sizeKey, selectedSizeObj, hasCatalogColors,
+      selectedVariantId, selectedVariantPrice, effWcm, effHcm, borderMm: freeformBorderMm, quantity,
+    });
+    if (!body) return;
+
+    const ctrl = new AbortController();
+    (async () => {
+      try {
+        const j = await fetchPriceQuote(body, ctrl.signal);
+        if (ctrl.signal.aborted || !j) return;
+        quoteRef.current = {
+          key: JSON.stringify(body),
+          token: j.quoteToken || "",
+          expiresAt: Date.parse(j.quoteExpiresAt) || 0,
+          total: Number(j.total),
+        };
+        setPriceTotal(Number(j.total));
+        setPriceBreakdown(j.breakdown || null);
+        setPriceTiers(j.tiers || null);
+      } catch (_) {}
+    })();
+
+    return () => ctrl.abort();
+  }, [selectedVariantPrice, selectedVariantId, selectedSizeObj, hasCatalogColors, shape, colorKey, sizeKey, effWcm, effHcm, freeformBorderMm, quantity]);
 
   useEffect(() => {
     return () => {
@@ -1878,6 +1951,7 @@ export default function StickerCanvasClient({
   useEffect(() => {
     if (!imageUrl) {
       setImgAspect(1);
+      setImgPx(null);
       imgElRef.current = null;
       imgElUrlRef.current = "";
       return;
@@ -1900,6 +1974,7 @@ export default function StickerCanvasClient({
       const w = img.naturalWidth || 1;
       const h = img.naturalHeight || 1;
       const ratio = h > 0 ? w / h : 1;
+      setImgPx({ w, h });
 
       if (Number.isFinite(ratio) && ratio > 0) {
         setImgAspect(ratio);
@@ -1930,6 +2005,7 @@ export default function StickerCanvasClient({
     img.onerror = () => {
       if (!cancelled) {
         setImgAspect(1);
+        setImgPx(null);
         imgElRef.current = null;
         imgElUrlRef.current = "";
       }
@@ -2019,6 +2095,7 @@ export default function StickerCanvasClient({
       }
       setFreeformPreviewUrl("");
       setFreeformPreviewAspect(imgAspect || 1);
+      setFreeformCutline(null);
       return;
     }
 
@@ -2056,6 +2133,15 @@ export default function StickerCanvasClient({
           boxHpx: boxH,
         });
 
+        const cutD = buildFreeformCutlinePathFromMaster(
+          freeformMaster,
+          sticker.width,
+          sticker.height,
+          borderPx,
+          (PX_PER_CM / 10) * k
+        );
+        const place = containPlacement(sticker.width, sticker.height, boxed.width, boxed.height);
+
         const ar = boxed.height > 0 ? boxed.width / boxed.height : 1;
 
         const objUrl = await canvasToObjectUrl(boxed);
@@ -2071,6 +2157,16 @@ export default function StickerCanvasClient({
 
         setFreeformPreviewUrl(objUrl);
         setFreeformPreviewAspect(ar);
+        setFreeformCutline(
+          cutD
+            ? {
+                d: cutD,
+                w: boxed.width,
+                h: boxed.height,
+                transform: `translate(${place.dx} ${place.dy}) scale(${place.dw / sticker.width} ${place.dh / sticker.height})`,
+              }
+            : null
+        );
       } catch (e) {
         console.warn("Freeform preview render failed:", e);
       }
@@ -2206,6 +2302,10 @@ export default function StickerCanvasClient({
     return normalizedDisplayImageUrl;
   }, [shape, serverPreviewUrl, freeformPreviewUrl, normalizedDisplayImageUrl]);
 
+  // Lokale Freiform-Vorschau: echte Schnittkontur statt Schatten-Umriss
+  const showVectorCutline =
+    shouldShowCutline && shape === "freeform" && !!freeformCutline && !!freeformPreviewUrl && displaySrc === freeformPreviewUrl;
+
   const freeformReady = useMemo(() => {
     if (shape !== "freeform") return true;
     if (isBlobUrl(imageUrl)) return !!freeformPreviewUrl;
@@ -2215,25 +2315,9 @@ export default function StickerCanvasClient({
   // ==============================
   // Upload: lokal sofort, remote erst bei Bedarf
   // ==============================
-  async function uploadFile(file) {
-    setErrorMsg("");
-    setAddedMsg("");
-    if (!file) return;
-
-    uploadGenIdRef.current += 1;
-    remoteUploadPromiseRef.current = null;
-
-    if (localPreviewUrlRef.current) {
-      URL.revokeObjectURL(localPreviewUrlRef.current);
-      localPreviewUrlRef.current = null;
-    }
-
-    const localUrl = URL.createObjectURL(file);
-    localPreviewUrlRef.current = localUrl;
-
-    setImageUrl(localUrl);
-    setUploadedUrl("");
 
+  // Vorschauen/Maske des bisherigen Motivs verwerfen (neues Bild bzw. Freistellen)
+  function resetArtworkPreviews() {
     setServerPreviewUrl("");
     lastGoodServerPreviewRef.current = "";
     lastServerPreviewKeyRef.current = "";
@@ -2256,49 +2340,151 @@ export default function StickerCanvasClient({
     imgElUrlRef.current = "";
 
     setFreeformCutAspect(1);
+  }
+
+  async function uploadFile(file) {
+    setErrorMsg("");
+    setAddedMsg("");
+    if (!file) return;
+
+    uploadGenIdRef.current += 1;
+    remoteUploadPromiseRef.current = null;
+
+    if (localPreviewUrlRef.current) {
+      URL.revokeObjectURL(localPreviewUrlRef.current);
+      localPreviewUrlRef.current = null;
+    }
+
+    const serverRender = needsServerRender(file);
+    const localUrl = serverRender ? "" : URL.createObjectURL(file);
+    localPreviewUrlRef.current = localUrl || null;
+
+    setImageUrl(localUrl);
+    setUploadedUrl("");
+    uploadedVectorUrlRef.current = "";
+    uploadedOriginalUrlRef.current = "";
+    setPdfArtwork(null);
+    setFileDensity(null);
+    setArtIsVector(file.type === "image/svg+xml" || /\.svg$/i.test(String(file.name || "")));
+
+    setBgRemoved(false);
+    bgOriginalRef.current = null;
+    revokeCutoutUrl();
+
+    resetArtworkPreviews();
     pendingFileRef.current = file;
+
+    if (!serverRender) {
+      // Dichte steht in den Metadaten am Dateianfang (JFIF/EXIF/pHYs)
+      const myGen = uploadGenIdRef.current;
+      file
+        .slice(0, 512 * 1024)
+        .arrayBuffer()
+        .then((buf) => {
+          if (myGen === uploadGenIdRef.current) setFileDensity(readImageDensity(buf));
+        })
+        .catch(() => {});
+    } else {
+      try {
+        await startServerUpload(file, { page: 1 });
+      } catch (e) {
+        setErrorMsg(String(e?.message || e));
+      }
+    }
   }
 
-  async function ensureRemoteUpload() {
-    if (uploadedUrl && !isBlobUrl(uploadedUrl)) return uploadedUrl;
-    if (remoteUploadPromiseRef.current) return await remoteUploadPromiseRef.current;
+  async function postUpload(file, extra = {}) {
+    const url = api("/sticker/upload");
+    const form = new FormData();
 
-    const original = pendingFileRef.current;
-    if (!original) throw new Error("Kein Bild vorhanden. Bitte zuerst ein Bild wählen.");
+    form.append("file", file, file.name);
+    form.append("variant", "preview");
+
+    form.append("shape", String(shape));
+    form.append("colorKey", String(colorKey || "white"));
+    form.append("sizeKey", String(sizeKey || ""));
+
+    form.append("widthCm", String(effWcm || 0));
+    form.append("heightCm", String(effHcm || 0));
+
+    form.append("bgMode", String(bgMode || "color"));
+    form.append("bgColor", String(bgColorEff || ""));
+
+    form.append("freeformBorderMm", String(freeformBorderMm || 0));
+
+    for (const [k, v] of Object.entries(extra)) form.append(k, String(v));
+
+    const res = await fetch(url, { method: "POST", body: form });
+    if (!res.ok) {
+      const t = await res.text().catch(() => "");
+      throw new Error(`Upload API error ${res.status}: ${t.slice(0, 200)}`);
+    }
+    const data = await res.json().catch(() => null);
+
+    const remote = String(data?.url || data?.uploadedUrl || "");
+    if (!remote) throw new Error("Upload OK, aber keine url im Response.");
+    return { ...data, url: remote };
+  }
 
+  // PDF/TIFF/HEIC: sofort hochladen – der Server liefert ein PNG (bei PDFs die
+  // gewählte Seite), das danach wie ein normales Rasterbild verwendet wird
+  async function startServerUpload(file, extra) {
     const myGen = uploadGenIdRef.current;
     setUploading(true);
 
     remoteUploadPromiseRef.current = (async () => {
-      const url = api("/sticker/upload");
-      const form = new FormData();
-
-      form.append("file", original, original.name);
-      form.append("variant", "preview");
+      const data = await postUpload(file, extra);
+      if (myGen !== uploadGenIdRef.current) return "";
+      uploadedOriginalUrlRef.current = String(data.originalUrl || "");
+      const ps = data.printSize;
+      setFileDensity(ps ? { dpiX: Number(ps.dpiX), dpiY: Number(ps.dpiY), source: String(ps.source || "") } : null);
+      setArtIsVector(!!data.pdf?.vector);
+      setPdfArtwork(
+        data.pdf
+          ? { page: Number(data.pdf.page) || 1, pageCount: Number(data.pdf.pageCount) || 1, box: data.pdf.box || null }
+          : null
+      );
+      setImageUrl(data.url);
+      setUploadedUrl(data.url);
+      return data.url;
+    })().finally(() => {
+      setUploading(false);
+      remoteUploadPromiseRef.current = null;
+    });
 
-      form.append("shape", String(shape));
-      form.append("colorKey", String(colorKey || "white"));
-      form.append("sizeKey", String(sizeKey || ""));
+    return await remoteUploadPromiseRef.current;
+  }
 
-      form.append("widthCm", String(effWcm || 0));
-      form.append("heightCm", String(effHcm || 0));
+  async function changePdfPage(page) {
+    const file = pendingFileRef.current;
+    if (!file || !pdfArtwork || page === pdfArtwork.page) return;
+    setErrorMsg("");
+    uploadGenIdRef.current += 1;
+    try {
+      await startServerUpload(file, { page });
+    } catch (e) {
+      setErrorMsg(String(e?.message || e));
+    }
+  }
 
-      form.append("bgMode", String(bgMode || "color"));
-      form.append("bgColor", String(bgColorEff || ""));
+  async function ensureRemoteUpload() {
+    if (uploadedUrl && !isBlobUrl(uploadedUrl)) return uploadedUrl;
+    if (remoteUploadPromiseRef.current) return await remoteUploadPromiseRef.current;
 
-      form.append("freeformBorderMm", String(freeformBorderMm || 0));
+    const original = pendingFileRef.current;
+    if (!original) throw new Error("Kein Bild vorhanden. Bitte zuerst ein Bild wählen.");
 
-      const res = await fetch(url, { method: "POST", body: form });
-      if (!res.ok) {
-        const t = await res.text().catch(() => "");
-        throw new Error(`Upload API error ${res.status}: ${t.slice(0, 200)}`);
-      }
-      const data = await res.json().catch(() => null);
+    const myGen = uploadGenIdRef.current;
+    setUploading(true);
 
-      const remote = String(data?.url || data?.uploadedUrl || "");
-      if (!remote) throw new Error("Upload OK, aber keine url im Response.");
+    remoteUploadPromiseRef.current = (async () => {
+      const data = await postUpload(original);
+      const remote = data.url;
 
       if (myGen !== uploadGenIdRef.current) return "";
+      uploadedVectorUrlRef.current = data?.vector ? remote : "";
+      // Freigestelltes Bild: Original des Ausgangsbilds behalten
+      if (data?.originalUrl) uploadedOriginalUrlRef.current = String(data.originalUrl);
       setUploadedUrl(remote);
       return remote;
     })().finally(() => {
@@ -2311,6 +2497,91 @@ export default function StickerCanvasClient({
     return out;
   }
 
+  // Hintergrund entfernen: Server stellt frei, das Ergebnis ersetzt das Motiv
+  // (neuer Upload beim Export, Freiform-Maske wird neu berechnet)
+  async function toggleBackgroundRemoval() {
+    if (removingBg || !imageUrl) return;
+    setErrorMsg("");
+
+    if (bgRemoved) {
+      const orig = bgOriginalRef.current;
+      bgOriginalRef.current = null;
+      setBgRemoved(false);
+      if (!orig) return;
+      uploadGenIdRef.current += 1;
+      remoteUploadPromiseRef.current = null;
+      resetArtworkPreviews();
+      pendingFileRef.current = orig.pendingFile;
+      uploadedVectorUrlRef.current = orig.vectorUrl;
+      uploadedOriginalUrlRef.current = orig.originalUrl;
+      setArtIsVector(orig.artIsVector);
+      setPdfArtwork(orig.pdfArtwork);
+      setUploadedUrl(orig.uploadedUrl);
+      setImageUrl(orig.imageUrl);
+      revokeCutoutUrl();
+      return;
+    }
+
+    const myGen = uploadGenIdRef.current;
+    setRemovingBg(true);
+    try {
+      const src = await fetch(normalizeUrl(imageUrl));
+      if (!src.ok) throw new Error(`Bild konnte nicht geladen werden (${src.status}).`);
+      const form = new FormData();
+      form.append("file", await src.blob(), "motiv");
+
+      const res = await fetch(api("/sticker/remove-background"), { method: "POST", body: form });
+      const data = await res.json().catch(() => null);
+      if (data?.error === "queue_full") {
+        throw new Error("Freistellen ist gerade ausgelastet – bitte in einer halben Minute erneut versuchen.");
+      }
+      if (!res.ok || !data?.ok || !data?.url) {
+        throw new Error(`Freistellen fehlgeschlagen: ${String(data?.error || res.status)}`);
+      }
+      const cutRes = await fetch(normalizeUrl(data.url));
+      if (!cutRes.ok) throw new Error(`Freigestelltes Bild nicht abrufbar (${cutRes.status}).`);
+      const cut = await cutRes.blob();
+      if (myGen !== uploadGenIdRef.current) return;
+
+      bgOriginalRef.current = {
+        imageUrl,
+        uploadedUrl,
+        pendingFile: pendingFileRef.current,
+        vectorUrl: uploadedVectorUrlRef.current,
+        originalUrl: uploadedOriginalUrlRef.current,
+        artIsVector,
+        pdfArtwork,
+      };
+
+      uploadGenIdRef.current += 1;
+      remoteUploadPromiseRef.current = null;
+      resetArtworkPreviews();
+
+      revokeCutoutUrl();
+      const cutUrl = URL.createObjectURL(cut);
+      cutoutObjUrlRef.current = cutUrl;
+
+      pendingFileRef.current = new File([cut], "freigestellt.png", { type: "image/png" });
+      uploadedVectorUrlRef.current = "";
+      setArtIsVector(false);
+      setPdfArtwork(null);
+      setUploadedUrl("");
+      setImageUrl(cutUrl);
+      setBgRemoved(true);
+    } catch (e) {
+      setErrorMsg(String(e?.message || e));
+    } finally {
+      setRemovingBg(false);
+    }
+  }
+
+  function revokeCutoutUrl() {
+    if (cutoutObjUrlRef.current) {
+      URL.revokeObjectURL(cutoutObjUrlRef.current);
+      cutoutObjUrlRef.current = null;
+    }
+  }
+
   function openFilePicker() {
     setAddedMsg("");
     try {
@@ -2345,47 +2616,11 @@ export default function StickerCanvasClient({
     // tatsächliche Sticker-Maße (ohne Canvas-Padding) – relevant für round/oval
     const bw = Math.max(1, Math.round(baseWidthPx || w));
     const bh = Math.max(1, Math.round(baseHeightPx || h));
-    const cx = w / 2;
-    const cy = h / 2;
 
     // Freeform braucht immer eine Cutline (auch bei transparentem Hintergrund),
     // weil Plotter den Schnitt-Pfad unabhängig vom Hintergrund benötigen.
     if (bgMode !== "white" && bgMode !== "color" && shape !== "freeform") return "";
 
-    if (shape === "round") {
-      // Kreis zentriert im Canvas, Radius = halbe Sticker-Dimension (nicht halbe Canvas-Diagonale!)
-      const r = Math.min(bw, bh) / 2;
-      // Zwei Halbbögen: linker Punkt → obere Hälfte (CCW) → rechter Punkt → untere Hälfte (CCW) → geschlossen
-      return `M ${(cx - r).toFixed(2)} ${cy.toFixed(2)} A ${r} ${r} 0 1 0 ${(cx + r).toFixed(2)} ${cy.toFixed(2)} A ${r} ${r} 0 1 0 ${(cx - r).toFixed(2)} ${cy.toFixed(2)} Z`;
-    }
-
-    if (shape === "oval" || shape === "oval_portrait") {
-      // Ellipse zentriert im Canvas, rx/ry aus tatsächlichen Sticker-Maßen
-      const rx = bw / 2;
-      const ry = bh / 2;
-      return `M ${(cx - rx).toFixed(2)} ${cy.toFixed(2)} A ${rx} ${ry} 0 1 0 ${(cx + rx).toFixed(2)} ${cy.toFixed(2)} A ${rx} ${ry} 0 1 0 ${(cx - rx).toFixed(2)} ${cy.toFixed(2)} Z`;
-    }
-
-    if (shape === "square" || shape === "rect" || shape === "rect_landscape") {
-      return `M 0 0 L ${w} 0 L ${w} ${h} L 0 ${h} Z`;
-    }
-
-    if (shape === "square_rounded" || shape === "rect_rounded" || shape === "rect_landscape_rounded") {
-      // Eckenradius = tatsächliches Padding (ROUNDED_RADIUS_MM), nicht Prozentsatz des Canvas
-      const padPx = mmToPxAtDpi(ROUNDED_RADIUS_MM, EXPORT_DPI);
-      const r = Math.max(4, Math.min(padPx, Math.min(w, h) / 2));
-      return (
-        `M ${r.toFixed(2)} 0 L ${(w - r).toFixed(2)} 0 ` +
-        `A ${r} ${r} 0 0 1 ${w} ${r.toFixed(2)} ` +
-        `L ${w} ${(h - r).toFixed(2)} ` +
-        `A ${r} ${r} 0 0 1 ${(w - r).toFixed(2)} ${h} ` +
-        `L ${r.toFixed(2)} ${h} ` +
-        `A ${r} ${r} 0 0 1 0 ${(h - r).toFixed(2)} ` +
-        `L 0 ${r.toFixed(2)} ` +
-        `A ${r} ${r} 0 0 1 ${r.toFixed(2)} 0 Z`
-      );
-    }
-
     if (shape === "freeform") {
       const borderPxOut = mmToPxAtDpi(freeformBorderMm, EXPORT_DPI);
       const master =
@@ -2402,7 +2637,7 @@ export default function StickerCanvasClient({
       return buildFreeformCutlinePathFromMaster(master, w, h, borderPxOut);
     }
 
-    return "";
+    return fixedShapePathD(shape, { w, h, bw, bh, padPx: mmToPxAtDpi(ROUNDED_RADIUS_MM, EXPORT_DPI) });
   }
 
   async function ensureSvgExportForCart(remoteUrlForExport) {
@@ -2416,14 +2651,19 @@ export default function StickerCanvasClient({
     const shared = imgElUrlRef.current === imageUrl ? imgElRef.current : null;
     const img = shared || (await loadImage(imageUrl));
 
-    const effectiveDpi = calcEffectiveDpi({
-      imgPxW: img.naturalWidth || img.width || 0,
-      imgPxH: img.naturalHeight || img.height || 0,
-      targetCmW: effWcm,
-      targetCmH: effHcm,
+    // SVG-Motive sind auflösungsunabhängig: Server setzt das Original als Vektor ein
+    const vectorUrl = uploadedVectorUrlRef.current;
+    // PDF-Motive mit Zuschnitt: Druck-PDF bettet die Originalseite ein
+    const pdfArt = pdfArtwork?.box && uploadedOriginalUrlRef.current ? { ...pdfArtwork, url: uploadedOriginalUrlRef.current } : null;
+
+    const effectiveDpi = calculateDpi({
+      widthPx: img.naturalWidth || img.width || 0,
+      heightPx: img.naturalHeight || img.height || 0,
+      widthCm: effWcm,
+      heightCm: effHcm,
     });
 
-    if (effectiveDpi < MIN_DPI) {
+    if (!vectorUrl && !pdfArt && effectiveDpi < MIN_DPI) {
       throw new Error(
         `Bildauflösung zu gering (${Math.round(effectiveDpi)} DPI). Minimum: ${MIN_DPI} DPI. ` +
           `Bitte ein größeres Bild hochladen oder Sticker kleiner wählen.`
@@ -2433,82 +2673,26 @@ export default function StickerCanvasClient({
     const baseWidthPx = cmToPxAtDpi(effWcm, EXPORT_DPI);
     const baseHeightPx = cmToPxAtDpi(effHcm, EXPORT_DPI);
 
-    const isRound = shape === "round";
-    const isOval = shape === "oval" || shape === "oval_portrait";
-    const isSquare = shape === "square";
-    const isSquareRounded = shape === "square_rounded";
-    const isRectRounded = shape === "rect_rounded" || shape === "rect_landscape_rounded";
-    const isRounded = isSquareRounded || isRectRounded;
-
-    const pad = isRounded ? mmToPxAtDpi(ROUNDED_RADIUS_MM, EXPORT_DPI) : 0;
-    const needsBgFill = (isRound || isOval || isSquare || isRounded) && hasBgFill;
-
-    // Round/Oval: Canvas = exakte Sticker-Maße (bw×bh), kein Diagonal/√2-Padding.
-    // Der Clip wird direkt auf den Canvas angewendet → PNG hat transparente Ecken,
-    // und das Export-SVG sieht genauso aus wie die Konfigurator-Vorschau.
-    const canvas = document.createElement("canvas");
-    canvas.width = isRounded ? Math.max(1, baseWidthPx + pad * 2) : Math.max(1, baseWidthPx);
-    canvas.height = isRounded ? Math.max(1, baseHeightPx + pad * 2) : Math.max(1, baseHeightPx);
-
-    const ctx = canvas.getContext("2d");
-    if (!ctx) throw new Error("Canvas Kontext nicht verfügbar.");
-
-    const computeContainInRect = (rectX, rectY, rectW, rectH) => {
-      const iw = img.naturalWidth || img.width || 1;
-      const ih = img.naturalHeight || img.height || 1;
-      const scale = Math.min(rectW / iw, rectH / ih);
-      const dw = iw * scale;
-      const dh = ih * scale;
-      const dx = rectX + (rectW - dw) / 2;
-      const dy = rectY + (rectH - dh) / 2;
-      return { dx, dy, dw, dh };
-    };
+    const pad = isRoundedShape(shape) ? mmToPxAtDpi(ROUNDED_RADIUS_MM, EXPORT_DPI) : 0;
+    const needsBgFill = fixedShapeFillsBg(shape) && hasBgFill;
 
-    const drawContainInRect = (targetCtx, rectX, rectY, rectW, rectH) => {
-      const { dx, dy, dw, dh } = computeContainInRect(rectX, rectY, rectW, rectH);
-      targetCtx.drawImage(img, dx, dy, dw, dh);
-    };
+    const fixed =
+      shape === "freeform"
+        ? null
+        : renderFixedShapeCanvas({
+            img,
+            shape,
+            baseWidthPx,
+            baseHeightPx,
+            padPx: pad,
+            bgFill: needsBgFill ? bgColorEff || "#ffffff" : null,
+          });
+    const canvas = fixed ? fixed.canvas : document.createElement("canvas");
 
-    ctx.clearRect(0, 0, canvas.width, canvas.height);
-
-    if (isRound || isOval) {
-      // Clip context to circle/oval before drawing — PNG gets transparent corners.
-      // Avoids needing SVG clipPath (Shopify CDN strips <clipPath> from uploaded SVGs).
-      const cx = canvas.width / 2;
-      const cy = canvas.height / 2;
-      const r = Math.min(baseWidthPx, baseHeightPx) / 2;
-      const rx = isRound ? r : baseWidthPx / 2;
-      const ry = isRound ? r : baseHeightPx / 2;
-      ctx.save();
-      ctx.beginPath();
-      ctx.ellipse(cx, cy, rx, ry, 0, 0, 2 * Math.PI);
-      ctx.clip();
-      if (needsBgFill) {
-        ctx.fillStyle = bgColorEff || "#ffffff";
-        ctx.fillRect(0, 0, canvas.width, canvas.height);
-      }
-      // Bild auf bw/√2 × bh/√2 skalieren – größtes einbeschriebenes Rechteck der Ellipse/des Kreises.
-      // Entspricht der Konfigurator-Vorschau (.scImgOvalBox { width:70.71%; height:70.71% }).
-      // Bildecken liegen exakt auf der Ellipse → kein Motivbeschnitt.
-      const INSET = 1 / Math.SQRT2; // 0.7071
-      const imgW = baseWidthPx * INSET;
-      const imgH = baseHeightPx * INSET;
-      const imgX = (canvas.width - imgW) / 2;
-      const imgY = (canvas.height - imgH) / 2;
-      drawContainInRect(ctx, imgX, imgY, imgW, imgH);
-      ctx.restore();
-    } else {
-      if (needsBgFill) {
-        ctx.fillStyle = bgColorEff || "#ffffff";
-        ctx.fillRect(0, 0, canvas.width, canvas.height);
-      }
-    }
+    // Letzte Motiv-Platzierung (Canvas-Pixel) – für den Vektor-Export
+    let artRect = fixed ? fixed.artRect : null;
 
-    if (isRound || isOval) {
-      // (already handled above with canvas clip)
-    } else if (isRounded) {
-      drawContainInRect(ctx, pad, pad, baseWidthPx, baseHeightPx);
-    } else if (shape === "freeform") {
+    if (shape === "freeform") {
       const master =
         freeformMaster ||
         buildFreeformMasterMask({
@@ -2538,8 +2722,7 @@ export default function StickerCanvasClient({
       if (!ctxFF) throw new Error("Canvas Kontext nicht verfügbar.");
       ctxFF.clearRect(0, 0, canvas.width, canvas.height);
       ctxFF.drawImage(ffCanvas, 0, 0);
-    } else {
-      drawContainInRect(ctx, 0, 0, canvas.width, canvas.height);
+      artRect = freeformArtRect({ master, imgEl: img, outW: canvas.width, outH: canvas.height });
     }
 
     const renderedDataUrl = canvas.toDataURL("image/png");
@@ -2566,6 +2749,8 @@ export default function StickerCanvasClient({
         renderedDataUrl,
         imageUrl: remoteUrlForExport,
         shape,
+        // Katalog-Key (Schnittebenen aus CatalogShape.meta)
+        catalogShapeKey: baseShapeKey,
         widthPx: canvas.width,
         heightPx: canvas.height,
 
@@ -2587,6 +2772,18 @@ export default function StickerCanvasClient({
         cutlinePathD: String(cutlinePathD || ""),
         cutlineStrokePx: EXPORT_CUTLINE_STROKE_PX,
 
+        // Druck-PDF mit CutContour-Sonderfarbe für die Produktion
+        exportPdf: true,
+
+        // SVG-Upload: Original bleibt Vektor (PNG dient nur als Vorschau)
+        vectorUrl: vectorUrl || "",
+        artRect: vectorUrl || pdfArt ? artRect : null,
+
+        // PDF-Upload: Originalseite für das Druck-PDF
+        pdfArtworkUrl: pdfArt?.url || "",
+        pdfPage: pdfArt?.page || 1,
+        pdfBox: pdfArt?.box || null,
+
         uploadSvgToShopify: true,
         uploadPngToShopify: false,
       }),
@@ -2602,6 +2799,8 @@ export default function StickerCanvasClient({
 
     lastExportKeyRef.current = exportKey;
     lastExportSvgUrlRef.current = data.svgUrl;
+    lastExportPngUrlRef.current = String(data.pngUrl || "");
+    lastExportPdfUrlRef.current = String(data.pdfUrl || "");
 
     return data.svgUrl;
   }
@@ -2609,15 +2808,18 @@ export default function StickerCanvasClient({
   // ==============================
   // Stückzahl: Katalog bevorzugen
   // ==============================
+  // Set-Fläche je Form (CatalogShape.meta.rollWidthCm/packLengthCm), sonst Standard-Set 30 × 130 cm
+  const packArea = useMemo(() => resolvePackArea(shapeDef?.meta), [shapeDef]);
+
   useEffect(() => {
     const fromCatalog = selectedSizeObj?.piecesPerSet;
     if (Number.isFinite(fromCatalog) && fromCatalog > 0) {
       setRealPieces((prev) => (prev === fromCatalog ? prev : fromCatalog));
       return;
     }
-    const pieces = calcPiecesFixed(shape, effWcm, effHcm);
+    const { pieces } = calcPiecesPerPack({ ...packArea, shape, widthCm: effWcm, heightCm: effHcm, borderMm: freeformBorderMm });
     setRealPieces((prev) => (prev === pieces ? prev : pieces));
-  }, [selectedSizeObj, shape, effWcm, effHcm]);
+  }, [selectedSizeObj, shape, effWcm, effHcm, freeformBorderMm, packArea]);
 
   // ==============================
   // Cart
@@ -2644,14 +2846,36 @@ export default function StickerCanvasClient({
       const remoteUrl = await ensureRemoteUpload();
       const svgUrl = await ensureSvgExportForCart(remoteUrl);
 
-      const pieces = Math.max(1, Number(realPieces) || calcPiecesFixed(shape, effWcm, effHcm));
+      const pieces = Math.max(1, Number(realPieces) || 1);
       if (pieces > 9999) {
         throw new Error("Stückzahl zu groß für den Warenkorb (Limit 9999).");
       }
+      const qty = clampQuantity(quantity);
+
+      // Signiertes Preisangebot (frisch holen, falls veraltet oder für andere Konfiguration)
+      const priceReq = buildPriceRequest({
+        shape, colorKey, sizeKey, selectedSizeObj, hasCatalogColors,
+        selectedVariantId, selectedVariantPrice, effWcm, effHcm, borderMm: freeformBorderMm, quantity: qty,
+      });
+      let quoteToken = "";
+      let quoteTotal = NaN;
+      if (priceReq) {
+        const key = JSON.stringify(priceReq);
+        const cached = quoteRef.current;
+        if (cached.key === key && cached.token && cached.expiresAt - Date.now() > 60_000) {
+          quoteToken = cached.token;
+          quoteTotal = cached.total;
+        } else {
+          const j = await fetchPriceQuote(priceReq).catch(() => null);
+          quoteToken = j?.quoteToken || "";
+          quoteTotal = Number(j?.total);
+          if (j) quoteRef.current = { key, token: quoteToken, expiresAt: Date.parse(j.quoteExpiresAt) || 0, total: quoteTotal };
+        }
+      }
 
       const wNorm = Math.min(Number(effWcm) || 1, Number(effHcm) || 1);
       const hNorm = Math.max(Number(effWcm) || 1, Number(effHcm) || 1);
-      const major = getMajorForPieces(shape, wNorm, hNorm);
+      const major = shape === "round" ? wNorm : hNorm;
 
       const v =
         Array.isArray(productVariants) && productVariants.length
@@ -2662,64 +2886,86 @@ export default function StickerCanvasClient({
       const variantPriceEur =
         typeof v?.price !== "undefined" ? toEuroFromCents(v.price) : Number(selectedVariantPrice) || 0;
 
-      const items = [
-        {
-          id: variantId,
-          quantity: 1,
-          properties: {
-            _sc_line_id: String(Date.now()),
-            _sc_shape: String(shape),
-
-            // Effective sticker dimensions (all shapes, in cm)
-            _sc_w_cm: fmtCm(effWcm),
-            _sc_h_cm: fmtCm(effHcm),
-
-            _sc_major_cm: fmtCm(major),
-            _sc_print_length_cm: String(PRINT_LENGTH_CM),
-
-            _sc_pieces_per_pack: String(pieces),
-            _sc_total_pieces_hint: String(pieces),
-
-            // Freeform-specific: raw user input dimensions
-            _sc_design_w_cm: shape === "freeform" ? fmtCm(widthCm) : "",
-            _sc_design_h_cm: shape === "freeform" ? fmtCm(heightCm) : "",
-
-            // Material / color selection
-            _sc_color_key: String(colorKey || "white"),
-            _sc_size_key: String(sizeKey || ""),
-
-            _sc_bg_mode: String(bgMode || "color"),
-            _sc_bg: String(bgColorEff || ""),
-            _sc_border_mm: String(freeformBorderMm),
-
-            _sc_image: remoteUrl,
-            _sc_svg: svgUrl,
-
-            _sc_variant_id: String(variantId),
-            _sc_variant_title: variantTitle,
-            _sc_variant_price_eur: String(variantPriceEur.toFixed(2)),
-
-            // ── Structured properties (Shopify order / fulfillment) ──
-            // sc_config: full configuration as JSON for backend processing
-            sc_config: JSON.stringify({
-              shape: String(shape),
-              wcm: Number(effWcm).toFixed(2),
-              hcm: Number(effHcm).toFixed(2),
-              colorKey: String(colorKey || "white"),
-              sizeKey: String(sizeKey || ""),
-              bgMode: String(bgMode || "color"),
-              bgColor: String(bgColorEff || ""),
-              borderMm: String(freeformBorderMm),
-              pieces: Number(pieces),
-              variantId: String(variantId),
-            }),
-            // sc_preview_url: uploaded source image (Shopify CDN)
-            sc_preview_url: remoteUrl,
-            // sc_file_url: exported SVG + cutline (Shopify CDN)
-            sc_file_url: svgUrl,
-          },
-        },
-      ];
+      const properties = {
+        _sc_line_id: String(Date.now()),
+        _sc_shape: String(shape),
+
+        // Effective sticker dimensions (all shapes, in cm)
+        _sc_w_cm: fmtCm(effWcm),
+        _sc_h_cm: fmtCm(effHcm),
+
+        _sc_major_cm: fmtCm(major),
+        _sc_print_length_cm: String(packArea.packLengthCm),
+        _sc_print_width_cm: packArea.rollWidthCm ? String(packArea.rollWidthCm) : "",
+
+        _sc_pieces_per_pack: String(pieces),
+        _sc_total_pieces_hint: String(pieces * qty),
+
+        // Freeform-specific: raw user input dimensions
+        _sc_design_w_cm: shape === "freeform" ? fmtCm(widthCm) : "",
+        _sc_design_h_cm: shape === "freeform" ? fmtCm(heightCm) : "",
+
+        // Material / color selection
+        _sc_color_key: String(colorKey || "white"),
+        _sc_size_key: String(sizeKey || ""),
+
+        _sc_bg_mode: String(bgMode || "color"),
+        _sc_bg: String(bgColorEff || ""),
+        _sc_border_mm: String(freeformBorderMm),
+
+        _sc_image: remoteUrl,
+        _sc_svg: svgUrl,
+        _sc_png: lastExportPngUrlRef.current,
+        _sc_pdf: lastExportPdfUrlRef.current,
+        _sc_original: uploadedOriginalUrlRef.current,
+
+        _sc_variant_id: String(variantId),
+        _sc_variant_title: variantTitle,
+        _sc_variant_price_eur: String(variantPriceEur.toFixed(2)),
+
+        // Signiertes Preisangebot (wird bei Draft-Order/Bestellung geprüft)
+        _sc_quote: quoteToken,
+
+        // ── Structured properties (Shopify order / fulfillment) ──
+        // sc_config: full configuration as JSON for backend processing
+        sc_config: JSON.stringify({
+          shape: String(shape),
+          wcm: Number(effWcm).toFixed(2),
+          hcm: Number(effHcm).toFixed(2),
+          colorKey: String(colorKey || "white"),
+          sizeKey: String(sizeKey || ""),
+          bgMode: String(bgMode || "color"),
+          bgColor: String(bgColorEff || ""),
+          borderMm: String(freeformBorderMm),
+          pieces: Number(pieces),
+          variantId: String(variantId),
+        }),
+        // sc_preview_url: uploaded source image (Shopify CDN)
+        sc_preview_url: remoteUrl,
+        // sc_file_url: exported SVG + cutline (Shopify CDN)
+        sc_file_url: svgUrl,
+      };
+
+      // Serverpreis ≠ Variantenpreis × Menge (Materialaufschlag, Mengenrabatt,
+      // Flächenpreis …): der Warenkorb würde nur den Variantenpreis berechnen →
+      // Checkout per Draft-Order (eine Position, Menge steht in _sc_quantity)
+      if (priceReq && quoteToken && Number.isFinite(quoteTotal) && Math.abs(quoteTotal - variantPriceEur * qty) > 0.01) {
+        const draft = await createDraftCheckout({
+          ...priceReq,
+          productId: variantId,
+          quoteToken,
+          totalPrice: quoteTotal,
+          meta: { ...properties, _sc_quantity: String(qty) },
+        });
+        window.dispatchEvent(new CustomEvent("sc:sticker-added-to-cart", {
+          bubbles: true,
+          detail: { shape, variantId, invoiceUrl: draft.invoiceUrl },
+        }));
+        window.location.href = draft.invoiceUrl;
+        return;
+      }
+
+      const items = [{ id: variantId, quantity: qty, properties }];
 
       const res = await fetch("/cart/add.js", {
         method: "POST",
@@ -2829,6 +3075,53 @@ export default function StickerCanvasClient({
     return { "--scRoundW": `${wp}%`, "--scRoundH": `${hp}%` };
   }, [widthCm, heightCm]);
 
+  // ==============================
+  // Sicherheitsabstand (feste Formen)
+  // ==============================
+  // Gleiche Prüfung wie beim Export (safeZone im Export-Response); Abstand aus
+  // CatalogShape.meta.safeMarginMm, sonst DEFAULT_SAFE_MARGIN_MM
+  const safeMarginMm = useMemo(() => {
+    const mm = Number(shapeDef?.meta?.safeMarginMm ?? DEFAULT_SAFE_MARGIN_MM);
+    return Number.isFinite(mm) ? clampNum(mm, 0, MAX_SAFE_MARGIN_MM) : DEFAULT_SAFE_MARGIN_MM;
+  }, [shapeDef]);
+
+  const [safeZone, setSafeZone] = useState(null);
+
+  useEffect(() => {
+    const img = imgElUrlRef.current === imageUrl ? imgElRef.current : null;
+    if (!img || !imgPx || shape === "freeform") {
+      setSafeZone(null);
+      return;
+    }
+
+    let cancelled = false;
+    const cancelSchedule = scheduleIdle(() => {
+      if (cancelled) return;
+      try {
+        const res = analyzeFixedShapeSafeZone({
+          img,
+          shape,
+          widthCm: effWcm,
+          heightCm: effHcm,
+          bgFill: fixedShapeFillsBg(shape) && hasBgFill ? bgColorEff || "#ffffff" : null,
+          marginMm: safeMarginMm,
+        });
+        if (!cancelled) setSafeZone(res);
+      } catch (e) {
+        // z. B. Canvas "tainted" (Bild ohne CORS) – Prüfung entfällt, Export prüft erneut
+        console.warn("[safe-zone]", e);
+        if (!cancelled) setSafeZone(null);
+      }
+    });
+
+    return () => {
+      cancelled = true;
+      cancelSchedule();
+    };
+  }, [imageUrl, imgPx, shape, effWcm, effHcm, hasBgFill, bgColorEff, safeMarginMm]);
+
+  const safeZoneWarnings = useMemo(() => (safeZone?.warnings || []).filter((w) => w.severity === "warning"), [safeZone]);
+
   // ✅ Transparenz-Checker (wird aktuell nicht genutzt, da Transparent auskommentiert)
   const showTransparentMark = useMemo(() => bgMode === "transparent", [bgMode]);
 
@@ -2924,10 +3217,14 @@ export default function StickerCanvasClient({
               setFreeformLongSideCm(v);
             }}
           >
-            {FREEFORM_LONGSIDE_PRESETS_CM.map((cm) => {
+            {[...new Set([...FREEFORM_LONGSIDE_PRESETS_CM, freeformLongSideCm])].sort((a, b) => a - b).map((cm) => {
               const ar = freeformCutAspect || imgAspect || 1;
               const dims = freeformDimsFromLongSide(cm, ar);
-              const label = `${fmtCm(cm)} cm (≈ ${dims.wCm.toFixed(2)} × ${dims.hCm.toFixed(2)} cm)`;
+              const dpi =
+                imgPx && !artIsVector
+                  ? Math.round(calculateDpi({ widthPx: imgPx.w, heightPx: imgPx.h, widthCm: dims.wCm, heightCm: dims.hCm }))
+                  : NaN;
+              const label = `${fmtCm(cm)} cm (≈ ${dims.wCm.toFixed(2)} × ${dims.hCm.toFixed(2)} cm)${dpiSuffix(dpi)}`;
               return (
                 <option key={`ff-${cm}`} value={String(cm)}>{label}</option>
               );
@@ -2945,13 +3242,19 @@ export default function StickerCanvasClient({
             ) : (
               availableSizes.map((v) => (
                 <option key={`${String(shape)}-${String(colorKey)}-${v.sizeKey}`} value={v.sizeKey}>
-                  {v.label}
+                  {`${v.label}${sizeDpi ? dpiSuffix(sizeDpi[v.sizeKey]) : ""}`}
                 </option>
               ))
             )}
           </select>
         )}
 
+        {originalPrintSize ? (
+          <button type="button" className="scBtn scBtnSecondary" style={{ marginTop: 8 }} onClick={applyOriginalPrintSize}>
+            Originalgröße übernehmen ({fmtCm(originalPrintSize.widthCm)} × {fmtCm(originalPrintSize.heightCm)} cm)
+          </button>
+        ) : null}
+
         {/* ── Schritt 3: Material ──────────────────────────────────── */}
         <div className="scStepHeader">
           <span className="scStepNum">3</span>
@@ -3017,7 +3320,7 @@ export default function StickerCanvasClient({
         <input
           ref={fileInputRef}
           type="file"
-          accept="image/*"
+          accept="image/*,.heic,.heif,.tif,.tiff,.bmp,application/pdf,.pdf"
           className="scHiddenFile"
           onChange={(e) => uploadFile(e.target.files?.[0])}
         />
@@ -3030,6 +3333,37 @@ export default function StickerCanvasClient({
         >
           {uploading ? "Wird hochgeladen…" : imageUrl ? "Bild ändern" : "Bild auswählen"}
         </button>
+
+        {imageUrl && (!artIsVector || bgRemoved) ? (
+          <label className="scCheck">
+            <input
+              type="checkbox"
+              checked={bgRemoved}
+              disabled={removingBg || uploading}
+              onChange={toggleBackgroundRemoval}
+            />
+            <span>{removingBg ? "Hintergrund wird entfernt…" : "Hintergrund entfernen"}</span>
+          </label>
+        ) : null}
+
+        {pdfArtwork && pdfArtwork.pageCount > 1 ? (
+          <>
+            <div className="scStepHeader">
+              <span className="scStepNum" style={{ fontSize: 8 }}>↳</span>
+              PDF-Seite
+            </div>
+            <select
+              className="scSelect"
+              value={String(pdfArtwork.page)}
+              disabled={uploading}
+              onChange={(e) => changePdfPage(Number(e.target.value))}
+            >
+              {Array.from({ length: pdfArtwork.pageCount }, (_, i) => (
+                <option key={`pdfp-${i + 1}`} value={String(i + 1)}>Seite {i + 1} von {pdfArtwork.pageCount}</option>
+              ))}
+            </select>
+          </>
+        ) : null}
           
         {/* ── Preis & CTA ──────────────────────────────────────────── */}
         <div className="scDivider" />
@@ -3039,15 +3373,47 @@ export default function StickerCanvasClient({
             <span className="scPriceLabel">Sticker pro Set</span>
             <span className="scPriceValue">{realPieces}</span>
           </div>
+          <div className="scPriceLine">
+            <span className="scPriceLabel">Anzahl Sets</span>
+            <input
+              className="scSelect"
+              type="number"
+              inputMode="numeric"
+              min={1}
+              max={MAX_QUANTITY}
+              step={1}
+              value={quantity}
+              style={{ width: 88, textAlign: "right" }}
+              onChange={(e) => setQuantity(clampQuantity(e.target.value))}
+            />
+          </div>
           <div className="scPriceLine" style={{ marginBottom: 0 }}>
             <span className="scPriceLabel">Gesamtpreis</span>
             <span className="scPriceBig">{priceTotal.toFixed(2)} €</span>
           </div>
+          {priceTiers?.next ? (
+            <div className="scVariantHint">
+              Ab {priceTiers.next.minQty} Stück {priceTiers.next.savingsPct.toLocaleString("de-DE")} % sparen
+              {" "}({priceTiers.next.piecesToGo} Stück mehr)
+            </div>
+          ) : null}
+          {priceBreakdown?.lines?.length > 1 ? (
+            <div className="scVariantHint">
+              {priceBreakdown.lines.map((l) => `${l.label}: ${Number(l.amount).toFixed(2)} €`).join(" · ")}
+            </div>
+          ) : null}
           {selectedVariantTitle ? (
             <div className="scVariantHint">{selectedVariantTitle}</div>
           ) : null}
         </div>
 
+        {safeZoneWarnings.length ? (
+          <div className="scWarning">
+            ⚠ {safeZoneWarnings[0].message} Sicherheitsabstand: {safeMarginMm.toLocaleString("de-DE")} mm (in der
+            Vorschau rot markiert).
+          </div>
+        ) : null}
+
         <button type="button" className="scBtn scBtnPrimary" onClick={addToCart} disabled={!imageUrl || isAdding || uploading}>
           {isAdding ? "Wird hinzugefügt…" : "In den Warenkorb"}
         </button>
@@ -3116,7 +3482,7 @@ export default function StickerCanvasClient({
     return (
       <div className="scPreviewFrame" style={frameVars}>
         {shape === "freeform" ? (
-          <div className={`scFreeformBox${shouldShowCutline ? "" : " scFreeformBox--shadow"}`}>
+          <div className={`scFreeformBox${shouldShowCutline && !showVectorCutline ? "" : " scFreeformBox--shadow"}`}>
             {freeformReady && showTransparentMark ? (
               <div className="scTransparentMask" style={freeformMaskStyle || undefined} />
             ) : null}
@@ -3124,9 +3490,20 @@ export default function StickerCanvasClient({
             <img
               src={displaySrc}
               alt="Sticker"
-              className={`scImg scImgContain ${shouldShowCutline ? "scCutline" : ""}`}
+              className={`scImg scImgContain ${shouldShowCutline && !showVectorCutline ? "scCutline" : ""}`}
               crossOrigin="anonymous"
             />
+
+            {showVectorCutline ? (
+              <svg
+                className="scCutlineSvg"
+                viewBox={`0 0 ${freeformCutline.w} ${freeformCutline.h}`}
+                preserveAspectRatio="xMidYMid meet"
+                aria-hidden="true"
+              >
+                <path d={freeformCutline.d} transform={freeformCutline.transform} />
+              </svg>
+            ) : null}
           </div>
         ) : (
           <div className={fixedSurfaceClass} style={surfaceStyleVars}>
@@ -3147,6 +3524,10 @@ export default function StickerCanvasClient({
             ) : (
               <img src={imageUrl} alt="Sticker" className="scImg scImgContain" crossOrigin="anonymous" />
             )}
+
+            {safeZoneWarnings.length && safeZone?.overlayUrl ? (
+              <img src={safeZone.overlayUrl} alt="" aria-hidden="true" className="scSafeZoneOverlay" />
+            ) : null}
           </div>
         )}
       </div>
@@ -3564,6 +3945,17 @@ const SC_CSS = `
   color: rgba(255,255,255,0.85);
 }
 
+.scWarning{
+  margin-bottom: 8px;
+  padding: 10px;
+  border-radius: 14px;
+  background: rgba(245, 158, 11, 0.12);
+  border: 1px solid rgba(245, 158, 11, 0.35);
+  color: #fde68a;
+  font-size: 12px;
+  line-height: 1.4;
+}
+
 .scError{
   margin-top: 8px;
   padding: 10px;
@@ -3718,6 +4110,32 @@ const SC_CSS = `
     drop-shadow( 0px 10px 22px rgba(0,0,0,0.38));
 }
 
+.scCutlineSvg{
+  position:absolute;
+  inset:0;
+  width:100%;
+  height:100%;
+  overflow:visible;
+  pointer-events:none;
+  filter: drop-shadow(0 0 1px rgba(255,255,255,0.30));
+}
+.scCutlineSvg path{
+  fill:none;
+  stroke: rgba(0,0,0,0.72);
+  stroke-width: 1.5px;
+  vector-effect: non-scaling-stroke;
+}
+
+/* Sicherheitsabstand: Streifen an der Schnittkante, Motiv darin rot */
+.scSafeZoneOverlay{
+  position:absolute;
+  inset:0;
+  width:100%;
+  height:100%;
+  pointer-events:none;
+  object-fit: fill;
+}
+
 .scCutlineOverlay{
   position:absolute;
   inset:0;
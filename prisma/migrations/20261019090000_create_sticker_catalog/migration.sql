@@ -0,0 +1,96 @@
+-- CreateTable
+CREATE TABLE "CatalogShape" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "shapeKey" TEXT NOT NULL,
+    "label" TEXT NOT NULL,
+    "productHandle" TEXT,
+    "sizeOptionKey" TEXT,
+    "colorOptionKey" TEXT NOT NULL DEFAULT 'color',
+    "defaultColorKey" TEXT NOT NULL DEFAULT 'white',
+    "meta" JSONB,
+    "position" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "CatalogShape_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "CatalogColorway" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "shapeId" TEXT NOT NULL,
+    "colorKey" TEXT NOT NULL,
+    "label" TEXT NOT NULL,
+    "position" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "CatalogColorway_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "CatalogSize" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "shapeId" TEXT NOT NULL,
+    "sizeKey" TEXT NOT NULL,
+    "label" TEXT NOT NULL,
+    "widthCm" DOUBLE PRECISION NOT NULL,
+    "heightCm" DOUBLE PRECISION NOT NULL,
+    "position" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "CatalogSize_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "CatalogVariant" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "colorwayId" TEXT NOT NULL,
+    "sizeId" TEXT NOT NULL,
+    "variantId" TEXT NOT NULL DEFAULT '',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "CatalogVariant_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "CatalogShape_shop_idx" ON "CatalogShape"("shop");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "CatalogShape_shop_shapeKey_key" ON "CatalogShape"("shop", "shapeKey");
+
+-- CreateIndex
+CREATE INDEX "CatalogColorway_shop_idx" ON "CatalogColorway"("shop");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "CatalogColorway_shapeId_colorKey_key" ON "CatalogColorway"("shapeId", "colorKey");
+
+-- CreateIndex
+CREATE INDEX "CatalogSize_shop_idx" ON "CatalogSize"("shop");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "CatalogSize_shapeId_sizeKey_key" ON "CatalogSize"("shapeId", "sizeKey");
+
+-- CreateIndex
+CREATE INDEX "CatalogVariant_shop_idx" ON "CatalogVariant"("shop");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "CatalogVariant_colorwayId_sizeId_key" ON "CatalogVariant"("colorwayId", "sizeId");
+
+-- AddForeignKey
+ALTER TABLE "CatalogColorway" ADD CONSTRAINT "CatalogColorway_shapeId_fkey" FOREIGN KEY ("shapeId") REFERENCES "CatalogShape"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CatalogSize" ADD CONSTRAINT "CatalogSize_shapeId_fkey" FOREIGN KEY ("shapeId") REFERENCES "CatalogShape"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CatalogVariant" ADD CONSTRAINT "CatalogVariant_colorwayId_fkey" FOREIGN KEY ("colorwayId") REFERENCES "CatalogColorway"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CatalogVariant" ADD CONSTRAINT "CatalogVariant_sizeId_fkey" FOREIGN KEY ("sizeId") REFERENCES "CatalogSize"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,22 @@
+-- CreateTable
+CREATE TABLE "PriceTable" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "shapeKey" TEXT NOT NULL DEFAULT '*',
+    "mode" TEXT NOT NULL DEFAULT 'auto',
+    "pricePerM2" DOUBLE PRECISION NOT NULL DEFAULT 250,
+    "minAreaM2" DOUBLE PRECISION NOT NULL DEFAULT 0.1,
+    "areaStepM2" DOUBLE PRECISION NOT NULL DEFAULT 0.1,
+    "setupFee" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "currencyCode" TEXT NOT NULL DEFAULT 'EUR',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "PriceTable_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "PriceTable_shop_idx" ON "PriceTable"("shop");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PriceTable_shop_shapeKey_key" ON "PriceTable"("shop", "shapeKey");
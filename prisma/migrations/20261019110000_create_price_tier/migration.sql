@@ -0,0 +1,19 @@
+-- CreateTable
+CREATE TABLE "PriceTier" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "shapeKey" TEXT NOT NULL DEFAULT '*',
+    "colorKey" TEXT NOT NULL DEFAULT '*',
+    "minQty" INTEGER NOT NULL,
+    "discountPct" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "PriceTier_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "PriceTier_shop_idx" ON "PriceTier"("shop");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PriceTier_shop_shapeKey_colorKey_minQty_key" ON "PriceTier"("shop", "shapeKey", "colorKey", "minQty");
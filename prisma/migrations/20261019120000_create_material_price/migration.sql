@@ -0,0 +1,19 @@
+-- CreateTable
+CREATE TABLE "MaterialPrice" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "colorKey" TEXT NOT NULL,
+    "multiplier" DOUBLE PRECISION NOT NULL DEFAULT 1,
+    "surchargePerUnit" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "whiteInkPerM2" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "MaterialPrice_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "MaterialPrice_shop_idx" ON "MaterialPrice"("shop");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "MaterialPrice_shop_colorKey_key" ON "MaterialPrice"("shop", "colorKey");
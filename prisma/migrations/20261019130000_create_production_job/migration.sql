@@ -0,0 +1,32 @@
+-- CreateTable
+CREATE TABLE "ProductionJob" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "orderId" TEXT NOT NULL,
+    "orderName" TEXT NOT NULL DEFAULT '',
+    "lineItemId" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'new',
+    "shapeKey" TEXT NOT NULL,
+    "sizeKey" TEXT NOT NULL DEFAULT '',
+    "colorKey" TEXT NOT NULL DEFAULT 'white',
+    "widthCm" DOUBLE PRECISION NOT NULL,
+    "heightCm" DOUBLE PRECISION NOT NULL,
+    "pieces" INTEGER NOT NULL DEFAULT 1,
+    "quantity" INTEGER NOT NULL DEFAULT 1,
+    "variantId" TEXT NOT NULL DEFAULT '',
+    "imageUrl" TEXT NOT NULL DEFAULT '',
+    "svgUrl" TEXT NOT NULL DEFAULT '',
+    "quoteStatus" TEXT NOT NULL DEFAULT 'missing',
+    "config" JSONB,
+    "properties" JSONB,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ProductionJob_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ProductionJob_shop_status_idx" ON "ProductionJob"("shop", "status");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ProductionJob_shop_lineItemId_key" ON "ProductionJob"("shop", "lineItemId");
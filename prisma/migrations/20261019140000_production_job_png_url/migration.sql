@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "ProductionJob" ADD COLUMN "pngUrl" TEXT NOT NULL DEFAULT '';
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "ProductionJob" ADD COLUMN "pdfUrl" TEXT NOT NULL DEFAULT '';
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "ProductionJob" ADD COLUMN "originalUrl" TEXT NOT NULL DEFAULT '';